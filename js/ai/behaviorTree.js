@@ -0,0 +1,445 @@
+/**
+ * SIGNAL WARFARE - Behavior Trees
+ *
+ * This file implements the behavior tree runtime of AI entities:
+ * - Composite nodes: sequence, selector and parallel
+ * - Decorators: inverter, always-succeed, repeat, retry, cooldown and timeout
+ * - Leaves: named actions and conditions from a registry (see js/ai/leaves.js)
+ * - Blackboards of values shared by the nodes of a tree, or by a team
+ * - Trees built from JSON definitions
+ *
+ * A node definition is an object with a type. Composites list their children,
+ * decorators wrap one child, and every other key is a parameter:
+ *
+ *   { "type": "Sequence", "children": [
+ *     { "type": "SelectTarget", "key": "target" },
+ *     { "type": "MoveTo", "target": "$target" }
+ *   ] }
+ *
+ * Parameter strings starting with $ read the tree's blackboard entry of that name.
+ */
+
+var BehaviorStatus = {
+  SUCCESS: 'success',
+  FAILURE: 'failure',
+  RUNNING: 'running'
+};
+
+// Blackboard - Named values shared by the nodes of a tree, or the trees of a team
+var Blackboard = class Blackboard {
+  constructor(values = {}) {
+    this.values = new Map(Object.entries(values));
+  }
+  
+  get(key, fallback = undefined) {
+    return this.values.has(key) ? this.values.get(key) : fallback;
+  }
+  
+  set(key, value) {
+    this.values.set(key, value);
+  }
+  
+  has(key) {
+    return this.values.has(key);
+  }
+  
+  delete(key) {
+    return this.values.delete(key);
+  }
+};
+
+// Behavior Node - Base class for all nodes
+// tick(context) runs the node for one AI update and returns a BehaviorStatus;
+// reset() forgets its progress, e.g. when a selector switches away from it
+class BehaviorNode {
+  tick(context) {
+    return BehaviorStatus.FAILURE;
+  }
+  
+  reset() {
+    // Stateless by default
+  }
+}
+
+// Sequence - Runs its children in order until one fails; resumes at the
+// running child on the next tick
+class SequenceNode extends BehaviorNode {
+  constructor(children) {
+    super();
+    this.children = children;
+    this.current = 0;
+  }
+  
+  tick(context) {
+    while (this.current < this.children.length) {
+      const status = this.children[this.current].tick(context);
+      if (status === BehaviorStatus.RUNNING) {
+        return status;
+      }
+      if (status === BehaviorStatus.FAILURE) {
+        this.reset();
+        return status;
+      }
+      this.current++;
+    }
+    
+    this.reset();
+    return BehaviorStatus.SUCCESS;
+  }
+  
+  reset() {
+    this.current = 0;
+    this.children.forEach(child => child.reset());
+  }
+}
+
+// Selector - Runs the first child, in priority order, that does not fail.
+// Children are re-evaluated from the top every tick, so a higher priority
+// child that becomes possible takes over from a running one.
+class SelectorNode extends BehaviorNode {
+  constructor(children) {
+    super();
+    this.children = children;
+    this.running = null;  // Index of the child left running
+  }
+  
+  tick(context) {
+    for (let i = 0; i < this.children.length; i++) {
+      const status = this.children[i].tick(context);
+      if (status === BehaviorStatus.FAILURE) continue;
+      
+      if (this.running !== null && this.running !== i) {
+        this.children[this.running].reset();
+      }
+      this.running = status === BehaviorStatus.RUNNING ? i : null;
+      return status;
+    }
+    
+    this.reset();
+    return BehaviorStatus.FAILURE;
+  }
+  
+  reset() {
+    this.running = null;
+    this.children.forEach(child => child.reset());
+  }
+}
+
+// Parallel - Runs all children every tick until successThreshold of them have
+// succeeded (all by default) or failureThreshold have failed (one by default)
+class ParallelNode extends BehaviorNode {
+  constructor(children, successThreshold = children.length, failureThreshold = 1) {
+    super();
+    this.children = children;
+    this.successThreshold = successThreshold;
+    this.failureThreshold = failureThreshold;
+    this.results = children.map(() => null);
+  }
+  
+  tick(context) {
+    this.children.forEach((child, i) => {
+      if (this.results[i] === null) {
+        const status = child.tick(context);
+        if (status !== BehaviorStatus.RUNNING) {
+          this.results[i] = status;
+        }
+      }
+    });
+    
+    const successes = this.results.filter(result => result === BehaviorStatus.SUCCESS).length;
+    const failures = this.results.filter(result => result === BehaviorStatus.FAILURE).length;
+    let status = BehaviorStatus.RUNNING;
+    if (successes >= this.successThreshold) {
+      status = BehaviorStatus.SUCCESS;
+    } else if (failures >= this.failureThreshold || successes + failures === this.children.length) {
+      status = BehaviorStatus.FAILURE;
+    }
+    
+    if (status !== BehaviorStatus.RUNNING) {
+      this.reset();
+    }
+    return status;
+  }
+  
+  reset() {
+    this.results = this.children.map(() => null);
+    this.children.forEach(child => child.reset());
+  }
+}
+
+// Decorator - Base class for nodes wrapping a single child
+class DecoratorNode extends BehaviorNode {
+  constructor(child) {
+    super();
+    this.child = child;
+  }
+  
+  reset() {
+    this.child.reset();
+  }
+}
+
+// Inverter - Turns the child's success into failure and back
+class InverterNode extends DecoratorNode {
+  tick(context) {
+    const status = this.child.tick(context);
+    if (status === BehaviorStatus.RUNNING) {
+      return status;
+    }
+    
+    return status === BehaviorStatus.SUCCESS ? BehaviorStatus.FAILURE : BehaviorStatus.SUCCESS;
+  }
+}
+
+// Always Succeed - Succeeds however the child ends
+class AlwaysSucceedNode extends DecoratorNode {
+  tick(context) {
+    const status = this.child.tick(context);
+    
+    return status === BehaviorStatus.RUNNING ? status : BehaviorStatus.SUCCESS;
+  }
+}
+
+// Repeat - Runs the child again each time it succeeds, count times in all
+// (forever for -1); fails as soon as the child fails
+class RepeatNode extends DecoratorNode {
+  constructor(child, count = -1) {
+    super(child);
+    this.count = count;
+    this.completed = 0;
+  }
+  
+  tick(context) {
+    const status = this.child.tick(context);
+    if (status === BehaviorStatus.FAILURE) {
+      this.reset();
+      return status;
+    }
+    
+    if (status === BehaviorStatus.SUCCESS) {
+      this.completed++;
+      this.child.reset();
+      if (this.count >= 0 && this.completed >= this.count) {
+        this.reset();
+        return BehaviorStatus.SUCCESS;
+      }
+    }
+    
+    return BehaviorStatus.RUNNING;
+  }
+  
+  reset() {
+    this.completed = 0;
+    super.reset();
+  }
+}
+
+// Retry - Runs the child again each time it fails, up to attempts times in all
+class RetryNode extends DecoratorNode {
+  constructor(child, attempts = 3) {
+    super(child);
+    this.attempts = attempts;
+    this.failed = 0;
+  }
+  
+  tick(context) {
+    const status = this.child.tick(context);
+    if (status === BehaviorStatus.SUCCESS) {
+      this.reset();
+      return status;
+    }
+    
+    if (status === BehaviorStatus.FAILURE) {
+      this.failed++;
+      this.child.reset();
+      if (this.failed >= this.attempts) {
+        this.reset();
+        return BehaviorStatus.FAILURE;
+      }
+    }
+    
+    return BehaviorStatus.RUNNING;
+  }
+  
+  reset() {
+    this.failed = 0;
+    super.reset();
+  }
+}
+
+// Cooldown - Fails without running the child for seconds after it ends
+class CooldownNode extends DecoratorNode {
+  constructor(child, seconds = 10) {
+    super(child);
+    this.seconds = seconds;
+    this.readyTime = -Infinity;
+  }
+  
+  tick(context) {
+    if (context.time < this.readyTime) {
+      return BehaviorStatus.FAILURE;
+    }
+    
+    const status = this.child.tick(context);
+    if (status !== BehaviorStatus.RUNNING) {
+      this.readyTime = context.time + this.seconds;
+    }
+    return status;
+  }
+  
+  // The cooldown outlasts resets, so a selector cannot skip it by switching away
+}
+
+// Timeout - Fails the child once it has run for seconds
+class TimeoutNode extends DecoratorNode {
+  constructor(child, seconds = 30) {
+    super(child);
+    this.seconds = seconds;
+    this.startTime = null;
+  }
+  
+  tick(context) {
+    if (this.startTime === null) {
+      this.startTime = context.time;
+    }
+    
+    if (context.time - this.startTime >= this.seconds) {
+      this.reset();
+      return BehaviorStatus.FAILURE;
+    }
+    
+    const status = this.child.tick(context);
+    if (status !== BehaviorStatus.RUNNING) {
+      this.reset();
+    }
+    return status;
+  }
+  
+  reset() {
+    this.startTime = null;
+    super.reset();
+  }
+}
+
+// Leaf - Runs a registered leaf function(context, params, memory) returning a
+// BehaviorStatus. Memory is the leaf's own scratch object, cleared on reset.
+class LeafNode extends BehaviorNode {
+  constructor(type, leaf, params) {
+    super();
+    this.type = type;
+    this.leaf = leaf;
+    this.params = params;
+    this.memory = {};
+  }
+  
+  tick(context) {
+    return this.leaf(context, this.resolveParams(context.blackboard), this.memory);
+  }
+  
+  reset() {
+    this.memory = {};
+  }
+  
+  // Parameters with blackboard references ($name) replaced by their values
+  resolveParams(blackboard) {
+    const params = {};
+    for (const [key, value] of Object.entries(this.params)) {
+      params[key] = typeof value === 'string' && value.startsWith('$') ? blackboard.get(value.slice(1)) : value;
+    }
+    
+    return params;
+  }
+}
+
+// Behavior Tree - A root node and the blackboard its nodes share
+class BehaviorTree {
+  constructor(root, blackboard = new Blackboard()) {
+    this.root = root;
+    this.blackboard = blackboard;
+    this.status = null;  // Status of the last tick
+  }
+  
+  // Run the tree for one AI update; a finished tree starts over on the next
+  tick(context) {
+    this.status = this.root.tick({ ...context, blackboard: this.blackboard });
+    if (this.status !== BehaviorStatus.RUNNING) {
+      this.root.reset();
+    }
+    
+    return this.status;
+  }
+}
+
+// Leaf functions by node type, see registerBehaviorLeaf
+const behaviorLeaves = new Map();
+
+// Make a leaf available to tree definitions under a node type
+function registerBehaviorLeaf(type, leaf) {
+  behaviorLeaves.set(type, leaf);
+}
+
+// Build a node from its definition; throws on definitions that cannot be built
+function parseBehaviorNode(definition) {
+  const { type, children, child, ...params } = definition || {};
+  
+  const parseChildren = () => {
+    if (!Array.isArray(children) || children.length === 0) {
+      throw new Error(`Behavior tree node ${type} needs children`);
+    }
+    return children.map(parseBehaviorNode);
+  };
+  const parseChild = () => {
+    if (!child) {
+      throw new Error(`Behavior tree node ${type} needs a child`);
+    }
+    return parseBehaviorNode(child);
+  };
+  
+  switch (type) {
+    case 'Sequence':
+      return new SequenceNode(parseChildren());
+    case 'Selector':
+      return new SelectorNode(parseChildren());
+    case 'Parallel': {
+      const nodes = parseChildren();
+      return new ParallelNode(nodes, params.successThreshold, params.failureThreshold);
+    }
+    case 'Inverter':
+      return new InverterNode(parseChild());
+    case 'AlwaysSucceed':
+      return new AlwaysSucceedNode(parseChild());
+    case 'Repeat':
+      return new RepeatNode(parseChild(), params.count);
+    case 'Retry':
+      return new RetryNode(parseChild(), params.attempts);
+    case 'Cooldown':
+      return new CooldownNode(parseChild(), params.seconds);
+    case 'Timeout':
+      return new TimeoutNode(parseChild(), params.seconds);
+    default:
+      if (!behaviorLeaves.has(type)) {
+        throw new Error(`Unknown behavior tree node: ${type}`);
+      }
+      return new LeafNode(type, behaviorLeaves.get(type), params);
+  }
+}
+
+// Build a tree from a definition, as an object or a JSON string, with a
+// blackboard holding the initial values
+function parseBehaviorTree(definition, values = {}) {
+  const root = parseBehaviorNode(typeof definition === 'string' ? JSON.parse(definition) : definition);
+  
+  return new BehaviorTree(root, new Blackboard(values));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BehaviorStatus,
+    Blackboard,
+    BehaviorNode,
+    BehaviorTree,
+    registerBehaviorLeaf,
+    parseBehaviorNode,
+    parseBehaviorTree
+  };
+}
@@ -0,0 +1,374 @@
+/**
+ * SIGNAL WARFARE - Enemy Commander
+ *
+ * This file implements the strategic controller of the enemy force. Every
+ * decision interval it reviews what it knows of the player's jamming and:
+ * - Moves its control links off bands the player denies
+ * - Pulls drones out of the player's jamming
+ * - Deploys counter-jammers against the player's control links
+ * - Launches waves of attack drones during the DEFEND phase
+ *
+ * Its difficulty (CONFIG.mission.commander.difficulties) sets how soon it
+ * reacts and how much it knows. What it knows of player assets is shared with
+ * its drones as team contacts (see ReceiveContacts in js/ai/leaves.js).
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+  var { CONFIG } = require('../core/config.js');
+  var { ComponentTypes } = require('../core/ecs/components.js');
+}
+
+var EnemyCommander = class EnemyCommander {
+  constructor(gameState, difficulty = CONFIG.mission.commander.difficulty) {
+    this.gameState = gameState;
+    this.ecs = gameState.ecs;
+    this.difficulty = difficulty;
+    this.settings = CONFIG.mission.commander.difficulties[difficulty];
+    this.decisionTimer = this.settings.decisionInterval;
+    this.deniedSince = new Map();   // Band -> simulation seconds it has been denied since
+    this.knownJammers = new Map();  // Player jammer ID -> { band, position }
+    this.reallocated = new Map();   // Drone ID -> player jammer ID (or 'STATION') it was moved away from
+    this.counterJammers = [];
+    this.wavesLaunched = 0;
+  }
+  
+  // Review the situation every decision interval
+  update(deltaTime) {
+    this.decisionTimer -= deltaTime;
+    if (this.decisionTimer > 0) return;
+    this.decisionTimer = this.settings.decisionInterval;
+    
+    this.observe();
+    const denied = this.getDeniedBands();
+    
+    this.reallocateDrones();
+    this.deployCounterJammers();
+    this.launchAttacks();
+    
+    // Last, so new attackers take off on a clear band
+    this.moveControlLinks(denied);
+  }
+  
+  // Enemy drones still in play
+  getDrones() {
+    return this.gameState.enemyAssets.drones.filter(droneId => this.ecs.getComponent(droneId, ComponentTypes.AI));
+  }
+  
+  // Positions of the enemy assets whose surroundings the commander can listen to
+  getAssetPositions() {
+    const { drones, groundStations, jammers } = this.gameState.enemyAssets;
+    
+    return [...drones, ...groundStations, ...jammers]
+      .map(entityId => this.ecs.getComponent(entityId, ComponentTypes.TRANSFORM))
+      .filter(Boolean)
+      .map(transformComponent => transformComponent.position);
+  }
+  
+  // Update the bands the player is seen to deny, the player jammers the
+  // commander knows of, and the contacts it shares with its drones.
+  // Drones report their GNSS fixes and control links the player jams, and
+  // what their sensors see, as long as their control link holds.
+  observe() {
+    const { intel } = this.settings;
+    const { deniedDegradation, intelRange } = CONFIG.mission.commander;
+    const now = this.ecs.clock.time;
+    const observed = new Set();
+    const contacts = new Map();  // Player entity ID -> position
+    
+    for (const droneId of this.getDrones()) {
+      const controlLink = this.ecs.getComponent(droneId, ComponentTypes.CONTROL_LINK);
+      const radioRF = this.ecs.getComponent(droneId, ComponentTypes.RF_TRANSMITTER);
+      if (controlLink && controlLink.degradation >= deniedDegradation && this.isPlayerJamming(controlLink)) {
+        observed.add(radioRF.frequency);
+      }
+      if (controlLink && controlLink.jammedState) continue;
+      
+      const gnss = this.ecs.getComponent(droneId, ComponentTypes.GNSS_RECEIVER);
+      if (gnss) {
+        for (const [constellation, status] of Object.entries(gnss.status)) {
+          if (status.jammed && this.isPlayerJamming(status)) {
+            observed.add(CONFIG.gnss.constellations[constellation].frequency);
+          }
+        }
+      }
+      
+      for (const enemyId of this.ecs.getComponent(droneId, ComponentTypes.AI).detectedEnemies) {
+        const transformComponent = this.ecs.getComponent(enemyId, ComponentTypes.TRANSFORM);
+        if (transformComponent) {
+          contacts.set(enemyId, transformComponent.position);
+        }
+      }
+    }
+    
+    // Signals intelligence on the player's jammers
+    this.knownJammers.clear();
+    if (intel !== 'OWN_ASSETS') {
+      const assets = this.getAssetPositions();
+      for (const [band, jammerIds] of this.gameState.getJammedBands(this.gameState.playerAssets.jammers.deployed)) {
+        for (const jammerId of jammerIds) {
+          const { position } = this.ecs.getComponent(jammerId, ComponentTypes.TRANSFORM);
+          const heard = intel === 'FULL' || assets.some(asset =>
+            Math.hypot(asset.x - position.x, asset.y - position.y) <= intelRange
+          );
+          if (heard) {
+            this.knownJammers.set(jammerId, { band, position: { ...position } });
+            observed.add(band);
+            contacts.set(jammerId, position);
+          }
+        }
+      }
+    }
+    
+    // Full intelligence sees every player asset
+    if (intel === 'FULL') {
+      for (const entityId of this.ecs.entityManager.getEntitiesWithComponents(ComponentTypes.TEAM, ComponentTypes.TRANSFORM)) {
+        if (this.ecs.getComponent(entityId, ComponentTypes.TEAM).team === 'PLAYER') {
+          contacts.set(entityId, this.ecs.getComponent(entityId, ComponentTypes.TRANSFORM).position);
+        }
+      }
+    }
+    
+    for (const band of this.deniedSince.keys()) {
+      if (!observed.has(band)) {
+        this.deniedSince.delete(band);
+      }
+    }
+    for (const band of observed) {
+      if (!this.deniedSince.has(band)) {
+        this.deniedSince.set(band, now);
+      }
+    }
+    
+    this.shareContacts(contacts, now);
+  }
+  
+  // Bands denied for at least the reaction time
+  getDeniedBands() {
+    const now = this.ecs.clock.time;
+    const denied = new Set();
+    
+    for (const [band, since] of this.deniedSince) {
+      if (now - since >= this.settings.reactionTime) {
+        denied.add(band);
+      }
+    }
+    
+    return denied;
+  }
+  
+  // Post contacts to the enemy team blackboard the drones' behavior trees read
+  shareContacts(contacts, time) {
+    const ai = this.ecs.getSystem('ai');
+    if (!ai) return;
+    
+    const teamBlackboard = ai.getTeamBlackboard('ENEMY');
+    if (!teamBlackboard.has('contacts')) {
+      teamBlackboard.set('contacts', new Map());
+    }
+    for (const [entityId, position] of contacts) {
+      teamBlackboard.get('contacts').set(entityId, { position: { ...position }, time });
+    }
+  }
+  
+  // Retune the control links on denied bands to the first band in
+  // controlFrequencies that is not
+  moveControlLinks(denied) {
+    const frequency = CONFIG.mission.commander.controlFrequencies.find(band => !denied.has(band));
+    if (!frequency) return;
+    
+    const moved = this.getDrones().filter(droneId => {
+      const radioRF = this.ecs.getComponent(droneId, ComponentTypes.RF_TRANSMITTER);
+      return radioRF && denied.has(radioRF.frequency) &&
+             this.gameState.setDroneControlFrequency(droneId, frequency);
+    });
+    
+    if (moved.length > 0) {
+      this.gameState.triggerEvent('enemyCommanderAction', 'CONTROL_FREQUENCY', { drones: moved, frequency });
+    }
+  }
+  
+  // Move patrolling drones the player is jamming: out of the reach of the
+  // nearest player jammer it knows of that they hear, else back over their
+  // ground control station where the link is strongest. A drone keeps to
+  // the area it was sent to until it is clear of the jamming.
+  reallocateDrones() {
+    const { patrolSize } = CONFIG.mission.commander;
+    const { width, height } = CONFIG.terrain;
+    
+    for (const droneId of this.getDrones()) {
+      const aiComponent = this.ecs.getComponent(droneId, ComponentTypes.AI);
+      if (aiComponent.behavior !== 'patrol') continue;
+      
+      const controlLink = this.ecs.getComponent(droneId, ComponentTypes.CONTROL_LINK);
+      const gnss = this.ecs.getComponent(droneId, ComponentTypes.GNSS_RECEIVER);
+      if (!this.isDroneJammed(controlLink, gnss)) {
+        this.reallocated.delete(droneId);
+        continue;
+      }
+      
+      // Jamming reaches past a jammer's nominal range, so the drone is not
+      // sent back toward a jammer it was moved away from while it still hears it
+      const previous = this.reallocated.get(droneId);
+      if (previous !== undefined && previous !== 'STATION' && this.ecs.getComponent(previous, ComponentTypes.JAMMER)) continue;
+      
+      // Jammers heard at the drone, on its uplink or GNSS channels
+      const heard = new Set(controlLink ? controlLink.uplink.jammers : []);
+      for (const status of gnss ? Object.values(gnss.status) : []) {
+        status.jammers.forEach(jammerId => heard.add(jammerId));
+      }
+      
+      const { position } = this.ecs.getComponent(droneId, ComponentTypes.TRANSFORM);
+      let cause = 'STATION';
+      let center = null;
+      let nearest = Infinity;
+      for (const [jammerId, jammer] of this.knownJammers) {
+        if (!heard.has(jammerId)) continue;
+        
+        const distance = Math.hypot(position.x - jammer.position.x, position.y - jammer.position.y);
+        if (distance < nearest) {
+          // Straight away from the jammer, to clear its range, or where the
+          // drone already is, by half a patrol area
+          const { range } = CONFIG.jammers.types[this.ecs.getComponent(jammerId, ComponentTypes.JAMMER).type];
+          const reach = Math.max(range, distance) + patrolSize / 2;
+          nearest = distance;
+          cause = jammerId;
+          center = {
+            x: jammer.position.x + (distance > 0 ? (position.x - jammer.position.x) * reach / distance : reach),
+            y: jammer.position.y + (distance > 0 ? (position.y - jammer.position.y) * reach / distance : 0)
+          };
+        }
+      }
+      if (center === null) {
+        const station = controlLink && controlLink.stationId !== null ?
+          this.ecs.getComponent(controlLink.stationId, ComponentTypes.TRANSFORM) : null;
+        if (!station) continue;
+        center = { x: station.position.x, y: station.position.y };
+      }
+      
+      if (previous === cause) continue;
+      
+      // Keep the patrol area on the map
+      center.x = Math.max(patrolSize / 2 - width / 2, Math.min(width / 2 - patrolSize / 2, center.x));
+      center.y = Math.max(patrolSize / 2 - height / 2, Math.min(height / 2 - patrolSize / 2, center.y));
+      
+      this.reallocated.set(droneId, cause);
+      this.gameState.setDroneSearch(droneId, 'PARALLEL', center, patrolSize);
+      this.gameState.triggerEvent('enemyCommanderAction', 'REALLOCATE', { droneId, center });
+    }
+  }
+  
+  // Whether the player is jamming a drone's control link past deniedDegradation,
+  // or any of its GNSS constellations
+  isDroneJammed(controlLink, gnss) {
+    const { deniedDegradation } = CONFIG.mission.commander;
+    
+    return Boolean(
+      (controlLink && controlLink.degradation >= deniedDegradation && this.isPlayerJamming(controlLink)) ||
+      (gnss && Object.values(gnss.status).some(status => status.jammed && this.isPlayerJamming(status)))
+    );
+  }
+  
+  // Whether a receiver hears jammers other than the commander's own; its
+  // counter-jammers may drown its own links, but they deny it no band
+  isPlayerJamming({ jammers, friendlyJammers }) {
+    return jammers.some(jammerId => !friendlyJammers.includes(jammerId));
+  }
+  
+  // Jam the control band of the player drones the commander knows of, from the
+  // ground control station nearest them, up to the difficulty's counterJammers
+  deployCounterJammers() {
+    this.counterJammers = this.counterJammers.filter(jammerId => this.ecs.getComponent(jammerId, ComponentTypes.JAMMER));
+    if (this.counterJammers.length >= this.settings.counterJammers) return;
+    
+    const contacts = this.ecs.getSystem('ai') ?
+      this.ecs.getSystem('ai').getTeamBlackboard('ENEMY').get('contacts', new Map()) : new Map();
+    const jammedBands = this.gameState.getJammedBands(this.counterJammers);
+    for (const [entityId, contact] of contacts) {
+      if (!this.gameState.playerAssets.drones.deployed.includes(entityId)) continue;
+      
+      const radioRF = this.ecs.getComponent(entityId, ComponentTypes.RF_TRANSMITTER);
+      if (!radioRF || jammedBands.has(radioRF.frequency)) continue;
+      
+      const stationId = this.getNearestStation(contact.position);
+      if (stationId === null) return;
+      
+      const { position } = this.ecs.getComponent(stationId, ComponentTypes.TRANSFORM);
+      const jammerId = this.gameState.createEnemyJammer(
+        CONFIG.mission.commander.counterJammer, { x: position.x, y: position.y, z: position.z }, radioRF.frequency
+      );
+      this.gameState.enemyAssets.jammers.push(jammerId);
+      this.counterJammers.push(jammerId);
+      this.gameState.triggerEvent('enemyCommanderAction', 'COUNTER_JAMMER', { jammerId, frequency: radioRF.frequency });
+      return;
+    }
+  }
+  
+  // Launch the DEFEND phase's attack waves, evenly over the phase, from the
+  // ground control station nearest the player's assets; the attackers strike
+  // what the drones see or the commander knows of (the STRIKE doctrine)
+  launchAttacks() {
+    if (this.gameState.missionPhase !== 'DEFEND' || this.wavesLaunched >= this.settings.attackWaves) return;
+    
+    const duration = CONFIG.mission.phases.DEFEND.duration;
+    const elapsed = duration - this.gameState.missionTimeRemaining;
+    if (elapsed < this.wavesLaunched * duration / this.settings.attackWaves) return;
+    
+    const target = this.getPlayerCentroid();
+    const stationId = target ? this.getNearestStation(target) : this.gameState.enemyAssets.groundStations[0];
+    const station = stationId !== undefined && stationId !== null ?
+      this.ecs.getComponent(stationId, ComponentTypes.TRANSFORM) : null;
+    if (!station) return;
+    
+    const { altitude } = CONFIG.drones.types.ATTACK;
+    const ground = this.gameState.terrain ? this.gameState.terrain.getElevation(station.position.x, station.position.y) : 0;
+    const drones = [];
+    for (let i = 0; i < this.settings.waveSize; i++) {
+      const droneId = this.gameState.createEnemyDrone(
+        'ATTACK', { x: station.position.x, y: station.position.y, z: ground + altitude }, stationId
+      );
+      this.gameState.enemyAssets.drones.push(droneId);
+      this.gameState.setDroneDoctrine(droneId, 'STRIKE');
+      drones.push(droneId);
+    }
+    
+    this.wavesLaunched++;
+    this.gameState.triggerEvent('enemyCommanderAction', 'ATTACK_WAVE', { wave: this.wavesLaunched, drones });
+  }
+  
+  // Enemy ground control station nearest a position, null without one
+  getNearestStation(position) {
+    let nearestId = null;
+    let nearest = Infinity;
+    
+    for (const stationId of this.gameState.enemyAssets.groundStations) {
+      const transformComponent = this.ecs.getComponent(stationId, ComponentTypes.TRANSFORM);
+      if (!transformComponent) continue;
+      
+      const distance = Math.hypot(transformComponent.position.x - position.x, transformComponent.position.y - position.y);
+      if (distance < nearest) {
+        nearest = distance;
+        nearestId = stationId;
+      }
+    }
+    
+    return nearestId;
+  }
+  
+  // Center of the player assets the commander knows of, null if none
+  getPlayerCentroid() {
+    const contacts = this.ecs.getSystem('ai') ?
+      [...this.ecs.getSystem('ai').getTeamBlackboard('ENEMY').get('contacts', new Map()).values()] : [];
+    if (contacts.length === 0) {
+      return null;
+    }
+    
+    return {
+      x: contacts.reduce((sum, contact) => sum + contact.position.x, 0) / contacts.length,
+      y: contacts.reduce((sum, contact) => sum + contact.position.y, 0) / contacts.length
+    };
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { EnemyCommander };
+}
@@ -0,0 +1,120 @@
+/**
+ * SIGNAL WARFARE - Doctrines
+ *
+ * This file holds the behavior trees enemy tactics are authored as, by name.
+ * Each doctrine is a JSON tree definition (see js/ai/behaviorTree.js), so new
+ * ones can be loaded from designer JSON with registerDoctrine. Doctrines read
+ * their mission from the blackboard values a drone is given with them:
+ * - SCOUT: searches around $area, reporting what it sees to its team
+ * - STRIKE: attacks what it sees or its team reports, else loiters at home
+ * - ESCORT: intercepts enemies near $protect, else orbits it
+ * - STANDOFF_JAMMER: jams what it sees from release range, else orbits home
+ *   with its jammer off
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+  var { parseBehaviorTree } = require('./behaviorTree.js');
+  require('./leaves.js');
+}
+
+const doctrines = new Map(Object.entries({
+  SCOUT: {
+    type: 'Parallel',
+    successThreshold: 2,
+    children: [
+      { type: 'Repeat', child: { type: 'AlwaysSucceed', child: { type: 'ReportContacts' } } },
+      {
+        type: 'Selector',
+        children: [
+          { type: 'Sequence', children: [{ type: 'IsJammed', link: 'GNSS' }, { type: 'ReturnHome' }] },
+          { type: 'Search', pattern: 'EXPANDING_SQUARE', center: '$area', size: 1500, loop: true }
+        ]
+      }
+    ]
+  },
+  
+  STRIKE: {
+    type: 'Selector',
+    children: [
+      {
+        type: 'Sequence',
+        children: [
+          { type: 'SelectTarget', damageable: true },
+          { type: 'MoveTo', target: '$target', range: 'RELEASE' },
+          { type: 'ReleasePayload', target: '$target' }
+        ]
+      },
+      {
+        type: 'Sequence',
+        children: [
+          { type: 'ReceiveContacts' },
+          { type: 'SelectTarget', source: 'CONTACTS', key: 'contact', damageable: true },
+          { type: 'Timeout', seconds: 120, child: { type: 'MoveTo', target: '$contact', range: 100 } }
+        ]
+      },
+      { type: 'Orbit', center: 'HOME', radius: 300, laps: -1 }
+    ]
+  },
+  
+  ESCORT: {
+    type: 'Selector',
+    children: [
+      {
+        type: 'Sequence',
+        children: [
+          { type: 'SelectTarget', key: 'intruder', tag: 'DRONE' },
+          { type: 'MoveTo', target: '$intruder', range: 20 }
+        ]
+      },
+      { type: 'Orbit', center: '$protect', laps: 1 }
+    ]
+  },
+  
+  STANDOFF_JAMMER: {
+    type: 'Selector',
+    children: [
+      {
+        type: 'Sequence',
+        children: [
+          { type: 'SelectTarget' },
+          { type: 'MoveTo', target: '$target', range: 'RELEASE' },
+          { type: 'SetJamming', active: true },
+          { type: 'Hover', duration: 10 }
+        ]
+      },
+      {
+        type: 'Sequence',
+        children: [
+          { type: 'AlwaysSucceed', child: { type: 'SetJamming', active: false } },
+          { type: 'Orbit', center: 'HOME', radius: 400, laps: -1 }
+        ]
+      }
+    ]
+  }
+}));
+
+// Add or replace a doctrine from its tree definition, as an object or a JSON
+// string. The definition is built once to check it, so a doctrine that cannot
+// be built throws here rather than when a drone is given it.
+function registerDoctrine(name, definition) {
+  const parsed = typeof definition === 'string' ? JSON.parse(definition) : definition;
+  parseBehaviorTree(parsed);
+  doctrines.set(name, parsed);
+}
+
+// A fresh tree of a doctrine, with a blackboard holding the initial values;
+// null for unknown doctrines
+function createDoctrineTree(name, values = {}) {
+  const definition = doctrines.get(name);
+  
+  return definition ? parseBehaviorTree(definition, values) : null;
+}
+
+// Names of the doctrines available
+function getDoctrineNames() {
+  return [...doctrines.keys()];
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { registerDoctrine, createDoctrineTree, getDoctrineNames };
+}
@@ -0,0 +1,416 @@
+/**
+ * SIGNAL WARFARE - Behavior Tree Leaves
+ *
+ * This file registers the built-in leaf nodes of behavior trees:
+ * - Movement: MoveTo, FollowRoute, Search, Orbit, ReturnHome, Hover
+ * - Sensing: HasDetectedEnemy, SelectTarget, IsInRange, IsHealthBelow
+ * - Jamming: SetJamming, IsJammed, ReleasePayload
+ * - Communications: HasControlLink, ReportContacts, ReceiveContacts
+ *
+ * Leaves fly the drone through its state machine: movement leaves set its
+ * waypoints or target and report RUNNING until it gets there. Targets and
+ * centers are positions ({ x, y }), entity IDs, or 'HOME' for the drone's home
+ * (see AISystem.getHomeLocation). Ranges are meters, or 'RELEASE' for the
+ * payload release range.
+ *
+ * The context of a tick holds entityId, ecs, entityManager, ai (the AISystem),
+ * aiComponent, deltaTime, time, the tree's blackboard and the team blackboard.
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+  var { CONFIG } = require('../core/config.js');
+  var { ComponentTypes } = require('../core/ecs/components.js');
+  var { createSearchPattern, createOrbit } = require('./patterns.js');
+  var { BehaviorStatus, registerBehaviorLeaf } = require('./behaviorTree.js');
+}
+
+// The drone of the entity running the tree, null for other entities
+function getBehaviorDrone(context) {
+  return context.entityManager.getComponent(context.entityId, ComponentTypes.DRONE);
+}
+
+// Where the entity believes it is
+function getBehaviorPosition(context) {
+  const transformComponent = context.entityManager.getComponent(context.entityId, ComponentTypes.TRANSFORM);
+  
+  return context.ai.getNavigationPosition(context.entityId, transformComponent);
+}
+
+// Position of a target parameter, null if there is no such target
+function resolveBehaviorTarget(context, target) {
+  if (typeof target === 'number') {
+    const transformComponent = context.entityManager.getComponent(target, ComponentTypes.TRANSFORM);
+    return transformComponent ? transformComponent.position : null;
+  }
+  
+  if (target === 'HOME') {
+    const droneComponent = getBehaviorDrone(context);
+    return droneComponent ? context.ai.getHomeLocation(context.entityId, droneComponent) : null;
+  }
+  
+  return target && typeof target.x === 'number' ? target : null;
+}
+
+// Range parameter in meters
+function resolveBehaviorRange(context, range, fallback) {
+  if (range === 'RELEASE') {
+    const droneComponent = getBehaviorDrone(context);
+    return context.ai.getReleaseRange(droneComponent ? droneComponent.payload : null);
+  }
+  
+  return typeof range === 'number' ? range : fallback;
+}
+
+// Hand the drone its waypoints, flown by the patrol state
+function flyWaypoints(context, droneComponent, waypoints) {
+  droneComponent.waypoints = waypoints;
+  droneComponent.target = null;
+  context.aiComponent.state = CONFIG.drones.ai.states.PATROL;
+}
+
+// Fly toward a target until within range of it; a moving entity is
+// intercepted rather than chased
+function flyToTarget(context, target, range) {
+  const droneComponent = getBehaviorDrone(context);
+  const position = resolveBehaviorTarget(context, target);
+  if (!droneComponent || !position) {
+    return BehaviorStatus.FAILURE;
+  }
+  
+  const from = getBehaviorPosition(context);
+  droneComponent.waypoints = [];
+  context.aiComponent.state = 'idle';
+  if (Math.hypot(position.x - from.x, position.y - from.y) <= range) {
+    droneComponent.target = null;
+    return BehaviorStatus.SUCCESS;
+  }
+  
+  droneComponent.target = typeof target === 'number' ?
+    context.ai.getInterceptPoint(from, droneComponent.speed, target) : { x: position.x, y: position.y };
+  return BehaviorStatus.RUNNING;
+}
+
+// Enemies of the entity's team last reported over the control links, by ID
+function getTeamContacts(context) {
+  if (!context.teamBlackboard.has('contacts')) {
+    context.teamBlackboard.set('contacts', new Map());
+  }
+  
+  return context.teamBlackboard.get('contacts');
+}
+
+// Whether the entity's control link is up; entities without one have none
+function hasControlLink(context) {
+  const controlLink = context.entityManager.getComponent(context.entityId, ComponentTypes.CONTROL_LINK);
+  
+  return Boolean(controlLink && !controlLink.jammedState);
+}
+
+// Movement
+
+// MoveTo { target, range = 5 }: fly to within range of the target
+registerBehaviorLeaf('MoveTo', (context, params) =>
+  flyToTarget(context, params.target, resolveBehaviorRange(context, params.range, 5))
+);
+
+// ReturnHome { range = 5 }: fly to within range of home
+registerBehaviorLeaf('ReturnHome', (context, params) =>
+  flyToTarget(context, 'HOME', resolveBehaviorRange(context, params.range, 5))
+);
+
+// FollowRoute { route, loop = false }: fly a list of waypoints, for good if looping
+registerBehaviorLeaf('FollowRoute', (context, params, memory) => {
+  const droneComponent = getBehaviorDrone(context);
+  if (!droneComponent || !Array.isArray(params.route) || params.route.length === 0) {
+    return BehaviorStatus.FAILURE;
+  }
+  
+  const copyRoute = () => params.route.map(waypoint => ({ ...waypoint }));
+  if (!memory.started) {
+    memory.started = true;
+    flyWaypoints(context, droneComponent, copyRoute());
+    return BehaviorStatus.RUNNING;
+  }
+  
+  // Queue the next lap before the last waypoint ends the route
+  if (params.loop && droneComponent.waypoints.length <= 1) {
+    droneComponent.waypoints.push(...copyRoute());
+  }
+  
+  return droneComponent.waypoints.length > 0 ? BehaviorStatus.RUNNING : BehaviorStatus.SUCCESS;
+});
+
+// Search { pattern = 'PARALLEL', center, size = 1000, spacing, loop = false }:
+// fly a search pattern (see createSearchPattern) over a square area
+registerBehaviorLeaf('Search', (context, params, memory) => {
+  const droneComponent = getBehaviorDrone(context);
+  if (!droneComponent) {
+    return BehaviorStatus.FAILURE;
+  }
+  
+  if (!memory.route) {
+    const center = resolveBehaviorTarget(context, params.center);
+    if (!center) {
+      return BehaviorStatus.FAILURE;
+    }
+    memory.route = createSearchPattern(
+      params.pattern || 'PARALLEL', center, params.size || 1000, params.spacing || CONFIG.drones.ai.searchSpacing
+    );
+    flyWaypoints(context, droneComponent, memory.route.map(waypoint => ({ ...waypoint })));
+    return BehaviorStatus.RUNNING;
+  }
+  
+  if (params.loop && droneComponent.waypoints.length <= 1) {
+    droneComponent.waypoints.push(...memory.route.map(waypoint => ({ ...waypoint })));
+  }
+  
+  return droneComponent.waypoints.length > 0 ? BehaviorStatus.RUNNING : BehaviorStatus.SUCCESS;
+});
+
+// Orbit { center, radius, laps = 1 }: circle the center, for good with laps -1.
+// Laps are laid out one at a time, so the orbit follows a moving entity.
+registerBehaviorLeaf('Orbit', (context, params, memory) => {
+  const droneComponent = getBehaviorDrone(context);
+  const center = resolveBehaviorTarget(context, params.center);
+  if (!droneComponent || !center) {
+    return BehaviorStatus.FAILURE;
+  }
+  
+  const { orbitRadius, orbitPoints } = CONFIG.drones.ai;
+  const radius = params.radius || orbitRadius;
+  const laps = params.laps === undefined ? 1 : params.laps;
+  if (!memory.laps) {
+    memory.laps = 1;
+    flyWaypoints(context, droneComponent, createOrbit(center, radius, orbitPoints, getBehaviorPosition(context)));
+    return BehaviorStatus.RUNNING;
+  }
+  
+  if (droneComponent.waypoints.length <= 1 && (laps < 0 || memory.laps < laps)) {
+    const from = droneComponent.waypoints[0] || getBehaviorPosition(context);
+    droneComponent.waypoints.push(...createOrbit(center, radius, orbitPoints, from).slice(1));
+    memory.laps++;
+  }
+  
+  return droneComponent.waypoints.length > 0 ? BehaviorStatus.RUNNING : BehaviorStatus.SUCCESS;
+});
+
+// Hover { duration }: hold position for duration seconds, for good without one
+registerBehaviorLeaf('Hover', (context, params, memory) => {
+  const droneComponent = getBehaviorDrone(context);
+  if (!droneComponent) {
+    return BehaviorStatus.FAILURE;
+  }
+  
+  if (memory.startTime === undefined) {
+    memory.startTime = context.time;
+  }
+  droneComponent.waypoints = [];
+  droneComponent.target = null;
+  context.aiComponent.state = 'idle';
+  
+  const done = params.duration !== undefined && context.time - memory.startTime >= params.duration;
+  return done ? BehaviorStatus.SUCCESS : BehaviorStatus.RUNNING;
+});
+
+// Sensing
+
+// Detected enemies carrying a tag (e.g. 'DRONE', 'GROUND_STATION', 'JAMMER'),
+// and optionally only those a warhead can damage
+function filterBehaviorEnemies(context, enemies, params) {
+  return enemies.filter(enemyId => {
+    if (!context.entityManager.hasComponent(enemyId, ComponentTypes.TRANSFORM)) {
+      return false;
+    }
+    if (params.damageable && !context.entityManager.hasComponent(enemyId, ComponentTypes.HEALTH)) {
+      return false;
+    }
+    if (params.tag) {
+      const tagComponent = context.entityManager.getComponent(enemyId, ComponentTypes.TAG);
+      return Boolean(tagComponent && tagComponent.tags.has(params.tag));
+    }
+    return true;
+  });
+}
+
+// HasDetectedEnemy { tag, damageable = false }: whether the sensors see an enemy
+registerBehaviorLeaf('HasDetectedEnemy', (context, params) =>
+  filterBehaviorEnemies(context, context.aiComponent.detectedEnemies, params).length > 0 ?
+    BehaviorStatus.SUCCESS : BehaviorStatus.FAILURE
+);
+
+// SelectTarget { key = 'target', tag, damageable = false, source = 'SENSORS' }:
+// store the nearest enemy on the blackboard under key. From the sensors this is
+// the enemy's ID, kept while the sensors still see it; from 'CONTACTS' (see
+// ReceiveContacts) it is the position the enemy was last reported at.
+registerBehaviorLeaf('SelectTarget', (context, params) => {
+  const key = params.key || 'target';
+  
+  if (params.source === 'CONTACTS') {
+    const contacts = getTeamContacts(context);
+    const contactId = filterBehaviorEnemies(context, context.blackboard.get('contacts', []), params)
+      .find(enemyId => contacts.has(enemyId));
+    if (contactId === undefined) {
+      context.blackboard.delete(key);
+      return BehaviorStatus.FAILURE;
+    }
+    context.blackboard.set(key, { ...contacts.get(contactId).position });
+    return BehaviorStatus.SUCCESS;
+  }
+  
+  const enemies = filterBehaviorEnemies(context, context.aiComponent.detectedEnemies, params);
+  const current = context.blackboard.get(key);
+  const targetId = enemies.includes(current) ? current : enemies[0];
+  if (targetId === undefined) {
+    context.blackboard.delete(key);
+    context.aiComponent.targetEntity = null;
+    return BehaviorStatus.FAILURE;
+  }
+  
+  context.blackboard.set(key, targetId);
+  context.aiComponent.targetEntity = targetId;
+  return BehaviorStatus.SUCCESS;
+});
+
+// IsInRange { target, range }: whether the target is within range
+registerBehaviorLeaf('IsInRange', (context, params) => {
+  const position = resolveBehaviorTarget(context, params.target);
+  if (!position) {
+    return BehaviorStatus.FAILURE;
+  }
+  
+  const from = getBehaviorPosition(context);
+  const range = resolveBehaviorRange(context, params.range, 0);
+  return Math.hypot(position.x - from.x, position.y - from.y) <= range ?
+    BehaviorStatus.SUCCESS : BehaviorStatus.FAILURE;
+});
+
+// IsHealthBelow { fraction = 0.5 }: whether health has fallen below a fraction of its maximum
+registerBehaviorLeaf('IsHealthBelow', (context, params) => {
+  const healthComponent = context.entityManager.getComponent(context.entityId, ComponentTypes.HEALTH);
+  const fraction = params.fraction === undefined ? 0.5 : params.fraction;
+  
+  return healthComponent && healthComponent.currentHealth < healthComponent.maxHealth * fraction ?
+    BehaviorStatus.SUCCESS : BehaviorStatus.FAILURE;
+});
+
+// Jamming
+
+// SetJamming { active = true, frequency, technique }: switch the drone's jammer
+// payload on or off, and retune it
+registerBehaviorLeaf('SetJamming', (context, params) => {
+  const droneComponent = getBehaviorDrone(context);
+  const payload = droneComponent ? droneComponent.payload : null;
+  const jammerSystem = context.ecs.getSystem('jammer');
+  if (!payload || payload.type !== 'JAMMER' || !jammerSystem ||
+      !context.entityManager.hasComponent(payload.entityId, ComponentTypes.JAMMER)) {
+    return BehaviorStatus.FAILURE;
+  }
+  
+  if (params.frequency && !jammerSystem.setJammerFrequency(payload.entityId, params.frequency)) {
+    return BehaviorStatus.FAILURE;
+  }
+  if (params.technique && !jammerSystem.setJammerTechnique(payload.entityId, params.technique)) {
+    return BehaviorStatus.FAILURE;
+  }
+  
+  const jammerComponent = context.entityManager.getComponent(payload.entityId, ComponentTypes.JAMMER);
+  const active = params.active !== false;
+  if (active === jammerComponent.active) {
+    return BehaviorStatus.SUCCESS;
+  }
+  
+  const switched = active ? jammerSystem.activateJammer(payload.entityId) : jammerSystem.deactivateJammer(payload.entityId);
+  return switched ? BehaviorStatus.SUCCESS : BehaviorStatus.FAILURE;
+});
+
+// IsJammed { link = 'GNSS' }: whether the entity's 'GNSS' fix or its
+// 'CONTROL_LINK' is being jammed
+registerBehaviorLeaf('IsJammed', (context, params) => {
+  let jammed = false;
+  
+  if (params.link === 'CONTROL_LINK') {
+    const controlLink = context.entityManager.getComponent(context.entityId, ComponentTypes.CONTROL_LINK);
+    jammed = Boolean(controlLink && controlLink.jammers.length > 0);
+  } else {
+    const gnss = context.entityManager.getComponent(context.entityId, ComponentTypes.GNSS_RECEIVER);
+    jammed = Boolean(gnss && Object.values(gnss.status).some(status => status.jammed));
+  }
+  
+  return jammed ? BehaviorStatus.SUCCESS : BehaviorStatus.FAILURE;
+});
+
+// ReleasePayload { target }: release the payload on a target within release
+// range. A WARHEAD dives onto it, expending the drone; a JAMMER payload is
+// switched on.
+registerBehaviorLeaf('ReleasePayload', (context, params) => {
+  const droneComponent = getBehaviorDrone(context);
+  const payload = droneComponent ? droneComponent.payload : null;
+  const position = resolveBehaviorTarget(context, params.target);
+  if (!payload || !position) {
+    return BehaviorStatus.FAILURE;
+  }
+  
+  const from = getBehaviorPosition(context);
+  if (Math.hypot(position.x - from.x, position.y - from.y) > context.ai.getReleaseRange(payload)) {
+    return BehaviorStatus.FAILURE;
+  }
+  
+  if (payload.type === 'JAMMER') {
+    const jammerSystem = context.ecs.getSystem('jammer');
+    const jammerComponent = context.entityManager.getComponent(payload.entityId, ComponentTypes.JAMMER);
+    return jammerComponent && (jammerComponent.active || jammerSystem.activateJammer(payload.entityId)) ?
+      BehaviorStatus.SUCCESS : BehaviorStatus.FAILURE;
+  }
+  
+  // The dive aims at the target as the drone believes it sees it
+  const { position: actual } = context.entityManager.getComponent(context.entityId, ComponentTypes.TRANSFORM);
+  context.ai.detonateWarhead(context.entityId, payload, {
+    x: position.x + actual.x - from.x,
+    y: position.y + actual.y - from.y,
+    z: position.z !== undefined ? position.z : actual.z
+  });
+  return BehaviorStatus.SUCCESS;
+});
+
+// Communications
+
+// HasControlLink: whether the control link to the ground control station is up
+registerBehaviorLeaf('HasControlLink', (context) =>
+  hasControlLink(context) ? BehaviorStatus.SUCCESS : BehaviorStatus.FAILURE
+);
+
+// ReportContacts: report the enemies the sensors see to the team over the
+// control link; fails while the link is down
+registerBehaviorLeaf('ReportContacts', (context) => {
+  if (!hasControlLink(context)) {
+    return BehaviorStatus.FAILURE;
+  }
+  
+  const contacts = getTeamContacts(context);
+  for (const enemyId of context.aiComponent.detectedEnemies) {
+    const transformComponent = context.entityManager.getComponent(enemyId, ComponentTypes.TRANSFORM);
+    if (transformComponent) {
+      contacts.set(enemyId, { position: { ...transformComponent.position }, time: context.time });
+    }
+  }
+  return BehaviorStatus.SUCCESS;
+});
+
+// ReceiveContacts { maxAge = 60 }: store the team's contacts reported within
+// maxAge seconds on the blackboard as 'contacts', nearest first; fails while
+// the control link is down
+registerBehaviorLeaf('ReceiveContacts', (context, params) => {
+  if (!hasControlLink(context)) {
+    return BehaviorStatus.FAILURE;
+  }
+  
+  const maxAge = params.maxAge === undefined ? 60 : params.maxAge;
+  const from = getBehaviorPosition(context);
+  const contacts = [...getTeamContacts(context).entries()]
+    .filter(([, contact]) => context.time - contact.time <= maxAge)
+    .map(([enemyId, contact]) => ({ enemyId, distance: Math.hypot(contact.position.x - from.x, contact.position.y - from.y) }))
+    .sort((a, b) => a.distance - b.distance);
+  
+  context.blackboard.set('contacts', contacts.map(({ enemyId }) => enemyId));
+  return BehaviorStatus.SUCCESS;
+});
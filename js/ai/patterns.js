@@ -0,0 +1,79 @@
+/**
+ * SIGNAL WARFARE - Flight Patterns
+ *
+ * This file implements the routes drones fly for their AI behaviors:
+ * - Area search patterns for patrols
+ * - Orbits around an asset for defenders
+ *
+ * Routes are lists of { x, y } waypoints on the ground plane; drones hold
+ * their own altitude.
+ */
+
+// Waypoints of a search pattern covering a square area of side size (m)
+// around center, with tracks spacing (m) apart:
+// - 'PARALLEL': back and forth along east-west tracks, from the south-west corner
+// - 'EXPANDING_SQUARE': outward from the center in legs growing by spacing
+//   every second turn, until the square is covered
+function createSearchPattern(pattern, center, size, spacing) {
+  const half = size / 2;
+  const waypoints = [];
+  
+  switch (pattern) {
+    case 'PARALLEL': {
+      const tracks = Math.max(1, Math.floor(size / spacing) + 1);
+      for (let i = 0; i < tracks; i++) {
+        const y = center.y - half + Math.min(size, i * spacing);
+        const [fromX, toX] = i % 2 === 0 ? [-half, half] : [half, -half];
+        waypoints.push({ x: center.x + fromX, y }, { x: center.x + toX, y });
+      }
+      break;
+    }
+    
+    case 'EXPANDING_SQUARE': {
+      // East, north, west, south
+      const headings = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+      let x = center.x;
+      let y = center.y;
+      waypoints.push({ x, y });
+      for (let leg = 0; ; leg++) {
+        const length = spacing * (Math.floor(leg / 2) + 1);
+        if (length > size) break;
+        
+        const [dx, dy] = headings[leg % 4];
+        x += dx * length;
+        y += dy * length;
+        waypoints.push({ x, y });
+      }
+      break;
+    }
+    
+    default:
+      console.error(`Unknown search pattern: ${pattern}`);
+  }
+  
+  return waypoints;
+}
+
+// Waypoints of a counterclockwise orbit of radius (m) around center, starting
+// at the point nearest from
+function createOrbit(center, radius, points, from = null) {
+  const start = from ? Math.atan2(from.y - center.y, from.x - center.x) : 0;
+  const waypoints = [];
+  
+  for (let i = 0; i < points; i++) {
+    const angle = start + 2 * Math.PI * i / points;
+    waypoints.push({
+      x: center.x + radius * Math.cos(angle),
+      y: center.y + radius * Math.sin(angle)
+    });
+  }
+  
+  return waypoints;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createSearchPattern,
+    createOrbit
+  };
+}
@@ -10,7 +10,10 @@
  * - Game mechanics parameters
  */
 
-const CONFIG = {
+// Declared with var, like every const or class another module requires: the
+// browser loads the modules as plain scripts sharing one scope, and a module's
+// require of CONFIG redeclares it there
+var CONFIG = {
   // Application settings
   app: {
     name: 'ECHO ZERO',
@@ -18,44 +21,216 @@ const CONFIG = {
     debugMode: false
   },
   
+  // Simulation clock and randomness
+  simulation: {
+    tickRate: 30,           // Fixed simulation ticks per second
+    maxTicksPerUpdate: 5,   // Limit catch-up ticks after a long frame
+    seed: null,             // PRNG seed, null picks one at startup
+    spatialCellSize: 500    // meters per spatial index grid cell
+  },
+  
   // RF propagation settings
   rf: {
     // Default propagation model
-    propagationModel: 'FSPL', // 'FSPL', 'TWO_RAY', 'LOG_DISTANCE'
+    propagationModel: 'FSPL', // 'FSPL', 'TWO_RAY', 'LOG_DISTANCE', 'TERRAIN'
+    
+    // Terrain-aware propagation ('TERRAIN' model: FSPL plus knife-edge diffraction)
+    terrain: {
+      diffractionMethod: 'DEYGOUT', // 'DEYGOUT', 'EPSTEIN_PETERSON'
+      maxEdges: 3,                  // Knife edges considered by the Deygout method
+      profileSpacing: 25,           // meters between terrain profile samples
+      antennaHeight: 2,             // meters above ground for ground equipment
+      clutterHeight: 20,            // Path below this height (m) above ground crosses land cover
+      minClutterLoss: -5            // dB, best case for paths over water
+    },
     
     // Environmental conditions affecting propagation
-    atmosphericConditions: 'CLEAR', // 'CLEAR', 'HUMID', 'RAIN' 
+    atmosphericConditions: 'CLEAR', // 'CLEAR', 'HUMID', 'RAIN' - initial weather (see CONFIG.weather)
+    
+    // Receiver noise
+    noiseFigure: 6,         // dB
+    noiseBandwidth: 1e6,    // Hz, default bandwidth for noise floor calculations
+    
+    // Link degradation: a link degrades linearly as its SINR falls from
+    // requiredSinr + degradationMargin (0) to the band's requiredSinr (1, link lost)
+    degradationMargin: 10,  // dB
+    
+    // Receivers ignore emitters that cannot reach them above the band noise
+    // floor minus this margin, even with free space loss and peak antenna gains
+    cullingMargin: 10,      // dB
+    
+    // Cached link strengths are recomputed once the weather has moved a step
+    // from where they were cached, not on every tick of a weather transition
+    cacheWeatherStep: {
+      waterVapourDensity: 2.5,  // g/m³
+      rainRate: 2.5             // mm/h
+    },
+    
+    // Coverage rasters for the tactical map (see js/rf/coverage.js)
+    coverage: {
+      resolution: 64,       // Raster nodes per side
+      receiverHeight: 2,    // meters above ground
+      sensitivity: -95,     // dBm, weakest signal that can be a best server
+      updateInterval: 2,    // Simulation seconds between recomputations
+      workerUrl: 'js/rf/coverageWorker.js',
+      heatmapOpacity: 0.55  // Terrain-draped heatmap in the 3D view
+    },
+    
+    // Spectrum analyzer panel (see js/rf/spectrum.js)
+    spectrum: {
+      receiverHeight: 2,    // meters above ground when listening at a location
+      referenceLevel: -30,  // dBm at the top of the display
+      displayRange: 100,    // dB from the top to the bottom of the display
+      points: 256,          // Trace points per sweep
+      rbwOptions: [10e3, 30e3, 100e3, 300e3, 1e6, 3e6], // Hz, resolution bandwidths
+      autoRbwRatio: 100,    // Span / RBW for the AUTO resolution bandwidth
+      averageCount: 10,     // Sweeps in the running average trace
+      waterfallRows: 120,   // Sweeps kept in the waterfall
+      persistenceLevels: 100,  // Power levels in the persistence display
+      persistenceDecay: 0.95   // Density kept from one sweep to the next
+    },
+    
+    // Command and control links between drones and their ground control station
+    // Each direction, uplink (commands) and downlink (telemetry), is lost once
+    // maxHopErrorRate of its hops fail; the hop error rate follows the per-hop
+    // link degradation with time constant errorTime
+    controlLink: {
+      stationPower: 30,     // dBm from the ground control station
+      stationHeight: 2,     // meters above ground
+      stationAntenna: null, // Isotropic: a tracking antenna that keeps its drone out of pattern nulls
+      stationSensitivity: -95, // dBm
+      stationHealth: 100,
+      errorTime: 1,         // seconds
+      maxHopErrorRate: 0.5
+    },
+    
+    // Emitter waveforms. Power is spread evenly over the occupied bandwidth;
+    // hopping and sweeping transmitters occupy one channel at a time.
+    // bandwidth: occupied bandwidth in Hz, 'CHANNEL' for the band's receiver
+    // channel bandwidth, 'BAND' for the whole band range
+    // flat: drawn flat rather than peaked on the spectrum analyzer
+    modulations: {
+      'CW': {
+        label: 'CW',
+        bandwidth: 1e3,
+        flat: false,
+        description: 'Unmodulated carrier'
+      },
+      'DSSS': {
+        label: 'DSSS',
+        bandwidth: 'CHANNEL',
+        flat: false,
+        description: 'Direct-sequence spread spectrum'
+      },
+      'OFDM': {
+        label: 'OFDM',
+        bandwidth: 'CHANNEL',
+        flat: true,
+        description: 'Orthogonal subcarriers, e.g. digital video'
+      },
+      'FHSS': {
+        label: 'FHSS',
+        bandwidth: 'BAND',
+        flat: true,
+        description: 'Frequency hopping over the band'
+      },
+      'NOISE': {
+        label: 'NOISE',
+        bandwidth: 'BAND',
+        flat: true,
+        description: 'Barrage noise jamming'
+      },
+      'SWEPT': {
+        label: 'SWEEP',
+        bandwidth: 'BAND',
+        flat: true,
+        description: 'Noise or tone swept across the band'
+      }
+    },
     
     // Frequency bands in MHz
+    // bandwidth: receiver channel bandwidth in Hz
+    // requiredSinr: minimum SINR in dB for the band's links to work
+    // modulation: waveform of transmitters that do not set one
     frequencyBands: {
       'UHF': { 
         label: '433MHz',
         value: 433,
         range: [433, 435],
+        bandwidth: 500e3,
+        requiredSinr: -5,
+        modulation: 'FHSS',
         description: 'Low data rate, good penetration'
       },
       'ISM915': {
         label: '915MHz',
         value: 915,
         range: [902, 928],
+        bandwidth: 500e3,
+        requiredSinr: -5,
+        modulation: 'FHSS',
         description: 'Medium range, decent penetration'
       },
       'GPS': {
         label: '1.5GHz',
         value: 1575.42,
         range: [1575.42, 1575.42], // Exact GPS L1 frequency
+        bandwidth: 2.046e6,
+        requiredSinr: -35,          // C/N0 of about 28 dB-Hz, the tracking threshold
+        modulation: 'DSSS',
+        nominalSignalStrength: -128.5, // dBm, GPS L1 C/A at the surface
+        polarization: 'RHCP',          // of the nominal signal
         description: 'Critical for navigation'
       },
+      'GLONASS': {
+        label: 'GLONASS',
+        value: 1602,
+        range: [1598.0625, 1605.375], // L1 FDMA channels
+        bandwidth: 1.022e6,
+        requiredSinr: -32,          // C/N0 of about 28 dB-Hz
+        modulation: 'DSSS',
+        nominalSignalStrength: -131,   // dBm, GLONASS L1OF at the surface
+        polarization: 'RHCP',
+        description: 'Russian satellite navigation'
+      },
+      'GALILEO': {
+        label: 'GALILEO',
+        value: 1575.42,
+        range: [1575.42, 1575.42],  // E1, shared with GPS L1
+        bandwidth: 4.092e6,
+        requiredSinr: -38,          // C/N0 of about 28 dB-Hz
+        modulation: 'DSSS',
+        nominalSignalStrength: -127,   // dBm, Galileo E1 at the surface
+        polarization: 'RHCP',
+        description: 'European satellite navigation'
+      },
+      'BEIDOU': {
+        label: 'BEIDOU',
+        value: 1561.098,
+        range: [1561.098, 1561.098], // B1I
+        bandwidth: 4.092e6,
+        requiredSinr: -38,          // C/N0 of about 28 dB-Hz
+        modulation: 'DSSS',
+        nominalSignalStrength: -133,   // dBm, BeiDou B1I at the surface
+        polarization: 'RHCP',
+        description: 'Chinese satellite navigation'
+      },
       'ISM2400': {
         label: '2.4GHz',
         value: 2450,
         range: [2400, 2483],
+        bandwidth: 2e6,
+        requiredSinr: 5,
+        modulation: 'OFDM',
         description: 'High bandwidth, limited range'
       },
       'CBAND': {
         label: '5.8GHz',
         value: 5800,
         range: [5725, 5850],
+        bandwidth: 20e6,
+        requiredSinr: 10,
+        modulation: 'OFDM',
         description: 'Very high bandwidth, poor penetration'
       }
     },
@@ -66,40 +241,161 @@ const CONFIG = {
       medium: '#ffde59', // -50dBm to -70dBm
       weak: '#36f9b3',   // -70dBm to -85dBm
       trace: '#00b8d4'   // -85dBm to -95dBm
+    },
+    
+    // Weakest power in dBm shown in each signal color
+    signalThresholds: {
+      strong: -50,
+      medium: -70,
+      weak: -85,
+      trace: -95
     }
   },
   
   // Antenna specifications
+  // Gain patterns are synthesized from these values unless a measured pattern
+  // is imported into the antenna library (js/rf/antennas.js)
   antennas: {
     types: {
       'OMNI': {
         name: 'Omnidirectional',
         gainDbi: 2.5,     // 2-3 dBi
         beamWidth: 360,   // degrees
+        elevationBeamWidth: 60, // degrees
+        frontToBack: 20,  // dB, maximum attenuation off boresight
+        polarization: 'LINEAR', // 'LINEAR', 'RHCP', 'LHCP'
         description: 'General purpose 360° coverage'
       },
       'HELICONE': {
         name: 'Helicone',
         gainDbi: 10,      // 8-12 dBi
         beamWidth: 90,    // degrees
+        elevationBeamWidth: 90, // degrees
+        frontToBack: 20,  // dB, maximum attenuation off boresight
+        polarization: 'RHCP',
         description: 'Compact directional with circular polarization'
       },
       'HELIX': {
         name: 'Helix',
         gainDbi: 13.5,    // 12-15 dBi
         beamWidth: 45,    // degrees
+        elevationBeamWidth: 45, // degrees
+        frontToBack: 25,  // dB, maximum attenuation off boresight
+        polarization: 'RHCP',
         description: 'High gain with excellent axial ratio'
       },
       'HORN': {
         name: 'Horn',
         gainDbi: 17.5,    // 15-20 dBi
         beamWidth: 30,    // degrees
+        elevationBeamWidth: 30, // degrees
+        frontToBack: 30,  // dB, maximum attenuation off boresight
+        polarization: 'LINEAR',
         description: 'Extreme directionality for precision jamming'
+      },
+      'PATCH': {
+        name: 'GNSS Patch',
+        gainDbi: 4,       // 3-5 dBi at zenith
+        beamWidth: 360,   // degrees
+        elevationBeamWidth: 140, // degrees, used with the boresight tilted to zenith
+        frontToBack: 15,  // dB, maximum attenuation off boresight
+        polarization: 'RHCP',
+        description: 'Upward-looking navigation receiver antenna'
+      }
+    },
+    crossPolarIsolation: 25 // dB, loss between orthogonal polarizations
+  },
+  
+  // Satellite navigation (see js/rf/gnss.js)
+  // Each constellation is a Walker constellation of circular orbits. Simulation
+  // x points east, y north and z up, with the terrain center at origin.
+  gnss: {
+    origin: { latitude: 48.5, longitude: 11.5 }, // degrees, of the terrain center
+    epoch: 0,                 // seconds from the ephemeris reference at simulation start
+    elevationMask: 5,         // degrees, lowest satellite a receiver tracks
+    trackingThreshold: 28,    // dB-Hz, lowest C/N0 a receiver tracks
+    updateInterval: 1,        // seconds between fix updates
+    uere: 5,                  // meters, user equivalent range error (1 sigma)
+    
+    // Fix degradation (0-1): the floor for each fix type, rising with HDOP
+    // from goodHdop (floor) to maxHdop (1)
+    fixDegradation: { '3D': 0, '2D': 0.5, 'NONE': 1 },
+    goodHdop: 2,
+    maxHdop: 10,
+    
+    // Spoofing: counterfeit signals capture a receiver's tracking when each
+    // replica arrives captureMargin dB above the authentic satellites. The
+    // rest are the thresholds of the detection heuristics (a drone type's
+    // spoofDetection): signal power above what satellites give, receiver clock
+    // step at capture, and disagreement with unspoofed constellations.
+    spoofing: {
+      captureMargin: 3,       // dB
+      powerAnomaly: 10,       // dB
+      clockJump: 0.1,         // microseconds
+      inconsistency: 50       // meters
+    },
+    
+    // frequency: key of CONFIG.rf.frequencyBands carrying the signal
+    // orbitRadius in km, inclination in degrees; phasing is the Walker F parameter.
+    // node and anomaly (degrees) place the first plane's ascending node and its
+    // first satellite at the ephemeris reference.
+    constellations: {
+      'GPS': {
+        label: 'GPS',
+        frequency: 'GPS',
+        satellites: 24,
+        planes: 6,
+        phasing: 1,
+        orbitRadius: 26560,
+        inclination: 55,
+        node: 0,
+        anomaly: 0
+      },
+      'GLONASS': {
+        label: 'GLONASS',
+        frequency: 'GLONASS',
+        satellites: 24,
+        planes: 3,
+        phasing: 1,
+        orbitRadius: 25508,
+        inclination: 64.8,
+        node: 25,
+        anomaly: 70
+      },
+      'GALILEO': {
+        label: 'Galileo',
+        frequency: 'GALILEO',
+        satellites: 24,
+        planes: 3,
+        phasing: 1,
+        orbitRadius: 29600,
+        inclination: 56,
+        node: 50,
+        anomaly: 140
+      },
+      'BEIDOU': {
+        label: 'BeiDou',
+        frequency: 'BEIDOU',
+        satellites: 24,
+        planes: 3,
+        phasing: 1,
+        orbitRadius: 27906,
+        inclination: 55,
+        node: 80,
+        anomaly: 215
       }
     }
   },
   
+  // Navigation estimate: each GNSS fix corrects gnssGain of the estimate's
+  // disagreement with it. Without a fix the inertial error grows from an
+  // accelerometer bias of the drone type's insDrift in a random direction.
+  navigation: {
+    gnssGain: 0.5
+  },
+  
   // Jammer types and properties
+  // technique: default jamming technique, techniques: those the type can use
   jammers: {
     types: {
       'STANDARD': {
@@ -107,6 +403,8 @@ const CONFIG = {
         description: 'General purpose jammer with omnidirectional antenna',
         defaultAntenna: 'OMNI',
         defaultFrequency: 'GPS',
+        technique: 'BARRAGE',
+        techniques: ['BARRAGE', 'SPOT', 'SWEPT'],
         powerLevels: {
           min: 20,    // dBm (100mW)
           max: 33,    // dBm (2W)
@@ -122,6 +420,8 @@ const CONFIG = {
         description: 'Directional jammer for targeted disruption',
         defaultAntenna: 'HORN',
         defaultFrequency: 'GPS',
+        technique: 'SPOT',
+        techniques: ['SPOT', 'SWEPT', 'FOLLOWER'],
         powerLevels: {
           min: 20,    // dBm (100mW)
           max: 37,    // dBm (5W)
@@ -137,6 +437,8 @@ const CONFIG = {
         description: 'High-power pulses for intermittent jamming',
         defaultAntenna: 'HELICONE',
         defaultFrequency: 'GPS',
+        technique: 'BARRAGE',
+        techniques: ['BARRAGE', 'SPOT'],
         powerLevels: {
           min: 27,    // dBm (500mW)
           max: 40,    // dBm (10W)
@@ -152,6 +454,8 @@ const CONFIG = {
         description: 'Vehicle-mounted jammer with extended range',
         defaultAntenna: 'OMNI',
         defaultFrequency: 'GPS',
+        technique: 'BARRAGE',
+        techniques: ['BARRAGE', 'SPOT', 'SWEPT', 'FOLLOWER'],
         powerLevels: {
           min: 20,    // dBm (100mW)
           max: 40,    // dBm (10W)
@@ -161,21 +465,99 @@ const CONFIG = {
         range: 2500,  // meters
         cost: 3,
         maxCount: 1
+      },
+      'SPOOFER': {
+        name: 'GNSS Spoofer',
+        description: 'Counterfeit satellite signals that walk drones off course',
+        defaultAntenna: 'OMNI',
+        defaultFrequency: 'GPS',
+        technique: 'SPOOF',
+        techniques: ['SPOOF'],
+        powerLevels: {
+          min: -20,   // dBm (10uW)
+          max: 20,    // dBm (100mW)
+          default: -10 // dBm (100uW)
+        },
+        cooldown: 20, // seconds
+        range: 1500,  // meters
+        cost: 3,
+        maxCount: 1
+      }
+    },
+    
+    // Jamming techniques: the waveform a jammer transmits
+    // (modulation and bandwidth as in CONFIG.rf.modulations)
+    techniques: {
+      'BARRAGE': {
+        label: 'BARRAGE',
+        modulation: 'NOISE',
+        bandwidth: 'BAND',
+        description: 'Noise over the whole band, thin on any one channel'
+      },
+      'SPOT': {
+        label: 'SPOT',
+        modulation: 'NOISE',
+        bandwidth: 'CHANNEL',
+        description: 'All power on one channel'
+      },
+      'SWEPT': {
+        label: 'SWEPT',
+        modulation: 'SWEPT',
+        bandwidth: 'CHANNEL',
+        sweepTime: 250,       // ms to sweep one channel across the band
+        description: 'One channel of noise swept across the band'
+      },
+      'FOLLOWER': {
+        label: 'FOLLOWER',
+        modulation: 'NOISE',
+        bandwidth: 'CHANNEL',
+        reactionTime: 3,      // ms from a hop to jamming its channel
+        detectionThreshold: -90, // dBm, weakest emission it can follow
+        description: 'Spot jamming that follows the strongest hostile emitter'
+      },
+      'SPOOF': {
+        label: 'SPOOF',
+        modulation: 'DSSS',
+        bandwidth: 'CHANNEL',
+        pullRate: 10,         // m/s the counterfeit position walks off the truth
+        clockOffset: 0.3,     // microseconds the counterfeit time is off GNSS time
+        description: 'Counterfeit satellite signals that pull navigation toward a chosen point'
       }
     }
   },
   
   // Drone specifications
+  // controlLink: radio band, waveform and power (dBm) of the control link,
+  // hopping over hopChannels channels for dwellTime ms each (1 channel: fixed)
+  // gnss: constellations the navigation receiver uses (CONFIG.gnss.constellations)
+  // spoofDetection: spoofing heuristics it checks, of 'POWER', 'CLOCK' and 'CONSISTENCY'
+  // insDrift: accelerometer bias (m/s²) of its inertial navigation
+  // sensors: what it observes with, of 'OPTICAL' and 'RF'
+  // payload: what it carries, null for nothing: a WARHEAD of damage within
+  // radius (m), or a JAMMER of a jammer type on a band at power (dBm)
+  // lostLink: what it does once its control link has been lost for timeout
+  // seconds, of 'HOVER', 'RETURN_HOME', 'CONTINUE' (its mission) and 'LAND'
   drones: {
     types: {
       'SURVEILLANCE': {
         name: 'Surveillance Drone',
         description: 'Provides battlefield intelligence',
         speed: 15,       // meters per second
-        altitude: 300,   // meters
+        altitude: 300,   // meters above the terrain
+        acceleration: 3, // m/s²
+        turnRate: 45,    // degrees per second
+        climbRate: 4,    // meters per second
         operatingTime: 30 * 60, // 30 minutes in seconds
+        health: 50,
         sensors: ['OPTICAL', 'RF'],
-        jammingVulnerabilities: ['GPS'],
+        payload: null,
+        jammingVulnerabilities: ['GPS', 'ISM2400'],
+        gnss: ['GPS'],
+        spoofDetection: [],
+        insDrift: 0.03,
+        controlLink: { frequency: 'ISM2400', modulation: 'FHSS', power: 20, hopChannels: 40, dwellTime: 20 },
+        lostLink: { behavior: 'RETURN_HOME', timeout: 5 },
+        confusionThreshold: 0.5, // Link degradation (0-1) that confuses the drone
         cost: 1,
         maxCount: 2
       },
@@ -183,9 +565,21 @@ const CONFIG = {
         name: 'Attack Drone',
         description: 'Carries payload to target objectives',
         speed: 25,       // meters per second
-        altitude: 200,   // meters
+        altitude: 200,   // meters above the terrain
+        acceleration: 6, // m/s²
+        turnRate: 60,    // degrees per second
+        climbRate: 8,    // meters per second
         operatingTime: 15 * 60, // 15 minutes in seconds
-        jammingVulnerabilities: ['GPS', 'ISM2400'],
+        health: 80,
+        sensors: ['OPTICAL'],
+        payload: { type: 'WARHEAD', damage: 150, radius: 30 },
+        jammingVulnerabilities: ['GPS', 'GLONASS', 'GALILEO', 'BEIDOU', 'ISM2400'],
+        gnss: ['GPS', 'GLONASS', 'GALILEO', 'BEIDOU'],
+        spoofDetection: ['POWER', 'CLOCK', 'CONSISTENCY'],
+        insDrift: 0.005,
+        controlLink: { frequency: 'ISM2400', modulation: 'FHSS', power: 20, hopChannels: 40, dwellTime: 2.5 },
+        lostLink: { behavior: 'CONTINUE', timeout: 2 },
+        confusionThreshold: 0.7, // Link degradation (0-1) that confuses the drone
         cost: 2,
         maxCount: 1
       },
@@ -193,10 +587,21 @@ const CONFIG = {
         name: 'Electronic Warfare Drone',
         description: 'Mobile jamming platform',
         speed: 20,       // meters per second
-        altitude: 250,   // meters
+        altitude: 250,   // meters above the terrain
+        acceleration: 4, // m/s²
+        turnRate: 40,    // degrees per second
+        climbRate: 5,    // meters per second
         operatingTime: 20 * 60, // 20 minutes in seconds
-        jammers: true,
-        jammingVulnerabilities: ['GPS'],
+        health: 100,
+        sensors: ['RF'],
+        payload: { type: 'JAMMER', jammer: 'STANDARD', frequency: 'GPS', power: 27 },
+        jammingVulnerabilities: ['GPS', 'GLONASS', 'ISM2400'],
+        gnss: ['GPS', 'GLONASS'],
+        spoofDetection: ['POWER'],
+        insDrift: 0.01,
+        controlLink: { frequency: 'ISM2400', modulation: 'OFDM', power: 20, hopChannels: 1, dwellTime: 0 },
+        lostLink: { behavior: 'HOVER', timeout: 10 },
+        confusionThreshold: 0.6, // Link degradation (0-1) that confuses the drone
         cost: 3,
         maxCount: 1
       }
@@ -207,11 +612,18 @@ const CONFIG = {
         PATROL: 'patrol',
         CONFUSED: 'confused',
         RETURNING: 'returning',
+        LOST_LINK: 'lost_link',
         DISABLED: 'disabled'
       },
+      // Behaviors
+      detectionInterval: 1,   // Seconds between sensor sweeps for enemies
+      searchSpacing: 200,     // Meters between the tracks of a search pattern
+      orbitRadius: 150,       // Meters a defender orbits its protected asset at
+      orbitPoints: 8,         // Waypoints per orbit
       // Jamming effects
-      jammedErrorFactor: 1.5, // Position error multiplier when jammed
+      jammedErrorFactor: 1.5, // GNSS fix error multiplier while a constellation is jammed
       jammedDuration: 30,     // Seconds drone stays confused after jamming
+      confusionThreshold: 0.5, // Default link degradation (0-1) that confuses a drone
       confusedBehavior: 'random'  // 'random', 'circle', 'hover'
     }
   },
@@ -221,7 +633,9 @@ const CONFIG = {
     width: 5000,     // meters
     height: 5000,    // meters
     maxElevation: 500, // meters
-    types: {
+    resolution: 128,   // Heightfield grid nodes per side
+    sceneElevation: -1000, // Scene y of elevation 0 in the 3D view
+    types: { // attenuation in dB per km of path through the land cover
       'URBAN': { label: 'Urban', attenuation: 20 },
       'FOREST': { label: 'Forest', attenuation: 10 },
       'WATER': { label: 'Water', attenuation: -5 },
@@ -229,6 +643,41 @@ const CONFIG = {
     }
   },
   
+  // Weather - atmospheric conditions over the course of a mission
+  weather: {
+    dynamic: true,               // Conditions change during the mission
+    changeInterval: [120, 300],  // seconds between weather changes
+    transitionTime: 30,          // seconds to blend into new conditions
+    conditions: {
+      // waterVapourDensity in g/m³, rainRate in mm/h, noiseTemperature in K
+      // above ambient (sky noise, precipitation static), visibility 0-1
+      'CLEAR': {
+        label: 'Clear',
+        waterVapourDensity: 7.5,
+        rainRate: 0,
+        noiseTemperature: 0,
+        visibility: 1.0,
+        next: ['CLEAR', 'HUMID']
+      },
+      'HUMID': {
+        label: 'Humid',
+        waterVapourDensity: 20,
+        rainRate: 0,
+        noiseTemperature: 60,
+        visibility: 0.7,
+        next: ['CLEAR', 'RAIN']
+      },
+      'RAIN': {
+        label: 'Rain',
+        waterVapourDensity: 25,
+        rainRate: 25,
+        noiseTemperature: 1500,
+        visibility: 0.45,
+        next: ['HUMID', 'RAIN']
+      }
+    }
+  },
+  
   // Mission settings
   mission: {
     phases: {
@@ -238,12 +687,45 @@ const CONFIG = {
       DEFEND: { label: 'Defense', duration: 300 }         // 5 minutes
     },
     defaultVictoryScore: 75, // Percentage needed to win
+    
+    // Friendly jamming (blue-on-blue) rules, can be overridden per mission
+    // PROTECTED: receivers reject their own team's jammers (notch filters/CRPA antennas)
+    // AFFECTED: friendly jammers degrade friendly receivers at a tactical advantage cost
+    fratricide: {
+      mode: 'PROTECTED',          // 'PROTECTED', 'AFFECTED'
+      protectionRejection: 60,    // dB of friendly jammer rejection when protected
+      penaltyPerAsset: 10,        // Tactical advantage points lost per jammed friendly asset
+      warningDegradation: 0.5     // Friendly-jamming degradation (0-1) that raises a warning
+    },
+    
+    // Enemy commander (js/ai/commander.js), by difficulty:
+    // reactionTime: seconds a band must stay denied before the commander acts on it
+    // decisionInterval: seconds between reviews of the situation
+    // intel: 'OWN_ASSETS' knows only what its drones sense and suffer,
+    //        'SIGINT' also hears active player jammers within intelRange of its assets,
+    //        'FULL' knows every player asset
+    // counterJammers: jammers it deploys against the player's control links
+    // attackWaves, waveSize: ATTACK drones launched over the DEFEND phase
+    commander: {
+      difficulty: 'NORMAL',
+      difficulties: {
+        'EASY': { label: 'Easy', reactionTime: 60, decisionInterval: 20, intel: 'OWN_ASSETS', counterJammers: 0, attackWaves: 1, waveSize: 1 },
+        'NORMAL': { label: 'Normal', reactionTime: 20, decisionInterval: 10, intel: 'SIGINT', counterJammers: 1, attackWaves: 2, waveSize: 2 },
+        'HARD': { label: 'Hard', reactionTime: 5, decisionInterval: 5, intel: 'FULL', counterJammers: 2, attackWaves: 3, waveSize: 3 }
+      },
+      controlFrequencies: ['ISM2400', 'ISM915', 'UHF'], // Bands enemy control links can move to, in preference order
+      deniedDegradation: 0.5,  // Control link degradation (0-1) at which its band counts as denied
+      intelRange: 2000,        // meters
+      counterJammer: 'STANDARD',
+      patrolSize: 400          // meters, side of the area a reallocated drone patrols
+    },
     defaultAssets: {
       jammers: {
         'STANDARD': 3,
         'PRECISION': 2,
         'PULSE': 2,
-        'MOBILE': 1
+        'MOBILE': 1,
+        'SPOOFER': 1
       },
       drones: {
         'SURVEILLANCE': 2,
@@ -297,4 +779,8 @@ const CONFIG = {
       panDuration: 500
     }
   }
-};
\ No newline at end of file
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CONFIG };
+}
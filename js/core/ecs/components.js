@@ -5,10 +5,8 @@
  * Components are pure data containers with no methods.
  */
 
-// Unique ID Generator
-let nextEntityId = 1;
-function generateEntityId() {
-  return nextEntityId++;
+if (typeof module !== 'undefined' && module.exports) {
+  var { CONFIG } = require('../config.js');
 }
 
 // Base Component class that all specific components extend
@@ -23,6 +21,7 @@ class TransformComponent extends Component {
   constructor(x = 0, y = 0, z = 0, rotation = 0) {
     super();
     this.position = { x, y, z };
+    this.previousPosition = { x, y, z };  // Position at the start of the current tick
     this.rotation = rotation;  // In degrees
     this.scale = { x: 1, y: 1, z: 1 };
   }
@@ -45,29 +44,170 @@ class RFTransmitterComponent extends Component {
   constructor(frequency = 'GPS', power = 30, antenna = 'OMNI') {
     super();
     this.frequency = frequency;     // String key from CONFIG.rf.frequencyBands
+    this.modulation = null;         // String key from CONFIG.rf.modulations, null for the band's
+    this.bandwidth = null;          // Occupied Hz, 'CHANNEL' or 'BAND', null for the modulation's
+    this.centerOffset = 0;          // MHz shift of the emission within its band
     this.power = power;             // dBm
     this.antenna = antenna;         // String key from CONFIG.antennas.types
     this.active = false;
     this.antennaHeading = 0;        // Degrees, for directional antennas
+    this.antennaTilt = 0;           // Degrees of elevation tilt, negative points down
+    this.polarization = null;       // 'LINEAR', 'RHCP', 'LHCP', null for the antenna type's
+    this.polarizationAngle = 0;     // Degrees from vertical, for linear polarization
     this.pulseParameters = {
       pulsing: false,
       onTime: 1000,               // ms
       offTime: 1000,              // ms
       currentlyTransmitting: false
     };
+    this.hopParameters = {
+      hopping: false,
+      hopSet: [],                 // Channel center frequencies in MHz
+      dwellTime: 20,              // ms on each channel
+      seed: 0,                    // Hop sequence
+      delay: 0,                   // ms the sequence runs late
+      currentChannel: 0           // Index into hopSet
+    };
+    this.sweepParameters = {
+      sweeping: false,
+      start: 0,                   // MHz
+      end: 0,                     // MHz
+      sweepTime: 250,             // ms from start to end
+      currentCenter: 0            // MHz
+    };
     this.visualizationObject = null; // THREE.js visualization object
   }
 }
 
 // RF Receiver Component - RF signal reception properties
 class RFReceiverComponent extends Component {
-  constructor(frequency = 'GPS', sensitivity = -95) {
+  constructor(frequency = 'GPS', sensitivity = -95, antenna = null, polarization = null) {
     super();
     this.frequency = frequency;        // String key from CONFIG.rf.frequencyBands
+    this.bandwidth = null;             // Hz, null for the band's receiver channel bandwidth
+    this.centerOffset = 0;             // MHz from the band's center frequency
     this.sensitivity = sensitivity;    // dBm
+    this.antenna = antenna;            // String key from CONFIG.antennas.types or antennaLibrary, null for isotropic
+    this.antennaHeading = 0;           // Degrees, for directional antennas
+    this.antennaTilt = 0;              // Degrees of elevation tilt, negative points down
+    this.polarization = polarization;  // 'LINEAR', 'RHCP', 'LHCP', null for the antenna type's
+    this.polarizationAngle = 0;        // Degrees from vertical, for linear polarization
     this.receivedSignals = [];         // List of detected signals
     this.currentSignalStrength = null; // dBm of strongest detected signal
-    this.jammedState = false;          // Whether this receiver is being jammed
+    this.wantedTransmitterId = null;   // Transmitter of the wanted link (e.g. control station), null for the band's nominal signal
+    this.wantedSignalStrength = null;  // dBm of the wanted signal
+    this.interferencePower = null;     // dBm of jammers and other transmitters in the passband
+    this.noiseFloor = null;            // dBm of thermal noise in the receiver bandwidth
+    this.sinr = null;                  // dB, wanted signal to interference plus noise
+    this.degradation = 0;              // 0-1 link degradation, 1 when the link is lost
+    this.friendlyJammers = [];         // Same-team jammers interfering with this receiver
+    this.friendlyDegradation = 0;      // 0-1 link degradation from friendly jammers alone
+    this.jammedState = false;          // Whether the link is lost to interference
+  }
+}
+
+// Control Link Component - Command and control link of a remotely piloted entity
+// The entity's RF transmitter is the link radio: both directions of the link
+// use its current channel, following its hops, and its antenna at the entity
+class ControlLinkComponent extends Component {
+  constructor(stationId = null, sensitivity = -95) {
+    super();
+    this.stationId = stationId;        // Ground control station flying the entity, null for none
+    this.sensitivity = sensitivity;    // dBm of the link radio
+    this.uplink = createLinkDirection();   // Station to entity: commands
+    this.downlink = createLinkDirection(); // Entity to station: telemetry
+    this.degradation = 0;              // 0-1 worst degradation of both directions
+    this.jammers = [];                 // Jammers on the current channel at either end
+    this.friendlyJammers = [];         // Same-team jammers on the current channel at either end
+    this.friendlyDegradation = 0;      // 0-1 worst degradation friendly jammers alone cause either direction
+    this.jammedState = false;          // Whether either direction is lost
+  }
+}
+
+// State of one direction of a control link, judged at its receiving end
+function createLinkDirection() {
+  return {
+    wantedSignalStrength: null,  // dBm of the far end's signal
+    interferencePower: null,     // dBm of jammers and other transmitters on the current channel
+    noiseFloor: null,            // dBm of thermal noise in the channel
+    sinr: null,                  // dB on the current channel
+    hopErrorRate: 0,             // 0-1 recent share of failed hops
+    degradation: 0,              // 0-1 link degradation, 1 when the direction is lost
+    jammers: [],                 // Jammers on the current channel
+    jammedState: false,          // Whether the direction is lost to interference
+    friendlyHopErrorRate: 0,     // 0-1 share of hops friendly jammers alone would fail
+    friendlyDegradation: 0,      // 0-1 link degradation from friendly jammers alone
+    friendlyJammers: []          // Same-team jammers on the current channel
+  };
+}
+
+// Ground Station Component - Ground control station flying drones over their control links
+class GroundStationComponent extends Component {
+  constructor() {
+    super();
+    this.power = CONFIG.rf.controlLink.stationPower;             // dBm
+    this.antenna = CONFIG.rf.controlLink.stationAntenna;         // Antenna type, null for isotropic
+    this.sensitivity = CONFIG.rf.controlLink.stationSensitivity; // dBm
+  }
+}
+
+// GNSS Receiver Component - Satellite navigation receiver
+// Receives through the entity's RF receiver antenna
+class GNSSReceiverComponent extends Component {
+  constructor(constellations = ['GPS'], spoofDetection = []) {
+    super();
+    this.constellations = constellations; // String keys from CONFIG.gnss.constellations
+    this.spoofDetection = spoofDetection; // Spoofing heuristics checked: 'POWER', 'CLOCK', 'CONSISTENCY'
+    this.satellites = [];              // [{ constellation, prn, azimuth, elevation, cn0, tracked, counterfeit }] above the mask
+    this.status = {};                  // Constellation -> { visible, tracked, interferencePower, jammed, spoofed, jammers, friendlyDegradation, friendlyJammers }
+    this.fix = 'NONE';                 // 'NONE', '2D' or '3D'
+    this.satellitesUsed = 0;
+    this.hdop = null;
+    this.pdop = null;
+    this.horizontalError = null;       // meters, 1 sigma
+    this.degradation = 1;              // 0-1 navigation degradation, 1 without a fix
+    this.friendlyJammers = [];         // Same-team jammers in any constellation's channel
+    this.friendlyDegradation = 0;      // 0-1 worst share of a constellation's satellites friendly jammers alone would lose
+    this.spooferId = null;             // Spoofer whose counterfeit signals the receiver tracks
+    this.spoofOffset = { x: 0, y: 0 }; // meters the counterfeit position is walked off the truth
+    this.spoofIndicators = { power: null, clock: null, consistency: null }; // dB, microseconds, meters
+    this.spoofDetected = false;        // Counterfeit signals recognised and left out of the fix
+    this.positionOffset = { x: 0, y: 0 }; // meters from the true position to the reported one
+    this.updateTimer = 0;              // Seconds until the next fix update
+  }
+}
+
+// Navigation Component - Where an entity believes it is
+// An inertial solution, corrected by the entity's GNSS fixes while it has one
+class NavigationComponent extends Component {
+  constructor(insDrift = 0.01) {
+    super();
+    this.insDrift = insDrift;          // m/s², accelerometer bias of the inertial unit
+    this.position = null;              // { x, y, z } estimate, null until the first update
+    this.source = 'GNSS';              // 'GNSS' while fixes correct the estimate, 'INS' without
+    this.error = { x: 0, y: 0 };       // meters from the true position to the estimate
+    this.velocityError = { x: 0, y: 0 }; // m/s of the inertial solution
+    this.bias = { x: 0, y: 0 };        // m/s² driving the inertial error since the last fix
+    this.uncertainty = 0;              // meters, 1 sigma the entity expects of its estimate
+    this.insTime = 0;                  // Seconds on inertial navigation alone
+    this.fixTimer = 0;                 // Seconds until the next GNSS correction
+  }
+}
+
+// Kinematics Component - How an entity moves: its velocity, the limits of its
+// airframe, and the heading, speed and altitude it is commanded to fly
+class KinematicsComponent extends Component {
+  constructor(maxSpeed = 15, acceleration = 3, turnRate = 45, climbRate = 4) {
+    super();
+    this.velocity = { x: 0, y: 0, z: 0 };  // m/s
+    this.speed = 0;                    // m/s along the heading (TransformComponent.rotation)
+    this.maxSpeed = maxSpeed;          // m/s
+    this.acceleration = acceleration;  // m/s² of speed gained or lost
+    this.turnRate = turnRate;          // Degrees per second
+    this.climbRate = climbRate;        // m/s up or down
+    this.commandedHeading = null;      // Degrees, null holds the heading
+    this.commandedSpeed = 0;           // m/s
+    this.commandedAltitude = null;     // Meters above the terrain, null holds the altitude
   }
 }
 
@@ -78,10 +218,17 @@ class JammerComponent extends Component {
     this.type = type;                // String key from CONFIG.jammers.types
     this.active = false;
     this.targetFrequency = 'GPS';    // String key from CONFIG.rf.frequencyBands
+    this.technique = CONFIG.jammers.types[type].technique;  // String key from CONFIG.jammers.techniques
+    this.centerOffset = 0;           // MHz from the band's center for SPOT jamming
+    this.reactionTime = CONFIG.jammers.techniques.FOLLOWER.reactionTime; // ms, FOLLOWER jamming
+    this.followTargetId = null;      // Emitter a FOLLOWER jammer is following
+    this.spoofTarget = null;         // Position a SPOOF jammer draws receivers toward, null for its own
+    this.clockOffset = CONFIG.jammers.techniques.SPOOF.clockOffset; // microseconds, SPOOF counterfeit time error
     this.coverageRadius = 0;         // Visual radius of effect
     this.cooldownRemaining = 0;      // Seconds until can be reactivated
     this.powerLevel = CONFIG.jammers.types[type].powerLevels.default;
     this.depleted = false;
+    this.carrierId = null;           // Drone carrying the jammer as its payload
   }
 }
 
@@ -96,6 +243,8 @@ class DroneComponent extends Component {
     this.speed = CONFIG.drones.types[type].speed;
     this.altitude = CONFIG.drones.types[type].altitude;
     this.remainingTime = CONFIG.drones.types[type].operatingTime;
+    this.sensors = CONFIG.drones.types[type].sensors || [];
+    this.payload = null;              // Payload carried, a copy of the type's payload config
     this.returnToBaseWhenComplete = true;
     this.baseLocation = null;
   }
@@ -105,14 +254,22 @@ class DroneComponent extends Component {
 class AIComponent extends Component {
   constructor(behavior = 'patrol') {
     super();
-    this.behavior = behavior;  // patrol, defend, attack, etc.
+    this.behavior = behavior;  // patrol, defend, attack, tree
     this.state = 'idle';
-    this.lastStateChangeTime = Date.now();
-    this.targetEntity = null;
-    this.detectedEnemies = [];
+    this.lastStateChangeTime = 0;  // Simulation seconds
+    this.targetEntity = null;    // Enemy being attacked or intercepted
+    this.detectedEnemies = [];   // Enemies the entity's sensors see, nearest first
+    this.detectionTimer = 0;     // Seconds until the next sensor sweep
     this.awarenessRadius = 800;  // meters
+    this.route = [];             // Waypoints a patrol flies
+    this.loopRoute = true;       // Whether a patrol flies its route again from the top
+    this.protectedEntity = null; // Asset a defender guards
+    this.behaviorTree = null;    // BehaviorTree the tree behavior runs
     this.confusionLevel = 0;     // 0-100, affects decision making
     this.confusionTimer = 0;     // Time remaining in confused state
+    this.linkLossTime = 0;       // Seconds the control link has been lost
+    this.lostLinkBehavior = null; // Lost-link procedure being flown, null while the link holds
+    this.resumeState = null;     // State to resume once the link is back
   }
 }
 
@@ -135,15 +292,15 @@ class TagComponent extends Component {
     super();
     this.tags = new Set(tags);
   }
-
+  
   addTag(tag) {
     this.tags.add(tag);
   }
-
+  
   hasTag(tag) {
     return this.tags.has(tag);
   }
-
+  
   removeTag(tag) {
     this.tags.delete(tag);
   }
@@ -158,11 +315,16 @@ class TeamComponent extends Component {
 }
 
 // All component types available in the game
-const ComponentTypes = {
+var ComponentTypes = {
   TRANSFORM: 'transform',
   VISUAL: 'visual',
   RF_TRANSMITTER: 'rfTransmitter',
   RF_RECEIVER: 'rfReceiver',
+  CONTROL_LINK: 'controlLink',
+  GROUND_STATION: 'groundStation',
+  GNSS_RECEIVER: 'gnssReceiver',
+  NAVIGATION: 'navigation',
+  KINEMATICS: 'kinematics',
   JAMMER: 'jammer',
   DRONE: 'drone',
   AI: 'ai',
@@ -182,6 +344,16 @@ function createComponent(type, ...args) {
       return new RFTransmitterComponent(...args);
     case ComponentTypes.RF_RECEIVER:
       return new RFReceiverComponent(...args);
+    case ComponentTypes.CONTROL_LINK:
+      return new ControlLinkComponent(...args);
+    case ComponentTypes.GROUND_STATION:
+      return new GroundStationComponent(...args);
+    case ComponentTypes.GNSS_RECEIVER:
+      return new GNSSReceiverComponent(...args);
+    case ComponentTypes.NAVIGATION:
+      return new NavigationComponent(...args);
+    case ComponentTypes.KINEMATICS:
+      return new KinematicsComponent(...args);
     case ComponentTypes.JAMMER:
       return new JammerComponent(...args);
     case ComponentTypes.DRONE:
@@ -197,4 +369,27 @@ function createComponent(type, ...args) {
     default:
       throw new Error(`Unknown component type: ${type}`);
   }
-}
\ No newline at end of file
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Component,
+    TransformComponent,
+    VisualComponent,
+    RFTransmitterComponent,
+    RFReceiverComponent,
+    ControlLinkComponent,
+    GroundStationComponent,
+    GNSSReceiverComponent,
+    NavigationComponent,
+    KinematicsComponent,
+    JammerComponent,
+    DroneComponent,
+    AIComponent,
+    HealthComponent,
+    TagComponent,
+    TeamComponent,
+    ComponentTypes,
+    createComponent
+  };
+}
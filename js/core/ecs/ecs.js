@@ -5,14 +5,206 @@
  * - Entity: Simple ID with collection of components
  * - Component: Pure data structure
  * - System: Logic that operates on entities with specific components
+ * - Clock and RNG: Fixed timestep simulation time and seeded randomness
+ * - Spatial index: Uniform grid of entity positions for range queries
  */
 
+if (typeof module !== 'undefined' && module.exports) {
+  var { CONFIG } = require('../config.js');
+  var { ComponentTypes, createComponent } = require('./components.js');
+}
+
+// Simulation Clock - Fixed timestep clock with accumulated interpolation
+class SimulationClock {
+  constructor(tickRate = 30, maxTicksPerUpdate = 5) {
+    this.fixedDeltaTime = 1 / tickRate;  // Seconds per tick
+    this.maxTicksPerUpdate = maxTicksPerUpdate;
+    this.tick = 0;                       // Ticks elapsed
+    this.time = 0;                       // Simulation seconds elapsed
+    this.accumulator = 0;                // Frame time not yet simulated
+    this.alpha = 0;                      // Interpolation factor between the last two ticks
+  }
+  
+  // Accumulate frame time and return the number of ticks to run
+  advance(frameTime) {
+    this.accumulator += Math.max(0, frameTime);
+    
+    let ticks = Math.floor(this.accumulator / this.fixedDeltaTime);
+    
+    // Drop time we cannot catch up on (e.g. after the tab was hidden)
+    if (ticks > this.maxTicksPerUpdate) {
+      ticks = this.maxTicksPerUpdate;
+      this.accumulator = ticks * this.fixedDeltaTime;
+    }
+    
+    this.accumulator -= ticks * this.fixedDeltaTime;
+    this.alpha = this.accumulator / this.fixedDeltaTime;
+    
+    return ticks;
+  }
+  
+  // Mark one tick as simulated
+  step() {
+    this.tick++;
+    this.time = this.tick * this.fixedDeltaTime;
+  }
+  
+  reset() {
+    this.tick = 0;
+    this.time = 0;
+    this.accumulator = 0;
+    this.alpha = 0;
+  }
+}
+
+// Seeded Random - Deterministic PRNG (mulberry32) shared by all systems
+class SeededRandom {
+  constructor(seed = 1) {
+    this.setSeed(seed);
+  }
+  
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+  
+  // Float in [0, 1)
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  
+  // Float in [min, max)
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+  
+  // Integer in [min, max]
+  int(min, max) {
+    return Math.floor(this.range(min, max + 1));
+  }
+  
+  // True with the given probability
+  chance(probability) {
+    return this.next() < probability;
+  }
+  
+  // Random element of an array
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+}
+
+// Spatial Grid - Uniform grid of entity ground positions (x, y) for range queries
+class SpatialGrid {
+  constructor(cellSize = 500) {
+    this.cellSize = cellSize;
+    this.cells = new Map();      // Cell key -> Set of entity IDs
+    this.positions = new Map();  // Entity ID -> { x, y, cellKey }
+  }
+  
+  cellKey(cellX, cellY) {
+    return `${cellX},${cellY}`;
+  }
+  
+  // Insert or move an entity
+  update(entityId, x, y) {
+    const key = this.cellKey(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize));
+    const entry = this.positions.get(entityId);
+    
+    if (entry) {
+      entry.x = x;
+      entry.y = y;
+      if (entry.cellKey === key) return;
+      
+      this.removeFromCell(entityId, entry.cellKey);
+      entry.cellKey = key;
+    } else {
+      this.positions.set(entityId, { x, y, cellKey: key });
+    }
+    
+    if (!this.cells.has(key)) {
+      this.cells.set(key, new Set());
+    }
+    this.cells.get(key).add(entityId);
+  }
+  
+  // Remove an entity
+  remove(entityId) {
+    const entry = this.positions.get(entityId);
+    if (!entry) return false;
+    
+    this.removeFromCell(entityId, entry.cellKey);
+    this.positions.delete(entityId);
+    
+    return true;
+  }
+  
+  removeFromCell(entityId, key) {
+    const cell = this.cells.get(key);
+    cell.delete(entityId);
+    if (cell.size === 0) {
+      this.cells.delete(key);
+    }
+  }
+  
+  // Entity IDs within radius meters of (x, y)
+  queryRadius(x, y, radius) {
+    const result = [];
+    const radiusSquared = radius * radius;
+    
+    const collect = (cell) => {
+      for (const entityId of cell) {
+        const entry = this.positions.get(entityId);
+        const dx = entry.x - x;
+        const dy = entry.y - y;
+        if (dx * dx + dy * dy <= radiusSquared) {
+          result.push(entityId);
+        }
+      }
+    };
+    
+    const minCellX = Math.floor((x - radius) / this.cellSize);
+    const maxCellX = Math.floor((x + radius) / this.cellSize);
+    const minCellY = Math.floor((y - radius) / this.cellSize);
+    const maxCellY = Math.floor((y + radius) / this.cellSize);
+    
+    // Radii wider than the occupied area are cheaper to answer cell by cell
+    if ((maxCellX - minCellX + 1) * (maxCellY - minCellY + 1) > this.cells.size) {
+      for (const cell of this.cells.values()) {
+        collect(cell);
+      }
+      return result;
+    }
+    
+    for (let cellX = minCellX; cellX <= maxCellX; cellX++) {
+      for (let cellY = minCellY; cellY <= maxCellY; cellY++) {
+        const cell = this.cells.get(this.cellKey(cellX, cellY));
+        if (cell) {
+          collect(cell);
+        }
+      }
+    }
+    
+    return result;
+  }
+  
+  clear() {
+    this.cells.clear();
+    this.positions.clear();
+  }
+}
+
 // Entity Manager - Handles creation, deletion, and querying of entities
 class EntityManager {
   constructor() {
     this.entities = new Map();
     this.entityComponents = new Map();
     this.componentEntityMap = new Map();
+    this.nextEntityId = 1;
     
     // Initialize component-entity maps for each component type
     for (const type in ComponentTypes) {
@@ -30,7 +222,7 @@ class EntityManager {
   
   // Create a new entity
   createEntity() {
-    const entityId = generateEntityId();
+    const entityId = this.nextEntityId++;
     this.entities.set(entityId, entityId);
     this.entityComponents.set(entityId, new Map());
     
@@ -192,11 +384,13 @@ class EntityManager {
 }
 
 // System - Base class for all game systems
-class System {
-  constructor(entityManager) {
+var System = class System {
+  constructor(entityManager, ecs = null) {
     this.entityManager = entityManager;
+    this.ecs = ecs;                 // Owning ECS, for the clock and RNG
     this.requiredComponents = [];
     this.enabled = true;
+    this.fixedTimestep = true;      // False for systems that run once per rendered frame
   }
   
   // Get all entities that this system should process
@@ -209,7 +403,7 @@ class System {
     // Base implementation does nothing
   }
   
-  // Update - called each frame
+  // Update - called each tick, or each frame for render systems
   update(deltaTime) {
     if (!this.enabled) return;
     
@@ -221,19 +415,20 @@ class System {
       this.processEntity(entityId, deltaTime);
     }
   }
-}
+};
 
 // System Manager - Handles registration and updating of systems
 class SystemManager {
-  constructor(entityManager) {
+  constructor(entityManager, ecs = null) {
     this.systems = [];
     this.systemsByName = new Map();
     this.entityManager = entityManager;
+    this.ecs = ecs;
   }
   
   // Register a new system with an optional name
   registerSystem(systemClass, systemName = null) {
-    const system = new systemClass(this.entityManager);
+    const system = new systemClass(this.entityManager, this.ecs);
     this.systems.push(system);
     
     if (systemName) {
@@ -268,19 +463,62 @@ class SystemManager {
     return false;
   }
   
-  // Update all systems
-  update(deltaTime) {
+  // Update fixed timestep systems by one tick
+  fixedUpdate(deltaTime) {
     for (const system of this.systems) {
-      system.update(deltaTime);
+      if (system.fixedTimestep) {
+        system.update(deltaTime);
+      }
+    }
+  }
+  
+  // Update per-frame systems
+  frameUpdate(deltaTime) {
+    for (const system of this.systems) {
+      if (!system.fixedTimestep) {
+        system.update(deltaTime);
+      }
     }
   }
 }
 
 // ECS - Top level class that ties everything together
-class ECS {
-  constructor() {
+var ECS = class ECS {
+  constructor(options = {}) {
     this.entityManager = new EntityManager();
-    this.systemManager = new SystemManager(this.entityManager);
+    this.systemManager = new SystemManager(this.entityManager, this);
+    
+    // Simulation time
+    this.clock = new SimulationClock(
+      options.tickRate || CONFIG.simulation.tickRate,
+      options.maxTicksPerUpdate || CONFIG.simulation.maxTicksPerUpdate
+    );
+    
+    // Shared PRNG, seeded so the same seed and inputs replay the same mission
+    let seed = options.seed !== undefined ? options.seed : CONFIG.simulation.seed;
+    if (seed === null || seed === undefined) {
+      seed = Date.now();
+    }
+    this.random = new SeededRandom(seed);
+    
+    // Callbacks run at the start of every tick (e.g. GameState)
+    this.tickListeners = [];
+    
+    // Spatial index of every entity with a transform, refreshed each tick
+    this.spatialIndex = new SpatialGrid(CONFIG.simulation.spatialCellSize);
+    this.entityManager.addEventListener('componentAdded', (entityId, componentType, component) => {
+      if (componentType === ComponentTypes.TRANSFORM) {
+        this.spatialIndex.update(entityId, component.position.x, component.position.y);
+      }
+    });
+    this.entityManager.addEventListener('componentRemoved', (entityId, componentType) => {
+      if (componentType === ComponentTypes.TRANSFORM) {
+        this.spatialIndex.remove(entityId);
+      }
+    });
+    this.entityManager.addEventListener('entityDestroyed', (entityId) => {
+      this.spatialIndex.remove(entityId);
+    });
   }
   
   // Create a new entity
@@ -318,8 +556,53 @@ class ECS {
     return this.systemManager.getSystem(systemName);
   }
   
-  // Update all systems
-  update(deltaTime) {
-    this.systemManager.update(deltaTime);
+  // Register a callback run at the start of every tick
+  addTickListener(callback) {
+    this.tickListeners.push(callback);
+  }
+  
+  removeTickListener(callback) {
+    const index = this.tickListeners.indexOf(callback);
+    if (index !== -1) {
+      this.tickListeners.splice(index, 1);
+    }
+  }
+  
+  // Advance the simulation by exactly one fixed tick
+  step() {
+    const deltaTime = this.clock.fixedDeltaTime;
+    
+    // Remember where entities were for render interpolation and index where they are
+    for (const entityId of this.entityManager.componentEntityMap.get(ComponentTypes.TRANSFORM)) {
+      const transform = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
+      transform.previousPosition.x = transform.position.x;
+      transform.previousPosition.y = transform.position.y;
+      transform.previousPosition.z = transform.position.z;
+      this.spatialIndex.update(entityId, transform.position.x, transform.position.y);
+    }
+    
+    for (const callback of this.tickListeners) {
+      callback(deltaTime);
+    }
+    
+    this.systemManager.fixedUpdate(deltaTime);
+    this.clock.step();
   }
-}
\ No newline at end of file
+  
+  // Advance by wall-clock frame time: run the ticks it covers, then per-frame systems
+  update(frameTime) {
+    const ticks = this.clock.advance(frameTime);
+    
+    for (let i = 0; i < ticks; i++) {
+      this.step();
+    }
+    
+    this.systemManager.frameUpdate(frameTime);
+    
+    return ticks;
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SimulationClock, SeededRandom, SpatialGrid, EntityManager, System, SystemManager, ECS };
+}
@@ -0,0 +1,1973 @@
+/**
+ * SIGNAL WARFARE - ECS Render Systems
+ * 
+ * This file defines the systems that present simulation state through THREE.js.
+ * They only read the components written by the simulation systems in systems.js,
+ * so the simulation can run headless without them.
+ */
+
+// The 3D scene is y-up: simulation x, y and z (up) are scene x, z and y, with
+// elevation 0 at scene y CONFIG.terrain.sceneElevation
+function simToScene(position) {
+  return {
+    x: position.x,
+    y: position.z + CONFIG.terrain.sceneElevation,
+    z: position.y
+  };
+}
+
+// Simulation position of a scene point
+function sceneToSim(point) {
+  return {
+    x: point.x,
+    y: point.z,
+    z: point.y - CONFIG.terrain.sceneElevation
+  };
+}
+
+// Scene y rotation (radians) of a simulation heading in degrees. Swapping
+// the y and z axes mirrors the ground, so headings turn the other way.
+function headingToSceneRotation(rotation) {
+  return -THREE.MathUtils.degToRad(rotation);
+}
+
+// Scene geometry of a TerrainModel heightfield, one vertex per grid node.
+// UVs put raster row 0 (the -y edge) at the top of a texture, like coverage rasters.
+function createTerrainGeometry(terrain) {
+  const { resolution } = terrain;
+  const positions = new Float32Array(resolution * resolution * 3);
+  const uvs = new Float32Array(resolution * resolution * 2);
+  const indices = [];
+  
+  for (let iy = 0; iy < resolution; iy++) {
+    for (let ix = 0; ix < resolution; ix++) {
+      const vertex = iy * resolution + ix;
+      const { x, y } = terrain.gridToWorld(ix, iy);
+      const point = simToScene({ x, y, z: terrain.heightData[ix][iy] });
+      
+      positions.set([point.x, point.y, point.z], vertex * 3);
+      uvs.set([ix / (resolution - 1), 1 - iy / (resolution - 1)], vertex * 2);
+      
+      if (ix < resolution - 1 && iy < resolution - 1) {
+        indices.push(vertex, vertex + resolution, vertex + 1);
+        indices.push(vertex + 1, vertex + resolution, vertex + resolution + 1);
+      }
+    }
+  }
+  
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+  
+  return geometry;
+}
+
+// Position of an entity between its last two ticks, for smooth rendering
+function interpolatePosition(transformComponent, alpha) {
+  const previous = transformComponent.previousPosition;
+  const current = transformComponent.position;
+  
+  return {
+    x: previous.x + (current.x - previous.x) * alpha,
+    y: previous.y + (current.y - previous.y) * alpha,
+    z: previous.z + (current.z - previous.z) * alpha
+  };
+}
+
+// Render System - Handles rendering of entities in THREE.js
+class RenderSystem extends System {
+  constructor(entityManager, ecs) {
+    super(entityManager, ecs);
+    this.requiredComponents = [ComponentTypes.TRANSFORM, ComponentTypes.VISUAL];
+    this.fixedTimestep = false;
+    this.scene = null;
+    this.renderer = null;
+    this.camera = null;
+  }
+  
+  initialize(scene, renderer, camera) {
+    this.scene = scene;
+    this.renderer = renderer;
+    this.camera = camera;
+    
+    // Listen for new entities with visual components
+    this.entityManager.addEventListener('componentAdded', (entityId, componentType, component) => {
+      if (componentType === ComponentTypes.VISUAL && this.entityManager.hasComponent(entityId, ComponentTypes.TRANSFORM)) {
+        this.initializeEntity(entityId);
+      }
+    });
+    
+    // Listen for removed entities
+    this.entityManager.addEventListener('entityDestroyed', (entityId) => {
+      this.removeEntity(entityId);
+    });
+    
+    // Initialize any existing entities
+    const entities = this.getProcessableEntities();
+    for (const entityId of entities) {
+      this.initializeEntity(entityId);
+    }
+  }
+  
+  initializeEntity(entityId) {
+    const visualComponent = this.entityManager.getComponent(entityId, ComponentTypes.VISUAL);
+    
+    // Skip if already initialized or not visible
+    if (visualComponent.meshObject || !visualComponent.visible) return;
+    
+    // Get transform component
+    const transformComponent = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
+    
+    // Create the visual representation based on the model type
+    let mesh;
+    
+    if (visualComponent.model === 'jammer') {
+      // Create a jammer mesh (simple cube for now)
+      const geometry = new THREE.BoxGeometry(1, 1, 1);
+      const material = new THREE.MeshLambertMaterial({ 
+        color: visualComponent.color,
+        opacity: visualComponent.opacity,
+        transparent: visualComponent.opacity < 1
+      });
+      mesh = new THREE.Mesh(geometry, material);
+    } 
+    else if (visualComponent.model === 'drone') {
+      // Create a drone mesh (simple cone for now)
+      const geometry = new THREE.ConeGeometry(0.5, 2, 8);
+      const material = new THREE.MeshLambertMaterial({ 
+        color: visualComponent.color,
+        opacity: visualComponent.opacity,
+        transparent: visualComponent.opacity < 1
+      });
+      mesh = new THREE.Mesh(geometry, material);
+    }
+    else if (visualComponent.model === 'station') {
+      // Create a ground station mesh (mast for now)
+      const geometry = new THREE.CylinderGeometry(0.3, 0.5, 2, 8);
+      const material = new THREE.MeshLambertMaterial({
+        color: visualComponent.color,
+        opacity: visualComponent.opacity,
+        transparent: visualComponent.opacity < 1
+      });
+      mesh = new THREE.Mesh(geometry, material);
+    }
+    else {
+      // Default: create a simple sphere
+      const geometry = new THREE.SphereGeometry(0.5, 16, 16);
+      const material = new THREE.MeshLambertMaterial({ 
+        color: visualComponent.color,
+        opacity: visualComponent.opacity,
+        transparent: visualComponent.opacity < 1
+      });
+      mesh = new THREE.Mesh(geometry, material);
+    }
+    
+    // Position the mesh
+    const position = simToScene(transformComponent.position);
+    mesh.position.set(position.x, position.y, position.z);
+    
+    // Apply rotation
+    mesh.rotation.y = headingToSceneRotation(transformComponent.rotation);
+    
+    // Apply scale
+    mesh.scale.set(
+      transformComponent.scale.x,
+      transformComponent.scale.y,
+      transformComponent.scale.z
+    );
+    
+    // Store reference and add to scene
+    visualComponent.meshObject = mesh;
+    this.scene.add(mesh);
+  }
+  
+  removeEntity(entityId) {
+    const visualComponent = this.entityManager.getComponent(entityId, ComponentTypes.VISUAL);
+    
+    // Skip if no mesh or already removed
+    if (!visualComponent || !visualComponent.meshObject) return;
+    
+    // Remove from scene
+    this.scene.remove(visualComponent.meshObject);
+    
+    // Dispose of geometries and materials
+    if (visualComponent.meshObject.geometry) {
+      visualComponent.meshObject.geometry.dispose();
+    }
+    
+    if (visualComponent.meshObject.material) {
+      if (Array.isArray(visualComponent.meshObject.material)) {
+        visualComponent.meshObject.material.forEach(material => material.dispose());
+      } else {
+        visualComponent.meshObject.material.dispose();
+      }
+    }
+    
+    visualComponent.meshObject = null;
+  }
+  
+  processEntity(entityId, deltaTime) {
+    const visualComponent = this.entityManager.getComponent(entityId, ComponentTypes.VISUAL);
+    const transformComponent = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
+    
+    // Skip if no mesh or not visible
+    if (!visualComponent.meshObject || !visualComponent.visible) return;
+    
+    // Update position, interpolated between simulation ticks
+    const position = simToScene(interpolatePosition(transformComponent, this.ecs.clock.alpha));
+    visualComponent.meshObject.position.set(position.x, position.y, position.z);
+    
+    // Update rotation
+    visualComponent.meshObject.rotation.y = headingToSceneRotation(transformComponent.rotation);
+    
+    // Update scale
+    visualComponent.meshObject.scale.set(
+      transformComponent.scale.x,
+      transformComponent.scale.y,
+      transformComponent.scale.z
+    );
+    
+    // Update visibility
+    visualComponent.meshObject.visible = visualComponent.visible;
+    
+    // Update opacity and color if material exists
+    if (visualComponent.meshObject.material) {
+      visualComponent.meshObject.material.opacity = visualComponent.opacity;
+      visualComponent.meshObject.material.transparent = visualComponent.opacity < 1;
+      visualComponent.meshObject.material.color.set(visualComponent.color);
+    }
+  }
+  
+  render() {
+    if (this.renderer && this.scene && this.camera) {
+      // Use standard rendering for now
+      this.renderer.render(this.scene, this.camera);
+      
+      // Post-processing disabled for compatibility
+      /*
+      // Check if we have a composer (for post-processing)
+      if (window.gameEngine && window.gameEngine.composer) {
+        window.gameEngine.composer.render();
+      } else {
+        this.renderer.render(this.scene, this.camera);
+      }
+      */
+    }
+  }
+}
+
+// RF Visualization System - Renders transmitter emissions computed by RFPropagationSystem
+class RFVisualizationSystem extends System {
+  constructor(entityManager, ecs) {
+    super(entityManager, ecs);
+    this.requiredComponents = [ComponentTypes.TRANSFORM, ComponentTypes.RF_TRANSMITTER];
+    this.fixedTimestep = false;
+    this.scene = null;
+    this.visualizationObjects = new Map();
+    this.visualizationStates = new Map(); // Emission state each visualization was built from
+    
+    // Signal colors
+    this.signalColors = {
+      strong: new THREE.Color(CONFIG.rf.signalColors.strong),
+      medium: new THREE.Color(CONFIG.rf.signalColors.medium),
+      weak: new THREE.Color(CONFIG.rf.signalColors.weak),
+      trace: new THREE.Color(CONFIG.rf.signalColors.trace)
+    };
+  }
+  
+  initialize(scene) {
+    this.scene = scene;
+    
+    // Listen for removed entities
+    this.entityManager.addEventListener('entityDestroyed', (entityId) => {
+      this.removeVisualization(entityId);
+    });
+  }
+  
+  updateTransmitterVisualization(entityId) {
+    const transmitterComponent = this.entityManager.getComponent(entityId, ComponentTypes.RF_TRANSMITTER);
+    const transformComponent = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
+    
+    // Skip if transmitter is not active
+    if (!transmitterComponent.active) {
+      this.removeVisualization(entityId);
+      return;
+    }
+    
+    // Remove existing visualization if any
+    this.removeVisualization(entityId);
+    
+    // Get antenna properties
+    const antennaType = CONFIG.antennas.types[transmitterComponent.antenna];
+    
+    // Choose color based on power level
+    const thresholds = CONFIG.rf.signalThresholds;
+    let color;
+    if (transmitterComponent.power >= thresholds.strong) {
+      color = this.signalColors.strong;
+    } else if (transmitterComponent.power >= thresholds.medium) {
+      color = this.signalColors.medium;
+    } else if (transmitterComponent.power >= thresholds.weak) {
+      color = this.signalColors.weak;
+    } else {
+      color = this.signalColors.trace;
+    }
+    
+    // Create geometry based on antenna type
+    let visualizationMesh;
+    
+    if (transmitterComponent.antenna === 'OMNI') {
+      // Omnidirectional - create sphere
+      const radius = 5 + (transmitterComponent.power + 100) * 0.5; // Scale radius by power
+      const geometry = new THREE.SphereGeometry(radius, 32, 16);
+      
+      // Create advanced shader material for pulsing effect
+      const material = new THREE.ShaderMaterial({
+        transparent: true,
+        uniforms: {
+          color: { value: color },
+          time: { value: 0.0 },
+          pulseSpeed: { value: 1.0 },
+          pulseIntensity: { value: 0.1 },
+          noiseScale: { value: 5.0 }  // Add noise scale for more complex animation
+        },
+        vertexShader: `
+          varying float vOpacity;
+          varying vec3 vPosition;
+          varying vec2 vUv;
+          
+          void main() {
+            vec4 modelViewPosition = modelViewMatrix * vec4(position, 1.0);
+            gl_Position = projectionMatrix * modelViewPosition;
+            
+            // Pass position to fragment shader
+            vPosition = position;
+            vUv = uv;
+            
+            // Fade from center to edge
+            vOpacity = 1.0 - (length(position) / ${radius.toFixed(1)});
+          }
+        `,
+        fragmentShader: `
+          uniform vec3 color;
+          uniform float time;
+          uniform float pulseSpeed;
+          uniform float pulseIntensity;
+          uniform float noiseScale;
+          
+          varying float vOpacity;
+          varying vec3 vPosition;
+          varying vec2 vUv;
+          
+          // Improved noise function for more organic look
+          float hash(vec2 p) {
+            return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+          }
+          
+          float noise(vec2 p) {
+            vec2 i = floor(p);
+            vec2 f = fract(p);
+            f = f * f * (3.0 - 2.0 * f);
+            
+            float a = hash(i);
+            float b = hash(i + vec2(1.0, 0.0));
+            float c = hash(i + vec2(0.0, 1.0));
+            float d = hash(i + vec2(1.0, 1.0));
+            
+            return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
+          }
+          
+          void main() {
+            // Create complex pulsing effect with sin wave and noise
+            float pulse = pulseIntensity * sin(time * pulseSpeed);
+            
+            // Add noise variation
+            float noiseValue = noise(vUv * noiseScale + time * 0.5) * 0.2;
+            
+            // Apply pulse and noise to opacity
+            float opacity = vOpacity * (0.5 + pulse + noiseValue);
+            
+            // Apply radial gradient with noise variation
+            float gradient = smoothstep(0.0, 1.0, vOpacity + noiseValue);
+            
+            // Create edge glow effect with time variation
+            float edgeGlow = smoothstep(0.4 + 0.1 * sin(time), 0.5, vOpacity) * 0.5;
+            
+            // Final color with edge highlight
+            vec3 finalColor = mix(color * 1.8, color, gradient);
+            
+            // Add subtle electric blue highlights
+            finalColor += vec3(0.0, 0.1, 0.2) * edgeGlow * (0.8 + 0.2 * sin(time * 2.0));
+            
+            gl_FragColor = vec4(finalColor, opacity);
+          }
+        `
+      });
+      
+      // Create animation update function
+      const clock = new THREE.Clock();
+      
+      // Attach update function to material
+      material.userData = {
+        update: function(dt, mat) {
+          // Use material passed as argument to access uniforms
+          if (mat && mat.uniforms && mat.uniforms.time) {
+            mat.uniforms.time.value = clock.getElapsedTime();
+          }
+        },
+        material: material // Store reference to parent material
+      };
+      
+      visualizationMesh = new THREE.Mesh(geometry, material);
+      
+      // Create additional effect - multiple rings pulsing outward
+      const createRing = (size, speed, delay) => {
+        const ringGeometry = new THREE.RingGeometry(radius * size, radius * (size + 0.03), 32);
+        const ringMaterial = new THREE.MeshBasicMaterial({
+          color: color,
+          transparent: true,
+          opacity: 0.3,
+          side: THREE.DoubleSide,
+          blending: THREE.AdditiveBlending
+        });
+        
+        const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+        ring.rotation.x = Math.PI / 2;
+        
+        // Animation for ring
+        ring.userData = {
+          initialScale: 0.1,
+          speed: speed,
+          timeOffset: delay,
+          update: function(delta, ring) {
+            // Only proceed if we have a valid ring object
+            if (!ring) return;
+            
+            const time = clock.getElapsedTime() + this.timeOffset;
+            
+            // Pulsing scale based on sin wave - ensure ring has scale property
+            if (ring.scale) {
+              ring.scale.x = 0.1 + Math.abs(Math.sin(time * this.speed)) * 2.5;
+              ring.scale.y = 0.1 + Math.abs(Math.sin(time * this.speed)) * 2.5;
+              ring.scale.z = 1;
+            }
+            
+            // Pulsing opacity - ensure ring has material property
+            if (ring.material) {
+              ring.material.opacity = 0.4 * (1 - Math.abs(Math.sin(time * this.speed)) / 3);
+            }
+          }
+        };
+        
+        // Initialize scale
+        ring.scale.set(0.1, 0.1, 1);
+        
+        return ring;
+      };
+      
+      // Add multiple rings with different speeds and delays
+      visualizationMesh.add(createRing(0.8, 0.5, 0));
+      visualizationMesh.add(createRing(0.85, 0.7, 1));
+      visualizationMesh.add(createRing(0.9, 0.4, 2));
+      
+      // Add particle effect for omnidirectional signal
+      const particleCount = 80;
+      const particleGeometry = new THREE.BufferGeometry();
+      const particlePositions = new Float32Array(particleCount * 3);
+      const particleSizes = new Float32Array(particleCount);
+      
+      // Create spherical particle distribution
+      for (let i = 0; i < particleCount; i++) {
+        // Spherical coordinates
+        const theta = Math.random() * Math.PI * 2;
+        const phi = Math.random() * Math.PI;
+        const r = (0.7 + Math.random() * 0.3) * radius;
+        
+        // Convert to Cartesian
+        particlePositions[i * 3] = r * Math.sin(phi) * Math.cos(theta);
+        particlePositions[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
+        particlePositions[i * 3 + 2] = r * Math.cos(phi);
+        
+        // Varying particle sizes
+        particleSizes[i] = 2 + Math.random() * 3;
+      }
+      
+      particleGeometry.setAttribute('position', new THREE.BufferAttribute(particlePositions, 3));
+      particleGeometry.setAttribute('size', new THREE.BufferAttribute(particleSizes, 1));
+      
+      // Create glowing particle material
+      const particleMaterial = new THREE.PointsMaterial({
+        color: color,
+        transparent: true,
+        opacity: 0.6,
+        size: 3,
+        sizeAttenuation: true,
+        blending: THREE.AdditiveBlending
+      });
+      
+      const particles = new THREE.Points(particleGeometry, particleMaterial);
+      
+      // Animation for particles
+      particles.userData = {
+        startPositions: particlePositions.slice(), // Clone initial positions
+        speeds: Array(particleCount).fill().map(() => 0.2 + Math.random() * 0.3),
+        update: function(delta, obj) {
+          // Ensure we have a valid object with geometry
+          if (!obj || !obj.geometry || !obj.geometry.attributes || !obj.geometry.attributes.position) return;
+          
+          const time = clock.getElapsedTime();
+          const positions = obj.geometry.attributes.position.array;
+          
+          for (let i = 0; i < particleCount; i++) {
+            // Create pulsing movement based on sine waves with different frequencies
+            const xFactor = Math.sin(time * this.speeds[i] + i * 0.1);
+            const yFactor = Math.sin(time * this.speeds[i] + i * 0.2 + 1.3);
+            const zFactor = Math.sin(time * this.speeds[i] + i * 0.3 + 2.6);
+            
+            // Apply slight position variation around original position
+            positions[i * 3] = this.startPositions[i * 3] + xFactor * 5;
+            positions[i * 3 + 1] = this.startPositions[i * 3 + 1] + yFactor * 5;
+            positions[i * 3 + 2] = this.startPositions[i * 3 + 2] + zFactor * 5;
+          }
+          
+          // Make particles "breathe" by adjusting size
+          if (obj.geometry.attributes.size && obj.geometry.attributes.size.array) {
+            const sizes = obj.geometry.attributes.size.array;
+            for (let i = 0; i < particleCount; i++) {
+              sizes[i] = 2 + Math.random() * 3 + Math.sin(time * 2 + i) * 1;
+            }
+          }
+          
+          // Set needsUpdate flags
+          if (obj.geometry.attributes.position) {
+            obj.geometry.attributes.position.needsUpdate = true;
+          }
+          if (obj.geometry.attributes.size) {
+            obj.geometry.attributes.size.needsUpdate = true;
+          }
+        }
+      };
+      
+      // Add particles to visualization
+      visualizationMesh.add(particles);
+      
+      // Add central light source
+      const light = new THREE.PointLight(color, 1, radius * 2);
+      light.intensity = 0.8;
+      light.position.set(0, 0, 0);
+      
+      // Animation for light
+      light.userData = {
+        update: function(delta, light) {
+          // Ensure we have a valid light object
+          if (!light) return;
+          
+          const time = clock.getElapsedTime();
+          light.intensity = 0.6 + Math.sin(time * 2) * 0.2;
+        }
+      };
+      
+      visualizationMesh.add(light);
+    } 
+    else {
+      // Directional antenna - create cone
+      const height = 10 + (transmitterComponent.power + 100) * 1.0; // Scale height by power
+      const angle = (antennaType.beamWidth / 2) * Math.PI / 180; // Half angle in radians
+      const radius = height * Math.tan(angle);
+      
+      const geometry = new THREE.ConeGeometry(radius, height, 32, 1, true);
+      
+      // Lay the cone along scene +z (simulation heading 90), then turn it to the heading
+      const beamRotation = THREE.MathUtils.degToRad(90 - transmitterComponent.antennaHeading);
+      geometry.rotateX(Math.PI / 2);
+      geometry.rotateY(beamRotation);
+      
+      // Create advanced shader material with wave pattern
+      const material = new THREE.ShaderMaterial({
+        transparent: true,
+        uniforms: {
+          color: { value: color },
+          time: { value: 0.0 },
+          waveSpeed: { value: 2.0 },
+          waveFrequency: { value: 6.0 },
+          waveAmplitude: { value: 0.1 },
+          noiseIntensity: { value: 0.15 }
+        },
+        vertexShader: `
+          varying float vOpacity;
+          varying vec3 vPosition;
+          varying vec2 vUv;
+          
+          void main() {
+            vec4 modelViewPosition = modelViewMatrix * vec4(position, 1.0);
+            gl_Position = projectionMatrix * modelViewPosition;
+            
+            // Pass values to fragment shader
+            vPosition = position;
+            vUv = uv;
+            
+            // Fade from base to tip
+            vOpacity = 1.0 - (position.y / ${height.toFixed(1)});
+          }
+        `,
+        fragmentShader: `
+          uniform vec3 color;
+          uniform float time;
+          uniform float waveSpeed;
+          uniform float waveFrequency;
+          uniform float waveAmplitude;
+          uniform float noiseIntensity;
+          
+          varying float vOpacity;
+          varying vec3 vPosition;
+          varying vec2 vUv;
+          
+          // Improved noise function
+          float hash(vec2 p) {
+            return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+          }
+          
+          float noise(vec2 p) {
+            vec2 i = floor(p);
+            vec2 f = fract(p);
+            f = f * f * (3.0 - 2.0 * f);
+            
+            float a = hash(i);
+            float b = hash(i + vec2(1.0, 0.0));
+            float c = hash(i + vec2(0.0, 1.0));
+            float d = hash(i + vec2(1.0, 1.0));
+            
+            return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
+          }
+          
+          void main() {
+            // Create wave pattern with traveling waves
+            float wave = sin(vPosition.y * waveFrequency - time * waveSpeed) * waveAmplitude;
+            
+            // Add noise variation for more organic look
+            float noiseValue = noise(vUv * 5.0 + time * 0.5) * noiseIntensity;
+            
+            // Multiple wave patterns for complexity
+            float wave2 = cos(vPosition.y * waveFrequency * 1.5 - time * waveSpeed * 0.7) * waveAmplitude * 0.7;
+            
+            // Apply waves and noise to opacity
+            float opacity = vOpacity * (0.5 + wave + wave2 + noiseValue);
+            
+            // Create dynamic edge glow
+            float edge = smoothstep(0.0, 0.2 + 0.05 * sin(time), vOpacity) * 0.8;
+            
+            // Final color with edge glow and directional fading
+            vec3 finalColor = mix(color * 1.8, color, edge);
+            
+            // Add electric highlights based on position and time
+            float highlight = pow(vOpacity, 2.0) * (0.8 + 0.3 * sin(time * 3.0 + vPosition.y * 0.2));
+            finalColor += vec3(0.0, 0.1, 0.3) * highlight;
+            
+            gl_FragColor = vec4(finalColor, opacity);
+          }
+        `
+      });
+      
+      // Create animation update function
+      const clock = new THREE.Clock();
+      
+      // Attach update function to material
+      material.userData = {
+        update: function(dt, mat) {
+          // Use material passed as argument to access uniforms
+          if (mat && mat.uniforms && mat.uniforms.time) {
+            mat.uniforms.time.value = clock.getElapsedTime();
+          }
+        },
+        material: material // Store reference to parent material
+      };
+      
+      visualizationMesh = new THREE.Mesh(geometry, material);
+      
+      // Add directional light inside cone for glow effect
+      const light = new THREE.SpotLight(color, 2, height, angle * 2, 0.5, 2);
+      light.position.set(0, 0, 0);
+      light.target.position.set(0, height, 0);
+      visualizationMesh.add(light);
+      visualizationMesh.add(light.target);
+      
+      // Animation for light
+      light.userData = {
+        update: function(delta, light) {
+          // Ensure we have a valid light object
+          if (!light) return;
+          
+          const time = clock.getElapsedTime();
+          light.intensity = 1.5 + Math.sin(time * 3) * 0.5;
+        }
+      };
+      
+      // Add enhanced particle effects - 3 different particle systems
+      
+      // 1. Directional beam particles
+      const beamParticleCount = 80;
+      const beamGeometry = new THREE.BufferGeometry();
+      const beamPositions = new Float32Array(beamParticleCount * 3);
+      const beamSizes = new Float32Array(beamParticleCount);
+      const beamColors = new Float32Array(beamParticleCount * 3);
+      
+      // Create directional particles along cone
+      for (let i = 0; i < beamParticleCount; i++) {
+        const progress = i / beamParticleCount;
+        const distFromCenter = Math.random() * progress * radius * 0.8;
+        const angle = Math.random() * Math.PI * 2;
+        const xOffset = Math.cos(angle) * distFromCenter;
+        const zOffset = Math.sin(angle) * distFromCenter;
+        
+        beamPositions[i * 3] = xOffset;
+        beamPositions[i * 3 + 1] = progress * height * 0.97; // Distribute along height
+        beamPositions[i * 3 + 2] = zOffset;
+        
+        // Size decreases toward the tip
+        beamSizes[i] = (1 - progress) * 6 + 2;
+        
+        // Color variation based on signal strength
+        if (progress < 0.3) {
+          // Brightest near source (white-ish)
+          beamColors[i * 3] = color.r + 0.3;
+          beamColors[i * 3 + 1] = color.g + 0.3;
+          beamColors[i * 3 + 2] = color.b + 0.3;
+        } else {
+          // Transition to signal color
+          beamColors[i * 3] = color.r;
+          beamColors[i * 3 + 1] = color.g;
+          beamColors[i * 3 + 2] = color.b;
+        }
+      }
+      
+      beamGeometry.setAttribute('position', new THREE.BufferAttribute(beamPositions, 3));
+      beamGeometry.setAttribute('size', new THREE.BufferAttribute(beamSizes, 1));
+      beamGeometry.setAttribute('color', new THREE.BufferAttribute(beamColors, 3));
+      
+      // Create particle material with custom shader for glowing particles
+      const beamParticleMaterial = new THREE.ShaderMaterial({
+        uniforms: {
+          time: { value: 0 },
+          pointTexture: { value: null } // We'll use a simple programmatic texture
+        },
+        vertexShader: `
+          attribute float size;
+          attribute vec3 color;
+          varying vec3 vColor;
+          uniform float time;
+          
+          void main() {
+            vColor = color;
+            
+            // Calculate position with slight movement
+            vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+            
+            // Size attenuation
+            gl_PointSize = size * (300.0 / -mvPosition.z);
+            gl_Position = projectionMatrix * mvPosition;
+          }
+        `,
+        fragmentShader: `
+          varying vec3 vColor;
+          
+          void main() {
+            // Create circular particle with soft edge
+            float r = 0.5;
+            vec2 uv = gl_PointCoord - vec2(0.5);
+            float dist = length(uv);
+            
+            if (dist > r) {
+                discard;
+            }
+            
+            // Soft gradient for particle
+            float alpha = 1.0 - smoothstep(0.0, r, dist);
+            
+            gl_FragColor = vec4(vColor, alpha);
+          }
+        `,
+        transparent: true,
+        depthTest: false,
+        blending: THREE.AdditiveBlending
+      });
+      
+      const beamParticles = new THREE.Points(beamGeometry, beamParticleMaterial);
+      
+      // Animation for beam particles
+      beamParticles.userData = {
+        originalPositions: beamPositions.slice(),
+        speeds: Array(beamParticleCount).fill().map(() => Math.random() * 0.3 + 0.1),
+        update: function(delta, particles) {
+          // Ensure we have a valid particles object with geometry
+          if (!particles || !particles.geometry || !particles.geometry.attributes || !particles.geometry.attributes.position) return;
+          
+          const time = clock.getElapsedTime();
+          const positions = particles.geometry.attributes.position.array;
+          
+          // Update particle positions with flowing motion
+          for (let i = 0; i < beamParticleCount; i++) {
+            const progress = i / beamParticleCount;
+            
+            // Original position
+            const baseX = this.originalPositions[i * 3];
+            const baseY = this.originalPositions[i * 3 + 1];
+            const baseZ = this.originalPositions[i * 3 + 2];
+            
+            // Add flowing motion
+            const flowSpeed = this.speeds[i] * 50;
+            positions[i * 3 + 1] += flowSpeed * delta;
+            
+            // Spiral motion
+            const spiralFactor = Math.sin(time * 2 + i * 0.1) * 0.2;
+            positions[i * 3] = baseX + spiralFactor * (1 - progress) * radius * 0.3;
+            positions[i * 3 + 2] = baseZ + spiralFactor * (1 - progress) * radius * 0.3;
+            
+            // Reset when reaching the end
+            if (positions[i * 3 + 1] > height * 1.1) {
+              const distFromCenter = Math.random() * 0.2 * radius;
+              const angle = Math.random() * Math.PI * 2;
+              
+              positions[i * 3] = Math.cos(angle) * distFromCenter;
+              positions[i * 3 + 1] = 0; // Start at base
+              positions[i * 3 + 2] = Math.sin(angle) * distFromCenter;
+            }
+          }
+          
+          // Make sizes pulse slightly
+          if (particles && particles.geometry && particles.geometry.attributes && 
+              particles.geometry.attributes.size && particles.geometry.attributes.size.array) {
+            const sizes = particles.geometry.attributes.size.array;
+            for (let i = 0; i < beamParticleCount; i++) {
+              const progress = i / beamParticleCount;
+              sizes[i] = (1 - progress) * 6 + 2 + Math.sin(time * 3 + i * 0.2) * 1;
+            }
+          }
+          
+          // Update shader time - ensure particles object has material with uniforms
+          if (particles && particles.material && particles.material.uniforms && particles.material.uniforms.time) {
+            particles.material.uniforms.time.value = time;
+          }
+          
+          // Update geometry
+          if (particles && particles.geometry) {
+            if (particles.geometry.attributes.position) {
+              particles.geometry.attributes.position.needsUpdate = true;
+            }
+            if (particles.geometry.attributes.size) {
+              particles.geometry.attributes.size.needsUpdate = true;
+            }
+          }
+        }
+      };
+      
+      // 2. Wave rings at base of cone
+      const createWaveRing = (size, speed, delay, opacity) => {
+        const ringGeometry = new THREE.RingGeometry(radius * size, radius * (size + 0.05), 32);
+        const ringMaterial = new THREE.MeshBasicMaterial({
+          color: color,
+          transparent: true,
+          opacity: opacity,
+          side: THREE.DoubleSide,
+          blending: THREE.AdditiveBlending
+        });
+        
+        const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+        
+        // Animation for ring
+        ring.userData = {
+          speed: speed,
+          timeOffset: delay,
+          update: function(delta, obj) {
+            // Ensure we have a valid object with material and scale
+            if (!obj) return;
+            
+            const time = clock.getElapsedTime() + this.timeOffset;
+            
+            // Pulsing opacity - ensure object has material
+            if (obj.material) {
+              obj.material.opacity = opacity * (0.5 + Math.sin(time * this.speed) * 0.5);
+            }
+            
+            // Slight size variation - ensure object has scale
+            if (obj.scale) {
+              const scaleFactor = 1 + Math.sin(time * this.speed * 0.5) * 0.1;
+              obj.scale.set(scaleFactor, scaleFactor, 1);
+            }
+          }
+        };
+        
+        return ring;
+      };
+      
+      // Create multiple wave rings and position at base of cone
+      const waveRings = new THREE.Group();
+      waveRings.position.set(0, 0, 0);
+      
+      // Add several rings with different speeds
+      waveRings.add(createWaveRing(0.7, 1.5, 0, 0.4));
+      waveRings.add(createWaveRing(0.85, 2.2, 0.5, 0.3));
+      waveRings.add(createWaveRing(1.0, 1.8, 1.0, 0.2));
+      
+      // Rotate rings to face direction of cone
+      waveRings.rotation.x = Math.PI / 2;
+      
+      visualizationMesh.add(waveRings);
+      
+      // Rotate particles to match cone orientation
+      beamParticles.rotation.order = 'YXZ';
+      beamParticles.rotation.x = Math.PI / 2;
+      beamParticles.rotation.y = beamRotation;
+      
+      // Disable raycasting for particles
+      beamParticles.raycast = () => {};
+      
+      // Add particles to visualization mesh
+      visualizationMesh.add(beamParticles);
+    }
+    
+    // Position the visualization
+    const position = simToScene(transformComponent.position);
+    visualizationMesh.position.set(position.x, position.y, position.z);
+    
+    // Store and add to scene
+    transmitterComponent.visualizationObject = visualizationMesh;
+    this.visualizationObjects.set(entityId, visualizationMesh);
+    this.scene.add(visualizationMesh);
+  }
+  
+  removeVisualization(entityId) {
+    // Get existing visualization
+    const visualization = this.visualizationObjects.get(entityId);
+    
+    if (visualization) {
+      // Remove from scene
+      this.scene.remove(visualization);
+      
+      // Dispose of resources
+      if (visualization.geometry) {
+        visualization.geometry.dispose();
+      }
+      
+      if (visualization.material) {
+        visualization.material.dispose();
+      }
+      
+      // Remove from maps
+      this.visualizationObjects.delete(entityId);
+      this.visualizationStates.delete(entityId);
+      
+      // Clear reference in component
+      const transmitterComponent = this.entityManager.getComponent(entityId, ComponentTypes.RF_TRANSMITTER);
+      if (transmitterComponent) {
+        transmitterComponent.visualizationObject = null;
+      }
+    }
+  }
+  
+  processEntity(entityId, deltaTime) {
+    const transmitterComponent = this.entityManager.getComponent(entityId, ComponentTypes.RF_TRANSMITTER);
+    const transformComponent = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
+    const pulseParameters = transmitterComponent.pulseParameters;
+    
+    // Rebuild the visualization whenever the emission it depicts changes
+    const state = [
+      transmitterComponent.active,
+      pulseParameters.pulsing && pulseParameters.currentlyTransmitting,
+      transmitterComponent.power,
+      transmitterComponent.antenna,
+      transmitterComponent.antennaHeading
+    ].join('|');
+    
+    if (this.visualizationStates.get(entityId) !== state) {
+      this.updateTransmitterVisualization(entityId);
+      this.visualizationStates.set(entityId, state);
+    }
+    
+    // Keep the visualization attached to moving transmitters
+    const visualizationObject = transmitterComponent.visualizationObject;
+    if (visualizationObject) {
+      const position = simToScene(interpolatePosition(transformComponent, this.ecs.clock.alpha));
+      visualizationObject.position.set(position.x, position.y, position.z);
+    }
+  }
+  
+  update(deltaTime) {
+    super.update(deltaTime);
+    
+    // Update visualization animations
+    this.updateVisualizations(deltaTime);
+  }
+  
+  // Update all visualization animations
+  updateVisualizations(deltaTime) {
+    // Update each visualization mesh
+    this.visualizationObjects.forEach((mesh) => {
+      // Update main mesh material if it has an update function
+      if (mesh.material && mesh.material.userData && mesh.material.userData.update) {
+        // Pass the material as second argument so the update function can access uniforms
+        mesh.material.userData.update(deltaTime, mesh.material);
+      }
+      
+      // Update child objects (rings, particles, etc.)
+      mesh.children.forEach(child => {
+        if (child.userData && child.userData.update) {
+          // Handle both update patterns - with and without material
+          if (child.material) {
+            child.userData.update(deltaTime, child);
+          } else {
+            child.userData.update(deltaTime);
+          }
+        }
+      });
+    });
+  }
+}
+
+// Jammer Effects System - Visual feedback for jammer state managed by JammerSystem
+class JammerEffectsSystem extends System {
+  constructor(entityManager, ecs) {
+    super(entityManager, ecs);
+    this.requiredComponents = [ComponentTypes.JAMMER, ComponentTypes.RF_TRANSMITTER];
+    this.fixedTimestep = false;
+    
+    // Custom component storage for effects that aren't part of the official component types
+    this.customComponents = new Map();
+    
+    // Transmitter state seen last frame, used to trigger activation effects
+    this.activeStates = new Map();
+  }
+  
+  initialize() {
+    // Clean up effects of removed jammers
+    this.entityManager.addEventListener('entityDestroyed', (entityId) => {
+      this.removeCooldownIndicator(entityId);
+      this.removePulseEffect(entityId);
+      this.removeJammerLighting(entityId);
+      this.activeStates.delete(entityId);
+    });
+  }
+  
+  processEntity(entityId, deltaTime) {
+    const jammerComponent = this.entityManager.getComponent(entityId, ComponentTypes.JAMMER);
+    const transmitterComponent = this.entityManager.getComponent(entityId, ComponentTypes.RF_TRANSMITTER);
+    const visualComponent = this.entityManager.getComponent(entityId, ComponentTypes.VISUAL);
+    
+    // Update cooldown visualization
+    if (visualComponent && visualComponent.meshObject) {
+      // Safely access jammer type configuration
+      const jammerType = jammerComponent.type || 'STANDARD';
+      const cooldownConfig = CONFIG.jammers.types[jammerType];
+      
+      if (cooldownConfig) {
+        const cooldownDuration = cooldownConfig.cooldown || 5000; // Default 5s cooldown
+        const cooldownProgress = jammerComponent.cooldownRemaining / cooldownDuration;
+        
+        // Apply pulsing effect to jammer during cooldown
+        if (cooldownProgress > 0) {
+          // Pulse color between normal and red
+          const pulseRate = 3; // Pulses per second
+          const pulsePhase = (Math.sin(Date.now() * 0.01 * pulseRate) + 1) / 2; // 0 to 1
+          
+          // Safely get base color
+          const baseColor = cooldownConfig.color || new THREE.Color(0x00ffff);
+          const cooldownColor = new THREE.Color(
+            Math.min(1.0, baseColor.r + 0.3 * pulsePhase),
+            Math.max(0.0, baseColor.g - 0.2 * pulsePhase),
+            Math.max(0.0, baseColor.b - 0.2 * pulsePhase)
+          );
+          
+          // Apply color to jammer mesh
+          visualComponent.color = cooldownColor.getHex();
+          
+          // Add or update cooldown indicator (moving progress ring)
+          this.updateCooldownIndicator(entityId, cooldownProgress);
+        } else if (this.customComponents.get(entityId)?.has('cooldownIndicator')) {
+          // Remove cooldown indicator when done
+          this.removeCooldownIndicator(entityId);
+          
+          // Reset to base color
+          const baseColor = cooldownConfig.color || new THREE.Color(0x00ffff);
+          visualComponent.color = baseColor.getHex();
+        }
+      }
+    }
+    
+    // Handle activation/deactivation effects
+    const wasActive = this.activeStates.get(entityId) || false;
+    if (wasActive !== transmitterComponent.active) {
+      if (transmitterComponent.active) {
+        // Jammer activated effect
+        this.createJammerActivationEffect(entityId);
+      } else {
+        // Jammer deactivated effect
+        this.createJammerDeactivationEffect(entityId);
+      }
+      this.activeStates.set(entityId, transmitterComponent.active);
+    }
+    
+    // Handle jammer specific behaviors
+    if (transmitterComponent.pulseParameters.pulsing && transmitterComponent.active) {
+      // Add pulse visualization effect
+      this.updatePulseEffect(entityId, deltaTime);
+    } else {
+      // Remove pulse effect if it exists
+      this.removePulseEffect(entityId);
+    }
+    
+    // Add dynamic lighting for active jammers
+    this.updateJammerLighting(entityId, deltaTime);
+  }
+  
+  // Create activation effect when jammer turns on
+  createJammerActivationEffect(entityId) {
+    const transformComponent = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
+    const jammerComponent = this.entityManager.getComponent(entityId, ComponentTypes.JAMMER);
+    
+    if (!transformComponent || !jammerComponent) return;
+    
+    // Get scene position
+    const position = simToScene(transformComponent.position);
+    
+    // Safely access jammer type configuration
+    const jammerType = jammerComponent.type || 'STANDARD';
+    const jammerColor = (CONFIG.jammers.types[jammerType] && CONFIG.jammers.types[jammerType].color) || 
+                       new THREE.Color(0x00ffff); // Default color if config is missing
+    
+    // Create activation ring effect
+    const ringGeometry = new THREE.RingGeometry(0, 10, 32);
+    const ringMaterial = new THREE.MeshBasicMaterial({
+      color: jammerColor,
+      transparent: true,
+      opacity: 1.0,
+      side: THREE.DoubleSide,
+      blending: THREE.AdditiveBlending
+    });
+    
+    const activationRing = new THREE.Mesh(ringGeometry, ringMaterial);
+    activationRing.position.set(position.x, position.y + 0.5, position.z); // Slightly above ground
+    activationRing.rotation.x = Math.PI / 2; // Flat on ground
+    
+    // Add to scene
+    if (window.gameEngine && window.gameEngine.scene) {
+      window.gameEngine.scene.add(activationRing);
+      
+      // Animation
+      const startTime = Date.now();
+      const duration = 1000; // 1 second
+      
+      const animateRing = () => {
+        const elapsed = Date.now() - startTime;
+        const progress = Math.min(elapsed / duration, 1);
+        
+        // Scale outward
+        const scale = progress * 5;
+        activationRing.scale.set(scale, scale, 1);
+        
+        // Fade out
+        activationRing.material.opacity = 1 - progress;
+        
+        if (progress < 1) {
+          requestAnimationFrame(animateRing);
+        } else {
+          // Remove from scene
+          window.gameEngine.scene.remove(activationRing);
+          // Dispose resources
+          ringGeometry.dispose();
+          ringMaterial.dispose();
+        }
+      };
+      
+      // Start animation
+      animateRing();
+    }
+    
+    // Create light flash
+    if (window.gameEngine && window.gameEngine.scene) {
+      const jammerLight = new THREE.PointLight(
+        CONFIG.jammers.types[jammerComponent.type].color,
+        2, // Intensity
+        50 // Range
+      );
+      
+      jammerLight.position.set(position.x, position.y + 5, position.z);
+      window.gameEngine.scene.add(jammerLight);
+      
+      // Light animation
+      const startTime = Date.now();
+      const duration = 800; // ms
+      
+      const animateLight = () => {
+        const elapsed = Date.now() - startTime;
+        const progress = Math.min(elapsed / duration, 1);
+        
+        // Flash pattern
+        const intensity = 2 * (1 - progress) * (0.5 + 0.5 * Math.sin(progress * Math.PI * 10));
+        jammerLight.intensity = intensity;
+        
+        if (progress < 1) {
+          requestAnimationFrame(animateLight);
+        } else {
+          // Remove light
+          window.gameEngine.scene.remove(jammerLight);
+        }
+      };
+      
+      // Start animation
+      animateLight();
+    }
+  }
+  
+  // Create deactivation effect when jammer turns off
+  createJammerDeactivationEffect(entityId) {
+    const transformComponent = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
+    const jammerComponent = this.entityManager.getComponent(entityId, ComponentTypes.JAMMER);
+    
+    if (!transformComponent || !jammerComponent) return;
+    
+    // Get scene position
+    const position = simToScene(transformComponent.position);
+    
+    // Create shutdown particles
+    if (window.gameEngine && window.gameEngine.scene) {
+      const particleCount = 30;
+      const particleGeometry = new THREE.BufferGeometry();
+      const particlePositions = new Float32Array(particleCount * 3);
+      const particleSizes = new Float32Array(particleCount);
+      
+      // Generate particles around jammer
+      for (let i = 0; i < particleCount; i++) {
+        // Random position around jammer
+        const angle = Math.random() * Math.PI * 2;
+        const radius = Math.random() * 5;
+        const height = Math.random() * 8;
+        
+        particlePositions[i * 3] = position.x + Math.cos(angle) * radius;
+        particlePositions[i * 3 + 1] = position.y + height;
+        particlePositions[i * 3 + 2] = position.z + Math.sin(angle) * radius;
+        
+        // Random sizes
+        particleSizes[i] = 1 + Math.random() * 2;
+      }
+      
+      particleGeometry.setAttribute('position', new THREE.BufferAttribute(particlePositions, 3));
+      particleGeometry.setAttribute('size', new THREE.BufferAttribute(particleSizes, 1));
+      
+      // Safely access jammer type configuration
+      const jammerType = jammerComponent.type || 'STANDARD';
+      const jammerColor = (CONFIG.jammers.types[jammerType] && CONFIG.jammers.types[jammerType].color) || 
+                          new THREE.Color(0x00ffff); // Default color if config is missing
+      
+      // Create particle material
+      const particleMaterial = new THREE.PointsMaterial({
+        color: jammerColor,
+        transparent: true,
+        opacity: 0.7,
+        size: 2,
+        sizeAttenuation: true,
+        blending: THREE.AdditiveBlending
+      });
+      
+      const particles = new THREE.Points(particleGeometry, particleMaterial);
+      window.gameEngine.scene.add(particles);
+      
+      // Particle animation
+      const startTime = Date.now();
+      const duration = 800; // ms
+      
+      const animateParticles = () => {
+        const elapsed = Date.now() - startTime;
+        const progress = Math.min(elapsed / duration, 1);
+        
+        const positions = particleGeometry.attributes.position.array;
+        
+        // Move particles outward and upward
+        for (let i = 0; i < particleCount; i++) {
+          const baseX = particlePositions[i * 3];
+          const baseY = particlePositions[i * 3 + 1];
+          const baseZ = particlePositions[i * 3 + 2];
+          
+          // Direction from center
+          const dx = baseX - position.x;
+          const dy = baseY - position.y;
+          const dist = Math.sqrt(dx * dx + dy * dy);
+          
+          if (dist > 0) {
+            // Normalize direction
+            const dirX = dx / dist;
+            const dirY = dy / dist;
+            
+            // Move outward
+            positions[i * 3] = baseX + dirX * progress * 10;
+            positions[i * 3 + 1] = baseY + dirY * progress * 10;
+          }
+          
+          // Move upward
+          positions[i * 3 + 2] = baseZ + progress * 10;
+        }
+        
+        // Update geometry
+        particleGeometry.attributes.position.needsUpdate = true;
+        
+        // Fade out
+        particleMaterial.opacity = 0.7 * (1 - progress);
+        
+        if (progress < 1) {
+          requestAnimationFrame(animateParticles);
+        } else {
+          // Remove particles
+          window.gameEngine.scene.remove(particles);
+          // Dispose resources
+          particleGeometry.dispose();
+          particleMaterial.dispose();
+        }
+      };
+      
+      // Start animation
+      animateParticles();
+    }
+  }
+  
+  // Update cooldown indicator ring
+  updateCooldownIndicator(entityId, progress) {
+    const transformComponent = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
+    
+    if (!transformComponent) return;
+    
+    // Get existing cooldown indicator or create new one
+    let entityComponents = this.customComponents.get(entityId);
+    
+    // Initialize entity components map if it doesn't exist
+    if (!entityComponents) {
+      entityComponents = new Map();
+      this.customComponents.set(entityId, entityComponents);
+    }
+    
+    let indicator = entityComponents.get('cooldownIndicator');
+    
+    if (!indicator) {
+      // Create new indicator
+      const geometry = new THREE.RingGeometry(3, 3.5, 32, 1, 0, Math.PI * 2);
+      const material = new THREE.MeshBasicMaterial({
+        color: 0xff3030,
+        transparent: true,
+        opacity: 0.7,
+        side: THREE.DoubleSide
+      });
+      
+      indicator = new THREE.Mesh(geometry, material);
+      indicator.rotation.x = Math.PI / 2; // Flat on ground
+      
+      // Store reference
+      entityComponents.set('cooldownIndicator', indicator);
+      
+      // Add to scene
+      if (window.gameEngine && window.gameEngine.scene) {
+        window.gameEngine.scene.add(indicator);
+      }
+    }
+    
+    // Update position
+    const position = simToScene(transformComponent.position);
+    indicator.position.set(position.x, position.y + 0.2, position.z); // Slightly above ground
+    
+    // Update indicator progress
+    // Modify the geometry to show a progress ring
+    if (indicator.geometry) {
+      indicator.geometry.dispose();
+    }
+    
+    // Create new ring geometry showing progress (1.0 = empty, 0.0 = full)
+    const angle = Math.PI * 2 * (1 - progress);
+    indicator.geometry = new THREE.RingGeometry(3, 3.5, 32, 1, 0, angle);
+  }
+  
+  // Remove cooldown indicator
+  removeCooldownIndicator(entityId) {
+    if (!this.customComponents.has(entityId)) return;
+    
+    const entityComponents = this.customComponents.get(entityId);
+    if (!entityComponents) return;
+    
+    const indicator = entityComponents.get('cooldownIndicator');
+    
+    if (indicator) {
+      // Remove from scene
+      if (window.gameEngine && window.gameEngine.scene) {
+        window.gameEngine.scene.remove(indicator);
+      }
+      
+      // Dispose resources
+      if (indicator.geometry) {
+        indicator.geometry.dispose();
+      }
+      if (indicator.material) {
+        indicator.material.dispose();
+      }
+      
+      // Remove reference
+      entityComponents.delete('cooldownIndicator');
+      
+      // If no more custom components for this entity, remove the entity entry
+      if (entityComponents.size === 0) {
+        this.customComponents.delete(entityId);
+      }
+    }
+  }
+  
+  // Update pulse jammer effects
+  updatePulseEffect(entityId, deltaTime) {
+    const transformComponent = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
+    const jammerComponent = this.entityManager.getComponent(entityId, ComponentTypes.JAMMER);
+    const transmitterComponent = this.entityManager.getComponent(entityId, ComponentTypes.RF_TRANSMITTER);
+    
+    if (!transformComponent || !transmitterComponent || !transmitterComponent.active) return;
+    
+    // Get existing pulse effect or create new one
+    let entityComponents = this.customComponents.get(entityId);
+    
+    // Initialize entity components map if it doesn't exist
+    if (!entityComponents) {
+      entityComponents = new Map();
+      this.customComponents.set(entityId, entityComponents);
+    }
+    
+    let pulseEffect = entityComponents.get('pulseEffect');
+    
+    if (!pulseEffect) {
+      // Create pulse effect container
+      pulseEffect = {
+        mesh: null,
+        pulseTime: 0,
+        rings: [],
+        lastPulseState: false
+      };
+      
+      // Store reference
+      entityComponents.set('pulseEffect', pulseEffect);
+    }
+    
+    // Update pulse timing
+    pulseEffect.pulseTime += deltaTime;
+    
+    // Create new pulse ring on each pulse
+    if (transmitterComponent.pulseParameters.currentlyTransmitting && 
+        pulseEffect.lastPulseState === false) {
+      
+      // Create new pulse ring
+      this.createPulseRing(entityId, simToScene(transformComponent.position));
+    }
+    
+    // Update last pulse state
+    pulseEffect.lastPulseState = transmitterComponent.pulseParameters.currentlyTransmitting;
+    
+    // Update existing rings
+    for (let i = pulseEffect.rings.length - 1; i >= 0; i--) {
+      const ring = pulseEffect.rings[i];
+      if (!ring) continue;
+      
+      // Update ring properties
+      ring.age += deltaTime;
+      const progress = Math.min(ring.age / ring.lifespan, 1);
+      
+      // Check if mesh exists
+      if (!ring.mesh) {
+        // If mesh is missing, remove the ring entry
+        pulseEffect.rings.splice(i, 1);
+        continue;
+      }
+      
+      // Scale outward
+      const scale = 1 + progress * 15;
+      ring.mesh.scale.set(scale, scale, 1);
+      
+      // Fade out (check if material exists)
+      if (ring.mesh.material) {
+        ring.mesh.material.opacity = 0.7 * (1 - progress);
+      }
+      
+      // Remove completed rings
+      if (progress >= 1) {
+        // Remove from scene
+        if (window.gameEngine && window.gameEngine.scene) {
+          window.gameEngine.scene.remove(ring.mesh);
+        }
+        
+        // Dispose resources
+        if (ring.mesh.geometry) ring.mesh.geometry.dispose();
+        if (ring.mesh.material) ring.mesh.material.dispose();
+        
+        // Remove from array
+        pulseEffect.rings.splice(i, 1);
+      }
+    }
+  }
+  
+  // Create a new pulse ring
+  createPulseRing(entityId, position) {
+    const jammerComponent = this.entityManager.getComponent(entityId, ComponentTypes.JAMMER);
+    
+    if (!jammerComponent) return;
+    if (!this.customComponents.has(entityId)) return;
+    
+    const entityComponents = this.customComponents.get(entityId);
+    if (!entityComponents) return;
+    
+    const pulseEffect = entityComponents.get('pulseEffect');
+    if (!pulseEffect) return;
+    
+    // Create ring geometry
+    const geometry = new THREE.RingGeometry(1, 2, 32);
+    
+    // Safely access jammer type configuration
+    const jammerType = jammerComponent.type || 'STANDARD';
+    const jammerColor = (CONFIG.jammers.types[jammerType] && CONFIG.jammers.types[jammerType].color) || 
+                       new THREE.Color(0x00ffff); // Default color if config is missing
+    
+    const material = new THREE.MeshBasicMaterial({
+      color: jammerColor,
+      transparent: true,
+      opacity: 0.7,
+      side: THREE.DoubleSide,
+      blending: THREE.AdditiveBlending
+    });
+    
+    const ringMesh = new THREE.Mesh(geometry, material);
+    ringMesh.position.set(position.x, position.y + 0.5, position.z); // Slightly above ground
+    ringMesh.rotation.x = Math.PI / 2; // Flat on ground
+    
+    // Add to scene
+    if (window.gameEngine && window.gameEngine.scene) {
+      window.gameEngine.scene.add(ringMesh);
+    }
+    
+    // Add to pulse effect
+    pulseEffect.rings.push({
+      mesh: ringMesh,
+      age: 0,
+      lifespan: 1.0 // 1 second lifespan
+    });
+  }
+  
+  // Remove pulse effect
+  removePulseEffect(entityId) {
+    if (!this.customComponents.has(entityId)) return;
+    
+    const entityComponents = this.customComponents.get(entityId);
+    if (!entityComponents) return;
+    
+    const pulseEffect = entityComponents.get('pulseEffect');
+    
+    if (pulseEffect) {
+      // Remove all rings
+      for (const ring of pulseEffect.rings) {
+        // Remove from scene
+        if (window.gameEngine && window.gameEngine.scene) {
+          window.gameEngine.scene.remove(ring.mesh);
+        }
+        
+        // Dispose resources
+        if (ring.mesh) {
+          if (ring.mesh.geometry) ring.mesh.geometry.dispose();
+          if (ring.mesh.material) ring.mesh.material.dispose();
+        }
+      }
+      
+      // Clear array
+      pulseEffect.rings = [];
+      
+      // Remove reference
+      entityComponents.delete('pulseEffect');
+      
+      // If no more custom components for this entity, remove the entity entry
+      if (entityComponents.size === 0) {
+        this.customComponents.delete(entityId);
+      }
+    }
+  }
+  
+  // Update jammer dynamic lighting
+  updateJammerLighting(entityId, deltaTime) {
+    const transformComponent = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
+    const jammerComponent = this.entityManager.getComponent(entityId, ComponentTypes.JAMMER);
+    const transmitterComponent = this.entityManager.getComponent(entityId, ComponentTypes.RF_TRANSMITTER);
+    
+    if (!transformComponent || !jammerComponent || !transmitterComponent) return;
+    
+    // Check if jammer is active
+    const isActive = transmitterComponent.active;
+    
+    // Get existing lighting or create new
+    let entityComponents = this.customComponents.get(entityId);
+    
+    // Initialize entity components map if it doesn't exist
+    if (!entityComponents) {
+      entityComponents = new Map();
+      this.customComponents.set(entityId, entityComponents);
+    }
+    
+    let jammerLighting = entityComponents.get('jammerLighting');
+    
+    // Create light if needed
+    if (isActive && !jammerLighting) {
+      // Safely access jammer type configuration
+      const jammerType = jammerComponent.type || 'STANDARD';
+      const jammerColor = (CONFIG.jammers.types[jammerType] && CONFIG.jammers.types[jammerType].color) || 
+                         new THREE.Color(0x00ffff); // Default color if config is missing
+      
+      // Create point light
+      const light = new THREE.PointLight(
+        jammerColor,
+        1.5, // Intensity
+        30  // Range
+      );
+      
+      // Add slight flicker
+      light.userData.baseIntensity = 1.5;
+      light.userData.time = Math.random() * 100; // Random starting phase
+      
+      // Position light
+      const position = simToScene(transformComponent.position);
+      light.position.set(position.x, position.y + 2, position.z); // Above jammer
+      
+      // Add to scene
+      if (window.gameEngine && window.gameEngine.scene) {
+        window.gameEngine.scene.add(light);
+      }
+      
+      // Store reference
+      jammerLighting = { light };
+      entityComponents.set('jammerLighting', jammerLighting);
+    } 
+    // Update existing light
+    else if (isActive && jammerLighting && jammerLighting.light) {
+      const light = jammerLighting.light;
+      
+      // Update position
+      const position = simToScene(transformComponent.position);
+      light.position.set(position.x, position.y + 2, position.z); // Above jammer
+      
+      // Safely access jammer type configuration
+      const jammerType = jammerComponent.type || 'STANDARD';
+      const jammerColor = (CONFIG.jammers.types[jammerType] && CONFIG.jammers.types[jammerType].color) || 
+                         new THREE.Color(0x00ffff); // Default color if config is missing
+      
+      // Update light color if frequency changed
+      light.color.set(jammerColor);
+      
+      // Add subtle flicker effect
+      if (light.userData) {
+        light.userData.time = (light.userData.time || 0) + deltaTime;
+        const flicker = Math.sin(light.userData.time * 5) * 0.1 + 
+                        Math.sin(light.userData.time * 13) * 0.05 +
+                        Math.sin(light.userData.time * 27) * 0.025;
+        
+        light.intensity = (light.userData.baseIntensity || 1.5) * (1 + flicker);
+        
+        // For pulsing jammers, sync light with pulse
+        if (jammerType === 'PULSE') {
+          if (transmitterComponent.pulseParameters && transmitterComponent.pulseParameters.currentlyTransmitting) {
+            light.intensity = (light.userData.baseIntensity || 1.5) * 2.5;
+          } else {
+            light.intensity = (light.userData.baseIntensity || 1.5) * 0.3;
+          }
+        }
+      }
+    }
+    // Remove light if jammer is inactive
+    else if (!isActive && jammerLighting) {
+      // Remove from scene
+      if (window.gameEngine && window.gameEngine.scene && jammerLighting.light) {
+        window.gameEngine.scene.remove(jammerLighting.light);
+      }
+      
+      // Remove reference
+      entityComponents.delete('jammerLighting');
+      
+      // If no more custom components for this entity, remove the entity entry
+      if (entityComponents.size === 0) {
+        this.customComponents.delete(entityId);
+      }
+    }
+  }
+  
+  // Remove jammer dynamic lighting
+  removeJammerLighting(entityId) {
+    const entityComponents = this.customComponents.get(entityId);
+    if (!entityComponents) return;
+    
+    const jammerLighting = entityComponents.get('jammerLighting');
+    
+    if (jammerLighting) {
+      // Remove from scene
+      if (window.gameEngine && window.gameEngine.scene && jammerLighting.light) {
+        window.gameEngine.scene.remove(jammerLighting.light);
+      }
+      
+      // Remove reference
+      entityComponents.delete('jammerLighting');
+      
+      // If no more custom components for this entity, remove the entity entry
+      if (entityComponents.size === 0) {
+        this.customComponents.delete(entityId);
+      }
+    }
+  }
+}
+
+// Register the render systems on top of the simulation systems
+// Weather Effects System - Fog and rain reflecting the simulation weather
+class WeatherEffectsSystem extends System {
+  constructor(entityManager, ecs) {
+    super(entityManager, ecs);
+    this.fixedTimestep = false;
+    this.scene = null;
+    this.camera = null;
+    this.baseFog = null;      // Fog distances in clear weather
+    this.rain = null;         // THREE.Points rain particles
+    this.rainVolume = { width: 3000, height: 1500, depth: 3000 };
+    this.maxRainDrops = 3000;
+    this.rainFallSpeed = 600; // units per second
+  }
+  
+  initialize(scene, camera) {
+    this.scene = scene;
+    this.camera = camera;
+    this.createRain();
+  }
+  
+  // Create the rain particle system, hidden until it rains
+  createRain() {
+    const positions = new Float32Array(this.maxRainDrops * 3);
+    
+    for (let i = 0; i < this.maxRainDrops; i++) {
+      positions[i * 3] = (Math.random() - 0.5) * this.rainVolume.width;
+      positions[i * 3 + 1] = Math.random() * this.rainVolume.height;
+      positions[i * 3 + 2] = (Math.random() - 0.5) * this.rainVolume.depth;
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    
+    const material = new THREE.PointsMaterial({
+      color: 0x8fb8c8,
+      size: 6,
+      transparent: true,
+      opacity: 0.5,
+      depthWrite: false
+    });
+    
+    this.rain = new THREE.Points(geometry, material);
+    this.rain.visible = false;
+    this.rain.frustumCulled = false;
+    this.scene.add(this.rain);
+  }
+  
+  update(deltaTime) {
+    if (!this.enabled || !this.scene) return;
+    
+    const weather = this.ecs.getSystem('weather');
+    if (!weather) return;
+    
+    const atmosphere = weather.getAtmosphere();
+    
+    this.updateFog(atmosphere.visibility);
+    this.updateRain(atmosphere.rainRate, deltaTime);
+  }
+  
+  // Pull the fog in as visibility drops
+  updateFog(visibility) {
+    const fog = this.scene.fog;
+    if (!fog) return;
+    
+    // The terrain creates the fog after the ECS, so capture it on first use
+    if (!this.baseFog) {
+      this.baseFog = { near: fog.near, far: fog.far };
+    }
+    
+    fog.near = this.baseFog.near * visibility;
+    fog.far = this.baseFog.far * (0.4 + 0.6 * visibility);
+  }
+  
+  // Show rain proportional to the rain rate, falling around the camera
+  updateRain(rainRate, deltaTime) {
+    if (!this.rain) return;
+    
+    const heavyRainRate = CONFIG.weather.conditions.RAIN.rainRate;
+    const intensity = Math.min(1, rainRate / heavyRainRate);
+    const dropCount = Math.floor(this.maxRainDrops * intensity);
+    
+    this.rain.visible = dropCount > 0;
+    if (!this.rain.visible) return;
+    
+    this.rain.geometry.setDrawRange(0, dropCount);
+    
+    // Keep the rain volume centered below the camera
+    if (this.camera) {
+      this.rain.position.set(this.camera.position.x, 0, this.camera.position.z);
+    }
+    
+    // Drops fall and wrap back to the top of the volume
+    const positions = this.rain.geometry.attributes.position;
+    const fall = this.rainFallSpeed * deltaTime;
+    for (let i = 0; i < dropCount; i++) {
+      let y = positions.getY(i) - fall;
+      if (y < 0) {
+        y += this.rainVolume.height;
+      }
+      positions.setY(i, y);
+    }
+    positions.needsUpdate = true;
+  }
+}
+
+// Coverage Heatmap System - Drapes computed received power over the 3D terrain
+// Simulation ground coordinates (x, y) map to scene (x, z)
+class CoverageHeatmapSystem extends System {
+  constructor(entityManager, ecs) {
+    super(entityManager, ecs);
+    this.fixedTimestep = false;
+    this.coverageEngine = null;
+    this.overlay = null;          // Mesh of the simulation terrain (TerrainModel)
+    this.canvas = null;           // Heatmap texture image
+    this.texture = null;
+    this.enabledBands = new Set();
+    this.drawnVersion = -1;       // Coverage result the texture shows
+    this.needsRedraw = false;
+    
+    // Signal colors as [r, g, b] from strongest to weakest
+    this.levels = ['strong', 'medium', 'weak', 'trace'].map(level => {
+      const color = new THREE.Color(CONFIG.rf.signalColors[level]);
+      return {
+        threshold: CONFIG.rf.signalThresholds[level],
+        rgb: [Math.round(color.r * 255), Math.round(color.g * 255), Math.round(color.b * 255)]
+      };
+    });
+  }
+  
+  // Called once the scene and coverage engine exist. terrainGeometry is the
+  // simulation terrain the coverage is computed on (createTerrainGeometry), so
+  // the heatmap covers exactly the simulated area, at its elevations.
+  initialize(scene, terrainGeometry, coverageEngine) {
+    this.coverageEngine = coverageEngine;
+    
+    this.canvas = document.createElement('canvas');
+    this.texture = new THREE.CanvasTexture(this.canvas);
+    
+    const material = new THREE.MeshStandardMaterial({
+      color: 0x000000,
+      map: this.texture,          // Alpha only
+      emissive: 0xffffff,
+      emissiveMap: this.texture,  // Colors, independent of lighting
+      transparent: true,
+      opacity: CONFIG.rf.coverage.heatmapOpacity,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+      polygonOffset: true,
+      polygonOffsetFactor: -2
+    });
+    
+    // Lifted slightly to avoid z-fighting with anything drawn on the ground
+    this.overlay = new THREE.Mesh(terrainGeometry, material);
+    this.overlay.position.y = 2;
+    this.overlay.visible = false;
+    scene.add(this.overlay);
+  }
+  
+  // Show or hide a frequency band's coverage
+  setBandEnabled(frequency, enabled) {
+    if (enabled) {
+      this.enabledBands.add(frequency);
+    } else {
+      this.enabledBands.delete(frequency);
+    }
+    this.needsRedraw = true;
+  }
+  
+  toggleBand(frequency) {
+    this.setBandEnabled(frequency, !this.enabledBands.has(frequency));
+    return this.enabledBands.has(frequency);
+  }
+  
+  update(deltaTime) {
+    if (!this.enabled || !this.overlay) return;
+    
+    const coverage = this.coverageEngine.getCoverage();
+    this.overlay.visible = Boolean(coverage) && this.enabledBands.size > 0;
+    
+    if (this.overlay.visible && (this.needsRedraw || this.drawnVersion !== this.coverageEngine.version)) {
+      this.drawHeatmap(coverage);
+      this.drawnVersion = this.coverageEngine.version;
+      this.needsRedraw = false;
+    }
+  }
+  
+  // Color each raster node by the strongest power among the enabled bands
+  drawHeatmap(coverage) {
+    const { resolution } = coverage;
+    const composites = [...this.enabledBands]
+      .map(frequency => coverage.composites[frequency])
+      .filter(Boolean);
+    
+    // The overlay spans the raster's area, with texture rows along y like raster rows
+    this.canvas.width = resolution;
+    this.canvas.height = resolution;
+    const ctx = this.canvas.getContext('2d');
+    const image = ctx.createImageData(resolution, resolution);
+    
+    for (let cell = 0; cell < resolution * resolution; cell++) {
+      let power = -Infinity;
+      for (const composite of composites) {
+        power = Math.max(power, composite.dominantPower[cell]);
+      }
+      
+      const level = this.levels.find(candidate => power >= candidate.threshold);
+      if (level) {
+        image.data.set(level.rgb, cell * 4);
+        image.data[cell * 4 + 3] = 255;
+      }
+    }
+    ctx.putImageData(image, 0, 0);
+    
+    // Raster nodes are pixel centers, so inset the texture by half a pixel
+    this.texture.repeat.set((resolution - 1) / resolution, (resolution - 1) / resolution);
+    this.texture.offset.set(0.5 / resolution, 0.5 / resolution);
+    this.texture.needsUpdate = true;
+  }
+}
+
+function registerRenderSystems(ecs, scene, renderer, camera) {
+  const renderSystem = ecs.registerSystem(RenderSystem, 'render');
+  renderSystem.initialize(scene, renderer, camera);
+  
+  const rfVisualizationSystem = ecs.registerSystem(RFVisualizationSystem, 'rfVisualization');
+  rfVisualizationSystem.initialize(scene);
+  
+  const jammerEffectsSystem = ecs.registerSystem(JammerEffectsSystem, 'jammerEffects');
+  jammerEffectsSystem.initialize();
+  
+  const weatherEffectsSystem = ecs.registerSystem(WeatherEffectsSystem, 'weatherEffects');
+  weatherEffectsSystem.initialize(scene, camera);
+  
+  // Initialized by GameEngine once the terrain mesh and coverage engine exist
+  ecs.registerSystem(CoverageHeatmapSystem, 'coverageHeatmap');
+  
+  return renderSystem;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    simToScene,
+    sceneToSim,
+    headingToSceneRotation,
+    createTerrainGeometry,
+    interpolatePosition,
+    RenderSystem,
+    RFVisualizationSystem,
+    JammerEffectsSystem,
+    WeatherEffectsSystem,
+    CoverageHeatmapSystem,
+    registerRenderSystems
+  };
+}
@@ -2,917 +2,324 @@
  * SIGNAL WARFARE - ECS Systems
  * 
  * This file defines all systems that operate on entities with specific components.
- * Systems implement game logic and behavior.
+ * Systems implement game logic and behavior. They must not touch THREE.js or the
+ * DOM so the simulation can run headless; presentation lives in renderSystems.js.
  */
 
-// Render System - Handles rendering of entities in THREE.js
-class RenderSystem extends System {
-  constructor(entityManager) {
-    super(entityManager);
-    this.requiredComponents = [ComponentTypes.TRANSFORM, ComponentTypes.VISUAL];
-    this.scene = null;
-    this.renderer = null;
-    this.camera = null;
-  }
-  
-  initialize(scene, renderer, camera) {
-    this.scene = scene;
-    this.renderer = renderer;
-    this.camera = camera;
-    
-    // Listen for new entities with visual components
-    this.entityManager.addEventListener('componentAdded', (entityId, componentType, component) => {
-      if (componentType === ComponentTypes.VISUAL && this.entityManager.hasComponent(entityId, ComponentTypes.TRANSFORM)) {
-        this.initializeEntity(entityId);
-      }
-    });
-    
-    // Listen for removed entities
-    this.entityManager.addEventListener('entityDestroyed', (entityId) => {
-      this.removeEntity(entityId);
-    });
-    
-    // Initialize any existing entities
-    const entities = this.getProcessableEntities();
-    for (const entityId of entities) {
-      this.initializeEntity(entityId);
-    }
+if (typeof module !== 'undefined' && module.exports) {
+  var { CONFIG } = require('../config.js');
+  var { ComponentTypes } = require('./components.js');
+  var { System } = require('./ecs.js');
+  var {
+    hasLineOfSight,
+    calculateDeygoutLoss,
+    calculateEpsteinPetersonLoss,
+    calculateClutterLoss,
+    calculateGaseousAttenuation,
+    calculateRainAttenuation,
+    calculateNoiseFloor,
+    calculatePolarizationLoss,
+    dbmToMilliwatts,
+    milliwattsToDbm,
+    calculateBandwidthOverlap,
+    calculateSinr,
+    calculateLinkDegradation
+  } = require('../../rf/propagation.js');
+  var { getHopChannel, getSweepCenter } = require('../../rf/waveforms.js');
+  var { getSatellitePositions, getLookAngles, calculateDop } = require('../../rf/gnss.js');
+  var { antennaLibrary } = require('../../rf/antennas.js');
+  var { createOrbit } = require('../../ai/patterns.js');
+  var { Blackboard } = require('../../ai/behaviorTree.js');
+}
+
+// RF Propagation System - Handles RF signal propagation
+var RFPropagationSystem = class RFPropagationSystem extends System {
+  constructor(entityManager, ecs) {
+    super(entityManager, ecs);
+    this.requiredComponents = [ComponentTypes.TRANSFORM, ComponentTypes.RF_TRANSMITTER];
+    this.terrain = null;  // TerrainModel used by the 'TERRAIN' propagation model
+    this.fratricideRules = { ...CONFIG.mission.fratricide };
+    this.atmosphere = null;  // Fixed atmosphere overriding the weather system
+    
+    // Signal strength per link, kept until an endpoint or the environment changes
+    this.calculationCache = new Map();  // '<tx>_<rx>' -> dBm
+    this.entityLinks = new Map();       // Entity ID -> Set of cached link keys
+    this.linkStates = new Map();        // Entity ID -> link state signature
+    this.environmentState = null;
+    this.maxEmitterEirp = null;  // dBm of the strongest active transmitter at peak gain, each update
+    
+    entityManager.addEventListener('entityDestroyed', (entityId) => this.invalidateEntity(entityId));
   }
   
-  initializeEntity(entityId) {
-    const visualComponent = this.entityManager.getComponent(entityId, ComponentTypes.VISUAL);
-    
-    // Skip if already initialized or not visible
-    if (visualComponent.meshObject || !visualComponent.visible) return;
-    
-    // Get transform component
-    const transformComponent = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
-    
-    // Create the visual representation based on the model type
-    let mesh;
-    
-    if (visualComponent.model === 'jammer') {
-      // Create a jammer mesh (simple cube for now)
-      const geometry = new THREE.BoxGeometry(1, 1, 1);
-      const material = new THREE.MeshLambertMaterial({ 
-        color: visualComponent.color,
-        opacity: visualComponent.opacity,
-        transparent: visualComponent.opacity < 1
-      });
-      mesh = new THREE.Mesh(geometry, material);
-    } 
-    else if (visualComponent.model === 'drone') {
-      // Create a drone mesh (simple cone for now)
-      const geometry = new THREE.ConeGeometry(0.5, 2, 8);
-      const material = new THREE.MeshLambertMaterial({ 
-        color: visualComponent.color,
-        opacity: visualComponent.opacity,
-        transparent: visualComponent.opacity < 1
-      });
-      mesh = new THREE.Mesh(geometry, material);
-    }
-    else {
-      // Default: create a simple sphere
-      const geometry = new THREE.SphereGeometry(0.5, 16, 16);
-      const material = new THREE.MeshLambertMaterial({ 
-        color: visualComponent.color,
-        opacity: visualComponent.opacity,
-        transparent: visualComponent.opacity < 1
-      });
-      mesh = new THREE.Mesh(geometry, material);
+  // Set the friendly jamming rules (see CONFIG.mission.fratricide)
+  setFratricideRules(rules) {
+    this.fratricideRules = { ...CONFIG.mission.fratricide, ...rules };
+  }
+  
+  // Whether a transmitter is a jammer: a jammer asset or a drone's jamming payload
+  isJammer(entityId) {
+    return this.entityManager.hasComponent(entityId, ComponentTypes.JAMMER);
+  }
+  
+  // Whether a transmitter is the entity's own: itself, or a payload it carries
+  isOwnEmitter(transmitterId, entityId) {
+    if (transmitterId === entityId) {
+      return true;
     }
     
-    // Position the mesh
-    mesh.position.set(
-      transformComponent.position.x,
-      transformComponent.position.y,
-      transformComponent.position.z
-    );
-    
-    // Apply rotation (convert to radians)
-    mesh.rotation.y = THREE.MathUtils.degToRad(transformComponent.rotation);
-    
-    // Apply scale
-    mesh.scale.set(
-      transformComponent.scale.x,
-      transformComponent.scale.y,
-      transformComponent.scale.z
-    );
-    
-    // Store reference and add to scene
-    visualComponent.meshObject = mesh;
-    this.scene.add(mesh);
+    const jammerComponent = this.entityManager.getComponent(transmitterId, ComponentTypes.JAMMER);
+    return Boolean(jammerComponent && jammerComponent.carrierId === entityId);
   }
   
-  removeEntity(entityId) {
-    const visualComponent = this.entityManager.getComponent(entityId, ComponentTypes.VISUAL);
-    
-    // Skip if no mesh or already removed
-    if (!visualComponent || !visualComponent.meshObject) return;
-    
-    // Remove from scene
-    this.scene.remove(visualComponent.meshObject);
+  // Whether two entities are on the same (non-neutral) team
+  isSameTeam(entityA, entityB) {
+    const teamA = this.entityManager.getComponent(entityA, ComponentTypes.TEAM);
+    const teamB = this.entityManager.getComponent(entityB, ComponentTypes.TEAM);
     
-    // Dispose of geometries and materials
-    if (visualComponent.meshObject.geometry) {
-      visualComponent.meshObject.geometry.dispose();
-    }
-    
-    if (visualComponent.meshObject.material) {
-      if (Array.isArray(visualComponent.meshObject.material)) {
-        visualComponent.meshObject.material.forEach(material => material.dispose());
-      } else {
-        visualComponent.meshObject.material.dispose();
+    return Boolean(teamA && teamB && teamA.team === teamB.team && teamA.team !== 'NEUTRAL');
+  }
+  
+  // Set the terrain heightfield used for line-of-sight and diffraction
+  setTerrain(terrain) {
+    this.terrain = terrain;
+    this.clearLinkCache();
+  }
+  
+  // Forget every cached link
+  clearLinkCache() {
+    this.calculationCache.clear();
+    this.entityLinks.clear();
+  }
+  
+  // Forget the cached links an entity is an endpoint of
+  invalidateEntity(entityId) {
+    const links = this.entityLinks.get(entityId);
+    if (links) {
+      for (const cacheKey of links) {
+        this.calculationCache.delete(cacheKey);
       }
+      this.entityLinks.delete(entityId);
     }
     
-    visualComponent.meshObject = null;
+    this.linkStates.delete(entityId);
   }
   
-  processEntity(entityId, deltaTime) {
-    const visualComponent = this.entityManager.getComponent(entityId, ComponentTypes.VISUAL);
-    const transformComponent = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
-    
-    // Skip if no mesh or not visible
-    if (!visualComponent.meshObject || !visualComponent.visible) return;
-    
-    // Update position
-    visualComponent.meshObject.position.set(
-      transformComponent.position.x,
-      transformComponent.position.y,
-      transformComponent.position.z
-    );
-    
-    // Update rotation (convert to radians)
-    visualComponent.meshObject.rotation.y = THREE.MathUtils.degToRad(transformComponent.rotation);
-    
-    // Update scale
-    visualComponent.meshObject.scale.set(
-      transformComponent.scale.x,
-      transformComponent.scale.y,
-      transformComponent.scale.z
-    );
-    
-    // Update visibility
-    visualComponent.meshObject.visible = visualComponent.visible;
-    
-    // Update opacity and color if material exists
-    if (visualComponent.meshObject.material) {
-      visualComponent.meshObject.material.opacity = visualComponent.opacity;
-      visualComponent.meshObject.material.transparent = visualComponent.opacity < 1;
-      visualComponent.meshObject.material.color.set(visualComponent.color);
+  // Signature of everything about an entity that its cached links depend on
+  getLinkState(entityId) {
+    const { position } = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
+    let state = `${position.x},${position.y},${position.z}`;
+    
+    for (const componentType of [ComponentTypes.RF_TRANSMITTER, ComponentTypes.RF_RECEIVER]) {
+      const rf = this.entityManager.getComponent(entityId, componentType);
+      if (rf) {
+        state += `|${rf.frequency},${rf.modulation},${rf.bandwidth},${rf.centerOffset},${rf.power},` +
+                 `${rf.antenna},${rf.antennaHeading},${rf.antennaTilt},${rf.polarization},${rf.polarizationAngle}`;
+      }
     }
+    
+    return state;
   }
   
-  render() {
-    if (this.renderer && this.scene && this.camera) {
-      // Use standard rendering for now
-      this.renderer.render(this.scene, this.camera);
-      
-      // Post-processing disabled for compatibility
-      /*
-      // Check if we have a composer (for post-processing)
-      if (window.gameEngine && window.gameEngine.composer) {
-        window.gameEngine.composer.render();
-      } else {
-        this.renderer.render(this.scene, this.camera);
+  // Drop cached links whose endpoints moved or changed settings since the last
+  // update, or all of them when the propagation model changed or the weather
+  // moved a CONFIG.rf.cacheWeatherStep
+  refreshLinkCache(entityIds) {
+    const atmosphere = this.getAtmosphere();
+    const step = CONFIG.rf.cacheWeatherStep;
+    const environmentState = `${CONFIG.rf.propagationModel},${CONFIG.rf.terrain.diffractionMethod},` +
+                             `${Math.round(atmosphere.waterVapourDensity / step.waterVapourDensity)},` +
+                             `${Math.round(atmosphere.rainRate / step.rainRate)}`;
+    
+    if (environmentState !== this.environmentState) {
+      this.environmentState = environmentState;
+      this.clearLinkCache();
+    }
+    
+    for (const entityId of entityIds) {
+      const state = this.getLinkState(entityId);
+      if (this.linkStates.get(entityId) !== state) {
+        this.invalidateEntity(entityId);
+        this.linkStates.set(entityId, state);
+        
+        // Entities moved since the tick started must be found by range queries
+        if (this.ecs) {
+          const { position } = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
+          this.ecs.spatialIndex.update(entityId, position.x, position.y);
+        }
       }
-      */
     }
   }
-}
-
-// RF Propagation System - Handles RF signal propagation
-class RFPropagationSystem extends System {
-  constructor(entityManager) {
-    super(entityManager);
-    this.requiredComponents = [ComponentTypes.TRANSFORM, ComponentTypes.RF_TRANSMITTER];
-    this.scene = null;
-    this.calculationCache = new Map();
-    this.visualizationObjects = new Map();
-    
-    // Signal colors
-    this.signalColors = {
-      strong: new THREE.Color(CONFIG.rf.signalColors.strong),
-      medium: new THREE.Color(CONFIG.rf.signalColors.medium),
-      weak: new THREE.Color(CONFIG.rf.signalColors.weak),
-      trace: new THREE.Color(CONFIG.rf.signalColors.trace)
-    };
-  }
   
-  initialize(scene) {
-    this.scene = scene;
+  // Distance in meters beyond which a transmitter stays below threshold (dBm) at
+  // any receiver with at most maxReceiveGain, given its peak antenna gain
+  getMaxDetectableRange(transmitterRF, threshold, maxReceiveGain) {
+    const pattern = transmitterRF.antenna ? antennaLibrary.getPattern(transmitterRF.antenna) : null;
     
-    // Listen for transmitter component changes
-    this.entityManager.addEventListener('componentAdded', (entityId, componentType, component) => {
-      if (componentType === ComponentTypes.RF_TRANSMITTER) {
-        this.updateTransmitterVisualization(entityId);
-      }
-    });
+    // Paths over water can beat free space loss by up to -minClutterLoss
+    const maxPathLoss = transmitterRF.power + (pattern ? pattern.peakGain : 0) + maxReceiveGain - threshold +
+                        Math.max(0, -CONFIG.rf.terrain.minClutterLoss);
     
-    // Listen for removed entities
-    this.entityManager.addEventListener('entityDestroyed', (entityId) => {
-      this.removeVisualization(entityId);
-    });
+    return this.getFreeSpaceRange(maxPathLoss, this.getEmission(transmitterRF, true).center);
   }
   
-  updateTransmitterVisualization(entityId) {
-    const transmitterComponent = this.entityManager.getComponent(entityId, ComponentTypes.RF_TRANSMITTER);
-    const transformComponent = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
-    
-    // Skip if transmitter is not active
-    if (!transmitterComponent.active) {
-      this.removeVisualization(entityId);
-      return;
+  // Distance in meters at which free space loss reaches maxPathLoss (dB) at
+  // frequency (MHz)
+  getFreeSpaceRange(maxPathLoss, frequency) {
+    // Inverse of calculateFSPL
+    const range = 1000 * Math.pow(10, (maxPathLoss - 20 * Math.log10(frequency) - 32.45) / 20);
+    
+    // Log-distance and two-ray loss only exceed free space loss beyond 1 km
+    return Math.max(range, 1000);
+  }
+  
+  // Antenna elevation in meters; ground equipment sits a mast height above the terrain
+  getAntennaElevation(position) {
+    if (!this.terrain) {
+      return position.z;
     }
     
-    // Remove existing visualization if any
-    this.removeVisualization(entityId);
+    const groundElevation = this.terrain.getElevation(position.x, position.y);
+    return Math.max(position.z, groundElevation + CONFIG.rf.terrain.antennaHeight);
+  }
+  
+  // Terrain obstruction and land cover between two positions
+  // Returns { lineOfSight, diffractionLoss, clutterLoss, clutterSegments }
+  // with losses in dB (positive) and the per-segment land cover breakdown
+  calculateTerrainPath(fromPosition, toPosition, frequency) {
+    if (!this.terrain) {
+      return { lineOfSight: true, diffractionLoss: 0, clutterLoss: 0, clutterSegments: [] };
+    }
     
-    // Get antenna properties
-    const antennaType = CONFIG.antennas.types[transmitterComponent.antenna];
+    const profile = this.terrain.sampleProfile(fromPosition, toPosition);
+    const txHeight = this.getAntennaElevation(fromPosition);
+    const rxHeight = this.getAntennaElevation(toPosition);
     
-    // Choose color based on power level
-    let color;
-    if (transmitterComponent.power >= -50) {
-      color = this.signalColors.strong;
-    } else if (transmitterComponent.power >= -70) {
-      color = this.signalColors.medium;
-    } else if (transmitterComponent.power >= -85) {
-      color = this.signalColors.weak;
+    let diffractionLoss;
+    if (CONFIG.rf.terrain.diffractionMethod === 'EPSTEIN_PETERSON') {
+      diffractionLoss = calculateEpsteinPetersonLoss(profile, txHeight, rxHeight, frequency);
     } else {
-      color = this.signalColors.trace;
+      diffractionLoss = calculateDeygoutLoss(profile, txHeight, rxHeight, frequency, CONFIG.rf.terrain.maxEdges);
     }
     
-    // Create geometry based on antenna type
-    let visualizationMesh;
+    const clutter = calculateClutterLoss(
+      profile, txHeight, rxHeight,
+      CONFIG.rf.terrain.clutterHeight,
+      CONFIG.rf.terrain.minClutterLoss
+    );
     
-    if (transmitterComponent.antenna === 'OMNI') {
-      // Omnidirectional - create sphere
-      const radius = 5 + (transmitterComponent.power + 100) * 0.5; // Scale radius by power
-      const geometry = new THREE.SphereGeometry(radius, 32, 16);
-      
-      // Create advanced shader material for pulsing effect
-      const material = new THREE.ShaderMaterial({
-        transparent: true,
-        uniforms: {
-          color: { value: color },
-          time: { value: 0.0 },
-          pulseSpeed: { value: 1.0 },
-          pulseIntensity: { value: 0.1 },
-          noiseScale: { value: 5.0 }  // Add noise scale for more complex animation
-        },
-        vertexShader: `
-          varying float vOpacity;
-          varying vec3 vPosition;
-          varying vec2 vUv;
-          
-          void main() {
-            vec4 modelViewPosition = modelViewMatrix * vec4(position, 1.0);
-            gl_Position = projectionMatrix * modelViewPosition;
-            
-            // Pass position to fragment shader
-            vPosition = position;
-            vUv = uv;
-            
-            // Fade from center to edge
-            vOpacity = 1.0 - (length(position) / ${radius.toFixed(1)});
-          }
-        `,
-        fragmentShader: `
-          uniform vec3 color;
-          uniform float time;
-          uniform float pulseSpeed;
-          uniform float pulseIntensity;
-          uniform float noiseScale;
-          
-          varying float vOpacity;
-          varying vec3 vPosition;
-          varying vec2 vUv;
-          
-          // Improved noise function for more organic look
-          float hash(vec2 p) {
-            return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
-          }
-          
-          float noise(vec2 p) {
-            vec2 i = floor(p);
-            vec2 f = fract(p);
-            f = f * f * (3.0 - 2.0 * f);
-            
-            float a = hash(i);
-            float b = hash(i + vec2(1.0, 0.0));
-            float c = hash(i + vec2(0.0, 1.0));
-            float d = hash(i + vec2(1.0, 1.0));
-            
-            return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
-          }
-          
-          void main() {
-            // Create complex pulsing effect with sin wave and noise
-            float pulse = pulseIntensity * sin(time * pulseSpeed);
-            
-            // Add noise variation
-            float noiseValue = noise(vUv * noiseScale + time * 0.5) * 0.2;
-            
-            // Apply pulse and noise to opacity
-            float opacity = vOpacity * (0.5 + pulse + noiseValue);
-            
-            // Apply radial gradient with noise variation
-            float gradient = smoothstep(0.0, 1.0, vOpacity + noiseValue);
-            
-            // Create edge glow effect with time variation
-            float edgeGlow = smoothstep(0.4 + 0.1 * sin(time), 0.5, vOpacity) * 0.5;
-            
-            // Final color with edge highlight
-            vec3 finalColor = mix(color * 1.8, color, gradient);
-            
-            // Add subtle electric blue highlights
-            finalColor += vec3(0.0, 0.1, 0.2) * edgeGlow * (0.8 + 0.2 * sin(time * 2.0));
-            
-            gl_FragColor = vec4(finalColor, opacity);
-          }
-        `
-      });
-      
-      // Create animation update function
-      const clock = new THREE.Clock();
-      
-      // Attach update function to material
-      material.userData = {
-        update: function(dt, mat) {
-          // Use material passed as argument to access uniforms
-          if (mat && mat.uniforms && mat.uniforms.time) {
-            mat.uniforms.time.value = clock.getElapsedTime();
-          }
-        },
-        material: material // Store reference to parent material
-      };
-      
-      visualizationMesh = new THREE.Mesh(geometry, material);
-      
-      // Create additional effect - multiple rings pulsing outward
-      const createRing = (size, speed, delay) => {
-        const ringGeometry = new THREE.RingGeometry(radius * size, radius * (size + 0.03), 32);
-        const ringMaterial = new THREE.MeshBasicMaterial({
-          color: color,
-          transparent: true,
-          opacity: 0.3,
-          side: THREE.DoubleSide,
-          blending: THREE.AdditiveBlending
-        });
-        
-        const ring = new THREE.Mesh(ringGeometry, ringMaterial);
-        ring.rotation.x = Math.PI / 2;
-        
-        // Animation for ring
-        ring.userData = {
-          initialScale: 0.1,
-          speed: speed,
-          timeOffset: delay,
-          update: function(delta, ring) {
-            // Only proceed if we have a valid ring object
-            if (!ring) return;
-            
-            const time = clock.getElapsedTime() + this.timeOffset;
-            
-            // Pulsing scale based on sin wave - ensure ring has scale property
-            if (ring.scale) {
-              ring.scale.x = 0.1 + Math.abs(Math.sin(time * this.speed)) * 2.5;
-              ring.scale.y = 0.1 + Math.abs(Math.sin(time * this.speed)) * 2.5;
-              ring.scale.z = 1;
-            }
-            
-            // Pulsing opacity - ensure ring has material property
-            if (ring.material) {
-              ring.material.opacity = 0.4 * (1 - Math.abs(Math.sin(time * this.speed)) / 3);
-            }
-          }
-        };
-        
-        // Initialize scale
-        ring.scale.set(0.1, 0.1, 1);
-        
-        return ring;
-      };
-      
-      // Add multiple rings with different speeds and delays
-      visualizationMesh.add(createRing(0.8, 0.5, 0));
-      visualizationMesh.add(createRing(0.85, 0.7, 1));
-      visualizationMesh.add(createRing(0.9, 0.4, 2));
-      
-      // Add particle effect for omnidirectional signal
-      const particleCount = 80;
-      const particleGeometry = new THREE.BufferGeometry();
-      const particlePositions = new Float32Array(particleCount * 3);
-      const particleSizes = new Float32Array(particleCount);
-      
-      // Create spherical particle distribution
-      for (let i = 0; i < particleCount; i++) {
-        // Spherical coordinates
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.random() * Math.PI;
-        const r = (0.7 + Math.random() * 0.3) * radius;
-        
-        // Convert to Cartesian
-        particlePositions[i * 3] = r * Math.sin(phi) * Math.cos(theta);
-        particlePositions[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
-        particlePositions[i * 3 + 2] = r * Math.cos(phi);
-        
-        // Varying particle sizes
-        particleSizes[i] = 2 + Math.random() * 3;
-      }
-      
-      particleGeometry.setAttribute('position', new THREE.BufferAttribute(particlePositions, 3));
-      particleGeometry.setAttribute('size', new THREE.BufferAttribute(particleSizes, 1));
-      
-      // Create glowing particle material
-      const particleMaterial = new THREE.PointsMaterial({
-        color: color,
-        transparent: true,
-        opacity: 0.6,
-        size: 3,
-        sizeAttenuation: true,
-        blending: THREE.AdditiveBlending
-      });
-      
-      const particles = new THREE.Points(particleGeometry, particleMaterial);
-      
-      // Animation for particles
-      particles.userData = {
-        startPositions: particlePositions.slice(), // Clone initial positions
-        speeds: Array(particleCount).fill().map(() => 0.2 + Math.random() * 0.3),
-        update: function(delta, obj) {
-          // Ensure we have a valid object with geometry
-          if (!obj || !obj.geometry || !obj.geometry.attributes || !obj.geometry.attributes.position) return;
-          
-          const time = clock.getElapsedTime();
-          const positions = obj.geometry.attributes.position.array;
-          
-          for (let i = 0; i < particleCount; i++) {
-            // Create pulsing movement based on sine waves with different frequencies
-            const xFactor = Math.sin(time * this.speeds[i] + i * 0.1);
-            const yFactor = Math.sin(time * this.speeds[i] + i * 0.2 + 1.3);
-            const zFactor = Math.sin(time * this.speeds[i] + i * 0.3 + 2.6);
-            
-            // Apply slight position variation around original position
-            positions[i * 3] = this.startPositions[i * 3] + xFactor * 5;
-            positions[i * 3 + 1] = this.startPositions[i * 3 + 1] + yFactor * 5;
-            positions[i * 3 + 2] = this.startPositions[i * 3 + 2] + zFactor * 5;
-          }
-          
-          // Make particles "breathe" by adjusting size
-          if (obj.geometry.attributes.size && obj.geometry.attributes.size.array) {
-            const sizes = obj.geometry.attributes.size.array;
-            for (let i = 0; i < particleCount; i++) {
-              sizes[i] = 2 + Math.random() * 3 + Math.sin(time * 2 + i) * 1;
-            }
-          }
-          
-          // Set needsUpdate flags
-          if (obj.geometry.attributes.position) {
-            obj.geometry.attributes.position.needsUpdate = true;
-          }
-          if (obj.geometry.attributes.size) {
-            obj.geometry.attributes.size.needsUpdate = true;
-          }
-        }
-      };
-      
-      // Add particles to visualization
-      visualizationMesh.add(particles);
-      
-      // Add central light source
-      const light = new THREE.PointLight(color, 1, radius * 2);
-      light.intensity = 0.8;
-      light.position.set(0, 0, 0);
-      
-      // Animation for light
-      light.userData = {
-        update: function(delta, light) {
-          // Ensure we have a valid light object
-          if (!light) return;
-          
-          const time = clock.getElapsedTime();
-          light.intensity = 0.6 + Math.sin(time * 2) * 0.2;
-        }
-      };
-      
-      visualizationMesh.add(light);
-    } 
-    else {
-      // Directional antenna - create cone
-      const height = 10 + (transmitterComponent.power + 100) * 1.0; // Scale height by power
-      const angle = (antennaType.beamWidth / 2) * Math.PI / 180; // Half angle in radians
-      const radius = height * Math.tan(angle);
-      
-      const geometry = new THREE.ConeGeometry(radius, height, 32, 1, true);
-      
-      // Rotate cone to point in heading direction
-      geometry.rotateX(Math.PI / 2);
-      geometry.rotateZ(THREE.MathUtils.degToRad(transmitterComponent.antennaHeading));
-      
-      // Create advanced shader material with wave pattern
-      const material = new THREE.ShaderMaterial({
-        transparent: true,
-        uniforms: {
-          color: { value: color },
-          time: { value: 0.0 },
-          waveSpeed: { value: 2.0 },
-          waveFrequency: { value: 6.0 },
-          waveAmplitude: { value: 0.1 },
-          noiseIntensity: { value: 0.15 }
-        },
-        vertexShader: `
-          varying float vOpacity;
-          varying vec3 vPosition;
-          varying vec2 vUv;
-          
-          void main() {
-            vec4 modelViewPosition = modelViewMatrix * vec4(position, 1.0);
-            gl_Position = projectionMatrix * modelViewPosition;
-            
-            // Pass values to fragment shader
-            vPosition = position;
-            vUv = uv;
-            
-            // Fade from base to tip
-            vOpacity = 1.0 - (position.y / ${height.toFixed(1)});
-          }
-        `,
-        fragmentShader: `
-          uniform vec3 color;
-          uniform float time;
-          uniform float waveSpeed;
-          uniform float waveFrequency;
-          uniform float waveAmplitude;
-          uniform float noiseIntensity;
-          
-          varying float vOpacity;
-          varying vec3 vPosition;
-          varying vec2 vUv;
-          
-          // Improved noise function
-          float hash(vec2 p) {
-            return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
-          }
-          
-          float noise(vec2 p) {
-            vec2 i = floor(p);
-            vec2 f = fract(p);
-            f = f * f * (3.0 - 2.0 * f);
-            
-            float a = hash(i);
-            float b = hash(i + vec2(1.0, 0.0));
-            float c = hash(i + vec2(0.0, 1.0));
-            float d = hash(i + vec2(1.0, 1.0));
-            
-            return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
-          }
-          
-          void main() {
-            // Create wave pattern with traveling waves
-            float wave = sin(vPosition.y * waveFrequency - time * waveSpeed) * waveAmplitude;
-            
-            // Add noise variation for more organic look
-            float noiseValue = noise(vUv * 5.0 + time * 0.5) * noiseIntensity;
-            
-            // Multiple wave patterns for complexity
-            float wave2 = cos(vPosition.y * waveFrequency * 1.5 - time * waveSpeed * 0.7) * waveAmplitude * 0.7;
-            
-            // Apply waves and noise to opacity
-            float opacity = vOpacity * (0.5 + wave + wave2 + noiseValue);
-            
-            // Create dynamic edge glow
-            float edge = smoothstep(0.0, 0.2 + 0.05 * sin(time), vOpacity) * 0.8;
-            
-            // Final color with edge glow and directional fading
-            vec3 finalColor = mix(color * 1.8, color, edge);
-            
-            // Add electric highlights based on position and time
-            float highlight = pow(vOpacity, 2.0) * (0.8 + 0.3 * sin(time * 3.0 + vPosition.y * 0.2));
-            finalColor += vec3(0.0, 0.1, 0.3) * highlight;
-            
-            gl_FragColor = vec4(finalColor, opacity);
-          }
-        `
-      });
-      
-      // Create animation update function
-      const clock = new THREE.Clock();
-      
-      // Attach update function to material
-      material.userData = {
-        update: function(dt, mat) {
-          // Use material passed as argument to access uniforms
-          if (mat && mat.uniforms && mat.uniforms.time) {
-            mat.uniforms.time.value = clock.getElapsedTime();
-          }
-        },
-        material: material // Store reference to parent material
-      };
-      
-      visualizationMesh = new THREE.Mesh(geometry, material);
-      
-      // Add directional light inside cone for glow effect
-      const light = new THREE.SpotLight(color, 2, height, angle * 2, 0.5, 2);
-      light.position.set(0, 0, 0);
-      light.target.position.set(0, height, 0);
-      visualizationMesh.add(light);
-      visualizationMesh.add(light.target);
-      
-      // Animation for light
-      light.userData = {
-        update: function(delta, light) {
-          // Ensure we have a valid light object
-          if (!light) return;
-          
-          const time = clock.getElapsedTime();
-          light.intensity = 1.5 + Math.sin(time * 3) * 0.5;
-        }
-      };
-      
-      // Add enhanced particle effects - 3 different particle systems
-      
-      // 1. Directional beam particles
-      const beamParticleCount = 80;
-      const beamGeometry = new THREE.BufferGeometry();
-      const beamPositions = new Float32Array(beamParticleCount * 3);
-      const beamSizes = new Float32Array(beamParticleCount);
-      const beamColors = new Float32Array(beamParticleCount * 3);
-      
-      // Create directional particles along cone
-      for (let i = 0; i < beamParticleCount; i++) {
-        const progress = i / beamParticleCount;
-        const distFromCenter = Math.random() * progress * radius * 0.8;
-        const angle = Math.random() * Math.PI * 2;
-        const xOffset = Math.cos(angle) * distFromCenter;
-        const zOffset = Math.sin(angle) * distFromCenter;
-        
-        beamPositions[i * 3] = xOffset;
-        beamPositions[i * 3 + 1] = progress * height * 0.97; // Distribute along height
-        beamPositions[i * 3 + 2] = zOffset;
-        
-        // Size decreases toward the tip
-        beamSizes[i] = (1 - progress) * 6 + 2;
-        
-        // Color variation based on signal strength
-        if (progress < 0.3) {
-          // Brightest near source (white-ish)
-          beamColors[i * 3] = color.r + 0.3;
-          beamColors[i * 3 + 1] = color.g + 0.3;
-          beamColors[i * 3 + 2] = color.b + 0.3;
-        } else {
-          // Transition to signal color
-          beamColors[i * 3] = color.r;
-          beamColors[i * 3 + 1] = color.g;
-          beamColors[i * 3 + 2] = color.b;
-        }
-      }
-      
-      beamGeometry.setAttribute('position', new THREE.BufferAttribute(beamPositions, 3));
-      beamGeometry.setAttribute('size', new THREE.BufferAttribute(beamSizes, 1));
-      beamGeometry.setAttribute('color', new THREE.BufferAttribute(beamColors, 3));
-      
-      // Create particle material with custom shader for glowing particles
-      const beamParticleMaterial = new THREE.ShaderMaterial({
-        uniforms: {
-          time: { value: 0 },
-          pointTexture: { value: null } // We'll use a simple programmatic texture
-        },
-        vertexShader: `
-          attribute float size;
-          attribute vec3 color;
-          varying vec3 vColor;
-          uniform float time;
-          
-          void main() {
-            vColor = color;
-            
-            // Calculate position with slight movement
-            vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
-            
-            // Size attenuation
-            gl_PointSize = size * (300.0 / -mvPosition.z);
-            gl_Position = projectionMatrix * mvPosition;
-          }
-        `,
-        fragmentShader: `
-          varying vec3 vColor;
-          
-          void main() {
-            // Create circular particle with soft edge
-            float r = 0.5;
-            vec2 uv = gl_PointCoord - vec2(0.5);
-            float dist = length(uv);
-            
-            if (dist > r) {
-                discard;
-            }
-            
-            // Soft gradient for particle
-            float alpha = 1.0 - smoothstep(0.0, r, dist);
-            
-            gl_FragColor = vec4(vColor, alpha);
-          }
-        `,
-        transparent: true,
-        depthTest: false,
-        blending: THREE.AdditiveBlending
-      });
-      
-      const beamParticles = new THREE.Points(beamGeometry, beamParticleMaterial);
-      
-      // Animation for beam particles
-      beamParticles.userData = {
-        originalPositions: beamPositions.slice(),
-        speeds: Array(beamParticleCount).fill().map(() => Math.random() * 0.3 + 0.1),
-        update: function(delta, particles) {
-          // Ensure we have a valid particles object with geometry
-          if (!particles || !particles.geometry || !particles.geometry.attributes || !particles.geometry.attributes.position) return;
-          
-          const time = clock.getElapsedTime();
-          const positions = particles.geometry.attributes.position.array;
-          
-          // Update particle positions with flowing motion
-          for (let i = 0; i < beamParticleCount; i++) {
-            const progress = i / beamParticleCount;
-            
-            // Original position
-            const baseX = this.originalPositions[i * 3];
-            const baseY = this.originalPositions[i * 3 + 1];
-            const baseZ = this.originalPositions[i * 3 + 2];
-            
-            // Add flowing motion
-            const flowSpeed = this.speeds[i] * 50;
-            positions[i * 3 + 1] += flowSpeed * delta;
-            
-            // Spiral motion
-            const spiralFactor = Math.sin(time * 2 + i * 0.1) * 0.2;
-            positions[i * 3] = baseX + spiralFactor * (1 - progress) * radius * 0.3;
-            positions[i * 3 + 2] = baseZ + spiralFactor * (1 - progress) * radius * 0.3;
-            
-            // Reset when reaching the end
-            if (positions[i * 3 + 1] > height * 1.1) {
-              const distFromCenter = Math.random() * 0.2 * radius;
-              const angle = Math.random() * Math.PI * 2;
-              
-              positions[i * 3] = Math.cos(angle) * distFromCenter;
-              positions[i * 3 + 1] = 0; // Start at base
-              positions[i * 3 + 2] = Math.sin(angle) * distFromCenter;
-            }
-          }
-          
-          // Make sizes pulse slightly
-          if (particles && particles.geometry && particles.geometry.attributes && 
-              particles.geometry.attributes.size && particles.geometry.attributes.size.array) {
-            const sizes = particles.geometry.attributes.size.array;
-            for (let i = 0; i < beamParticleCount; i++) {
-              const progress = i / beamParticleCount;
-              sizes[i] = (1 - progress) * 6 + 2 + Math.sin(time * 3 + i * 0.2) * 1;
-            }
-          }
-          
-          // Update shader time - ensure particles object has material with uniforms
-          if (particles && particles.material && particles.material.uniforms && particles.material.uniforms.time) {
-            particles.material.uniforms.time.value = time;
-          }
-          
-          // Update geometry
-          if (particles && particles.geometry) {
-            if (particles.geometry.attributes.position) {
-              particles.geometry.attributes.position.needsUpdate = true;
-            }
-            if (particles.geometry.attributes.size) {
-              particles.geometry.attributes.size.needsUpdate = true;
-            }
-          }
-        }
-      };
-      
-      // 2. Wave rings at base of cone
-      const createWaveRing = (size, speed, delay, opacity) => {
-        const ringGeometry = new THREE.RingGeometry(radius * size, radius * (size + 0.05), 32);
-        const ringMaterial = new THREE.MeshBasicMaterial({
-          color: color,
-          transparent: true,
-          opacity: opacity,
-          side: THREE.DoubleSide,
-          blending: THREE.AdditiveBlending
-        });
-        
-        const ring = new THREE.Mesh(ringGeometry, ringMaterial);
-        
-        // Animation for ring
-        ring.userData = {
-          speed: speed,
-          timeOffset: delay,
-          update: function(delta, obj) {
-            // Ensure we have a valid object with material and scale
-            if (!obj) return;
-            
-            const time = clock.getElapsedTime() + this.timeOffset;
-            
-            // Pulsing opacity - ensure object has material
-            if (obj.material) {
-              obj.material.opacity = opacity * (0.5 + Math.sin(time * this.speed) * 0.5);
-            }
-            
-            // Slight size variation - ensure object has scale
-            if (obj.scale) {
-              const scaleFactor = 1 + Math.sin(time * this.speed * 0.5) * 0.1;
-              obj.scale.set(scaleFactor, scaleFactor, 1);
-            }
-          }
-        };
-        
-        return ring;
-      };
-      
-      // Create multiple wave rings and position at base of cone
-      const waveRings = new THREE.Group();
-      waveRings.position.set(0, 0, 0);
-      
-      // Add several rings with different speeds
-      waveRings.add(createWaveRing(0.7, 1.5, 0, 0.4));
-      waveRings.add(createWaveRing(0.85, 2.2, 0.5, 0.3));
-      waveRings.add(createWaveRing(1.0, 1.8, 1.0, 0.2));
-      
-      // Rotate rings to face direction of cone
-      waveRings.rotation.x = Math.PI / 2;
-      
-      visualizationMesh.add(waveRings);
-      
-      // Rotate particles to match cone orientation
-      beamParticles.rotation.x = Math.PI / 2;
-      beamParticles.rotation.z = THREE.MathUtils.degToRad(transmitterComponent.antennaHeading);
-      
-      // Disable raycasting for particles
-      beamParticles.raycast = () => {};
-      
-      // Add particles to visualization mesh
-      visualizationMesh.add(beamParticles);
+    return {
+      lineOfSight: hasLineOfSight(profile, txHeight, rxHeight),
+      diffractionLoss,
+      clutterLoss: clutter.loss,
+      clutterSegments: clutter.segments
+    };
+  }
+  
+  // Check whether two entities can see each other over the terrain
+  hasLineOfSight(entityA, entityB) {
+    const transformA = this.entityManager.getComponent(entityA, ComponentTypes.TRANSFORM);
+    const transformB = this.entityManager.getComponent(entityB, ComponentTypes.TRANSFORM);
+    
+    if (!transformA || !transformB) {
+      return false;
     }
     
-    // Position the visualization
-    visualizationMesh.position.set(
-      transformComponent.position.x,
-      transformComponent.position.y,
-      transformComponent.position.z
-    );
+    if (!this.terrain) {
+      return true;
+    }
     
-    // Store and add to scene
-    transmitterComponent.visualizationObject = visualizationMesh;
-    this.visualizationObjects.set(entityId, visualizationMesh);
-    this.scene.add(visualizationMesh);
+    const profile = this.terrain.sampleProfile(transformA.position, transformB.position);
+    return hasLineOfSight(
+      profile,
+      this.getAntennaElevation(transformA.position),
+      this.getAntennaElevation(transformB.position)
+    );
   }
   
-  removeVisualization(entityId) {
-    // Get existing visualization
-    const visualization = this.visualizationObjects.get(entityId);
+  // Fix the atmosphere instead of following the weather system (null to follow it again)
+  setAtmosphere(atmosphere) {
+    this.atmosphere = atmosphere;
+  }
+  
+  // Current atmosphere: the fixed one, the weather system's, or the static CONFIG conditions
+  getAtmosphere() {
+    if (this.atmosphere) {
+      return this.atmosphere;
+    }
     
-    if (visualization) {
-      // Remove from scene
-      this.scene.remove(visualization);
-      
-      // Dispose of resources
-      if (visualization.geometry) {
-        visualization.geometry.dispose();
-      }
-      
-      if (visualization.material) {
-        visualization.material.dispose();
-      }
-      
-      // Remove from maps
-      this.visualizationObjects.delete(entityId);
-      
-      // Clear reference in component
-      const transmitterComponent = this.entityManager.getComponent(entityId, ComponentTypes.RF_TRANSMITTER);
-      if (transmitterComponent) {
-        transmitterComponent.visualizationObject = null;
-      }
+    const weather = this.ecs ? this.ecs.getSystem('weather') : null;
+    if (weather) {
+      return weather.getAtmosphere();
     }
+    
+    return {
+      conditions: CONFIG.rf.atmosphericConditions,
+      ...CONFIG.weather.conditions[CONFIG.rf.atmosphericConditions]
+    };
   }
   
-  // Calculate signal strength between transmitter and receiver
-  calculateSignalStrength(transmitterId, receiverId) {
-    // Create cache key for this calculation
-    const cacheKey = `${transmitterId}_${receiverId}`;
+  // Gaseous and rain attenuation over a path in dB (positive)
+  calculateAtmosphericLoss(distance, frequency) {
+    const atmosphere = this.getAtmosphere();
+    const specificAttenuation =
+      calculateGaseousAttenuation(frequency, atmosphere.waterVapourDensity) +
+      calculateRainAttenuation(frequency, atmosphere.rainRate);
+    
+    return specificAttenuation * distance / 1000;
+  }
+  
+  // Path loss breakdown between a transmitter and receiver for debugging
+  // Losses in dB (positive); terrain terms are only applied by the 'TERRAIN' model
+  getLinkBudget(transmitterId, receiverId) {
+    const transmitterRF = this.entityManager.getComponent(transmitterId, ComponentTypes.RF_TRANSMITTER);
+    const transmitterTransform = this.entityManager.getComponent(transmitterId, ComponentTypes.TRANSFORM);
+    const receiverTransform = this.entityManager.getComponent(receiverId, ComponentTypes.TRANSFORM);
     
-    // Check cache first
-    if (this.calculationCache.has(cacheKey)) {
-      return this.calculationCache.get(cacheKey);
+    if (!transmitterRF || !transmitterTransform || !receiverTransform) {
+      return null;
     }
     
+    const from = transmitterTransform.position;
+    const to = receiverTransform.position;
+    const distance = Math.sqrt(
+      Math.pow(from.x - to.x, 2) +
+      Math.pow(from.y - to.y, 2) +
+      Math.pow(from.z - to.z, 2)
+    );
+    const frequency = this.getEmission(transmitterRF, true).center;
+    const terrainPath = this.calculateTerrainPath(from, to, frequency);
+    const receiverRF = this.entityManager.getComponent(receiverId, ComponentTypes.RF_RECEIVER);
+    
+    return {
+      distance,
+      frequency,
+      freeSpaceLoss: -this.calculateFSPL(distance, frequency),
+      atmosphericLoss: this.calculateAtmosphericLoss(distance, frequency),
+      transmitGain: this.calculateAntennaGain(transmitterRF, from, to),
+      receiveGain: receiverRF ? this.calculateAntennaGain(receiverRF, to, from) : 0,
+      polarizationLoss: receiverRF ? calculatePolarizationLoss(
+        this.getPolarization(transmitterRF),
+        this.getPolarization(receiverRF),
+        transmitterRF.polarizationAngle,
+        receiverRF.polarizationAngle
+      ) : 0,
+      bandwidthLoss: receiverRF ? -10 * Math.log10(this.getBandwidthOverlap(transmitterRF, receiverRF)) : 0,
+      ...terrainPath,
+      signalStrength: this.calculateSignalStrength(transmitterId, receiverId)
+    };
+  }
+  
+  // Calculate signal strength between transmitter and receiver
+  calculateSignalStrength(transmitterId, receiverId) {
     // Get components
     const transmitterRF = this.entityManager.getComponent(transmitterId, ComponentTypes.RF_TRANSMITTER);
     const transmitterTransform = this.entityManager.getComponent(transmitterId, ComponentTypes.TRANSFORM);
     const receiverRF = this.entityManager.getComponent(receiverId, ComponentTypes.RF_RECEIVER);
     const receiverTransform = this.entityManager.getComponent(receiverId, ComponentTypes.TRANSFORM);
     
-    // Skip if not active or frequency mismatch
-    if (!transmitterRF.active || transmitterRF.frequency !== receiverRF.frequency) {
+    // Skip if not active or entirely outside the receiver's passband
+    const overlap = this.getBandwidthOverlap(transmitterRF, receiverRF);
+    if (!transmitterRF.active || overlap === 0) {
       return -Infinity;
     }
     
@@ -921,11 +328,113 @@ class RFPropagationSystem extends System {
       return -Infinity;
     }
     
+    // A receiver is matched to its wanted transmitter's waveform; of any other
+    // emission it only picks up the power inside its passband
+    const bandwidthLoss = transmitterId === receiverRF.wantedTransmitterId ? 0 : -10 * Math.log10(overlap);
+    
+    return this.getCachedLinkStrength(
+      `${transmitterId}_${receiverId}`,
+      transmitterId, transmitterRF, transmitterTransform.position,
+      receiverId, receiverRF, receiverTransform.position
+    ) - bandwidthLoss;
+  }
+  
+  // calculateLinkStrength between two entities, cached under cacheKey until
+  // either endpoint changes
+  getCachedLinkStrength(cacheKey, transmitterId, transmitterRF, from, receiverId, receiverRF, to) {
+    if (this.calculationCache.has(cacheKey)) {
+      return this.calculationCache.get(cacheKey);
+    }
+    
+    const signalStrength = this.calculateLinkStrength(transmitterRF, from, receiverRF, to);
+    
+    this.calculationCache.set(cacheKey, signalStrength);
+    for (const entityId of [transmitterId, receiverId]) {
+      if (!this.entityLinks.has(entityId)) {
+        this.entityLinks.set(entityId, new Set());
+      }
+      this.entityLinks.get(entityId).add(cacheKey);
+    }
+    
+    return signalStrength;
+  }
+  
+  // Spectrum a transmitter occupies: { modulation, center (MHz), bandwidth (Hz) }
+  // Hopping and swept transmitters occupy their current channel, or with averaged
+  // set, everything they cover over time
+  getEmission(transmitterRF, averaged = false) {
+    const band = CONFIG.rf.frequencyBands[transmitterRF.frequency];
+    const modulation = transmitterRF.modulation || band.modulation;
+    const bandwidth = transmitterRF.bandwidth || CONFIG.rf.modulations[modulation].bandwidth;
+    const { hopParameters, sweepParameters } = transmitterRF;
+    
+    // One channel at a time, or spread from the lowest to the highest channel
+    if (hopParameters.hopping) {
+      const hopSet = hopParameters.hopSet;
+      if (!averaged) {
+        return { modulation, center: hopSet[hopParameters.currentChannel], bandwidth: band.bandwidth };
+      }
+      
+      const low = Math.min(...hopSet);
+      const high = Math.max(...hopSet);
+      return { modulation, center: (low + high) / 2, bandwidth: (high - low) * 1e6 + band.bandwidth };
+    }
+    
+    if (sweepParameters.sweeping) {
+      const sweepBandwidth = bandwidth === 'CHANNEL' ? band.bandwidth : bandwidth;
+      if (!averaged) {
+        return { modulation, center: sweepParameters.currentCenter, bandwidth: sweepBandwidth };
+      }
+      
+      return {
+        modulation,
+        center: (sweepParameters.start + sweepParameters.end) / 2,
+        bandwidth: Math.abs(sweepParameters.end - sweepParameters.start) * 1e6 + sweepBandwidth
+      };
+    }
+    
+    // Band-wide emissions cover the band's range, and at least one channel
+    if (bandwidth === 'BAND') {
+      return {
+        modulation,
+        center: (band.range[0] + band.range[1]) / 2 + transmitterRF.centerOffset,
+        bandwidth: Math.max(band.bandwidth, (band.range[1] - band.range[0]) * 1e6)
+      };
+    }
+    
+    return {
+      modulation,
+      center: band.value + transmitterRF.centerOffset,
+      bandwidth: bandwidth === 'CHANNEL' ? band.bandwidth : bandwidth
+    };
+  }
+  
+  // Spectrum a receiver listens to: { center (MHz), bandwidth (Hz) }
+  getPassband(receiverRF) {
+    const band = CONFIG.rf.frequencyBands[receiverRF.frequency];
+    
+    return {
+      center: band.value + receiverRF.centerOffset,
+      bandwidth: receiverRF.bandwidth || band.bandwidth
+    };
+  }
+  
+  // Fraction (0-1) of a transmitter's power inside a receiver's passband
+  getBandwidthOverlap(transmitterRF, receiverRF) {
+    const emission = this.getEmission(transmitterRF);
+    const passband = this.getPassband(receiverRF);
+    
+    return calculateBandwidthOverlap(emission.center, emission.bandwidth, passband.center, passband.bandwidth);
+  }
+  
+  // Received power in dBm of a transmitter at a receiver from their RF components
+  // and antenna positions, whether or not the transmitter is on or tuned to the receiver
+  calculateLinkStrength(transmitterRF, from, receiverRF, to) {
     // Calculate distance
     const distance = Math.sqrt(
-      Math.pow(transmitterTransform.position.x - receiverTransform.position.x, 2) +
-      Math.pow(transmitterTransform.position.y - receiverTransform.position.y, 2) +
-      Math.pow(transmitterTransform.position.z - receiverTransform.position.z, 2)
+      Math.pow(from.x - to.x, 2) +
+      Math.pow(from.y - to.y, 2) +
+      Math.pow(from.z - to.z, 2)
     );
     
     // Skip if distance is zero (same position)
@@ -933,8 +442,8 @@ class RFPropagationSystem extends System {
       return transmitterRF.power;
     }
     
-    // Get frequency in MHz
-    const frequency = CONFIG.rf.frequencyBands[transmitterRF.frequency].value;
+    // Get frequency in MHz (hops and sweeps move it too little to matter)
+    const frequency = this.getEmission(transmitterRF, true).center;
     
     // Calculate path loss based on selected model
     let pathLoss = 0;
@@ -944,62 +453,87 @@ class RFPropagationSystem extends System {
         pathLoss = this.calculateFSPL(distance, frequency);
         break;
       case 'TWO_RAY':
-        pathLoss = this.calculateTwoRayGround(
-          distance, frequency, 
-          transmitterTransform.position.z, 
-          receiverTransform.position.z
-        );
+        pathLoss = this.calculateTwoRayGround(distance, frequency, from.z, to.z);
         break;
       case 'LOG_DISTANCE':
         pathLoss = this.calculateLogDistance(distance, frequency);
         break;
+      case 'TERRAIN': {
+        const terrainPath = this.calculateTerrainPath(from, to, frequency);
+        pathLoss = this.calculateFSPL(distance, frequency) -
+                   terrainPath.diffractionLoss -
+                   terrainPath.clutterLoss;
+        break;
+      }
       default:
         pathLoss = this.calculateFSPL(distance, frequency);
     }
     
+    // Apply gaseous and rain attenuation
+    pathLoss -= this.calculateAtmosphericLoss(distance, frequency);
+    
     // Apply transmitter power
     let signalStrength = transmitterRF.power + pathLoss;
     
-    // Apply antenna gains
-    const antennaType = CONFIG.antennas.types[transmitterRF.antenna];
-    if (antennaType) {
-      // Calculate angle between heading and receiver
-      let gainFactor = 1.0;
-      
-      if (transmitterRF.antenna !== 'OMNI') {
-        // Calculate angle between transmitter and receiver
-        const dx = receiverTransform.position.x - transmitterTransform.position.x;
-        const dy = receiverTransform.position.y - transmitterTransform.position.y;
-        const angleToReceiver = (Math.atan2(dy, dx) * 180 / Math.PI + 360) % 360;
-        
-        // Calculate angle difference
-        let angleDifference = Math.abs(angleToReceiver - transmitterRF.antennaHeading);
-        if (angleDifference > 180) {
-          angleDifference = 360 - angleDifference;
-        }
-        
-        // Calculate gain factor based on angle
-        const beamWidth = antennaType.beamWidth;
-        
-        if (angleDifference <= beamWidth / 2) {
-          // Within main beam
-          gainFactor = Math.pow(Math.cos(Math.PI * angleDifference / beamWidth), 2);
-        } else {
-          // Side lobe (simplified model)
-          gainFactor = Math.max(0.01, 0.2 * Math.pow(Math.cos(Math.PI * angleDifference / beamWidth), 2));
-        }
-      }
-      
-      // Apply antenna gain
-      signalStrength += antennaType.gainDbi * gainFactor;
-    }
+    // Apply transmit and receive antenna gains
+    signalStrength += this.calculateAntennaGain(transmitterRF, from, to);
+    signalStrength += this.calculateAntennaGain(receiverRF, to, from);
     
-    // Cache the result
-    this.calculationCache.set(cacheKey, signalStrength);
+    // Apply polarization mismatch between the two antennas
+    signalStrength -= calculatePolarizationLoss(
+      this.getPolarization(transmitterRF),
+      this.getPolarization(receiverRF),
+      transmitterRF.polarizationAngle,
+      receiverRF.polarizationAngle
+    );
     
     return signalStrength;
   }
   
+  // Gain in dBi of an RF component's antenna towards another position
+  // Looks the pattern up in the antenna library; no antenna means isotropic
+  calculateAntennaGain(rfComponent, fromPosition, toPosition) {
+    const pattern = rfComponent.antenna ? antennaLibrary.getPattern(rfComponent.antenna) : null;
+    if (!pattern) {
+      return 0;
+    }
+    
+    const dx = toPosition.x - fromPosition.x;
+    const dy = toPosition.y - fromPosition.y;
+    const dz = this.getAntennaElevation(toPosition) - this.getAntennaElevation(fromPosition);
+    
+    // Direction to the other end relative to the antenna boresight
+    const azimuth = Math.atan2(dy, dx) * 180 / Math.PI - rfComponent.antennaHeading;
+    const elevation = Math.atan2(dz, Math.sqrt(dx * dx + dy * dy)) * 180 / Math.PI - (rfComponent.antennaTilt || 0);
+    
+    return pattern.getGain(azimuth, elevation);
+  }
+  
+  // Antenna gain of an RF component toward a direction (unit vector, z up),
+  // e.g. of a satellite
+  calculateAntennaGainToward(rfComponent, direction) {
+    const pattern = rfComponent.antenna ? antennaLibrary.getPattern(rfComponent.antenna) : null;
+    if (!pattern) {
+      return 0;
+    }
+    
+    const horizontal = Math.sqrt(direction.x * direction.x + direction.y * direction.y);
+    const azimuth = Math.atan2(direction.y, direction.x) * 180 / Math.PI - rfComponent.antennaHeading;
+    const elevation = Math.atan2(direction.z, horizontal) * 180 / Math.PI - (rfComponent.antennaTilt || 0);
+    
+    return pattern.getGain(azimuth, elevation);
+  }
+  
+  // Polarization of an RF component: its own setting, else its antenna type's
+  getPolarization(rfComponent) {
+    if (rfComponent.polarization) {
+      return rfComponent.polarization;
+    }
+    
+    const antennaType = rfComponent.antenna ? CONFIG.antennas.types[rfComponent.antenna] : null;
+    return antennaType ? antennaType.polarization : null;
+  }
+  
   // Free Space Path Loss model
   calculateFSPL(distance, frequency) {
     // Convert distance to kilometers
@@ -1060,69 +594,142 @@ class RFPropagationSystem extends System {
     
     // Update pulse timing if pulsing
     if (transmitterComponent.pulseParameters.pulsing) {
-      // Toggle transmission state based on timing
-      const currentTime = Date.now();
+      // Toggle transmission state based on simulation time
+      const currentTime = this.ecs.clock.time * 1000;
       const cycleTime = transmitterComponent.pulseParameters.onTime + transmitterComponent.pulseParameters.offTime;
       const cyclePosition = currentTime % cycleTime;
       
-      const newTransmittingState = cyclePosition < transmitterComponent.pulseParameters.onTime;
-      
-      // If state changed, update visualization
-      if (newTransmittingState !== transmitterComponent.pulseParameters.currentlyTransmitting) {
-        transmitterComponent.pulseParameters.currentlyTransmitting = newTransmittingState;
-        this.updateTransmitterVisualization(entityId);
-      }
+      transmitterComponent.pulseParameters.currentlyTransmitting = 
+        cyclePosition < transmitterComponent.pulseParameters.onTime;
     }
     
-    // Check if visualization needs update
-    const visualizationObject = transmitterComponent.visualizationObject;
-    
-    if (transmitterComponent.active && !visualizationObject) {
-      // Create visualization
-      this.updateTransmitterVisualization(entityId);
-    } else if (!transmitterComponent.active && visualizationObject) {
-      // Remove visualization
-      this.removeVisualization(entityId);
+    // Move hopping and swept transmitters to their current channel
+    const { hopParameters, sweepParameters } = transmitterComponent;
+    if (hopParameters.hopping) {
+      hopParameters.currentChannel = getHopChannel(hopParameters, this.ecs.clock.time * 1000);
+    }
+    if (sweepParameters.sweeping) {
+      sweepParameters.currentCenter = getSweepCenter(sweepParameters, this.ecs.clock.time * 1000);
     }
   }
   
   // Process all RF receivers
   updateReceivers() {
-    // Clear cache for new calculations
-    this.calculationCache.clear();
-    
     // Get all transmitters and receivers
     const transmitters = this.getProcessableEntities();
     const receivers = this.entityManager.getEntitiesWithComponents(
       ComponentTypes.TRANSFORM, ComponentTypes.RF_RECEIVER
     );
+    const receiverSet = new Set(receivers);
     
-    // Reset all receivers
+    // Only recompute links whose endpoints changed
+    this.refreshLinkCache(new Set([...transmitters, ...receivers]));
+    
+    // Reset all receivers, noting the best antenna gain and sensitivity per passband
+    const passbands = new Map();
     for (const receiverId of receivers) {
       const receiverRF = this.entityManager.getComponent(receiverId, ComponentTypes.RF_RECEIVER);
       receiverRF.receivedSignals = [];
       receiverRF.currentSignalStrength = null;
-      receiverRF.jammedState = false;
+      receiverRF.friendlyJammers = [];
+      
+      const pattern = receiverRF.antenna ? antennaLibrary.getPattern(receiverRF.antenna) : null;
+      const passband = this.getPassband(receiverRF);
+      const passbandKey = `${passband.center},${passband.bandwidth}`;
+      const listeners = passbands.get(passbandKey) || { ...passband, maxGain: -Infinity, minSensitivity: Infinity };
+      listeners.maxGain = Math.max(listeners.maxGain, pattern ? pattern.peakGain : 0);
+      listeners.minSensitivity = Math.min(listeners.minSensitivity, receiverRF.sensitivity);
+      passbands.set(passbandKey, listeners);
     }
     
+    // Weakest signal that matters per passband: detectable, or not far below the noise
+    for (const listeners of passbands.values()) {
+      listeners.threshold = Math.min(
+        this.getNoiseFloor(listeners.bandwidth) - CONFIG.rf.cullingMargin,
+        listeners.minSensitivity
+      );
+    }
+    
+    const spatialIndex = this.ecs ? this.ecs.spatialIndex : null;
+    
+    // Interference power per receiver in milliwatts, in total and from friendly jammers
+    const interference = new Map();
+    const friendlyInterference = new Map();
+    
+    this.maxEmitterEirp = -Infinity;
+    
     // Calculate signal strength for each transmitter-receiver pair
     for (const transmitterId of transmitters) {
       const transmitterRF = this.entityManager.getComponent(transmitterId, ComponentTypes.RF_TRANSMITTER);
-      
-      // Skip inactive transmitters
       if (!transmitterRF.active) continue;
       
-      for (const receiverId of receivers) {
+      const transmitPattern = transmitterRF.antenna ? antennaLibrary.getPattern(transmitterRF.antenna) : null;
+      this.maxEmitterEirp = Math.max(this.maxEmitterEirp, transmitterRF.power + (transmitPattern ? transmitPattern.peakGain : 0));
+      
+      // Weakest emission that matters to a passband it overlaps, given the share
+      // of its power inside, and the best receive gain there
+      const emission = this.getEmission(transmitterRF);
+      let threshold = Infinity;
+      let maxGain = -Infinity;
+      for (const listeners of passbands.values()) {
+        const overlap = calculateBandwidthOverlap(
+          emission.center, emission.bandwidth, listeners.center, listeners.bandwidth
+        );
+        if (overlap === 0) continue;
+        
+        threshold = Math.min(threshold, listeners.threshold - 10 * Math.log10(overlap));
+        maxGain = Math.max(maxGain, listeners.maxGain);
+      }
+      
+      // Skip transmitters outside every passband
+      if (threshold === Infinity) continue;
+      
+      // Only receivers within range can detect the transmitter or notice it above the noise
+      let candidates = receivers;
+      if (spatialIndex) {
+        const range = this.getMaxDetectableRange(transmitterRF, threshold, maxGain);
+        const { position } = this.entityManager.getComponent(transmitterId, ComponentTypes.TRANSFORM);
+        candidates = spatialIndex.queryRadius(position.x, position.y, range);
+      }
+      
+      for (const receiverId of candidates) {
+        if (!receiverSet.has(receiverId)) continue;
+        
         const receiverRF = this.entityManager.getComponent(receiverId, ComponentTypes.RF_RECEIVER);
         
         // Calculate signal strength
         const signalStrength = this.calculateSignalStrength(transmitterId, receiverId);
         
+        // Every overlapping transmitter other than the wanted one interferes,
+        // even below sensitivity
+        if (signalStrength > -Infinity &&
+            !this.isOwnEmitter(transmitterId, receiverId) &&
+            transmitterId !== receiverRF.wantedTransmitterId) {
+          let interferenceStrength = signalStrength;
+          
+          // Friendly jammers are rejected by protected receivers, but warn
+          // with the power they would have without the rejection
+          if (this.isJammer(transmitterId) && this.isSameTeam(transmitterId, receiverId)) {
+            receiverRF.friendlyJammers.push(transmitterId);
+            friendlyInterference.set(
+              receiverId,
+              (friendlyInterference.get(receiverId) || 0) + dbmToMilliwatts(signalStrength)
+            );
+            
+            if (this.fratricideRules.mode === 'PROTECTED') {
+              interferenceStrength -= this.fratricideRules.protectionRejection;
+            }
+          }
+          
+          interference.set(receiverId, (interference.get(receiverId) || 0) + dbmToMilliwatts(interferenceStrength));
+        }
+        
         // If signal is detectable, add to receiver's signals
         if (signalStrength > receiverRF.sensitivity) {
           receiverRF.receivedSignals.push({
             transmitterId,
             frequency: transmitterRF.frequency,
+            modulation: emission.modulation,
             strength: signalStrength
           });
           
@@ -1130,71 +737,671 @@ class RFPropagationSystem extends System {
           if (receiverRF.currentSignalStrength === null || signalStrength > receiverRF.currentSignalStrength) {
             receiverRF.currentSignalStrength = signalStrength;
           }
+        }
+      }
+    }
+    
+    // Evaluate each receiver's wanted link against interference and noise
+    for (const receiverId of receivers) {
+      const receiverRF = this.entityManager.getComponent(receiverId, ComponentTypes.RF_RECEIVER);
+      const interferencePower = interference.get(receiverId);
+      
+      receiverRF.interferencePower = interferencePower ? milliwattsToDbm(interferencePower) : null;
+      this.updateLinkQuality(receiverId, receiverRF, friendlyInterference.get(receiverId));
+    }
+  }
+  
+  // Wanted signal strength at a receiver in dBm, null if it has no wanted link
+  getWantedSignalStrength(receiverId, receiverRF) {
+    if (receiverRF.wantedTransmitterId !== null) {
+      if (!this.entityManager.hasComponent(receiverRF.wantedTransmitterId, ComponentTypes.RF_TRANSMITTER)) {
+        return -Infinity;
+      }
+      
+      return this.calculateSignalStrength(receiverRF.wantedTransmitterId, receiverId);
+    }
+    
+    // Signals from outside the simulation, such as GNSS satellites
+    // (the nominal strength includes a typical receive antenna gain)
+    const band = CONFIG.rf.frequencyBands[receiverRF.frequency];
+    if (band.nominalSignalStrength === undefined) {
+      return null;
+    }
+    
+    return band.nominalSignalStrength - calculatePolarizationLoss(
+      band.polarization || null,
+      this.getPolarization(receiverRF),
+      0,
+      receiverRF.polarizationAngle
+    );
+  }
+  
+  // Thermal noise in dBm for a receiver bandwidth under the current weather
+  getNoiseFloor(bandwidth) {
+    return calculateNoiseFloor(bandwidth, CONFIG.rf.noiseFigure, this.getAtmosphere().noiseTemperature);
+  }
+  
+  // Compute SINR and link degradation for a receiver's wanted link
+  // friendlyInterference is the friendly jammer power in milliwatts, if any
+  updateLinkQuality(receiverId, receiverRF, friendlyInterference) {
+    const band = CONFIG.rf.frequencyBands[receiverRF.frequency];
+    
+    receiverRF.noiseFloor = this.getNoiseFloor(this.getPassband(receiverRF).bandwidth);
+    receiverRF.wantedSignalStrength = this.getWantedSignalStrength(receiverId, receiverRF);
+    
+    if (receiverRF.wantedSignalStrength === null) {
+      // Nothing to degrade
+      receiverRF.sinr = null;
+      receiverRF.degradation = 0;
+      receiverRF.friendlyDegradation = 0;
+      receiverRF.jammedState = false;
+      return;
+    }
+    
+    receiverRF.sinr = calculateSinr(
+      receiverRF.wantedSignalStrength,
+      receiverRF.interferencePower,
+      receiverRF.noiseFloor
+    );
+    receiverRF.degradation = calculateLinkDegradation(
+      receiverRF.sinr,
+      band.requiredSinr,
+      CONFIG.rf.degradationMargin
+    );
+    receiverRF.jammedState = receiverRF.degradation >= 1;
+    
+    // Degradation friendly jammers would cause on their own, before any
+    // PROTECTED rejection, so protected assets still warn
+    receiverRF.friendlyDegradation = friendlyInterference ? calculateLinkDegradation(
+      calculateSinr(receiverRF.wantedSignalStrength, milliwattsToDbm(friendlyInterference), receiverRF.noiseFloor),
+      band.requiredSinr,
+      CONFIG.rf.degradationMargin
+    ) : 0;
+  }
+  
+  // Power in milliwatts inside a channel { center (MHz), bandwidth (Hz) } at an
+  // entity from every other transmitting emitter but wantedId, received through
+  // the antenna of rf. Link strengths are cached under keys ending in keySuffix,
+  // which tells apart the antennas of an entity. With averaged set, hops, sweeps
+  // and pulses count with their average over time rather than their current state.
+  // Returns { power, jammers, friendlyPower, friendlyJammers }; friendlyPower is
+  // the power of the entity's own team's jammers before any PROTECTED rejection.
+  getChannelInterference(entityId, rf, position, channel, keySuffix = '', averaged = false, wantedId = null) {
+    let power = 0;
+    let friendlyPower = 0;
+    const jammers = [];
+    const friendlyJammers = [];
+    
+    // As in updateReceivers, emitters that cannot reach the channel above its
+    // noise floor minus the culling margin are left out. Once updateReceivers
+    // has found the strongest emitter, only those within its range are checked.
+    const pattern = rf.antenna ? antennaLibrary.getPattern(rf.antenna) : null;
+    const receiveGain = pattern ? pattern.peakGain : 0;
+    const threshold = this.getNoiseFloor(channel.bandwidth) - CONFIG.rf.cullingMargin;
+    let candidates = this.getProcessableEntities();
+    if (this.ecs && this.maxEmitterEirp !== null) {
+      const maxPathLoss = this.maxEmitterEirp + receiveGain - threshold + Math.max(0, -CONFIG.rf.terrain.minClutterLoss);
+      const range = this.getFreeSpaceRange(maxPathLoss, channel.center - channel.bandwidth / 2e6);
+      candidates = this.ecs.spatialIndex.queryRadius(position.x, position.y, range);
+    }
+    
+    for (const transmitterId of candidates) {
+      if (transmitterId === wantedId || this.isOwnEmitter(transmitterId, entityId)) continue;
+      
+      const transmitterRF = this.entityManager.getComponent(transmitterId, ComponentTypes.RF_TRANSMITTER);
+      if (!transmitterRF || !transmitterRF.active) continue;
+      
+      const pulse = transmitterRF.pulseParameters;
+      if (pulse.pulsing && !averaged && !pulse.currentlyTransmitting) continue;
+      const dutyCycle = pulse.pulsing && averaged ? pulse.onTime / (pulse.onTime + pulse.offTime) : 1;
+      
+      const emission = this.getEmission(transmitterRF, averaged);
+      const overlap = calculateBandwidthOverlap(emission.center, emission.bandwidth, channel.center, channel.bandwidth);
+      if (overlap === 0) continue;
+      
+      const transmitterTransform = this.entityManager.getComponent(transmitterId, ComponentTypes.TRANSFORM);
+      const dx = transmitterTransform.position.x - position.x;
+      const dy = transmitterTransform.position.y - position.y;
+      const range = this.getMaxDetectableRange(transmitterRF, threshold - 10 * Math.log10(overlap * dutyCycle), receiveGain);
+      if (dx * dx + dy * dy > range * range) continue;
+      
+      let strength = this.getCachedLinkStrength(
+        `${transmitterId}_${entityId}${keySuffix}`,
+        transmitterId, transmitterRF, transmitterTransform.position,
+        entityId, rf, position
+      ) + 10 * Math.log10(overlap * dutyCycle);
+      
+      if (this.isJammer(transmitterId)) {
+        if (this.isSameTeam(transmitterId, entityId)) {
+          friendlyJammers.push(transmitterId);
+          friendlyPower += dbmToMilliwatts(strength);
           
-          // Check if this is a jammer
-          if (this.entityManager.hasComponent(transmitterId, ComponentTypes.JAMMER)) {
-            const jammerComponent = this.entityManager.getComponent(transmitterId, ComponentTypes.JAMMER);
-            if (jammerComponent.active && jammerComponent.targetFrequency === receiverRF.frequency) {
-              receiverRF.jammedState = true;
-            }
+          if (this.fratricideRules.mode === 'PROTECTED') {
+            strength -= this.fratricideRules.protectionRejection;
           }
         }
+        jammers.push(transmitterId);
+      }
+      
+      power += dbmToMilliwatts(strength);
+    }
+    
+    return { power, jammers, friendlyPower, friendlyJammers };
+  }
+  
+  // Evaluate both directions of the control links on the current channel of
+  // each link radio. Runs after updateReceivers, which refreshed the link cache.
+  updateControlLinks(deltaTime) {
+    const links = this.entityManager.getEntitiesWithComponents(
+      ComponentTypes.TRANSFORM, ComponentTypes.RF_TRANSMITTER, ComponentTypes.CONTROL_LINK
+    );
+    if (links.length === 0) return;
+    
+    for (const entityId of links) {
+      const controlLink = this.entityManager.getComponent(entityId, ComponentTypes.CONTROL_LINK);
+      const radioRF = this.entityManager.getComponent(entityId, ComponentTypes.RF_TRANSMITTER);
+      const { position } = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
+      const channel = this.getEmission(radioRF);
+      const noiseFloor = this.getNoiseFloor(channel.bandwidth);
+      
+      // The station transmits and receives the radio's waveform, hopping in step with it
+      const stationId = controlLink.stationId;
+      const station = stationId !== null ? this.entityManager.getComponent(stationId, ComponentTypes.GROUND_STATION) : null;
+      const stationPosition = station ? this.entityManager.getComponent(stationId, ComponentTypes.TRANSFORM).position : null;
+      const stationRF = station ? {
+        ...radioRF, power: station.power, antenna: station.antenna, antennaHeading: 0, antennaTilt: 0
+      } : null;
+      
+      // Uplink: everything else on the channel interferes at the radio, through its antenna
+      const uplink = this.getChannelInterference(entityId, radioRF, position, channel, '_link');
+      this.updateLinkDirection(controlLink.uplink, station ? this.getCachedLinkStrength(
+        `${stationId}_${entityId}_uplink_${station.power}`,
+        stationId, stationRF, stationPosition, entityId, radioRF, position
+      ) : -Infinity, uplink, noiseFloor, controlLink.sensitivity, radioRF.frequency, deltaTime);
+      
+      // Downlink: everything but the radio interferes at the station; other
+      // drones it flies on the same channel collide with it
+      const downlink = station ? this.getChannelInterference(
+        stationId, stationRF, stationPosition, channel, `_link_${radioRF.frequency}`, false, entityId
+      ) : { power: 0, jammers: [], friendlyPower: 0, friendlyJammers: [] };
+      this.updateLinkDirection(controlLink.downlink, station ? this.getCachedLinkStrength(
+        `${entityId}_${stationId}_downlink`,
+        entityId, radioRF, position, stationId, stationRF, stationPosition
+      ) : -Infinity, downlink, noiseFloor, station ? station.sensitivity : 0, radioRF.frequency, deltaTime);
+      
+      controlLink.degradation = Math.max(controlLink.uplink.degradation, controlLink.downlink.degradation);
+      controlLink.jammers = [...new Set([...uplink.jammers, ...downlink.jammers])];
+      controlLink.friendlyDegradation = Math.max(
+        controlLink.uplink.friendlyDegradation, controlLink.downlink.friendlyDegradation
+      );
+      controlLink.friendlyJammers = [...new Set([...uplink.friendlyJammers, ...downlink.friendlyJammers])];
+      controlLink.jammedState = controlLink.uplink.jammedState || controlLink.downlink.jammedState;
+    }
+  }
+  
+  // Judge one direction of a control link from its wanted signal (dBm) and the
+  // interference { power (mW), jammers, friendlyPower, friendlyJammers } on the
+  // channel at its receiving end. Error correction and retries ride out
+  // occasional failed hops; the direction is lost once too many of them fail.
+  updateLinkDirection(direction, wantedSignalStrength, interference, noiseFloor, sensitivity, frequency, deltaTime) {
+    const { errorTime, maxHopErrorRate } = CONFIG.rf.controlLink;
+    const band = CONFIG.rf.frequencyBands[frequency];
+    
+    direction.wantedSignalStrength = wantedSignalStrength;
+    direction.interferencePower = interference.power > 0 ? milliwattsToDbm(interference.power) : null;
+    direction.noiseFloor = noiseFloor;
+    direction.sinr = calculateSinr(wantedSignalStrength, direction.interferencePower, noiseFloor);
+    direction.jammers = interference.jammers;
+    
+    const hopDegradation = wantedSignalStrength < sensitivity ? 1 :
+      calculateLinkDegradation(direction.sinr, band.requiredSinr, CONFIG.rf.degradationMargin);
+    direction.hopErrorRate += (hopDegradation - direction.hopErrorRate) * Math.min(1, deltaTime / errorTime);
+    direction.degradation = Math.min(1, direction.hopErrorRate / maxHopErrorRate);
+    direction.jammedState = direction.degradation >= 1;
+    
+    // The same for friendly jammers on their own, before any PROTECTED rejection
+    const friendlyHopDegradation = wantedSignalStrength < sensitivity || interference.friendlyPower === 0 ? 0 :
+      calculateLinkDegradation(
+        calculateSinr(wantedSignalStrength, milliwattsToDbm(interference.friendlyPower), noiseFloor),
+        band.requiredSinr,
+        CONFIG.rf.degradationMargin
+      );
+    direction.friendlyHopErrorRate += (friendlyHopDegradation - direction.friendlyHopErrorRate) *
+      Math.min(1, deltaTime / errorTime);
+    direction.friendlyDegradation = Math.min(1, direction.friendlyHopErrorRate / maxHopErrorRate);
+    direction.friendlyJammers = interference.friendlyJammers;
+  }
+  
+  update(deltaTime) {
+    // Process all entities first
+    super.update(deltaTime);
+    
+    // Then update all receivers and control links
+    this.updateReceivers();
+    this.updateControlLinks(deltaTime);
+  }
+};
+
+// GNSS System - Satellite navigation fixes of GNSS receivers
+// Tracks the satellites of each receiver's constellations that clear the terrain
+// and whose C/N0, against noise and jamming in their channel, reaches the
+// tracking threshold, and solves a fix from them
+class GNSSSystem extends System {
+  constructor(entityManager, ecs) {
+    super(entityManager, ecs);
+    this.requiredComponents = [ComponentTypes.GNSS_RECEIVER, ComponentTypes.RF_RECEIVER, ComponentTypes.TRANSFORM];
+    this.sky = null;  // { time, satellites } above the elevation mask
+  }
+  
+  // Satellites above the elevation mask over the simulation area:
+  // [{ constellation, prn, azimuth, elevation, direction }]
+  // They move slowly, so positions are refreshed once per fix update
+  getSky() {
+    const time = this.ecs.clock.time;
+    if (this.sky && time >= this.sky.time && time - this.sky.time < CONFIG.gnss.updateInterval) {
+      return this.sky.satellites;
+    }
+    
+    const satellites = [];
+    for (const [key, constellation] of Object.entries(CONFIG.gnss.constellations)) {
+      for (const position of getSatellitePositions(constellation, CONFIG.gnss.epoch + time)) {
+        const look = getLookAngles(CONFIG.gnss.origin, position);
+        if (look.elevation < CONFIG.gnss.elevationMask) continue;
+        
+        satellites.push({ constellation: key, prn: position.prn, ...look });
+      }
+    }
+    
+    this.sky = { time, satellites };
+    return satellites;
+  }
+  
+  processEntity(entityId, deltaTime) {
+    const gnss = this.entityManager.getComponent(entityId, ComponentTypes.GNSS_RECEIVER);
+    
+    gnss.updateTimer -= deltaTime;
+    if (gnss.updateTimer > 0) return;
+    
+    gnss.updateTimer = CONFIG.gnss.updateInterval;
+    this.updateFix(entityId, gnss);
+  }
+  
+  // Track satellites, authentic or counterfeit, and solve the receiver's fix
+  updateFix(entityId, gnss) {
+    const rfPropagation = this.ecs.getSystem('rfPropagation');
+    const receiverRF = this.entityManager.getComponent(entityId, ComponentTypes.RF_RECEIVER);
+    const transform = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
+    const { position } = transform;
+    const sky = this.getSky();
+    const tracking = {};  // Constellation -> satellites tracked
+    const spoofs = {};    // Captured constellation -> { spooferId, powerAnomaly }
+    
+    gnss.satellites = [];
+    gnss.status = {};
+    gnss.friendlyDegradation = 0;
+    gnss.friendlyJammers = [];
+    
+    for (const key of gnss.constellations) {
+      const band = CONFIG.rf.frequencyBands[CONFIG.gnss.constellations[key].frequency];
+      
+      // Tracking loops integrate over many hops and pulses, so jamming counts
+      // with its average power in the signal's channel
+      const { power: interference, jammers, friendlyPower, friendlyJammers } = rfPropagation.getChannelInterference(
+        entityId, receiverRF, position, { center: band.value, bandwidth: band.bandwidth }, '', true
+      );
+      const noise = dbmToMilliwatts(rfPropagation.getNoiseFloor(band.bandwidth));
+      const noiseDensity = milliwattsToDbm((noise + interference) / band.bandwidth);
+      const polarizationLoss = calculatePolarizationLoss(
+        band.polarization || null,
+        rfPropagation.getPolarization(receiverRF),
+        0,
+        receiverRF.polarizationAngle
+      );
+      
+      const status = {
+        visible: 0,
+        tracked: 0,
+        interferencePower: interference > 0 ? milliwattsToDbm(interference) : null,
+        jammed: false,
+        spoofed: false,
+        jammers,
+        friendlyDegradation: 0,
+        friendlyJammers
+      };
+      
+      // Each satellite arrives at the band's nominal strength, through the
+      // receive antenna's gain toward it
+      const satellites = sky.filter(satellite => satellite.constellation === key).map(satellite => ({
+        ...satellite,
+        carrier: band.nominalSignalStrength - polarizationLoss +
+          rfPropagation.calculateAntennaGainToward(receiverRF, satellite.direction)
+      }));
+      const authentic = satellites.filter(satellite =>
+        !rfPropagation.terrain || rfPropagation.terrain.hasSkyView(position, satellite.direction)
+      );
+      
+      // Share of the satellites trackable over the noise that friendly jammers
+      // alone, before any PROTECTED rejection, would lose
+      if (friendlyPower > 0) {
+        const quietDensity = milliwattsToDbm(noise / band.bandwidth);
+        const friendlyDensity = milliwattsToDbm((noise + friendlyPower) / band.bandwidth);
+        const trackable = authentic.filter(satellite =>
+          satellite.carrier - quietDensity >= CONFIG.gnss.trackingThreshold
+        );
+        const lost = trackable.filter(satellite =>
+          satellite.carrier - friendlyDensity < CONFIG.gnss.trackingThreshold
+        );
+        
+        status.friendlyDegradation = trackable.length > 0 ? lost.length / trackable.length : 0;
+        gnss.friendlyDegradation = Math.max(gnss.friendlyDegradation, status.friendlyDegradation);
+        gnss.friendlyJammers = [...new Set([...gnss.friendlyJammers, ...friendlyJammers])];
+      }
+      
+      // A spoofer replays the whole sky from where it stands, splitting its
+      // power between the replicas; they capture tracking when each beats
+      // the authentic signals by the capture margin
+      const spoof = satellites.length > 0 ? this.findSpoofer(entityId, receiverRF, position, key) : null;
+      let counterfeit = null;
+      if (spoof) {
+        const replica = spoof.strength - 10 * Math.log10(satellites.length);
+        const authenticCarrier = authentic.length > 0 ?
+          authentic.reduce((sum, satellite) => sum + satellite.carrier, 0) / authentic.length : -Infinity;
+        
+        if (replica - noiseDensity >= CONFIG.gnss.trackingThreshold &&
+            replica >= authenticCarrier + CONFIG.gnss.spoofing.captureMargin) {
+          counterfeit = replica;
+          
+          // Against the strength the receiver's gain toward each satellite
+          // would give it
+          const expected = satellites.reduce((sum, satellite) => sum + satellite.carrier, 0) / satellites.length;
+          spoofs[key] = { spooferId: spoof.spooferId, powerAnomaly: replica - expected };
+        }
       }
+      
+      tracking[key] = [];
+      for (const satellite of counterfeit !== null ? satellites : authentic) {
+        const cn0 = (counterfeit !== null ? counterfeit : satellite.carrier) - noiseDensity;  // dB-Hz
+        const tracked = cn0 >= CONFIG.gnss.trackingThreshold;
+        
+        status.visible++;
+        if (tracked) {
+          status.tracked++;
+          tracking[key].push(satellite);
+        }
+        
+        gnss.satellites.push({
+          constellation: key,
+          prn: satellite.prn,
+          azimuth: satellite.azimuth,
+          elevation: satellite.elevation,
+          cn0,
+          tracked,
+          counterfeit: counterfeit !== null
+        });
+      }
+      
+      status.jammed = status.visible > 0 && status.tracked === 0;
+      status.spoofed = counterfeit !== null;
+      gnss.status[key] = status;
+    }
+    
+    this.updateSpoof(gnss, spoofs, tracking, transform);
+    
+    // Counterfeits recognised as such are left out of the solution
+    const used = [];
+    for (const [key, satellites] of Object.entries(tracking)) {
+      if (spoofs[key] && gnss.spoofDetected) continue;
+      used.push(...satellites);
+    }
+    
+    // Each constellation in the solution adds its own receiver clock offset
+    const clocks = [...new Set(used.map(satellite => satellite.constellation))];
+    const geometry = used.map(satellite => ({
+      direction: satellite.direction,
+      clock: clocks.indexOf(satellite.constellation)
+    }));
+    
+    // A 3D fix, else a 2D fix with the altitude held
+    let fix = 'NONE';
+    let dop = null;
+    if (geometry.length >= 3 + clocks.length) {
+      dop = calculateDop(geometry);
+      fix = dop ? '3D' : fix;
     }
+    if (!dop && geometry.length >= 2 + clocks.length) {
+      dop = calculateDop(geometry, true);
+      fix = dop ? '2D' : fix;
+    }
+    
+    const { fixDegradation, goodHdop, maxHdop, uere } = CONFIG.gnss;
+    gnss.fix = fix;
+    gnss.satellitesUsed = dop ? geometry.length : 0;
+    gnss.hdop = dop ? dop.hdop : null;
+    gnss.pdop = dop ? dop.pdop : null;
+    gnss.horizontalError = dop ? uere * dop.hdop : null;
+    gnss.degradation = dop ?
+      Math.min(1, Math.max(fixDegradation[fix], (dop.hdop - goodHdop) / (maxHdop - goodHdop))) :
+      fixDegradation.NONE;
+    
+    // A solution mixing counterfeit and authentic satellites lands part way
+    // between the spoofed and the true position
+    const share = dop ? used.filter(satellite => spoofs[satellite.constellation]).length / used.length : 0;
+    gnss.positionOffset = { x: gnss.spoofOffset.x * share, y: gnss.spoofOffset.y * share };
   }
   
-  update(deltaTime) {
-    super.update(deltaTime);
+  // Strongest hostile spoofer replaying a constellation at a receiver:
+  // { spooferId, strength } with strength in dBm, null if none.
+  // Receivers know their own side's counterfeits.
+  findSpoofer(entityId, receiverRF, position, constellation) {
+    const rfPropagation = this.ecs.getSystem('rfPropagation');
+    const { frequency } = CONFIG.gnss.constellations[constellation];
+    const band = CONFIG.rf.frequencyBands[frequency];
+    let spoof = null;
+    
+    const jammers = this.entityManager.getEntitiesWithComponents(
+      ComponentTypes.JAMMER, ComponentTypes.RF_TRANSMITTER, ComponentTypes.TRANSFORM
+    );
+    for (const jammerId of jammers) {
+      const jammerComponent = this.entityManager.getComponent(jammerId, ComponentTypes.JAMMER);
+      const jammerRF = this.entityManager.getComponent(jammerId, ComponentTypes.RF_TRANSMITTER);
+      if (jammerComponent.technique !== 'SPOOF' || !jammerRF.active || jammerRF.frequency !== frequency) continue;
+      if (rfPropagation.isSameTeam(jammerId, entityId)) continue;
+      
+      const emission = rfPropagation.getEmission(jammerRF);
+      const overlap = calculateBandwidthOverlap(emission.center, emission.bandwidth, band.value, band.bandwidth);
+      if (overlap === 0) continue;
+      
+      const jammerTransform = this.entityManager.getComponent(jammerId, ComponentTypes.TRANSFORM);
+      const strength = rfPropagation.getCachedLinkStrength(
+        `${jammerId}_${entityId}`,
+        jammerId, jammerRF, jammerTransform.position,
+        entityId, receiverRF, position
+      ) + 10 * Math.log10(overlap);
+      
+      if (!spoof || strength > spoof.strength) {
+        spoof = { spooferId: jammerId, strength };
+      }
+    }
     
-    // Process all entities first
-    const entities = this.getProcessableEntities();
-    for (const entityId of entities) {
-      this.processEntity(entityId, deltaTime);
+    return spoof;
+  }
+  
+  // Walk a captured receiver's counterfeit position and run its spoofing
+  // detection heuristics (see CONFIG.gnss.spoofing)
+  updateSpoof(gnss, spoofs, tracking, transform) {
+    const captured = Object.keys(spoofs);
+    if (captured.length === 0) {
+      gnss.spooferId = null;
+      gnss.spoofOffset = { x: 0, y: 0 };
+      gnss.spoofIndicators = { power: null, clock: null, consistency: null };
+      gnss.spoofDetected = false;
+      return;
     }
     
-    // Then update all receivers
-    this.updateReceivers();
+    const { spooferId } = spoofs[captured[0]];
+    const spoofer = this.entityManager.getComponent(spooferId, ComponentTypes.JAMMER);
+    const indicators = gnss.spoofIndicators;
+    
+    // On capture the counterfeit position starts at the true one, but the
+    // receiver clock steps by the counterfeit time's error
+    if (gnss.spooferId !== spooferId) {
+      gnss.spooferId = spooferId;
+      gnss.spoofOffset = { x: 0, y: 0 };
+      gnss.spoofDetected = false;
+      indicators.clock = Math.abs(spoofer.clockOffset);
+    }
+    
+    // Replicas stronger than satellites can be, and constellations left
+    // unspoofed disagreeing with the spoofed ones
+    indicators.power = Math.max(...captured.map(key => spoofs[key].powerAnomaly));
+    const crossCheck = Object.keys(tracking).some(key => !spoofs[key] && tracking[key].length > 0);
+    indicators.consistency = crossCheck ? Math.hypot(gnss.spoofOffset.x, gnss.spoofOffset.y) : null;
+    
+    const { powerAnomaly, clockJump, inconsistency } = CONFIG.gnss.spoofing;
+    const alarms = {
+      POWER: indicators.power > powerAnomaly,
+      CLOCK: indicators.clock > clockJump,
+      CONSISTENCY: indicators.consistency !== null && indicators.consistency > inconsistency
+    };
+    gnss.spoofDetected = gnss.spoofDetected || gnss.spoofDetection.some(heuristic => alarms[heuristic]);
+    if (gnss.spoofDetected) return;
+    
+    // The spoofer watches the receiver's course and walks the counterfeit
+    // position across it, which turns a drone steering by its fix toward
+    // the spoof target. A target behind gets the full step.
+    const target = spoofer.spoofTarget ||
+      this.entityManager.getComponent(spooferId, ComponentTypes.TRANSFORM).position;
+    const dx = target.x - transform.position.x;
+    const dy = target.y - transform.position.y;
+    const distance = Math.hypot(dx, dy);
+    if (distance === 0) return;
+    
+    const heading = transform.rotation * Math.PI / 180;
+    const course = { x: Math.cos(heading), y: Math.sin(heading) };
+    const along = (dx * course.x + dy * course.y) / distance;
+    let across = { x: dx / distance - along * course.x, y: dy / distance - along * course.y };
+    if (along < 0) {
+      const length = Math.hypot(across.x, across.y);
+      across = length > 0 ? { x: across.x / length, y: across.y / length } : { x: -course.y, y: course.x };
+    }
     
-    // Update visualization animations
-    this.updateVisualizations(deltaTime);
+    const step = CONFIG.jammers.techniques.SPOOF.pullRate * CONFIG.gnss.updateInterval;
+    gnss.spoofOffset.x -= across.x * step;
+    gnss.spoofOffset.y -= across.y * step;
+  }
+}
+
+// Navigation System - Position estimates of navigating entities
+// Dead-reckons each entity's inertial solution every tick and corrects it with
+// the entity's GNSS fix once per fix update. The estimate's error is kept
+// relative to the true position, which the entity itself never sees.
+class NavigationSystem extends System {
+  constructor(entityManager, ecs) {
+    super(entityManager, ecs);
+    this.requiredComponents = [ComponentTypes.NAVIGATION, ComponentTypes.TRANSFORM];
   }
   
-  // Update all visualization animations
-  updateVisualizations(deltaTime) {
-    // Update each visualization mesh
-    this.visualizationObjects.forEach((mesh) => {
-      // Update main mesh material if it has an update function
-      if (mesh.material && mesh.material.userData && mesh.material.userData.update) {
-        // Pass the material as second argument so the update function can access uniforms
-        mesh.material.userData.update(deltaTime, mesh.material);
+  processEntity(entityId, deltaTime) {
+    const navigation = this.entityManager.getComponent(entityId, ComponentTypes.NAVIGATION);
+    const { position } = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
+    const gnss = this.entityManager.getComponent(entityId, ComponentTypes.GNSS_RECEIVER);
+    
+    if (gnss && gnss.fix !== 'NONE') {
+      navigation.source = 'GNSS';
+      navigation.insTime = 0;
+      
+      navigation.fixTimer -= deltaTime;
+      if (navigation.fixTimer <= 0) {
+        navigation.fixTimer = CONFIG.gnss.updateInterval;
+        this.correct(navigation, gnss);
+      }
+    } else {
+      // Losing the fix leaves the inertial unit's bias uncorrected
+      if (navigation.source !== 'INS') {
+        const direction = this.ecs.random.range(0, 2 * Math.PI);
+        navigation.source = 'INS';
+        navigation.bias = {
+          x: Math.cos(direction) * navigation.insDrift,
+          y: Math.sin(direction) * navigation.insDrift
+        };
       }
       
-      // Update child objects (rings, particles, etc.)
-      mesh.children.forEach(child => {
-        if (child.userData && child.userData.update) {
-          // Handle both update patterns - with and without material
-          if (child.material) {
-            child.userData.update(deltaTime, child);
-          } else {
-            child.userData.update(deltaTime);
-          }
-        }
-      });
-    });
+      navigation.insTime += deltaTime;
+      navigation.velocityError.x += navigation.bias.x * deltaTime;
+      navigation.velocityError.y += navigation.bias.y * deltaTime;
+      navigation.error.x += navigation.velocityError.x * deltaTime;
+      navigation.error.y += navigation.velocityError.y * deltaTime;
+      navigation.uncertainty = Math.max(
+        navigation.uncertainty,
+        0.5 * navigation.insDrift * navigation.insTime * navigation.insTime
+      );
+    }
+    
+    navigation.position = {
+      x: position.x + navigation.error.x,
+      y: position.y + navigation.error.y,
+      z: position.z
+    };
+  }
+  
+  // Blend a GNSS fix into the estimate. The fix is off the truth by its
+  // noise, worse under jamming, and by any spoofing offset.
+  correct(navigation, gnss) {
+    const jammed = Object.values(gnss.status).some(status => status.jammed);
+    const sigma = gnss.horizontalError * (jammed ? CONFIG.drones.ai.jammedErrorFactor : 1);
+    
+    // Horizontal noise of that RMS error
+    const radius = sigma * Math.sqrt(-Math.log(1 - this.ecs.random.next()));
+    const angle = this.ecs.random.range(0, 2 * Math.PI);
+    const fixError = {
+      x: gnss.positionOffset.x + radius * Math.cos(angle),
+      y: gnss.positionOffset.y + radius * Math.sin(angle)
+    };
+    
+    const gain = CONFIG.navigation.gnssGain;
+    navigation.error.x += gain * (fixError.x - navigation.error.x);
+    navigation.error.y += gain * (fixError.y - navigation.error.y);
+    navigation.velocityError.x *= 1 - gain;
+    navigation.velocityError.y *= 1 - gain;
+    navigation.uncertainty = sigma;
   }
 }
 
 // AI System - Manages AI behavior for drones and other entities
+// Entities move by commanding their kinematics, so AI entities need them
 class AISystem extends System {
-  constructor(entityManager) {
-    super(entityManager);
-    this.requiredComponents = [ComponentTypes.AI, ComponentTypes.TRANSFORM];
+  constructor(entityManager, ecs) {
+    super(entityManager, ecs);
+    this.requiredComponents = [ComponentTypes.AI, ComponentTypes.TRANSFORM, ComponentTypes.KINEMATICS];
+    
+    // What each team's behavior trees share, e.g. contacts reported over control links
+    this.teamBlackboards = new Map();   // Team -> Blackboard
+    this.detonationListeners = [];
+    entityManager.addEventListener('entityDestroyed', (entityId) => {
+      for (const blackboard of this.teamBlackboards.values()) {
+        const contacts = blackboard.get('contacts');
+        if (contacts) {
+          contacts.delete(entityId);
+        }
+      }
+    });
+  }
+  
+  // Register a callback for drones expended on a warhead: callback(entityId, impact)
+  addDetonationListener(callback) {
+    this.detonationListeners.push(callback);
   }
   
   processEntity(entityId, deltaTime) {
     const aiComponent = this.entityManager.getComponent(entityId, ComponentTypes.AI);
     const transformComponent = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
     
+    // Skip entities destroyed earlier this tick
+    if (!aiComponent || !transformComponent) return;
+    
+    // Sweep the sensors for enemies
+    this.updateDetection(entityId, aiComponent, deltaTime);
+    
     // Process based on AI behavior type
     switch (aiComponent.behavior) {
       case 'patrol':
@@ -1206,10 +1413,16 @@ class AISystem extends System {
       case 'attack':
         this.processAttackBehavior(entityId, aiComponent, transformComponent, deltaTime);
         break;
+      case 'tree':
+        this.processBehaviorTree(entityId, aiComponent, deltaTime);
+        break;
       default:
         // Do nothing for unknown behavior
     }
     
+    // An attack can expend the entity
+    if (!this.entityManager.hasComponent(entityId, ComponentTypes.AI)) return;
+    
     // Process AI state machine
     this.processStateMachine(entityId, aiComponent, deltaTime);
   }
@@ -1223,20 +1436,29 @@ class AISystem extends System {
       if (aiComponent.confusionTimer <= 0) {
         aiComponent.state = 'idle';
         aiComponent.confusionLevel = 0;
-        aiComponent.lastStateChangeTime = Date.now();
+        aiComponent.lastStateChangeTime = this.ecs.clock.time;
       }
     }
     
-    // Check if entity has an RF receiver that is jammed
+    // Fly the lost-link procedure while the control link is down
+    if (this.entityManager.hasComponent(entityId, ComponentTypes.CONTROL_LINK)) {
+      this.updateLostLink(entityId, aiComponent, deltaTime);
+    }
+    
+    // Check if entity has an RF receiver degraded past its confusion threshold
     if (this.entityManager.hasComponent(entityId, ComponentTypes.RF_RECEIVER)) {
-      const receiverRF = this.entityManager.getComponent(entityId, ComponentTypes.RF_RECEIVER);
+      const degradation = this.getLinkDegradation(entityId);
       
-      if (receiverRF.jammedState && aiComponent.state !== 'confused') {
-        // Enter confused state
-        aiComponent.state = 'confused';
-        aiComponent.confusionLevel = 100;
+      if (degradation >= this.getConfusionThreshold(entityId)) {
+        if (aiComponent.state !== 'confused') {
+          // Enter confused state
+          aiComponent.state = 'confused';
+          aiComponent.lastStateChangeTime = this.ecs.clock.time;
+        }
+        
+        // Stay confused until the link has been clear for jammedDuration
+        aiComponent.confusionLevel = Math.max(aiComponent.confusionLevel, degradation * 100);
         aiComponent.confusionTimer = CONFIG.drones.ai.jammedDuration;
-        aiComponent.lastStateChangeTime = Date.now();
       }
     }
     
@@ -1246,49 +1468,152 @@ class AISystem extends System {
     }
   }
   
+  // Degradation of the navigation link of this entity; drones ignore bands they
+  // are not vulnerable on. A GNSS receiver's fix stands in for its RF receiver's
+  // single nominal signal. Entities with a navigation estimate fly on through
+  // GNSS loss on inertial navigation, so their fix does not count. Control link
+  // loss is met by the lost-link procedure instead (see updateLostLink).
+  getLinkDegradation(entityId) {
+    let degradation = 0;
+    
+    const gnss = this.entityManager.getComponent(entityId, ComponentTypes.GNSS_RECEIVER);
+    const receiverRF = this.entityManager.getComponent(entityId, ComponentTypes.RF_RECEIVER);
+    const navigating = this.entityManager.hasComponent(entityId, ComponentTypes.NAVIGATION);
+    if (gnss && !navigating) {
+      const vulnerable = gnss.constellations.some(constellation =>
+        this.isVulnerable(entityId, CONFIG.gnss.constellations[constellation].frequency)
+      );
+      if (vulnerable) {
+        degradation = gnss.degradation;
+      }
+    } else if (!gnss && receiverRF && this.isVulnerable(entityId, receiverRF.frequency)) {
+      degradation = receiverRF.degradation;
+    }
+    
+    return degradation;
+  }
+  
+  // Start the drone type's lost-link procedure once the control link has been
+  // lost for its timeout, and hand control back once the link is restored.
+  // CONTINUE keeps flying whatever the drone was doing.
+  updateLostLink(entityId, aiComponent, deltaTime) {
+    const controlLink = this.entityManager.getComponent(entityId, ComponentTypes.CONTROL_LINK);
+    const droneComponent = this.entityManager.getComponent(entityId, ComponentTypes.DRONE);
+    const lostLink = droneComponent ? CONFIG.drones.types[droneComponent.type].lostLink : null;
+    if (!lostLink) return;
+    
+    const { states } = CONFIG.drones.ai;
+    if (controlLink.jammedState) {
+      aiComponent.linkLossTime += deltaTime;
+      
+      if (aiComponent.linkLossTime >= lostLink.timeout && aiComponent.lostLinkBehavior === null &&
+          aiComponent.state !== states.DISABLED) {
+        aiComponent.lostLinkBehavior = lostLink.behavior;
+        if (lostLink.behavior !== 'CONTINUE') {
+          aiComponent.resumeState = aiComponent.state;
+          aiComponent.state = states.LOST_LINK;
+          aiComponent.lastStateChangeTime = this.ecs.clock.time;
+        }
+      }
+    } else {
+      aiComponent.linkLossTime = 0;
+      
+      if (aiComponent.lostLinkBehavior !== null) {
+        aiComponent.lostLinkBehavior = null;
+        if (aiComponent.state === states.LOST_LINK) {
+          aiComponent.state = aiComponent.resumeState;
+          aiComponent.lastStateChangeTime = this.ecs.clock.time;
+        }
+        aiComponent.resumeState = null;
+      }
+    }
+  }
+  
+  // Where a drone goes home to on lost link: its base, or its ground control station
+  getHomeLocation(entityId, droneComponent) {
+    if (droneComponent.baseLocation) {
+      return droneComponent.baseLocation;
+    }
+    
+    const controlLink = this.entityManager.getComponent(entityId, ComponentTypes.CONTROL_LINK);
+    const stationTransform = controlLink && controlLink.stationId !== null ?
+      this.entityManager.getComponent(controlLink.stationId, ComponentTypes.TRANSFORM) : null;
+    return stationTransform ? stationTransform.position : null;
+  }
+  
+  // Where an entity believes it is: its navigation estimate, if it has one
+  getNavigationPosition(entityId, transformComponent) {
+    const navigation = this.entityManager.getComponent(entityId, ComponentTypes.NAVIGATION);
+    
+    return navigation && navigation.position ? navigation.position : transformComponent.position;
+  }
+  
+  // Whether jamming a band affects an entity
+  isVulnerable(entityId, frequency) {
+    const droneComponent = this.entityManager.getComponent(entityId, ComponentTypes.DRONE);
+    if (droneComponent) {
+      const vulnerabilities = CONFIG.drones.types[droneComponent.type].jammingVulnerabilities;
+      if (vulnerabilities && !vulnerabilities.includes(frequency)) {
+        return false;
+      }
+    }
+    
+    return true;
+  }
+  
+  // Link degradation (0-1) at which an entity becomes confused
+  getConfusionThreshold(entityId) {
+    const droneComponent = this.entityManager.getComponent(entityId, ComponentTypes.DRONE);
+    const droneType = droneComponent ? CONFIG.drones.types[droneComponent.type] : null;
+    
+    if (droneType && droneType.confusionThreshold !== undefined) {
+      return droneType.confusionThreshold;
+    }
+    
+    return CONFIG.drones.ai.confusionThreshold;
+  }
+  
+  // Fly the drone through its kinematics (see KinematicsSystem): each state
+  // commands a heading, speed and altitude
   processDroneStateMachine(entityId, aiComponent, deltaTime) {
     const droneComponent = this.entityManager.getComponent(entityId, ComponentTypes.DRONE);
     const transformComponent = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
+    const kinematics = this.entityManager.getComponent(entityId, ComponentTypes.KINEMATICS);
+    
+    // Drones navigate by where they believe they are
+    const navigationPosition = this.getNavigationPosition(entityId, transformComponent);
+    
+    // Hold position at the drone's altitude unless the state flies somewhere
+    kinematics.commandedSpeed = 0;
+    kinematics.commandedAltitude = droneComponent.altitude;
     
     // Handle state transitions
     switch (aiComponent.state) {
       case 'confused':
         // Confused drone behavior
         if (CONFIG.drones.ai.confusedBehavior === 'random') {
-          // Random movement
-          if (Math.random() < 0.05) {
-            const randomAngle = Math.random() * 360;
-            transformComponent.rotation = randomAngle;
+          // Fly on at half speed, turning to a random heading about once a second
+          if (this.ecs.random.chance(Math.min(1, deltaTime))) {
+            kinematics.commandedHeading = this.ecs.random.range(0, 360);
           }
-          
-          // Move forward
-          const moveSpeed = droneComponent.speed * 0.5; // Half speed when confused
-          const angleRad = THREE.MathUtils.degToRad(transformComponent.rotation);
-          transformComponent.position.x += Math.cos(angleRad) * moveSpeed * 0.01;
-          transformComponent.position.y += Math.sin(angleRad) * moveSpeed * 0.01;
+          kinematics.commandedSpeed = droneComponent.speed * 0.5;
         } 
         else if (CONFIG.drones.ai.confusedBehavior === 'circle') {
-          // Circular pattern
-          const time = Date.now() / 1000;
-          const radius = 50;
-          const startX = transformComponent.position.x;
-          const startY = transformComponent.position.y;
-          
-          transformComponent.position.x = startX + radius * Math.cos(time);
-          transformComponent.position.y = startY + radius * Math.sin(time);
-          transformComponent.rotation = (time * 180 / Math.PI) % 360;
+          // Circle at half speed, turning as hard as the airframe allows
+          kinematics.commandedHeading = transformComponent.rotation + 90;
+          kinematics.commandedSpeed = droneComponent.speed * 0.5;
         }
         // Hover in place for 'hover' behavior (no movement)
         break;
-        
+      
       case 'patrol':
         // Patrol waypoints
         if (droneComponent.waypoints.length > 0) {
           // Check if we've reached the current waypoint
           const currentWaypoint = droneComponent.waypoints[0];
           const distance = Math.sqrt(
-            Math.pow(transformComponent.position.x - currentWaypoint.x, 2) + 
-            Math.pow(transformComponent.position.y - currentWaypoint.y, 2)
+            Math.pow(navigationPosition.x - currentWaypoint.x, 2) + 
+            Math.pow(navigationPosition.y - currentWaypoint.y, 2)
           );
           
           // If reached waypoint, move to next
@@ -1305,17 +1630,17 @@ class AISystem extends System {
             }
           } else {
             // Move toward waypoint
-            this.moveTowardTarget(transformComponent, currentWaypoint, droneComponent.speed);
+            this.moveTowardTarget(entityId, currentWaypoint, droneComponent.speed, navigationPosition);
           }
         }
         break;
-        
+      
       case 'returning':
         // Return to base
         if (droneComponent.baseLocation) {
           const distance = Math.sqrt(
-            Math.pow(transformComponent.position.x - droneComponent.baseLocation.x, 2) + 
-            Math.pow(transformComponent.position.y - droneComponent.baseLocation.y, 2)
+            Math.pow(navigationPosition.x - droneComponent.baseLocation.x, 2) + 
+            Math.pow(navigationPosition.y - droneComponent.baseLocation.y, 2)
           );
           
           // If reached base
@@ -1323,22 +1648,27 @@ class AISystem extends System {
             aiComponent.state = 'idle';
           } else {
             // Move toward base
-            this.moveTowardTarget(transformComponent, droneComponent.baseLocation, droneComponent.speed);
+            this.moveTowardTarget(entityId, droneComponent.baseLocation, droneComponent.speed, navigationPosition);
           }
         }
         break;
-        
+      
+      case CONFIG.drones.ai.states.LOST_LINK:
+        this.processLostLink(entityId, aiComponent, droneComponent, transformComponent, navigationPosition, deltaTime);
+        break;
+      
       case 'disabled':
         // Disabled drones don't move
+        kinematics.commandedAltitude = null;
         break;
-        
+      
       default:
         // Idle state
         // If drone has target, move toward it
         if (droneComponent.target) {
           const distance = Math.sqrt(
-            Math.pow(transformComponent.position.x - droneComponent.target.x, 2) + 
-            Math.pow(transformComponent.position.y - droneComponent.target.y, 2)
+            Math.pow(navigationPosition.x - droneComponent.target.x, 2) + 
+            Math.pow(navigationPosition.y - droneComponent.target.y, 2)
           );
           
           // If reached target
@@ -1346,7 +1676,7 @@ class AISystem extends System {
             droneComponent.target = null;
           } else {
             // Move toward target
-            this.moveTowardTarget(transformComponent, droneComponent.target, droneComponent.speed);
+            this.moveTowardTarget(entityId, droneComponent.target, droneComponent.speed, navigationPosition);
           }
         }
     }
@@ -1355,739 +1685,513 @@ class AISystem extends System {
     droneComponent.remainingTime -= deltaTime;
     if (droneComponent.remainingTime <= 0 && aiComponent.state !== 'disabled') {
       // Drone runs out of power
-      aiComponent.state = 'disabled';
-    }
-  }
-  
-  moveTowardTarget(transformComponent, target, speed) {
-    // Calculate direction to target
-    const dx = target.x - transformComponent.position.x;
-    const dy = target.y - transformComponent.position.y;
-    const angle = Math.atan2(dy, dx) * 180 / Math.PI;
-    
-    // Update rotation
-    transformComponent.rotation = angle;
-    
-    // Move toward target
-    const moveSpeed = speed * 0.01; // Scale speed per frame
-    transformComponent.position.x += Math.cos(angle * Math.PI / 180) * moveSpeed;
-    transformComponent.position.y += Math.sin(angle * Math.PI / 180) * moveSpeed;
-  }
-  
-  processPatrolBehavior(entityId, aiComponent, transformComponent, deltaTime) {
-    // Patrol behavior implementation
-  }
-  
-  processDefendBehavior(entityId, aiComponent, transformComponent, deltaTime) {
-    // Defend behavior implementation
-  }
-  
-  processAttackBehavior(entityId, aiComponent, transformComponent, deltaTime) {
-    // Attack behavior implementation
-  }
-}
-
-// Jammer System - Manages jammer entities
-class JammerSystem extends System {
-  constructor(entityManager) {
-    super(entityManager);
-    this.requiredComponents = [ComponentTypes.JAMMER, ComponentTypes.RF_TRANSMITTER];
-    
-    // Custom component storage for effects that aren't part of the official component types
-    this.customComponents = new Map();
-  }
-  
-  processEntity(entityId, deltaTime) {
-    const jammerComponent = this.entityManager.getComponent(entityId, ComponentTypes.JAMMER);
-    const transmitterComponent = this.entityManager.getComponent(entityId, ComponentTypes.RF_TRANSMITTER);
-    const visualComponent = this.entityManager.getComponent(entityId, ComponentTypes.VISUAL);
-    
-    // Ensure all required components exist
-    if (!jammerComponent || !transmitterComponent) return;
-    
-    // Update cooldown
-    if (jammerComponent.cooldownRemaining > 0) {
-      jammerComponent.cooldownRemaining -= deltaTime;
-      
-      // Clamp to zero
-      if (jammerComponent.cooldownRemaining < 0) {
-        jammerComponent.cooldownRemaining = 0;
-      }
-      
-      // Update cooldown visualization
-      if (visualComponent && visualComponent.meshObject) {
-        // Safely access jammer type configuration
-        const jammerType = jammerComponent.type || 'STANDARD';
-        
-        // Safely get cooldown duration
-        const cooldownConfig = CONFIG.jammers.types[jammerType];
-        if (!cooldownConfig) return;
-        
-        const cooldownDuration = cooldownConfig.cooldown || 5000; // Default 5s cooldown
-        const cooldownProgress = jammerComponent.cooldownRemaining / cooldownDuration;
-        
-        // Apply pulsing effect to jammer during cooldown
-        if (cooldownProgress > 0) {
-          // Pulse color between normal and red
-          const pulseRate = 3; // Pulses per second
-          const pulsePhase = (Math.sin(Date.now() * 0.01 * pulseRate) + 1) / 2; // 0 to 1
-          
-          // Safely get base color
-          const baseColor = cooldownConfig.color || new THREE.Color(0x00ffff);
-          const cooldownColor = new THREE.Color(
-            Math.min(1.0, baseColor.r + 0.3 * pulsePhase),
-            Math.max(0.0, baseColor.g - 0.2 * pulsePhase),
-            Math.max(0.0, baseColor.b - 0.2 * pulsePhase)
-          );
-          
-          // Apply color to jammer mesh
-          visualComponent.color = cooldownColor.getHex();
-          
-          // Add or update cooldown indicator (moving progress ring)
-          this.updateCooldownIndicator(entityId, cooldownProgress);
-        } else {
-          // Remove cooldown indicator when done
-          this.removeCooldownIndicator(entityId);
-          
-          // Reset to base color
-          const baseColor = cooldownConfig.color || new THREE.Color(0x00ffff);
-          visualComponent.color = baseColor.getHex();
-        }
-      }
-    }
-    
-    // Check for active state change
-    const wasActive = transmitterComponent.active;
-    
-    // Ensure transmitter settings match jammer configuration
-    transmitterComponent.active = jammerComponent.active && jammerComponent.cooldownRemaining === 0;
-    transmitterComponent.frequency = jammerComponent.targetFrequency || 2400; // Default frequency
-    transmitterComponent.power = jammerComponent.powerLevel || 1.0; // Default power
-    
-    // Initialize pulseParameters if it doesn't exist
-    if (!transmitterComponent.pulseParameters) {
-      transmitterComponent.pulseParameters = {
-        pulsing: false,
-        onTime: 200,
-        offTime: 800,
-        currentlyTransmitting: true,
-        timeSinceLastToggle: 0
-      };
-    }
-    
-    // Handle activation/deactivation effects
-    if (wasActive !== transmitterComponent.active) {
-      if (transmitterComponent.active) {
-        // Jammer activated effect
-        this.createJammerActivationEffect(entityId);
-      } else {
-        // Jammer deactivated effect
-        this.createJammerDeactivationEffect(entityId);
-      }
-    }
-    
-    // Handle jammer specific behaviors
-    if (jammerComponent.type === 'PULSE' && transmitterComponent.active) {
-      // Configure pulsing behavior
-      transmitterComponent.pulseParameters.pulsing = true;
-      transmitterComponent.pulseParameters.onTime = 200;  // 200ms on
-      transmitterComponent.pulseParameters.offTime = 800; // 800ms off
-      
-      // Add pulse visualization effect
-      this.updatePulseEffect(entityId, deltaTime);
-    } else {
-      // Non-pulsing jammers
-      if (transmitterComponent.pulseParameters) {
-        transmitterComponent.pulseParameters.pulsing = false;
-      }
-      
-      // Remove pulse effect if it exists
-      this.removePulseEffect(entityId);
-    }
-    
-    // Add dynamic lighting for active jammers
-    this.updateJammerLighting(entityId, deltaTime);
-  }
-  
-  // Create activation effect when jammer turns on
-  createJammerActivationEffect(entityId) {
-    const transformComponent = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
-    const jammerComponent = this.entityManager.getComponent(entityId, ComponentTypes.JAMMER);
-    
-    if (!transformComponent || !jammerComponent) return;
-    
-    // Get position
-    const position = transformComponent.position;
-    
-    // Safely access jammer type configuration
-    const jammerType = jammerComponent.type || 'STANDARD';
-    const jammerColor = (CONFIG.jammers.types[jammerType] && CONFIG.jammers.types[jammerType].color) || 
-                       new THREE.Color(0x00ffff); // Default color if config is missing
-    
-    // Create activation ring effect
-    const ringGeometry = new THREE.RingGeometry(0, 10, 32);
-    const ringMaterial = new THREE.MeshBasicMaterial({
-      color: jammerColor,
-      transparent: true,
-      opacity: 1.0,
-      side: THREE.DoubleSide,
-      blending: THREE.AdditiveBlending
-    });
-    
-    const activationRing = new THREE.Mesh(ringGeometry, ringMaterial);
-    activationRing.position.set(position.x, position.y, position.z + 0.5); // Slightly above ground
-    activationRing.rotation.x = Math.PI / 2; // Flat on ground
-    
-    // Add to scene
-    if (window.gameEngine && window.gameEngine.scene) {
-      window.gameEngine.scene.add(activationRing);
-      
-      // Animation
-      const startTime = Date.now();
-      const duration = 1000; // 1 second
-      
-      const animateRing = () => {
-        const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1);
-        
-        // Scale outward
-        const scale = progress * 5;
-        activationRing.scale.set(scale, scale, 1);
-        
-        // Fade out
-        activationRing.material.opacity = 1 - progress;
-        
-        if (progress < 1) {
-          requestAnimationFrame(animateRing);
-        } else {
-          // Remove from scene
-          window.gameEngine.scene.remove(activationRing);
-          // Dispose resources
-          ringGeometry.dispose();
-          ringMaterial.dispose();
-        }
-      };
-      
-      // Start animation
-      animateRing();
-    }
-    
-    // Create light flash
-    if (window.gameEngine && window.gameEngine.scene) {
-      const jammerLight = new THREE.PointLight(
-        CONFIG.jammers.types[jammerComponent.type].color,
-        2, // Intensity
-        50 // Range
-      );
-      
-      jammerLight.position.set(position.x, position.y, position.z + 5);
-      window.gameEngine.scene.add(jammerLight);
-      
-      // Light animation
-      const startTime = Date.now();
-      const duration = 800; // ms
-      
-      const animateLight = () => {
-        const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1);
-        
-        // Flash pattern
-        const intensity = 2 * (1 - progress) * (0.5 + 0.5 * Math.sin(progress * Math.PI * 10));
-        jammerLight.intensity = intensity;
-        
-        if (progress < 1) {
-          requestAnimationFrame(animateLight);
-        } else {
-          // Remove light
-          window.gameEngine.scene.remove(jammerLight);
-        }
-      };
-      
-      // Start animation
-      animateLight();
-    }
-  }
-  
-  // Create deactivation effect when jammer turns off
-  createJammerDeactivationEffect(entityId) {
-    const transformComponent = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
-    const jammerComponent = this.entityManager.getComponent(entityId, ComponentTypes.JAMMER);
-    
-    if (!transformComponent || !jammerComponent) return;
-    
-    // Get position
-    const position = transformComponent.position;
-    
-    // Create shutdown particles
-    if (window.gameEngine && window.gameEngine.scene) {
-      const particleCount = 30;
-      const particleGeometry = new THREE.BufferGeometry();
-      const particlePositions = new Float32Array(particleCount * 3);
-      const particleSizes = new Float32Array(particleCount);
-      
-      // Generate particles around jammer
-      for (let i = 0; i < particleCount; i++) {
-        // Random position around jammer
-        const angle = Math.random() * Math.PI * 2;
-        const radius = Math.random() * 5;
-        const height = Math.random() * 8;
-        
-        particlePositions[i * 3] = position.x + Math.cos(angle) * radius;
-        particlePositions[i * 3 + 1] = position.y + Math.sin(angle) * radius;
-        particlePositions[i * 3 + 2] = position.z + height;
-        
-        // Random sizes
-        particleSizes[i] = 1 + Math.random() * 2;
-      }
-      
-      particleGeometry.setAttribute('position', new THREE.BufferAttribute(particlePositions, 3));
-      particleGeometry.setAttribute('size', new THREE.BufferAttribute(particleSizes, 1));
-      
-      // Safely access jammer type configuration
-      const jammerType = jammerComponent.type || 'STANDARD';
-      const jammerColor = (CONFIG.jammers.types[jammerType] && CONFIG.jammers.types[jammerType].color) || 
-                          new THREE.Color(0x00ffff); // Default color if config is missing
-      
-      // Create particle material
-      const particleMaterial = new THREE.PointsMaterial({
-        color: jammerColor,
-        transparent: true,
-        opacity: 0.7,
-        size: 2,
-        sizeAttenuation: true,
-        blending: THREE.AdditiveBlending
-      });
-      
-      const particles = new THREE.Points(particleGeometry, particleMaterial);
-      window.gameEngine.scene.add(particles);
-      
-      // Particle animation
-      const startTime = Date.now();
-      const duration = 800; // ms
-      
-      const animateParticles = () => {
-        const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1);
-        
-        const positions = particleGeometry.attributes.position.array;
-        
-        // Move particles outward and upward
-        for (let i = 0; i < particleCount; i++) {
-          const baseX = particlePositions[i * 3];
-          const baseY = particlePositions[i * 3 + 1];
-          const baseZ = particlePositions[i * 3 + 2];
-          
-          // Direction from center
-          const dx = baseX - position.x;
-          const dy = baseY - position.y;
-          const dist = Math.sqrt(dx * dx + dy * dy);
-          
-          if (dist > 0) {
-            // Normalize direction
-            const dirX = dx / dist;
-            const dirY = dy / dist;
-            
-            // Move outward
-            positions[i * 3] = baseX + dirX * progress * 10;
-            positions[i * 3 + 1] = baseY + dirY * progress * 10;
-          }
-          
-          // Move upward
-          positions[i * 3 + 2] = baseZ + progress * 10;
+      aiComponent.state = 'disabled';
+    }
+  }
+  
+  // Fly the lost-link procedure: hover in place, return home and hover there,
+  // or land where the drone is and stay down
+  processLostLink(entityId, aiComponent, droneComponent, transformComponent, navigationPosition, deltaTime) {
+    switch (aiComponent.lostLinkBehavior) {
+      case 'RETURN_HOME': {
+        const home = this.getHomeLocation(entityId, droneComponent);
+        if (home && Math.hypot(navigationPosition.x - home.x, navigationPosition.y - home.y) >= 5) {
+          this.moveTowardTarget(entityId, home, droneComponent.speed, navigationPosition);
         }
+        break;
+      }
+      
+      case 'LAND': {
+        const rfPropagation = this.ecs.getSystem('rfPropagation');
+        const terrain = rfPropagation ? rfPropagation.terrain : null;
+        const ground = terrain ? terrain.getElevation(transformComponent.position.x, transformComponent.position.y) : 0;
         
-        // Update geometry
-        particleGeometry.attributes.position.needsUpdate = true;
-        
-        // Fade out
-        particleMaterial.opacity = 0.7 * (1 - progress);
-        
-        if (progress < 1) {
-          requestAnimationFrame(animateParticles);
-        } else {
-          // Remove particles
-          window.gameEngine.scene.remove(particles);
-          // Dispose resources
-          particleGeometry.dispose();
-          particleMaterial.dispose();
+        // Descend at the climb rate to the ground below
+        this.entityManager.getComponent(entityId, ComponentTypes.KINEMATICS).commandedAltitude = 0;
+        if (transformComponent.position.z <= ground + 0.1) {
+          // A landed drone is out of the mission
+          transformComponent.position.z = ground;
+          aiComponent.state = CONFIG.drones.ai.states.DISABLED;
+          aiComponent.lastStateChangeTime = this.ecs.clock.time;
         }
-      };
+        break;
+      }
       
-      // Start animation
-      animateParticles();
+      default:
+        // HOVER holds position
     }
   }
   
-  // Update cooldown indicator ring
-  updateCooldownIndicator(entityId, progress) {
-    const transformComponent = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
+  // Steer toward a target at up to speed from where the entity believes it is.
+  // The entity slows down to arrive rather than circle the target: no faster
+  // than it can stop in, and the slower the further it has to turn.
+  moveTowardTarget(entityId, target, speed, from) {
+    const kinematics = this.entityManager.getComponent(entityId, ComponentTypes.KINEMATICS);
+    const { rotation } = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
     
-    if (!transformComponent) return;
+    // Calculate direction to target
+    const dx = target.x - from.x;
+    const dy = target.y - from.y;
+    const heading = Math.atan2(dy, dx) * 180 / Math.PI;
+    const turn = ((heading - rotation) % 360 + 540) % 360 - 180;
+    
+    kinematics.commandedHeading = heading;
+    kinematics.commandedSpeed = Math.min(speed, Math.sqrt(2 * kinematics.acceleration * Math.hypot(dx, dy))) *
+                                Math.max(0, Math.cos(turn * Math.PI / 180));
+  }
+  
+  // Sweep the entity's sensors for enemies within its awareness radius, every
+  // detectionInterval. OPTICAL sees what is in line of sight, out to a range
+  // that shrinks with the weather's visibility; RF hears active transmitters.
+  // Entities without a drone's sensors see everything in range. Payloads are
+  // seen as their carrier.
+  updateDetection(entityId, aiComponent, deltaTime) {
+    aiComponent.detectionTimer -= deltaTime;
+    if (aiComponent.detectionTimer > 0) return;
+    aiComponent.detectionTimer = CONFIG.drones.ai.detectionInterval;
+    
+    const rfPropagation = this.ecs.getSystem('rfPropagation');
+    const droneComponent = this.entityManager.getComponent(entityId, ComponentTypes.DRONE);
+    const sensors = droneComponent ? droneComponent.sensors : null;
+    const visibility = rfPropagation ? rfPropagation.getAtmosphere().visibility : 1;
+    const { position } = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
+    const detected = [];
+    
+    for (const otherId of this.entityManager.getEntitiesWithComponents(ComponentTypes.TEAM, ComponentTypes.TRANSFORM)) {
+      if (otherId === entityId || !this.isEnemy(entityId, otherId)) continue;
+      
+      const jammerComponent = this.entityManager.getComponent(otherId, ComponentTypes.JAMMER);
+      if (jammerComponent && jammerComponent.carrierId !== null) continue;
+      
+      const other = this.entityManager.getComponent(otherId, ComponentTypes.TRANSFORM).position;
+      const distance = Math.hypot(other.x - position.x, other.y - position.y, other.z - position.z);
+      if (distance > aiComponent.awarenessRadius) continue;
+      
+      if (sensors) {
+        const transmitterRF = this.entityManager.getComponent(otherId, ComponentTypes.RF_TRANSMITTER);
+        const seen = sensors.includes('OPTICAL') && distance <= aiComponent.awarenessRadius * visibility &&
+                     (!rfPropagation || rfPropagation.hasLineOfSight(entityId, otherId));
+        const heard = sensors.includes('RF') && Boolean(transmitterRF && transmitterRF.active);
+        if (!seen && !heard) continue;
+      }
+      
+      detected.push({ otherId, distance });
+    }
     
-    // Get existing cooldown indicator or create new one
-    let entityComponents = this.customComponents.get(entityId);
+    detected.sort((a, b) => a.distance - b.distance);
+    aiComponent.detectedEnemies = detected.map(({ otherId }) => otherId);
+  }
+  
+  // Whether two entities are on opposing (non-neutral) teams
+  isEnemy(entityA, entityB) {
+    const teamA = this.entityManager.getComponent(entityA, ComponentTypes.TEAM);
+    const teamB = this.entityManager.getComponent(entityB, ComponentTypes.TEAM);
     
-    // Initialize entity components map if it doesn't exist
-    if (!entityComponents) {
-      entityComponents = new Map();
-      this.customComponents.set(entityId, entityComponents);
+    return Boolean(teamA && teamB && teamA.team !== teamB.team &&
+                   teamA.team !== 'NEUTRAL' && teamB.team !== 'NEUTRAL');
+  }
+  
+  // Whether an entity is free to follow its behavior: not returning, confused,
+  // flying a lost-link procedure or disabled
+  isFollowingBehavior(aiComponent) {
+    return aiComponent.state === CONFIG.drones.ai.states.PATROL || aiComponent.state === 'idle';
+  }
+  
+  // Where to fly to meet a target from a position at a speed: where a moving
+  // target holding its velocity will be when we get there, where the target
+  // is if it stands still or cannot be caught
+  getInterceptPoint(from, speed, targetId) {
+    const { position } = this.entityManager.getComponent(targetId, ComponentTypes.TRANSFORM);
+    const kinematics = this.entityManager.getComponent(targetId, ComponentTypes.KINEMATICS);
+    if (!kinematics) {
+      return { x: position.x, y: position.y };
     }
     
-    let indicator = entityComponents.get('cooldownIndicator');
-    
-    if (!indicator) {
-      // Create new indicator
-      const geometry = new THREE.RingGeometry(3, 3.5, 32, 1, 0, Math.PI * 2);
-      const material = new THREE.MeshBasicMaterial({
-        color: 0xff3030,
-        transparent: true,
-        opacity: 0.7,
-        side: THREE.DoubleSide
-      });
-      
-      indicator = new THREE.Mesh(geometry, material);
-      indicator.rotation.x = Math.PI / 2; // Flat on ground
-      
-      // Store reference
-      entityComponents.set('cooldownIndicator', indicator);
-      
-      // Add to scene
-      if (window.gameEngine && window.gameEngine.scene) {
-        window.gameEngine.scene.add(indicator);
+    // Earliest time t at which |offset + velocity·t| = speed·t
+    const vx = kinematics.velocity.x;
+    const vy = kinematics.velocity.y;
+    const ox = position.x - from.x;
+    const oy = position.y - from.y;
+    const a = vx * vx + vy * vy - speed * speed;
+    const b = 2 * (ox * vx + oy * vy);
+    const c = ox * ox + oy * oy;
+    
+    let time = null;
+    if (Math.abs(a) < 1e-9) {
+      time = b < 0 ? -c / b : null;
+    } else {
+      const discriminant = b * b - 4 * a * c;
+      if (discriminant >= 0) {
+        const roots = [(-b - Math.sqrt(discriminant)) / (2 * a), (-b + Math.sqrt(discriminant)) / (2 * a)];
+        const ahead = roots.filter(root => root > 0);
+        time = ahead.length > 0 ? Math.min(...ahead) : null;
       }
     }
-    
-    // Update position
-    indicator.position.set(
-      transformComponent.position.x,
-      transformComponent.position.y,
-      transformComponent.position.z + 0.2 // Slightly above ground
-    );
-    
-    // Update indicator progress
-    // Modify the geometry to show a progress ring
-    if (indicator.geometry) {
-      indicator.geometry.dispose();
+    if (time === null) {
+      return { x: position.x, y: position.y };
     }
     
-    // Create new ring geometry showing progress (1.0 = empty, 0.0 = full)
-    const angle = Math.PI * 2 * (1 - progress);
-    indicator.geometry = new THREE.RingGeometry(3, 3.5, 32, 1, 0, angle);
+    return { x: position.x + vx * time, y: position.y + vy * time };
   }
   
-  // Remove cooldown indicator
-  removeCooldownIndicator(entityId) {
-    if (!this.customComponents.has(entityId)) return;
-    
-    const entityComponents = this.customComponents.get(entityId);
-    if (!entityComponents) return;
-    
-    const indicator = entityComponents.get('cooldownIndicator');
-    
-    if (indicator) {
-      // Remove from scene
-      if (window.gameEngine && window.gameEngine.scene) {
-        window.gameEngine.scene.remove(indicator);
-      }
-      
-      // Dispose resources
-      if (indicator.geometry) {
-        indicator.geometry.dispose();
-      }
-      if (indicator.material) {
-        indicator.material.dispose();
-      }
-      
-      // Remove reference
-      entityComponents.delete('cooldownIndicator');
-      
-      // If no more custom components for this entity, remove the entity entry
-      if (entityComponents.size === 0) {
-        this.customComponents.delete(entityId);
-      }
+  // Go back to the patrol waypoints left once a target is gone
+  resumePatrol(aiComponent, droneComponent) {
+    droneComponent.target = null;
+    if (aiComponent.state === 'idle' && droneComponent.waypoints.length > 0) {
+      aiComponent.state = CONFIG.drones.ai.states.PATROL;
     }
   }
   
-  // Update pulse jammer effects
-  updatePulseEffect(entityId, deltaTime) {
-    const transformComponent = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
-    const jammerComponent = this.entityManager.getComponent(entityId, ComponentTypes.JAMMER);
-    const transmitterComponent = this.entityManager.getComponent(entityId, ComponentTypes.RF_TRANSMITTER);
-    
-    if (!transformComponent || !transmitterComponent || !transmitterComponent.active) return;
-    
-    // Get existing pulse effect or create new one
-    let entityComponents = this.customComponents.get(entityId);
+  // Patrol: fly the route (e.g. a search pattern from createSearchPattern),
+  // again from the top while loopRoute is set
+  processPatrolBehavior(entityId, aiComponent, transformComponent, deltaTime) {
+    const droneComponent = this.entityManager.getComponent(entityId, ComponentTypes.DRONE);
+    if (!droneComponent || aiComponent.route.length === 0) return;
     
-    // Initialize entity components map if it doesn't exist
-    if (!entityComponents) {
-      entityComponents = new Map();
-      this.customComponents.set(entityId, entityComponents);
+    // Queue the next lap before the last waypoint ends the patrol
+    if (aiComponent.loopRoute && aiComponent.state === CONFIG.drones.ai.states.PATROL &&
+        droneComponent.waypoints.length <= 1) {
+      droneComponent.waypoints.push(...aiComponent.route.map(waypoint => ({ ...waypoint })));
     }
+  }
+  
+  // Defend: orbit the protected asset, and intercept the nearest detected enemy
+  // inside awarenessRadius of it
+  processDefendBehavior(entityId, aiComponent, transformComponent, deltaTime) {
+    const droneComponent = this.entityManager.getComponent(entityId, ComponentTypes.DRONE);
+    if (!droneComponent || !this.isFollowingBehavior(aiComponent)) return;
     
-    let pulseEffect = entityComponents.get('pulseEffect');
-    
-    if (!pulseEffect) {
-      // Create pulse effect container
-      pulseEffect = {
-        mesh: null,
-        pulseTime: 0,
-        rings: [],
-        lastPulseState: false
-      };
-      
-      // Store reference
-      entityComponents.set('pulseEffect', pulseEffect);
+    const asset = aiComponent.protectedEntity !== null ?
+      this.entityManager.getComponent(aiComponent.protectedEntity, ComponentTypes.TRANSFORM) : null;
+    if (!asset) {
+      aiComponent.targetEntity = null;
+      return;
     }
     
-    // Update pulse timing
-    pulseEffect.pulseTime += deltaTime;
+    const navigationPosition = this.getNavigationPosition(entityId, transformComponent);
+    const intruderId = aiComponent.detectedEnemies.find(enemyId => {
+      const enemy = this.entityManager.getComponent(enemyId, ComponentTypes.TRANSFORM);
+      return enemy && Math.hypot(enemy.position.x - asset.position.x, enemy.position.y - asset.position.y) <=
+                      aiComponent.awarenessRadius;
+    });
     
-    // Create new pulse ring on each pulse
-    if (transmitterComponent.pulseParameters.currentlyTransmitting && 
-        pulseEffect.lastPulseState === false) {
-      
-      // Create new pulse ring
-      this.createPulseRing(entityId, transformComponent.position);
+    if (intruderId !== undefined) {
+      aiComponent.targetEntity = intruderId;
+      droneComponent.waypoints = [];
+      droneComponent.target = this.getInterceptPoint(navigationPosition, droneComponent.speed, intruderId);
+      aiComponent.state = 'idle';
+      return;
     }
     
-    // Update last pulse state
-    pulseEffect.lastPulseState = transmitterComponent.pulseParameters.currentlyTransmitting;
-    
-    // Update existing rings
-    for (let i = pulseEffect.rings.length - 1; i >= 0; i--) {
-      const ring = pulseEffect.rings[i];
-      if (!ring) continue;
-      
-      // Update ring properties
-      ring.age += deltaTime;
-      const progress = Math.min(ring.age / ring.lifespan, 1);
-      
-      // Check if mesh exists
-      if (!ring.mesh) {
-        // If mesh is missing, remove the ring entry
-        pulseEffect.rings.splice(i, 1);
-        continue;
-      }
-      
-      // Scale outward
-      const scale = 1 + progress * 15;
-      ring.mesh.scale.set(scale, scale, 1);
-      
-      // Fade out (check if material exists)
-      if (ring.mesh.material) {
-        ring.mesh.material.opacity = 0.7 * (1 - progress);
-      }
-      
-      // Remove completed rings
-      if (progress >= 1) {
-        // Remove from scene
-        if (window.gameEngine && window.gameEngine.scene) {
-          window.gameEngine.scene.remove(ring.mesh);
-        }
-        
-        // Dispose resources
-        if (ring.mesh.geometry) ring.mesh.geometry.dispose();
-        if (ring.mesh.material) ring.mesh.material.dispose();
-        
-        // Remove from array
-        pulseEffect.rings.splice(i, 1);
-      }
+    // Orbit a lap at a time, so the orbit follows a moving asset
+    const { orbitRadius, orbitPoints } = CONFIG.drones.ai;
+    aiComponent.targetEntity = null;
+    droneComponent.target = null;
+    if (aiComponent.state !== CONFIG.drones.ai.states.PATROL) {
+      droneComponent.waypoints = createOrbit(asset.position, orbitRadius, orbitPoints, navigationPosition);
+      aiComponent.state = CONFIG.drones.ai.states.PATROL;
+    } else if (droneComponent.waypoints.length <= 1) {
+      const from = droneComponent.waypoints[0] || navigationPosition;
+      droneComponent.waypoints.push(...createOrbit(asset.position, orbitRadius, orbitPoints, from).slice(1));
     }
   }
   
-  // Create a new pulse ring
-  createPulseRing(entityId, position) {
-    const jammerComponent = this.entityManager.getComponent(entityId, ComponentTypes.JAMMER);
-    
-    if (!jammerComponent) return;
-    if (!this.customComponents.has(entityId)) return;
+  // Attack: pick the nearest detected enemy the payload can hurt and close on it
+  // to payload release range. A WARHEAD then dives onto the target, a JAMMER
+  // payload holds there jamming it; drones without a payload shadow it.
+  processAttackBehavior(entityId, aiComponent, transformComponent, deltaTime) {
+    const droneComponent = this.entityManager.getComponent(entityId, ComponentTypes.DRONE);
+    if (!droneComponent || !this.isFollowingBehavior(aiComponent)) return;
     
-    const entityComponents = this.customComponents.get(entityId);
-    if (!entityComponents) return;
+    const payload = droneComponent.payload;
+    const warhead = Boolean(payload && payload.type === 'WARHEAD');
     
-    const pulseEffect = entityComponents.get('pulseEffect');
-    if (!pulseEffect) return;
+    // Keep the target while the sensors see it, else pick the next one
+    if (!aiComponent.detectedEnemies.includes(aiComponent.targetEntity)) {
+      const targetId = aiComponent.detectedEnemies.find(enemyId =>
+        !warhead || this.entityManager.hasComponent(enemyId, ComponentTypes.HEALTH)
+      );
+      aiComponent.targetEntity = targetId !== undefined ? targetId : null;
+    }
+    const target = aiComponent.targetEntity !== null ?
+      this.entityManager.getComponent(aiComponent.targetEntity, ComponentTypes.TRANSFORM) : null;
+    if (!target) {
+      aiComponent.targetEntity = null;
+      this.resumePatrol(aiComponent, droneComponent);
+      return;
+    }
     
-    // Create ring geometry
-    const geometry = new THREE.RingGeometry(1, 2, 32);
+    const navigationPosition = this.getNavigationPosition(entityId, transformComponent);
+    const distance = Math.hypot(target.position.x - navigationPosition.x, target.position.y - navigationPosition.y);
+    aiComponent.state = 'idle';
     
-    // Safely access jammer type configuration
-    const jammerType = jammerComponent.type || 'STANDARD';
-    const jammerColor = (CONFIG.jammers.types[jammerType] && CONFIG.jammers.types[jammerType].color) || 
-                       new THREE.Color(0x00ffff); // Default color if config is missing
+    if (distance > this.getReleaseRange(payload)) {
+      droneComponent.target = this.getInterceptPoint(navigationPosition, droneComponent.speed, aiComponent.targetEntity);
+      return;
+    }
     
-    const material = new THREE.MeshBasicMaterial({
-      color: jammerColor,
-      transparent: true,
-      opacity: 0.7,
-      side: THREE.DoubleSide,
-      blending: THREE.AdditiveBlending
+    droneComponent.target = null;
+    if (warhead) {
+      // The dive aims at the target as the drone believes it sees it, so
+      // navigation error carries into the impact point
+      this.detonateWarhead(entityId, payload, {
+        x: target.position.x + transformComponent.position.x - navigationPosition.x,
+        y: target.position.y + transformComponent.position.y - navigationPosition.y,
+        z: target.position.z
+      });
+    }
+  }
+  
+  // Tree: run the entity's behavior tree (see js/ai/behaviorTree.js) while it
+  // is free to follow its behavior
+  processBehaviorTree(entityId, aiComponent, deltaTime) {
+    if (!aiComponent.behaviorTree || !this.isFollowingBehavior(aiComponent)) return;
+    
+    const teamComponent = this.entityManager.getComponent(entityId, ComponentTypes.TEAM);
+    aiComponent.behaviorTree.tick({
+      entityId,
+      ecs: this.ecs,
+      entityManager: this.entityManager,
+      ai: this,
+      aiComponent,
+      deltaTime,
+      time: this.ecs.clock.time,
+      teamBlackboard: this.getTeamBlackboard(teamComponent ? teamComponent.team : 'NEUTRAL')
     });
+  }
+  
+  // Blackboard shared by the behavior trees of a team
+  getTeamBlackboard(team) {
+    if (!this.teamBlackboards.has(team)) {
+      this.teamBlackboards.set(team, new Blackboard());
+    }
     
-    const ringMesh = new THREE.Mesh(geometry, material);
-    ringMesh.position.set(position.x, position.y, position.z + 0.5); // Slightly above ground
-    ringMesh.rotation.x = Math.PI / 2; // Flat on ground
-    
-    // Add to scene
-    if (window.gameEngine && window.gameEngine.scene) {
-      window.gameEngine.scene.add(ringMesh);
+    return this.teamBlackboards.get(team);
+  }
+  
+  // Horizontal distance from its target at which a drone releases its payload
+  getReleaseRange(payload) {
+    if (!payload) {
+      return 0;
     }
     
-    // Add to pulse effect
-    pulseEffect.rings.push({
-      mesh: ringMesh,
-      age: 0,
-      lifespan: 1.0 // 1 second lifespan
-    });
+    return payload.type === 'JAMMER' ? CONFIG.jammers.types[payload.jammer].range : payload.radius;
   }
   
-  // Remove pulse effect
-  removePulseEffect(entityId) {
-    if (!this.customComponents.has(entityId)) return;
+  // Detonate a drone's warhead at an impact point, expending the drone: damage
+  // falls off linearly to nothing at the warhead's radius
+  detonateWarhead(entityId, warhead, impact) {
+    for (const otherId of this.entityManager.getEntitiesWithComponents(ComponentTypes.HEALTH, ComponentTypes.TRANSFORM)) {
+      if (otherId === entityId) continue;
+      
+      const { position } = this.entityManager.getComponent(otherId, ComponentTypes.TRANSFORM);
+      const distance = Math.hypot(position.x - impact.x, position.y - impact.y, position.z - impact.z);
+      if (distance <= warhead.radius) {
+        this.applyDamage(otherId, warhead.damage * (1 - distance / warhead.radius), entityId);
+      }
+    }
     
-    const entityComponents = this.customComponents.get(entityId);
-    if (!entityComponents) return;
+    this.entityManager.destroyEntity(entityId);
     
-    const pulseEffect = entityComponents.get('pulseEffect');
+    for (const callback of this.detonationListeners) {
+      callback(entityId, impact);
+    }
+  }
+  
+  // Damage an entity's health, destroying it once its health is gone
+  applyDamage(entityId, damage, sourceId) {
+    const healthComponent = this.entityManager.getComponent(entityId, ComponentTypes.HEALTH);
+    if (!healthComponent || healthComponent.destroyed) return;
+    
+    healthComponent.currentHealth = Math.max(0, healthComponent.currentHealth - damage);
+    healthComponent.damageSources.push(sourceId);
+    healthComponent.lastDamageTime = this.ecs.clock.time;
+    
+    if (healthComponent.currentHealth === 0) {
+      healthComponent.destroyed = true;
+      this.entityManager.destroyEntity(entityId);
+    }
+  }
+}
+
+// Jammer System - Manages jammer entities
+class JammerSystem extends System {
+  constructor(entityManager, ecs) {
+    super(entityManager, ecs);
+    this.requiredComponents = [ComponentTypes.JAMMER, ComponentTypes.RF_TRANSMITTER];
     
-    if (pulseEffect) {
-      // Remove all rings
-      for (const ring of pulseEffect.rings) {
-        // Remove from scene
-        if (window.gameEngine && window.gameEngine.scene) {
-          window.gameEngine.scene.remove(ring.mesh);
-        }
-        
-        // Dispose resources
-        if (ring.mesh) {
-          if (ring.mesh.geometry) ring.mesh.geometry.dispose();
-          if (ring.mesh.material) ring.mesh.material.dispose();
+    // Emitter power at follower jammers, kept while neither end nor the environment changes
+    this.detectionCache = new Map();  // '<jammer>_<emitter>' -> { state, strength }
+    entityManager.addEventListener('entityDestroyed', (entityId) => {
+      for (const key of this.detectionCache.keys()) {
+        if (key.startsWith(`${entityId}_`) || key.endsWith(`_${entityId}`)) {
+          this.detectionCache.delete(key);
         }
       }
       
-      // Clear array
-      pulseEffect.rings = [];
-      
-      // Remove reference
-      entityComponents.delete('pulseEffect');
-      
-      // If no more custom components for this entity, remove the entity entry
-      if (entityComponents.size === 0) {
-        this.customComponents.delete(entityId);
+      // A drone's jamming payload goes down with it
+      for (const jammerId of this.entityManager.getEntitiesWithComponents(ComponentTypes.JAMMER)) {
+        if (this.entityManager.getComponent(jammerId, ComponentTypes.JAMMER).carrierId === entityId) {
+          this.entityManager.destroyEntity(jammerId);
+        }
       }
-    }
+    });
   }
   
-  // Update jammer dynamic lighting
-  updateJammerLighting(entityId, deltaTime) {
-    const transformComponent = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
+  processEntity(entityId, deltaTime) {
     const jammerComponent = this.entityManager.getComponent(entityId, ComponentTypes.JAMMER);
     const transmitterComponent = this.entityManager.getComponent(entityId, ComponentTypes.RF_TRANSMITTER);
     
-    if (!transformComponent || !jammerComponent || !transmitterComponent) return;
-    
-    // Check if jammer is active
-    const isActive = transmitterComponent.active;
-    
-    // Get existing lighting or create new
-    let entityComponents = this.customComponents.get(entityId);
+    // Ensure all required components exist
+    if (!jammerComponent || !transmitterComponent) return;
     
-    // Initialize entity components map if it doesn't exist
-    if (!entityComponents) {
-      entityComponents = new Map();
-      this.customComponents.set(entityId, entityComponents);
+    // A payload rides on the drone carrying it
+    if (jammerComponent.carrierId !== null) {
+      const carrierTransform = this.entityManager.getComponent(jammerComponent.carrierId, ComponentTypes.TRANSFORM);
+      const transform = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
+      if (carrierTransform && transform) {
+        Object.assign(transform.position, carrierTransform.position);
+      }
     }
     
-    let jammerLighting = entityComponents.get('jammerLighting');
-    
-    // Create light if needed
-    if (isActive && !jammerLighting) {
-      // Safely access jammer type configuration
-      const jammerType = jammerComponent.type || 'STANDARD';
-      const jammerColor = (CONFIG.jammers.types[jammerType] && CONFIG.jammers.types[jammerType].color) || 
-                         new THREE.Color(0x00ffff); // Default color if config is missing
-      
-      // Create point light
-      const light = new THREE.PointLight(
-        jammerColor,
-        1.5, // Intensity
-        30  // Range
-      );
-      
-      // Add slight flicker
-      light.userData.baseIntensity = 1.5;
-      light.userData.time = Math.random() * 100; // Random starting phase
-      
-      // Position light
-      light.position.set(
-        transformComponent.position.x,
-        transformComponent.position.y,
-        transformComponent.position.z + 2 // Above jammer
-      );
+    // Update cooldown
+    if (jammerComponent.cooldownRemaining > 0) {
+      jammerComponent.cooldownRemaining -= deltaTime;
       
-      // Add to scene
-      if (window.gameEngine && window.gameEngine.scene) {
-        window.gameEngine.scene.add(light);
+      // Clamp to zero
+      if (jammerComponent.cooldownRemaining < 0) {
+        jammerComponent.cooldownRemaining = 0;
       }
+    }
+    
+    // Ensure transmitter settings match jammer configuration
+    transmitterComponent.active = jammerComponent.active && jammerComponent.cooldownRemaining === 0;
+    transmitterComponent.frequency = jammerComponent.targetFrequency || 2400; // Default frequency
+    transmitterComponent.power = jammerComponent.powerLevel || 1.0; // Default power
+    
+    // Waveform of the jamming technique
+    this.applyTechnique(entityId, jammerComponent, transmitterComponent);
+    
+    // Initialize pulseParameters if it doesn't exist
+    if (!transmitterComponent.pulseParameters) {
+      transmitterComponent.pulseParameters = {
+        pulsing: false,
+        onTime: 200,
+        offTime: 800,
+        currentlyTransmitting: true,
+        timeSinceLastToggle: 0
+      };
+    }
+    
+    // Handle jammer specific behaviors
+    if (jammerComponent.type === 'PULSE' && transmitterComponent.active) {
+      // Configure pulsing behavior
+      transmitterComponent.pulseParameters.pulsing = true;
+      transmitterComponent.pulseParameters.onTime = 200;  // 200ms on
+      transmitterComponent.pulseParameters.offTime = 800; // 800ms off
+    } else if (transmitterComponent.pulseParameters) {
+      // Non-pulsing jammers
+      transmitterComponent.pulseParameters.pulsing = false;
+    }
+  }
+  
+  // Set a jammer's transmitter up for its technique (see CONFIG.jammers.techniques)
+  applyTechnique(entityId, jammerComponent, transmitterComponent) {
+    const technique = CONFIG.jammers.techniques[jammerComponent.technique];
+    const band = CONFIG.rf.frequencyBands[transmitterComponent.frequency];
+    
+    transmitterComponent.modulation = technique.modulation;
+    transmitterComponent.bandwidth = technique.bandwidth;
+    transmitterComponent.centerOffset = 0;
+    transmitterComponent.hopParameters.hopping = false;
+    transmitterComponent.sweepParameters.sweeping = false;
+    jammerComponent.followTargetId = null;
+    
+    switch (jammerComponent.technique) {
+      case 'SPOT':
+        transmitterComponent.centerOffset = jammerComponent.centerOffset;
+        break;
       
-      // Store reference
-      jammerLighting = { light };
-      entityComponents.set('jammerLighting', jammerLighting);
-    } 
-    // Update existing light
-    else if (isActive && jammerLighting && jammerLighting.light) {
-      const light = jammerLighting.light;
-      
-      // Update position
-      light.position.set(
-        transformComponent.position.x,
-        transformComponent.position.y,
-        transformComponent.position.z + 2 // Above jammer
-      );
-      
-      // Safely access jammer type configuration
-      const jammerType = jammerComponent.type || 'STANDARD';
-      const jammerColor = (CONFIG.jammers.types[jammerType] && CONFIG.jammers.types[jammerType].color) || 
-                         new THREE.Color(0x00ffff); // Default color if config is missing
-      
-      // Update light color if frequency changed
-      light.color.set(jammerColor);
+      case 'SWEPT':
+        Object.assign(transmitterComponent.sweepParameters, {
+          sweeping: true,
+          start: band.range[0],
+          end: band.range[1],
+          sweepTime: technique.sweepTime
+        });
+        break;
       
-      // Add subtle flicker effect
-      if (light.userData) {
-        light.userData.time = (light.userData.time || 0) + deltaTime;
-        const flicker = Math.sin(light.userData.time * 5) * 0.1 + 
-                        Math.sin(light.userData.time * 13) * 0.05 +
-                        Math.sin(light.userData.time * 27) * 0.025;
-        
-        light.intensity = (light.userData.baseIntensity || 1.5) * (1 + flicker);
+      case 'FOLLOWER': {
+        // Silent until it hears something to follow
+        const targetId = transmitterComponent.active ? this.findFollowTarget(entityId, transmitterComponent) : null;
+        if (targetId === null) {
+          transmitterComponent.active = false;
+          break;
+        }
         
-        // For pulsing jammers, sync light with pulse
-        if (jammerType === 'PULSE') {
-          if (transmitterComponent.pulseParameters && transmitterComponent.pulseParameters.currentlyTransmitting) {
-            light.intensity = (light.userData.baseIntensity || 1.5) * 2.5;
-          } else {
-            light.intensity = (light.userData.baseIntensity || 1.5) * 0.3;
-          }
+        jammerComponent.followTargetId = targetId;
+        const targetRF = this.entityManager.getComponent(targetId, ComponentTypes.RF_TRANSMITTER);
+        if (targetRF.hopParameters.hopping) {
+          // Jamming each new channel reactionTime after the hop is hopping the
+          // same sequence that much late
+          Object.assign(transmitterComponent.hopParameters, targetRF.hopParameters, {
+            delay: targetRF.hopParameters.delay + jammerComponent.reactionTime
+          });
+        } else {
+          const emission = this.ecs.getSystem('rfPropagation').getEmission(targetRF);
+          transmitterComponent.centerOffset = emission.center - band.value;
         }
+        break;
       }
     }
-    // Remove light if jammer is inactive
-    else if (!isActive && jammerLighting) {
-      // Remove from scene
-      if (window.gameEngine && window.gameEngine.scene && jammerLighting.light) {
-        window.gameEngine.scene.remove(jammerLighting.light);
+  }
+  
+  // Strongest hostile emitter (not a jammer asset) a follower jammer hears on its band
+  // above the technique's detection threshold, null if none
+  findFollowTarget(entityId, transmitterComponent) {
+    const rfPropagation = this.ecs.getSystem('rfPropagation');
+    const band = CONFIG.rf.frequencyBands[transmitterComponent.frequency];
+    const { detectionThreshold } = CONFIG.jammers.techniques.FOLLOWER;
+    const { position } = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
+    
+    let targetId = null;
+    let targetStrength = detectionThreshold;
+    
+    const emitters = this.entityManager.getEntitiesWithComponents(ComponentTypes.TRANSFORM, ComponentTypes.RF_TRANSMITTER);
+    for (const emitterId of emitters) {
+      const emitterRF = this.entityManager.getComponent(emitterId, ComponentTypes.RF_TRANSMITTER);
+      if (!emitterRF.active || this.entityManager.hasComponent(emitterId, ComponentTypes.JAMMER)) continue;
+      if (rfPropagation.isSameTeam(emitterId, entityId)) continue;
+      
+      // Anything on the band, wherever it hops
+      const emission = rfPropagation.getEmission(emitterRF, true);
+      const overlap = calculateBandwidthOverlap(
+        emission.center, emission.bandwidth,
+        (band.range[0] + band.range[1]) / 2, Math.max(band.bandwidth, (band.range[1] - band.range[0]) * 1e6)
+      );
+      if (overlap === 0) continue;
+      
+      // Heard through the jammer's own antenna
+      const key = `${entityId}_${emitterId}`;
+      const state = `${rfPropagation.getLinkState(entityId)}|${rfPropagation.getLinkState(emitterId)}|` +
+                    `${rfPropagation.environmentState}`;
+      let detection = this.detectionCache.get(key);
+      if (!detection || detection.state !== state) {
+        const emitterTransform = this.entityManager.getComponent(emitterId, ComponentTypes.TRANSFORM);
+        detection = {
+          state,
+          strength: rfPropagation.calculateLinkStrength(emitterRF, emitterTransform.position, transmitterComponent, position)
+        };
+        this.detectionCache.set(key, detection);
       }
       
-      // Remove reference
-      entityComponents.delete('jammerLighting');
-      
-      // If no more custom components for this entity, remove the entity entry
-      if (entityComponents.size === 0) {
-        this.customComponents.delete(entityId);
+      if (detection.strength > targetStrength) {
+        targetId = emitterId;
+        targetStrength = detection.strength;
       }
     }
+    
+    return targetId;
   }
   
   activateJammer(entityId) {
@@ -2133,6 +2237,35 @@ class JammerSystem extends System {
     return true;
   }
   
+  setJammerTechnique(entityId, technique) {
+    const jammerComponent = this.entityManager.getComponent(entityId, ComponentTypes.JAMMER);
+    const jammerConfig = CONFIG.jammers.types[jammerComponent.type];
+    
+    // Validate technique for the jammer type
+    if (!jammerConfig.techniques.includes(technique)) {
+      return false;
+    }
+    
+    // Update technique
+    jammerComponent.technique = technique;
+    
+    return true;
+  }
+  
+  // Point a spoofer draws receivers toward, null for the spoofer's own position
+  setSpoofTarget(entityId, position) {
+    const jammerComponent = this.entityManager.getComponent(entityId, ComponentTypes.JAMMER);
+    
+    // Only spoofers have a target
+    if (jammerComponent.technique !== 'SPOOF') {
+      return false;
+    }
+    
+    jammerComponent.spoofTarget = position ? { x: position.x, y: position.y } : null;
+    
+    return true;
+  }
+  
   setJammerPower(entityId, power) {
     const jammerComponent = this.entityManager.getComponent(entityId, ComponentTypes.JAMMER);
     const jammerConfig = CONFIG.jammers.types[jammerComponent.type];
@@ -2149,10 +2282,150 @@ class JammerSystem extends System {
   }
 }
 
+// Weather System - Time-varying atmospheric conditions
+// Starts from CONFIG.rf.atmosphericConditions and, when CONFIG.weather.dynamic
+// is set, moves between CONFIG.weather.conditions at random intervals,
+// blending gradually into each new condition
+class WeatherSystem extends System {
+  constructor(entityManager, ecs) {
+    super(entityManager, ecs);
+    this.conditions = CONFIG.rf.atmosphericConditions;
+    this.transitionFrom = { ...CONFIG.weather.conditions[this.conditions] };
+    this.transitionProgress = 1;   // 0-1 blend from transitionFrom to current conditions
+    this.nextChangeTime = null;    // Simulation seconds of the next weather change
+    this.changeListeners = [];
+  }
+  
+  // Register a callback for weather changes: callback(conditions, previousConditions)
+  addChangeListener(callback) {
+    this.changeListeners.push(callback);
+  }
+  
+  // Change to new conditions, blending over CONFIG.weather.transitionTime unless immediate
+  setConditions(conditions, immediate = false) {
+    if (!CONFIG.weather.conditions[conditions]) {
+      console.warn(`Unknown weather conditions: ${conditions}`);
+      return false;
+    }
+    
+    if (conditions === this.conditions) {
+      return false;
+    }
+    
+    const previousConditions = this.conditions;
+    
+    // Blend from wherever the atmosphere is now, even mid-transition
+    this.transitionFrom = this.getAtmosphere();
+    this.conditions = conditions;
+    this.transitionProgress = immediate ? 1 : 0;
+    
+    for (const callback of this.changeListeners) {
+      callback(conditions, previousConditions);
+    }
+    
+    return true;
+  }
+  
+  // Current atmosphere: { conditions, waterVapourDensity, rainRate, noiseTemperature, visibility }
+  getAtmosphere() {
+    const target = CONFIG.weather.conditions[this.conditions];
+    const t = this.transitionProgress;
+    const blend = (key) => this.transitionFrom[key] + (target[key] - this.transitionFrom[key]) * t;
+    
+    return {
+      conditions: this.conditions,
+      waterVapourDensity: blend('waterVapourDensity'),
+      rainRate: blend('rainRate'),
+      noiseTemperature: blend('noiseTemperature'),
+      visibility: blend('visibility')
+    };
+  }
+  
+  // Receiver noise floor in dBm under the current weather
+  getNoiseFloor(bandwidth = CONFIG.rf.noiseBandwidth) {
+    return calculateNoiseFloor(bandwidth, CONFIG.rf.noiseFigure, this.getAtmosphere().noiseTemperature);
+  }
+  
+  // Pick the time of the next weather change
+  scheduleNextChange() {
+    const [minInterval, maxInterval] = CONFIG.weather.changeInterval;
+    this.nextChangeTime = this.ecs.clock.time + this.ecs.random.range(minInterval, maxInterval);
+  }
+  
+  update(deltaTime) {
+    if (!this.enabled) return;
+    
+    // Advance any transition in progress
+    if (this.transitionProgress < 1) {
+      this.transitionProgress = Math.min(1, this.transitionProgress + deltaTime / CONFIG.weather.transitionTime);
+    }
+    
+    if (!CONFIG.weather.dynamic) return;
+    
+    if (this.nextChangeTime === null) {
+      this.scheduleNextChange();
+    }
+    
+    // Move to one of the conditions that can follow the current one
+    if (this.ecs.clock.time >= this.nextChangeTime) {
+      this.setConditions(this.ecs.random.pick(CONFIG.weather.conditions[this.conditions].next));
+      this.scheduleNextChange();
+    }
+  }
+}
+
+// Kinematics System - Flies entities within the limits of their airframe:
+// turning toward the commanded heading at the turn rate, speeding up or
+// slowing down to the commanded speed at the acceleration, and climbing or
+// descending to the commanded altitude above the terrain at the climb rate
+class KinematicsSystem extends System {
+  constructor(entityManager, ecs) {
+    super(entityManager, ecs);
+    this.requiredComponents = [ComponentTypes.TRANSFORM, ComponentTypes.KINEMATICS];
+  }
+  
+  processEntity(entityId, deltaTime) {
+    const transformComponent = this.entityManager.getComponent(entityId, ComponentTypes.TRANSFORM);
+    const kinematics = this.entityManager.getComponent(entityId, ComponentTypes.KINEMATICS);
+    const { position } = transformComponent;
+    
+    // Turn the short way round, into -180 to 180 degrees
+    if (kinematics.commandedHeading !== null) {
+      const turn = ((kinematics.commandedHeading - transformComponent.rotation) % 360 + 540) % 360 - 180;
+      const maxTurn = kinematics.turnRate * deltaTime;
+      const rotation = transformComponent.rotation + Math.max(-maxTurn, Math.min(maxTurn, turn));
+      transformComponent.rotation = ((rotation % 360) + 540) % 360 - 180;
+    }
+    
+    const maxSpeedChange = kinematics.acceleration * deltaTime;
+    const commandedSpeed = Math.max(0, Math.min(kinematics.maxSpeed, kinematics.commandedSpeed));
+    kinematics.speed += Math.max(-maxSpeedChange, Math.min(maxSpeedChange, commandedSpeed - kinematics.speed));
+    
+    let climb = 0;
+    if (kinematics.commandedAltitude !== null) {
+      const rfPropagation = this.ecs.getSystem('rfPropagation');
+      const terrain = rfPropagation ? rfPropagation.terrain : null;
+      const ground = terrain ? terrain.getElevation(position.x, position.y) : 0;
+      const altitudeError = ground + kinematics.commandedAltitude - position.z;
+      climb = Math.max(-kinematics.climbRate, Math.min(kinematics.climbRate, altitudeError / deltaTime));
+    }
+    
+    // Fly along the heading
+    const heading = transformComponent.rotation * Math.PI / 180;
+    kinematics.velocity.x = Math.cos(heading) * kinematics.speed;
+    kinematics.velocity.y = Math.sin(heading) * kinematics.speed;
+    kinematics.velocity.z = climb;
+    
+    position.x += kinematics.velocity.x * deltaTime;
+    position.y += kinematics.velocity.y * deltaTime;
+    position.z += kinematics.velocity.z * deltaTime;
+  }
+}
+
 // Physics System - Handles basic physics for moving entities
 class PhysicsSystem extends System {
-  constructor(entityManager) {
-    super(entityManager);
+  constructor(entityManager, ecs) {
+    super(entityManager, ecs);
     this.requiredComponents = [ComponentTypes.TRANSFORM];
     this.worldBounds = {
       minX: -CONFIG.terrain.width / 2,
@@ -2176,4 +2449,30 @@ class PhysicsSystem extends System {
       Math.min(this.worldBounds.maxY, transformComponent.position.y)
     );
   }
-}
\ No newline at end of file
+}
+
+// Register the game logic systems in update order
+function registerSimulationSystems(ecs) {
+  ecs.registerSystem(WeatherSystem, 'weather');
+  ecs.registerSystem(RFPropagationSystem, 'rfPropagation');
+  ecs.registerSystem(GNSSSystem, 'gnss');
+  ecs.registerSystem(NavigationSystem, 'navigation');
+  ecs.registerSystem(JammerSystem, 'jammer');
+  ecs.registerSystem(AISystem, 'ai');
+  ecs.registerSystem(KinematicsSystem, 'kinematics');
+  ecs.registerSystem(PhysicsSystem, 'physics');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RFPropagationSystem,
+    GNSSSystem,
+    NavigationSystem,
+    AISystem,
+    KinematicsSystem,
+    JammerSystem,
+    WeatherSystem,
+    PhysicsSystem,
+    registerSimulationSystems
+  };
+}
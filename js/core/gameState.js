@@ -9,6 +9,20 @@
  * - Game settings and configuration
  */
 
+if (typeof module !== 'undefined' && module.exports) {
+  var { CONFIG } = require('./config.js');
+  var { ComponentTypes } = require('./ecs/components.js');
+  var { TerrainModel } = require('./terrain.js');
+  var { createDrone } = require('../entities/drone.js');
+  var { createJammer } = require('../entities/jammer.js');
+  var { createGroundStation } = require('../entities/groundStation.js');
+  var { createHopSet } = require('../rf/waveforms.js');
+  var { createSearchPattern } = require('../ai/patterns.js');
+  var { parseBehaviorTree } = require('../ai/behaviorTree.js');
+  var { createDoctrineTree } = require('../ai/doctrines.js');
+  var { EnemyCommander } = require('../ai/commander.js');
+}
+
 class GameState {
   constructor() {
     // Mission state
@@ -27,18 +41,21 @@ class GameState {
       },
       drones: {
         available: { ...CONFIG.mission.defaultAssets.drones },
-        deployed: []
+        deployed: [],
+        expended: []  // Spent on their targets, so no longer deployed
       },
       sensors: {
         available: 2,
         deployed: []
-      }
+      },
+      groundStations: []
     };
     
     // Enemy assets
     this.enemyAssets = {
       jammers: [],
       drones: [],
+      groundStations: [],
       commandCenters: []
     };
     
@@ -56,9 +73,17 @@ class GameState {
     this.metrics = {
       signalDominance: 0.5,  // 0-1 scale
       assetStatus: { active: 0, total: 0 },
-      targetLock: { achieved: 0, total: 0 }
+      targetLock: { achieved: 0, total: 0 },
+      fratricide: { affected: 0, penalty: 0 }  // Player assets jammed by player jammers
     };
     
+    // Friendly jamming rules and the player assets currently degraded by player jammers
+    this.fratricideRules = { ...CONFIG.mission.fratricide };
+    this.fratricideAffected = new Map();  // Entity ID -> jammer IDs
+    
+    // Strategic controller of the enemy force while a mission runs
+    this.enemyCommander = null;
+    
     // UI state
     this.uiState = {
       activePanel: null,
@@ -74,6 +99,7 @@ class GameState {
     // Entity management
     this.ecs = null;
     this.systems = {};
+    this.terrain = null;  // TerrainModel heightfield
     
     // Events
     this.eventListeners = {};
@@ -87,6 +113,28 @@ class GameState {
     this.systems.rfPropagation = ecs.getSystem('rfPropagation');
     this.systems.render = ecs.getSystem('render');
     this.systems.ai = ecs.getSystem('ai');
+    this.systems.weather = ecs.getSystem('weather');
+    
+    // Generate terrain from the simulation seed and use it for propagation
+    this.terrain = TerrainModel.generate(ecs.random);
+    if (this.systems.rfPropagation) {
+      this.systems.rfPropagation.setTerrain(this.terrain);
+    }
+    
+    // A drone spent on its target is no longer a deployed asset
+    if (this.systems.ai) {
+      this.systems.ai.addDetonationListener((entityId) => this.expendDrone(entityId));
+    }
+    
+    // Announce weather changes to the UI and 3D scene
+    if (this.systems.weather) {
+      this.systems.weather.addChangeListener((conditions, previousConditions) => {
+        this.triggerEvent('weatherChange', conditions, previousConditions);
+      });
+    }
+    
+    // Advance mission state on every simulation tick
+    ecs.addTickListener((deltaTime) => this.update(deltaTime));
     
     // Initialize default tactical situation
     this.resetGame();
@@ -109,18 +157,21 @@ class GameState {
       },
       drones: {
         available: { ...CONFIG.mission.defaultAssets.drones },
-        deployed: []
+        deployed: [],
+        expended: []  // Spent on their targets, so no longer deployed
       },
       sensors: {
         available: 2,
         deployed: []
-      }
+      },
+      groundStations: []
     };
     
     // Reset enemy assets
     this.enemyAssets = {
       jammers: [],
       drones: [],
+      groundStations: [],
       commandCenters: []
     };
     
@@ -131,9 +182,17 @@ class GameState {
     this.metrics = {
       signalDominance: 0.5,
       assetStatus: { active: 0, total: 0 },
-      targetLock: { achieved: 0, total: 0 }
+      targetLock: { achieved: 0, total: 0 },
+      fratricide: { affected: 0, penalty: 0 }
     };
     
+    // Reset friendly jamming rules
+    this.setFratricideRules({});
+    this.fratricideAffected.clear();
+    
+    // Dismiss the enemy commander
+    this.enemyCommander = null;
+    
     // Reset RF environment
     this.rfEnvironment = {
       activeBands: new Set(),
@@ -168,11 +227,22 @@ class GameState {
     this.triggerEvent('gameReset');
   }
   
-  startMission() {
+  // options: { fratricide, difficulty } override CONFIG.mission.fratricide and
+  // the enemy commander's difficulty (CONFIG.mission.commander) for this mission
+  startMission(options = {}) {
     if (this.missionActive) {
       return false;
     }
     
+    const difficulty = options.difficulty || CONFIG.mission.commander.difficulty;
+    if (!CONFIG.mission.commander.difficulties[difficulty]) {
+      console.error(`Invalid difficulty: ${difficulty}`);
+      return false;
+    }
+    
+    this.setFratricideRules(options.fratricide || {});
+    this.enemyCommander = new EnemyCommander(this, difficulty);
+    
     this.missionActive = true;
     this.missionPhase = 'DEPLOYMENT';
     this.missionTime = 0;
@@ -207,7 +277,7 @@ class GameState {
     return true;
   }
   
-  // Update game state (called each frame)
+  // Update game state (called each simulation tick)
   update(deltaTime) {
     if (!this.missionActive) {
       return;
@@ -222,6 +292,12 @@ class GameState {
       this.advanceMissionPhase();
     }
     
+    // Let the enemy react
+    this.enemyCommander.update(deltaTime);
+    
+    // Track friendly jamming before scoring it
+    this.updateFratricide();
+    
     // Update tactical advantage
     this.updateTacticalAdvantage();
     
@@ -270,10 +346,14 @@ class GameState {
     this.metrics.assetStatus = assetStatus;
     this.metrics.targetLock = targetLock;
     
+    // Penalty for player assets jammed by player jammers
+    const fratricide = this.calculateFratricidePenalty();
+    this.metrics.fratricide = fratricide;
+    
     // Calculate overall tactical advantage (0-100 scale)
     this.tacticalAdvantage = Math.round(
       (signalDominance * 0.5 + assetStatus.ratio * 0.3 + targetLock.ratio * 0.2) * 100
-    );
+    ) - fratricide.penalty;
     
     // Clamp to 0-100
     this.tacticalAdvantage = Math.max(0, Math.min(100, this.tacticalAdvantage));
@@ -282,6 +362,78 @@ class GameState {
     this.triggerEvent('tacticalAdvantageChange', this.tacticalAdvantage);
   }
   
+  // Set the friendly jamming rules, merged over CONFIG.mission.fratricide
+  setFratricideRules(rules) {
+    this.fratricideRules = { ...CONFIG.mission.fratricide, ...rules };
+    
+    if (this.systems.rfPropagation) {
+      this.systems.rfPropagation.setFratricideRules(this.fratricideRules);
+    }
+  }
+  
+  // Worst degradation an entity's own team's jammers cause its RF receiver,
+  // control link or GNSS receiver: { degradation, jammerIds }
+  getFriendlyJamming(entityId) {
+    let degradation = 0;
+    const jammerIds = new Set();
+    
+    for (const componentType of [ComponentTypes.RF_RECEIVER, ComponentTypes.CONTROL_LINK, ComponentTypes.GNSS_RECEIVER]) {
+      const component = this.ecs.getComponent(entityId, componentType);
+      if (!component) continue;
+      
+      degradation = Math.max(degradation, component.friendlyDegradation);
+      for (const jammerId of component.friendlyJammers) {
+        jammerIds.add(jammerId);
+      }
+    }
+    
+    return { degradation, jammerIds: [...jammerIds] };
+  }
+  
+  // Track player assets degraded by player jammers and warn about blue-on-blue
+  // jamming; the enemy's jamming of its own assets raises no events
+  updateFratricide() {
+    const entities = this.ecs.entityManager.getEntitiesWithComponents(ComponentTypes.TEAM);
+    const stillAffected = new Set();
+    
+    for (const entityId of entities) {
+      if (this.ecs.getComponent(entityId, ComponentTypes.TEAM).team !== 'PLAYER') {
+        continue;
+      }
+      
+      const { degradation, jammerIds } = this.getFriendlyJamming(entityId);
+      if (degradation < this.fratricideRules.warningDegradation) {
+        continue;
+      }
+      
+      stillAffected.add(entityId);
+      
+      if (!this.fratricideAffected.has(entityId)) {
+        this.fratricideAffected.set(entityId, jammerIds);
+        this.triggerEvent('fratricideWarning', entityId, jammerIds);
+      }
+    }
+    
+    // Clear assets no longer affected (or destroyed)
+    for (const entityId of this.fratricideAffected.keys()) {
+      if (!stillAffected.has(entityId)) {
+        this.fratricideAffected.delete(entityId);
+        this.triggerEvent('fratricideCleared', entityId);
+      }
+    }
+  }
+  
+  // Tactical advantage penalty for player assets jammed by player jammers
+  calculateFratricidePenalty() {
+    const affected = this.fratricideAffected.size;
+    
+    // Protected assets still warn, but only unprotected jamming costs advantage
+    const penalty = this.fratricideRules.mode === 'AFFECTED' ?
+      affected * this.fratricideRules.penaltyPerAsset : 0;
+    
+    return { affected, penalty };
+  }
+  
   // Calculate signal dominance based on jammer coverage
   calculateSignalDominance() {
     // If no RF propagation system, return neutral
@@ -290,23 +442,8 @@ class GameState {
     }
     
     // Count jammed frequencies
-    const jammedByPlayer = new Set();
-    const jammedByEnemy = new Set();
-    
-    // Check all jammers
-    for (const jammerId of this.playerAssets.jammers.deployed) {
-      const jammerComponent = this.ecs.getComponent(jammerId, ComponentTypes.JAMMER);
-      if (jammerComponent && jammerComponent.active) {
-        jammedByPlayer.add(jammerComponent.targetFrequency);
-      }
-    }
-    
-    for (const jammerId of this.enemyAssets.jammers) {
-      const jammerComponent = this.ecs.getComponent(jammerId, ComponentTypes.JAMMER);
-      if (jammerComponent && jammerComponent.active) {
-        jammedByEnemy.add(jammerComponent.targetFrequency);
-      }
-    }
+    const jammedByPlayer = this.getJammedBands(this.playerAssets.jammers.deployed);
+    const jammedByEnemy = this.getJammedBands(this.enemyAssets.jammers);
     
     // Calculate signal dominance ratio
     const playerDominance = jammedByPlayer.size;
@@ -319,6 +456,23 @@ class GameState {
     return playerDominance / (playerDominance + enemyDominance);
   }
   
+  // Bands the active jammers among jammerIds are jamming, with the jammers on each
+  getJammedBands(jammerIds) {
+    const bands = new Map();  // Band -> jammer IDs
+    
+    for (const jammerId of jammerIds) {
+      const jammerComponent = this.ecs.getComponent(jammerId, ComponentTypes.JAMMER);
+      if (jammerComponent && jammerComponent.active) {
+        if (!bands.has(jammerComponent.targetFrequency)) {
+          bands.set(jammerComponent.targetFrequency, []);
+        }
+        bands.get(jammerComponent.targetFrequency).push(jammerId);
+      }
+    }
+    
+    return bands;
+  }
+  
   // Calculate asset status
   calculateAssetStatus() {
     // Count active assets
@@ -392,9 +546,12 @@ class GameState {
       { x: -500, y: -500, z: 0 }
     ];
     
-    // Spawn enemy drones
+    // Spawn enemy drones at their operating altitude above the ground
+    const altitude = CONFIG.drones.types.SURVEILLANCE.altitude;
     for (let i = 0; i < 4; i++) {
-      const droneId = this.createEnemyDrone('SURVEILLANCE', spawnPositions[i]);
+      const { x, y } = spawnPositions[i];
+      const ground = this.terrain ? this.terrain.getElevation(x, y) : 0;
+      const droneId = this.createEnemyDrone('SURVEILLANCE', { x, y, z: ground + altitude });
       this.enemyAssets.drones.push(droneId);
     }
     
@@ -404,39 +561,41 @@ class GameState {
     this.enemyAssets.jammers.push(jammerId);
   }
   
-  // Create enemy drone
-  createEnemyDrone(type, position) {
-    // Create entity
-    const entityId = this.ecs.createEntity();
-    
-    // Add components
-    this.ecs.addComponent(entityId, ComponentTypes.TRANSFORM, position.x, position.y, position.z);
-    this.ecs.addComponent(entityId, ComponentTypes.VISUAL, 'drone', '#ff4655', true);
-    this.ecs.addComponent(entityId, ComponentTypes.DRONE, type);
-    this.ecs.addComponent(entityId, ComponentTypes.RF_TRANSMITTER, 'ISM2400', 20, 'OMNI');
-    this.ecs.addComponent(entityId, ComponentTypes.RF_RECEIVER, 'GPS', -95);
-    this.ecs.addComponent(entityId, ComponentTypes.AI, 'patrol');
-    this.ecs.addComponent(entityId, ComponentTypes.TEAM, 'ENEMY');
+  // Create enemy drone, flown from stationId or else a ground control station
+  // set up at the launch point
+  createEnemyDrone(type, position, stationId = null) {
+    if (stationId === null) {
+      stationId = this.createGroundStation(position, 'ENEMY');
+    }
+    const entityId = createDrone(this.ecs, type, position, 'ENEMY', stationId);
     
-    // Set up drone patrol
-    const droneComponent = this.ecs.getComponent(entityId, ComponentTypes.DRONE);
-    droneComponent.waypoints = [
+    // Set up drone patrol, round a square over the launch point
+    this.setDroneRoute(entityId, [
       { x: position.x + 200, y: position.y + 200, z: 0 },
       { x: position.x - 200, y: position.y + 200, z: 0 },
       { x: position.x - 200, y: position.y - 200, z: 0 },
-      { x: position.x + 200, y: position.y - 200, z: 0 },
-      { x: position.x, y: position.y, z: 0 }
-    ];
+      { x: position.x + 200, y: position.y - 200, z: 0 }
+    ]);
     
-    // Set AI state
-    const aiComponent = this.ecs.getComponent(entityId, ComponentTypes.AI);
-    aiComponent.state = CONFIG.drones.ai.states.PATROL;
+    return entityId;
+  }
+  
+  // Create a ground control station on the ground below position
+  createGroundStation(position, team = 'PLAYER') {
+    const ground = this.terrain ? this.terrain.getElevation(position.x, position.y) : 0;
+    const entityId = createGroundStation(this.ecs, { x: position.x, y: position.y, z: ground }, team);
+    
+    const assets = team === 'PLAYER' ? this.playerAssets : this.enemyAssets;
+    assets.groundStations.push(entityId);
+    
+    // Trigger event
+    this.triggerEvent('groundStationCreated', entityId, team, position);
     
     return entityId;
   }
   
-  // Create enemy jammer
-  createEnemyJammer(type, position) {
+  // Create enemy jammer, jamming a band
+  createEnemyJammer(type, position, frequency = 'GPS') {
     // Create entity
     const entityId = this.ecs.createEntity();
     
@@ -444,13 +603,13 @@ class GameState {
     this.ecs.addComponent(entityId, ComponentTypes.TRANSFORM, position.x, position.y, position.z);
     this.ecs.addComponent(entityId, ComponentTypes.VISUAL, 'jammer', '#ff4655', true);
     this.ecs.addComponent(entityId, ComponentTypes.JAMMER, type);
-    this.ecs.addComponent(entityId, ComponentTypes.RF_TRANSMITTER, 'GPS', 30, 'OMNI');
+    this.ecs.addComponent(entityId, ComponentTypes.RF_TRANSMITTER, frequency, 30, 'OMNI');
     this.ecs.addComponent(entityId, ComponentTypes.TEAM, 'ENEMY');
     
     // Activate jammer
     const jammerComponent = this.ecs.getComponent(entityId, ComponentTypes.JAMMER);
     jammerComponent.active = true;
-    jammerComponent.targetFrequency = 'GPS';
+    jammerComponent.targetFrequency = frequency;
     
     const transmitterComponent = this.ecs.getComponent(entityId, ComponentTypes.RF_TRANSMITTER);
     transmitterComponent.active = true;
@@ -546,6 +705,36 @@ class GameState {
     return result;
   }
   
+  // Set jammer technique
+  setJammerTechnique(jammerId, technique) {
+    if (!this.systems.jammer) {
+      return false;
+    }
+    
+    const result = this.systems.jammer.setJammerTechnique(jammerId, technique);
+    
+    if (result) {
+      this.triggerEvent('jammerTechniqueChanged', jammerId, technique);
+    }
+    
+    return result;
+  }
+  
+  // Set where a spoofer draws drones
+  setSpoofTarget(jammerId, position) {
+    if (!this.systems.jammer) {
+      return false;
+    }
+    
+    const result = this.systems.jammer.setSpoofTarget(jammerId, position);
+    
+    if (result) {
+      this.triggerEvent('spoofTargetChanged', jammerId, position);
+    }
+    
+    return result;
+  }
+  
   // Set jammer power
   setJammerPower(jammerId, power) {
     if (!this.systems.jammer) {
@@ -611,7 +800,7 @@ class GameState {
   }
   
   // Create player drone
-  createDrone(type, position, baseLocation) {
+  createDrone(type, position, baseLocation, stationId = null) {
     // Check if we have available drones of this type
     if (this.playerAssets.drones.available[type] <= 0) {
       return null;
@@ -620,22 +809,11 @@ class GameState {
     // Decrement available drones
     this.playerAssets.drones.available[type]--;
     
-    // Create entity
-    const entityId = this.ecs.createEntity();
-    
-    // Add components
-    this.ecs.addComponent(entityId, ComponentTypes.TRANSFORM, position.x, position.y, position.z);
-    this.ecs.addComponent(entityId, ComponentTypes.VISUAL, 'drone', '#0084ff', true);
-    this.ecs.addComponent(entityId, ComponentTypes.DRONE, type);
-    this.ecs.addComponent(entityId, ComponentTypes.RF_RECEIVER, 'GPS', -95);
-    this.ecs.addComponent(entityId, ComponentTypes.AI, 'patrol');
-    this.ecs.addComponent(entityId, ComponentTypes.TEAM, 'PLAYER');
-    
-    // Add transmitter for EW drones
-    const droneConfig = CONFIG.drones.types[type];
-    if (droneConfig.jammers) {
-      this.ecs.addComponent(entityId, ComponentTypes.RF_TRANSMITTER, 'GPS', 27, 'OMNI');
+    // Flown from stationId or else a ground control station set up at the launch point
+    if (stationId === null) {
+      stationId = this.createGroundStation(position);
     }
+    const entityId = createDrone(this.ecs, type, position, 'PLAYER', stationId);
     
     // Set base location
     const droneComponent = this.ecs.getComponent(entityId, ComponentTypes.DRONE);
@@ -650,7 +828,21 @@ class GameState {
     return entityId;
   }
   
-  // Set drone waypoints
+  // Move a player drone that released its warhead from deployed to expended
+  expendDrone(droneId) {
+    const index = this.playerAssets.drones.deployed.indexOf(droneId);
+    if (index === -1) {
+      return false;
+    }
+    
+    this.playerAssets.drones.deployed.splice(index, 1);
+    this.playerAssets.drones.expended.push(droneId);
+    this.triggerEvent('droneExpended', droneId);
+    
+    return true;
+  }
+  
+  // Set drone waypoints, flown once
   setDroneWaypoints(droneId, waypoints) {
     const droneComponent = this.ecs.getComponent(droneId, ComponentTypes.DRONE);
     const aiComponent = this.ecs.getComponent(droneId, ComponentTypes.AI);
@@ -661,6 +853,7 @@ class GameState {
     
     // Set waypoints
     droneComponent.waypoints = waypoints;
+    aiComponent.route = [];
     
     // Set AI state to patrol
     aiComponent.state = CONFIG.drones.ai.states.PATROL;
@@ -671,21 +864,159 @@ class GameState {
     return true;
   }
   
-  // Update metrics for UI display
-  updateMetrics() {
-    // Update jammer count
-    const jammerCount = this.playerAssets.jammers.deployed.length;
-    document.getElementById('jammer-count').textContent = jammerCount;
+  // Set a drone patrolling a route, flown again from the top if loop is set
+  setDroneRoute(droneId, route, loop = true) {
+    const droneComponent = this.ecs.getComponent(droneId, ComponentTypes.DRONE);
+    const aiComponent = this.ecs.getComponent(droneId, ComponentTypes.AI);
     
-    // Update drone count
-    const droneCount = this.playerAssets.drones.deployed.length;
-    document.getElementById('drone-count').textContent = droneCount;
+    if (!droneComponent || !aiComponent || route.length === 0) {
+      return false;
+    }
     
-    // Update mission time
+    aiComponent.behavior = 'patrol';
+    aiComponent.route = route;
+    aiComponent.loopRoute = loop;
+    aiComponent.targetEntity = null;
+    droneComponent.waypoints = route.map(waypoint => ({ ...waypoint }));
+    droneComponent.target = null;
+    aiComponent.state = CONFIG.drones.ai.states.PATROL;
+    
+    // Trigger event
+    this.triggerEvent('droneRouteSet', droneId, route, loop);
+    
+    return true;
+  }
+  
+  // Set a drone searching a square area of side size around center with a
+  // search pattern ('PARALLEL' or 'EXPANDING_SQUARE')
+  setDroneSearch(droneId, pattern, center, size, loop = true) {
+    const route = createSearchPattern(pattern, center, size, CONFIG.drones.ai.searchSpacing);
+    
+    return this.setDroneRoute(droneId, route, loop);
+  }
+  
+  // Set a drone defending an asset: orbiting it and intercepting intruders
+  setDroneDefend(droneId, protectedId) {
+    const aiComponent = this.ecs.getComponent(droneId, ComponentTypes.AI);
+    
+    if (!aiComponent || !this.ecs.getComponent(protectedId, ComponentTypes.TRANSFORM)) {
+      return false;
+    }
+    
+    aiComponent.behavior = 'defend';
+    aiComponent.protectedEntity = protectedId;
+    aiComponent.targetEntity = null;
+    
+    // Trigger event
+    this.triggerEvent('droneDefendSet', droneId, protectedId);
+    
+    return true;
+  }
+  
+  // Set a drone attacking the enemies it detects
+  setDroneAttack(droneId) {
+    const aiComponent = this.ecs.getComponent(droneId, ComponentTypes.AI);
+    
+    if (!aiComponent) {
+      return false;
+    }
+    
+    aiComponent.behavior = 'attack';
+    aiComponent.targetEntity = null;
+    
+    // Trigger event
+    this.triggerEvent('droneAttackSet', droneId);
+    
+    return true;
+  }
+  
+  // Retune a drone's control link to another band; the ground control station
+  // flying it follows
+  setDroneControlFrequency(droneId, frequency) {
+    const radioRF = this.ecs.getComponent(droneId, ComponentTypes.RF_TRANSMITTER);
+    
+    if (!radioRF || !this.ecs.getComponent(droneId, ComponentTypes.CONTROL_LINK) ||
+        !CONFIG.rf.frequencyBands[frequency]) {
+      return false;
+    }
+    
+    radioRF.frequency = frequency;
+    if (radioRF.hopParameters.hopping) {
+      radioRF.hopParameters.hopSet = createHopSet(frequency, radioRF.hopParameters.hopSet.length);
+    }
+    
+    // Trigger event
+    this.triggerEvent('droneControlFrequencySet', droneId, frequency);
+    
+    return true;
+  }
+  
+  // Set a drone flying a behavior tree, built from a definition object or JSON
+  // string (see js/ai/behaviorTree.js) with a blackboard holding values
+  setDroneBehaviorTree(droneId, definition, values = {}) {
+    const aiComponent = this.ecs.getComponent(droneId, ComponentTypes.AI);
+    
+    if (!aiComponent) {
+      return false;
+    }
+    
+    // A definition that cannot be built leaves the drone on its current behavior
+    let tree;
+    try {
+      tree = parseBehaviorTree(definition, values);
+    } catch (error) {
+      console.error(`Invalid behavior tree: ${error.message}`);
+      return false;
+    }
+    
+    return this.attachBehaviorTree(droneId, aiComponent, tree);
+  }
+  
+  // Set a drone flying one of the doctrines (see js/ai/doctrines.js), e.g.
+  // setDroneDoctrine(id, 'ESCORT', { protect: stationId })
+  setDroneDoctrine(droneId, doctrine, values = {}) {
+    const aiComponent = this.ecs.getComponent(droneId, ComponentTypes.AI);
+    const tree = createDoctrineTree(doctrine, values);
+    
+    if (!aiComponent || !tree) {
+      return false;
+    }
+    
+    return this.attachBehaviorTree(droneId, aiComponent, tree, doctrine);
+  }
+  
+  // Hand a drone over to a behavior tree
+  attachBehaviorTree(droneId, aiComponent, tree, doctrine = null) {
+    const droneComponent = this.ecs.getComponent(droneId, ComponentTypes.DRONE);
+    
+    aiComponent.behavior = 'tree';
+    aiComponent.behaviorTree = tree;
+    aiComponent.targetEntity = null;
+    if (droneComponent) {
+      // The tree decides where the drone goes once a route ends
+      droneComponent.returnToBaseWhenComplete = false;
+      droneComponent.waypoints = [];
+      droneComponent.target = null;
+    }
+    
+    // Trigger event
+    this.triggerEvent('droneBehaviorTreeSet', droneId, doctrine);
+    
+    return true;
+  }
+  
+  // Update metrics for UI display
+  updateMetrics() {
+    // Format mission time
     const minutes = Math.floor(this.missionTimeRemaining / 60);
     const seconds = Math.floor(this.missionTimeRemaining % 60);
-    document.getElementById('mission-time').textContent = 
-      `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    
+    // The UI listens for this event and updates the DOM
+    this.triggerEvent('metricsUpdate', {
+      jammerCount: this.playerAssets.jammers.deployed.length,
+      droneCount: this.playerAssets.drones.deployed.length,
+      missionTime: `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`
+    });
   }
   
   // Event system
@@ -719,4 +1050,8 @@ class GameState {
 }
 
 // Create global game state instance
-const gameState = new GameState();
\ No newline at end of file
+const gameState = new GameState();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { GameState, gameState };
+}
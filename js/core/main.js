@@ -29,7 +29,8 @@ class GameEngine {
     this.keys = {};
     this.mouse = {
       position: { x: 0, y: 0 },
-      worldPosition: { x: 0, y: 0, z: 0 },
+      worldPosition: { x: 0, y: 0, z: 0 },  // Scene point under the cursor
+      simPosition: { x: 0, y: 0, z: 0 },    // Simulation ground position under the cursor
       isDown: false,
       button: -1
     };
@@ -38,6 +39,8 @@ class GameEngine {
     
     // Game state
     this.ecs = null;
+    this.coverageEngine = null;
+    this.spectrumMonitor = null;
     this.assetPlacementMode = null;
     this.selectedAssetType = null;
     this.placementData = null;
@@ -57,6 +60,13 @@ class GameEngine {
     // Initialize game state
     gameState.initialize(this.ecs);
     
+    // Compute RF coverage rasters for the tactical map in a worker
+    this.coverageEngine = new CoverageEngine(this.ecs);
+    this.coverageEngine.setTerrain(gameState.terrain);
+    
+    // Spectrum for the spectrum analyzer panel
+    this.spectrumMonitor = new SpectrumMonitor(this.ecs);
+    
     // Initialize input handlers
     this.initializeInput();
     
@@ -79,6 +89,9 @@ class GameEngine {
     // Create terrain
     this.createTerrain();
     
+    // Drape the coverage heatmap over the simulation terrain
+    this.ecs.getSystem('coverageHeatmap').initialize(this.scene, this.groundMesh.geometry, this.coverageEngine);
+    
     // Start game loop
     this.isRunning = true;
     this.lastTime = performance.now();
@@ -432,19 +445,9 @@ class GameEngine {
     // Create ECS
     this.ecs = new ECS();
     
-    // Register systems
-    this.ecs.registerSystem(RenderSystem, 'render');
-    this.ecs.registerSystem(RFPropagationSystem, 'rfPropagation');
-    this.ecs.registerSystem(JammerSystem, 'jammer');
-    this.ecs.registerSystem(AISystem, 'ai');
-    this.ecs.registerSystem(PhysicsSystem, 'physics');
-    
-    // Initialize systems
-    const renderSystem = this.ecs.getSystem('render');
-    renderSystem.initialize(this.scene, this.renderer, this.camera);
-    
-    const rfPropagationSystem = this.ecs.getSystem('rfPropagation');
-    rfPropagationSystem.initialize(this.scene);
+    // Register game logic systems, then the systems that render their results
+    registerSimulationSystems(this.ecs);
+    registerRenderSystems(this.ecs, this.scene, this.renderer, this.camera);
   }
   
   // Initialize input handlers
@@ -494,6 +497,10 @@ class GameEngine {
       // Handle mouse move
       this.handleMouseMove(event);
     });
+    
+    canvas.addEventListener('mouseleave', () => {
+      this.hideCoverageProbe();
+    });
   }
   
   // Initialize UI elements
@@ -567,6 +574,42 @@ class GameEngine {
     // Share game state with the UI
     window.gameState = gameState;
     
+    // Mirror mission metrics into the status bar
+    gameState.addEventListener('metricsUpdate', (metrics) => {
+      const updateElement = (id, value) => {
+        const element = document.getElementById(id);
+        if (element) {
+          element.textContent = value;
+        }
+      };
+      
+      updateElement('jammer-count', metrics.jammerCount);
+      updateElement('drone-count', metrics.droneCount);
+      updateElement('mission-time', metrics.missionTime);
+    });
+    
+    // Warn about player jammers degrading player assets
+    gameState.addEventListener('fratricideWarning', (entityId) => {
+      this.showAlert(`BLUE-ON-BLUE: friendly jamming degrading asset ${entityId}`, 'warning');
+    });
+    
+    // Report weather changes
+    gameState.addEventListener('weatherChange', (conditions) => {
+      this.showAlert(`Weather changing: ${CONFIG.weather.conditions[conditions].label}`, 'info');
+    });
+    
+    // Report what the enemy commander is seen to do
+    gameState.addEventListener('enemyCommanderAction', (action, details) => {
+      const messages = {
+        CONTROL_FREQUENCY: () => `Enemy drones moved their control links to ${CONFIG.rf.frequencyBands[details.frequency].label}`,
+        COUNTER_JAMMER: () => `Enemy counter-jamming on ${CONFIG.rf.frequencyBands[details.frequency].label}`,
+        ATTACK_WAVE: () => `Enemy attack wave ${details.wave} inbound`
+      };
+      if (messages[action]) {
+        this.showAlert(messages[action](), 'warning');
+      }
+    });
+    
     // Share game assets with the UI
     this.updateUIAssets();
   }
@@ -618,7 +661,8 @@ class GameEngine {
               id: entity,
               type: type,
               name: `${type}-${entity}`, // Generate name based on type and ID
-              position: transform.position,
+              // The tactical map draws scene axes: x and z across the ground, y up
+              position: { x: transform.position.x, y: transform.position.z, z: transform.position.y },
               active: active,
               power: jammer?.powerLevel || 30,
               antennaType: jammer?.antennaType || 'OMNI',
@@ -779,6 +823,14 @@ class GameEngine {
     this.scene.add(this.terrain);
     this.scene.add(this.terrain2);
     
+    // The vaporwave terrain is decoration: the cursor picks positions on the
+    // simulation terrain, which is not drawn itself
+    this.groundMesh = new THREE.Mesh(
+      createTerrainGeometry(gameState.terrain),
+      new THREE.MeshBasicMaterial({ visible: false })
+    );
+    this.scene.add(this.groundMesh);
+    
     // Add spotlights for vaporwave lighting with enhanced colors
     this.createVaporwaveLighting();
     
@@ -2360,7 +2412,7 @@ class GameEngine {
   // Update mouse world position based on current mouse screen position
   updateMouseWorldPosition() {
     // Skip if terrain isn't initialized yet
-    if (!this.terrain || !this.terrain2) {
+    if (!this.groundMesh) {
       // Use a default placement plane until terrain is ready
       this.mouse.worldPosition = this.mouse.worldPosition || { x: 0, y: 0, z: 0 };
       return;
@@ -2371,15 +2423,8 @@ class GameEngine {
     raycaster.setFromCamera(this.mouse.position, this.camera);
     
     try {
-      // Check intersection with terrain (try both terrains)
-      const terrainObjects = [this.terrain, this.terrain2].filter(obj => obj && obj.type === 'Mesh');
-      
-      if (terrainObjects.length === 0) {
-        console.warn('No valid terrain objects found for raycasting');
-        return;
-      }
-      
-      const intersects = raycaster.intersectObjects(terrainObjects);
+      // Check intersection with the simulation terrain
+      const intersects = raycaster.intersectObject(this.groundMesh);
       
       if (intersects.length > 0) {
         // Update world position
@@ -2396,6 +2441,11 @@ class GameEngine {
         const rayLength = (distance - this.camera.position.y) / direction.y;
         this.mouse.worldPosition = this.camera.position.clone().add(direction.multiplyScalar(rayLength));
       }
+      
+      // Simulation position on the ground below the cursor
+      const simPosition = sceneToSim(this.mouse.worldPosition);
+      simPosition.z = gameState.terrain.getElevation(simPosition.x, simPosition.y);
+      this.mouse.simPosition = simPosition;
     } catch (error) {
       console.warn('Error during mouse position calculation:', error.message);
       // Don't overwrite existing world position if we encounter an error
@@ -2463,7 +2513,8 @@ class GameEngine {
       'STANDARD': '#36f9b3', // Green glow
       'PRECISION': '#00b8d4', // Blue glow
       'PULSE': '#ffde59',    // Yellow glow
-      'MOBILE': '#ff4655'     // Red glow
+      'MOBILE': '#ff4655',    // Red glow
+      'SPOOFER': '#b36bff'    // Violet glow
     };
     
     const jammerColor = jammerColors[type] || '#00a3ff';
@@ -2797,7 +2848,10 @@ class GameEngine {
     } 
     else if (command.toLowerCase().includes('start mission')) {
       setTimeout(() => {
-        gameState.startMission();
+        // e.g. 'start mission hard'
+        const difficulty = Object.keys(CONFIG.mission.commander.difficulties)
+          .find(level => command.toUpperCase().includes(level));
+        gameState.startMission(difficulty ? { difficulty } : {});
         this.addChatMessage('raven', 'Mission initiated. Deploying assets and beginning deployment phase. You have 2 minutes to establish your electronic defense posture.');
       }, 500);
     }
@@ -2883,7 +2937,7 @@ class GameEngine {
       }
     } else if (key === 't') {
       // Toggle RF visualization
-      const rfSystem = this.ecs.getSystem('rfPropagation');
+      const rfSystem = this.ecs.getSystem('rfVisualization');
       if (rfSystem) {
         rfSystem.enabled = !rfSystem.enabled;
         
@@ -3125,6 +3179,14 @@ class GameEngine {
   
   // Handle mouse down
   handleMouseDown(event) {
+    // Pick the point a freshly deployed spoofer draws drones toward
+    if (this.assetPlacementMode === 'SPOOF_TARGET' && this.mouse.button === 0) {
+      gameState.setSpoofTarget(this.placementData.spooferId, { ...this.mouse.simPosition });
+      this.cancelAssetPlacement();
+      this.showAlert('Spoofer target set', 'success');
+      return;
+    }
+    
     // Handle jammer placement mode
     if (this.assetPlacementMode === 'JAMMER' && this.mouse.button === 0) {
       // Check if placement is valid
@@ -3133,7 +3195,7 @@ class GameEngine {
         return;
       }
       
-      const position = { ...this.mouse.worldPosition };
+      const position = { ...this.mouse.simPosition };
       const jammerType = this.selectedAssetType;
       
       // Create jammer
@@ -3144,7 +3206,16 @@ class GameEngine {
       
       if (jammerId) {
         // Add visual deployment effect with the correct jammer type
-        this.createJammerDeploymentEffect(position, jammerType);
+        this.createJammerDeploymentEffect(simToScene(position), jammerType);
+        
+        // Tune to the chosen band and technique, where the type supports it
+        const settings = window.getJammerSettings ? window.getJammerSettings() : {};
+        if (settings.frequency) {
+          gameState.setJammerFrequency(jammerId, settings.frequency);
+        }
+        if (settings.technique && !gameState.setJammerTechnique(jammerId, settings.technique)) {
+          this.showAlert(`${CONFIG.jammers.types[jammerType].name} cannot use ${settings.technique} jamming`, 'warning');
+        }
         
         // Activate jammer
         gameState.activateJammer(jammerId);
@@ -3159,6 +3230,15 @@ class GameEngine {
           jammerStatusElement.style.color = "";
         }
         
+        // A spoofer's next click picks where it draws drones
+        if (CONFIG.jammers.types[jammerType].technique === 'SPOOF') {
+          this.cancelAssetPlacement();
+          this.assetPlacementMode = 'SPOOF_TARGET';
+          this.placementData = { spooferId: jammerId };
+          this.showAlert('Click where the spoofer should draw drones (Esc: toward the spoofer)', 'info');
+          return;
+        }
+        
         // Exit placement mode if no more jammers available
         if (gameState.playerAssets.jammers.available[jammerType] <= 0) {
           this.cancelAssetPlacement();
@@ -3183,7 +3263,8 @@ class GameEngine {
       'STANDARD': '#36f9b3', // Green glow
       'PRECISION': '#00b8d4', // Blue glow
       'PULSE': '#ffde59',    // Yellow glow
-      'MOBILE': '#ff4655'     // Red glow
+      'MOBILE': '#ff4655',    // Red glow
+      'SPOOFER': '#b36bff'    // Violet glow
     };
     
     // Use the type-specific color or a default
@@ -3427,27 +3508,76 @@ class GameEngine {
         }
       }
     }
+    
+    // Report coverage under the cursor
+    this.updateCoverageProbe(event);
+  }
+  
+  // Show received power, SINR and dominant emitter at the cursor
+  // for each band on the coverage heatmap
+  updateCoverageProbe(event) {
+    const probe = document.getElementById('coverage-probe');
+    if (!probe) return;
+    
+    const heatmap = this.ecs.getSystem('coverageHeatmap');
+    const samples = heatmap.enabledBands.size > 0 ?
+      this.coverageEngine.sampleAt(this.mouse.simPosition.x, this.mouse.simPosition.y) :
+      null;
+    
+    if (!samples) {
+      this.hideCoverageProbe();
+      return;
+    }
+    
+    const lines = [];
+    for (const frequency of heatmap.enabledBands) {
+      const label = CONFIG.rf.frequencyBands[frequency].label;
+      const sample = samples[frequency];
+      
+      if (!sample || sample.dominantEmitter === -1) {
+        lines.push(`${label}  NO SIGNAL`);
+        continue;
+      }
+      
+      const sinr = sample.sinr === null ? '--' : `${sample.sinr.toFixed(1)} dB`;
+      lines.push(
+        `${label}  ${sample.power.toFixed(1)} dBm  SINR ${sinr}  ${this.getEmitterName(sample.dominantEmitter)}`
+      );
+    }
+    
+    probe.textContent = lines.join('\n');
+    probe.style.left = `${event.clientX + 14}px`;
+    probe.style.top = `${event.clientY + 14}px`;
+    probe.style.display = 'block';
+  }
+  
+  hideCoverageProbe() {
+    const probe = document.getElementById('coverage-probe');
+    if (probe) {
+      probe.style.display = 'none';
+    }
+  }
+  
+  // Emitter name as shown on the tactical map
+  getEmitterName(entityId) {
+    let type = 'EMITTER';
+    if (this.ecs.getComponent(entityId, ComponentTypes.JAMMER)) {
+      type = 'JAMMER';
+    } else if (this.ecs.getComponent(entityId, ComponentTypes.DRONE)) {
+      type = 'DRONE';
+    }
+    
+    return `${type}-${entityId}`;
   }
   
   // Check if the current jammer placement is valid
   checkJammerPlacementValidity() {
     if (!this.placementData || !this.placementData.indicator) return;
     
-    // Get current position
-    const position = this.placementData.indicator.position.clone();
-    position.z -= 0.1; // Remove offset
-    
-    // Create position object for validation
-    const positionObj = {
-      x: position.x,
-      y: position.y,
-      z: position.z
-    };
-    
     // Use the utility function to validate placement
     const result = validateJammerPlacement(
       gameState.ecs, 
-      positionObj,
+      this.mouse.simPosition,
       gameState.playerAssets.jammers.deployed
     );
     
@@ -3729,10 +3859,8 @@ class GameEngine {
     // Get elapsed time from clock (for vaporwave terrain animation)
     const elapsedTime = this.clock.getElapsedTime();
     
-    // Update game state
-    gameState.update(deltaTime);
-    
-    // Update ECS
+    // Run the fixed simulation ticks this frame covers (game state included),
+    // then the render systems
     this.ecs.update(deltaTime);
     
     // Update visualizations (water animations, etc.)
@@ -3746,6 +3874,9 @@ class GameEngine {
     // Only update if more than 1 second has passed since last update
     const UI_UPDATE_INTERVAL = 1000; // Update once per second
     if (now - this.lastUIUpdateTime > UI_UPDATE_INTERVAL) {
+      // Refresh RF coverage if emitters changed (results arrive asynchronously)
+      this.coverageEngine.update();
+      
       // Update UI with current game state and assets
       this.updateUIAssets();
       
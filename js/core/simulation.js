@@ -0,0 +1,93 @@
+/**
+ * SIGNAL WARFARE - Headless Simulation
+ *
+ * This file loads the simulation core without THREE.js or the DOM:
+ * - Configuration and ECS (entities, components, game logic systems)
+ * - Terrain heightfield and GameState mission logic
+ * - Entity factories, RF propagation helpers, coverage rasters and spectra
+ *
+ * It lets server.js, batch experiments and test runners run whole missions
+ * in Node, stepping the ECS clock one fixed tick at a time. The same seed and
+ * inputs always produce an identical mission:
+ *
+ *   const { createSimulation } = require('./js/core/simulation');
+ *   const simulation = createSimulation({ seed: 42 });
+ *   simulation.gameState.startMission();
+ *   simulation.run(60);
+ *
+ * ES modules import the same entry point from simulation.mjs. In Node each
+ * module requires what it uses, so nothing is added to the global scope.
+ */
+
+const { CONFIG } = require('./config.js');
+const { ComponentTypes } = require('./ecs/components.js');
+const { ECS, SimulationClock, SeededRandom, SpatialGrid } = require('./ecs/ecs.js');
+const { registerSimulationSystems } = require('./ecs/systems.js');
+const { TerrainModel } = require('./terrain.js');
+const { GameState } = require('./gameState.js');
+const { CoverageEngine } = require('../rf/coverage.js');
+const { SpectrumMonitor, SpectrumSweepHistory, computeSpectrumTrace } = require('../rf/spectrum.js');
+
+// Simulation - A mission instance with its own ECS and game state
+class Simulation {
+  // options: { seed, tickRate }
+  constructor(options = {}) {
+    // Create ECS with game logic systems only
+    this.ecs = new ECS({
+      seed: options.seed,
+      tickRate: options.tickRate
+    });
+    registerSimulationSystems(this.ecs);
+    
+    // Create game state bound to this ECS
+    this.gameState = new GameState();
+    this.gameState.initialize(this.ecs);
+  }
+  
+  get seed() {
+    return this.ecs.random.seed;
+  }
+  
+  get time() {
+    return this.ecs.clock.time;
+  }
+  
+  // Advance the simulation by one fixed tick
+  step() {
+    this.ecs.step();
+  }
+  
+  // Advance the simulation by a duration in seconds, returns ticks run
+  run(duration) {
+    const ticks = Math.round(duration / this.ecs.clock.fixedDeltaTime);
+    
+    for (let i = 0; i < ticks; i++) {
+      this.step();
+    }
+    
+    return ticks;
+  }
+}
+
+// Create a new headless simulation
+function createSimulation(options = {}) {
+  return new Simulation(options);
+}
+
+module.exports = {
+  Simulation,
+  createSimulation,
+  CONFIG,
+  ComponentTypes,
+  ECS,
+  SimulationClock,
+  SeededRandom,
+  SpatialGrid,
+  GameState,
+  TerrainModel,
+  CoverageEngine,
+  SpectrumMonitor,
+  SpectrumSweepHistory,
+  computeSpectrumTrace,
+  registerSimulationSystems
+};
@@ -0,0 +1,27 @@
+/**
+ * SIGNAL WARFARE - Headless Simulation (ES module)
+ *
+ * ES module entry point of the headless simulation in simulation.js:
+ *
+ *   import { createSimulation } from './js/core/simulation.mjs';
+ */
+
+import simulation from './simulation.js';
+
+export const {
+  Simulation,
+  createSimulation,
+  CONFIG,
+  ComponentTypes,
+  ECS,
+  SimulationClock,
+  SeededRandom,
+  SpatialGrid,
+  GameState,
+  TerrainModel,
+  CoverageEngine,
+  SpectrumMonitor,
+  SpectrumSweepHistory,
+  computeSpectrumTrace,
+  registerSimulationSystems
+} = simulation;
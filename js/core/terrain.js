@@ -0,0 +1,485 @@
+/**
+ * SIGNAL WARFARE - Terrain Model
+ *
+ * This file implements the headless terrain heightfield used by the simulation:
+ * - Deterministic generation from the ECS seeded PRNG
+ * - Land cover (CONFIG.terrain.types) from height, temperature and moisture
+ * - Elevation lookup with bilinear interpolation
+ * - Terrain profile sampling between two points for RF propagation
+ * - Sky visibility along a direction, for masking satellites
+ *
+ * The grid covers CONFIG.terrain.width x CONFIG.terrain.height meters centered on
+ * the origin. heightData[ix][iy] is the elevation in meters of the grid node at
+ * x = (ix / (resolution - 1) - 0.5) * width, y = (iy / (resolution - 1) - 0.5) * height.
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+  var { CONFIG } = require('./config.js');
+}
+
+var TerrainModel = class TerrainModel {
+  constructor(resolution = CONFIG.terrain.resolution, width = CONFIG.terrain.width, height = CONFIG.terrain.height) {
+    this.resolution = resolution;
+    this.width = width;
+    this.height = height;
+    this.heightData = new Array(resolution).fill().map(() => new Array(resolution).fill(0));
+    this.landCover = new Array(resolution).fill().map(() => new Array(resolution).fill('OPEN'));
+  }
+  
+  // Generate a terrain heightfield from a SeededRandom
+  static generate(random, resolution = CONFIG.terrain.resolution) {
+    const terrain = new TerrainModel(resolution);
+    terrain.generateHeights(random);
+    terrain.generateLandCover(random);
+    return terrain;
+  }
+  
+  // Rebuild a terrain from toData() output
+  static fromData(data) {
+    const terrain = new TerrainModel(data.resolution, data.width, data.height);
+    terrain.heightData = data.heightData;
+    terrain.landCover = data.landCover;
+    return terrain;
+  }
+  
+  // Heightfield and land cover as plain data, e.g. to post to a worker
+  toData() {
+    return {
+      resolution: this.resolution,
+      width: this.width,
+      height: this.height,
+      heightData: this.heightData,
+      landCover: this.landCover
+    };
+  }
+  
+  // Multi-layered noise heightfield with mountain ranges, rivers and a crater
+  generateHeights(random) {
+    const resolution = this.resolution;
+    
+    // Scale factors for different features
+    const scales = {
+      continent: 0.00008, // Very large features (mountains, valleys)
+      mountains: 0.0003,  // Large mountain ranges
+      hills: 0.0015,      // Hills and medium features
+      details: 0.008      // Small terrain details
+    };
+    
+    // Scale modifiers for different features
+    const amplitudes = {
+      continent: CONFIG.terrain.maxElevation * 1.0,
+      mountains: CONFIG.terrain.maxElevation * 0.8,
+      hills: CONFIG.terrain.maxElevation * 0.4,
+      details: CONFIG.terrain.maxElevation * 0.1
+    };
+    
+    // Random offset so each seed samples a different part of the noise field
+    const offsetX = random.range(-50000, 50000);
+    const offsetY = random.range(-50000, 50000);
+    
+    // Create additional feature maps
+    this.riverMap = this.generateRiverMap(random);
+    const mountainRanges = this.generateMountainRanges(random);
+    
+    // Crater/caldera in one spot
+    const craterCenterX = CONFIG.terrain.width * random.range(-0.3, 0.3);
+    const craterCenterY = CONFIG.terrain.height * random.range(-0.3, 0.3);
+    const craterRadius = CONFIG.terrain.width * 0.1;
+    
+    let maxHeight = 0;
+    
+    for (let ix = 0; ix < resolution; ix++) {
+      for (let iy = 0; iy < resolution; iy++) {
+        const x = (ix / (resolution - 1) - 0.5) * this.width;
+        const y = (iy / (resolution - 1) - 0.5) * this.height;
+        const nx = x + offsetX;
+        const ny = y + offsetY;
+        
+        // Get noise values at different scales
+        const continentNoise = TerrainModel.improvedNoise(nx * scales.continent, ny * scales.continent, 0.1);
+        const mountainsNoise = TerrainModel.improvedNoise(nx * scales.mountains, ny * scales.mountains, 0.5);
+        const hillsNoise = TerrainModel.improvedNoise(nx * scales.hills, ny * scales.hills, 0.7);
+        const detailsNoise = TerrainModel.improvedNoise(nx * scales.details, ny * scales.details, 1.2);
+        
+        // Mountain ranges - use 'ridge' noise for more realistic mountains
+        const mountainRidgeNoise = TerrainModel.ridgedNoise(nx * scales.mountains, ny * scales.mountains) *
+                                   mountainRanges[ix][iy];
+        
+        const distToCrater = Math.sqrt(Math.pow(x - craterCenterX, 2) + Math.pow(y - craterCenterY, 2));
+        const craterValue = Math.max(0, 1 - Math.pow(distToCrater / craterRadius, 2));
+        const craterHeight = craterValue > 0.3 ?
+          (-Math.pow((craterValue - 0.7) / 0.3, 2) + 1) * 120 : 0;
+        
+        // Calculate combined height
+        let height = (
+          continentNoise * amplitudes.continent +
+          mountainsNoise * amplitudes.mountains +
+          hillsNoise * amplitudes.hills +
+          detailsNoise * amplitudes.details +
+          mountainRidgeNoise * amplitudes.mountains * 1.2 +
+          craterHeight
+        );
+        
+        // Apply river carving
+        const riverDepth = 50;
+        if (this.riverMap[ix][iy] > 0) {
+          height -= Math.pow(this.riverMap[ix][iy], 0.5) * riverDepth;
+        }
+        
+        this.heightData[ix][iy] = height;
+        maxHeight = Math.max(maxHeight, height);
+      }
+    }
+    
+    // Rescale so the highest peak sits at the configured maximum elevation,
+    // with a floor for water bodies
+    const scale = maxHeight > 0 ? CONFIG.terrain.maxElevation / maxHeight : 1;
+    for (let ix = 0; ix < resolution; ix++) {
+      for (let iy = 0; iy < resolution; iy++) {
+        this.heightData[ix][iy] = Math.max(-30, this.heightData[ix][iy] * scale);
+      }
+    }
+  }
+  
+  // Classify each grid node into a CONFIG.terrain.types land cover
+  generateLandCover(random) {
+    const resolution = this.resolution;
+    const temperatureMap = this.generateTemperatureMap(random);
+    const moistureMap = this.generateMoistureMap(random);
+    
+    for (let ix = 0; ix < resolution; ix++) {
+      for (let iy = 0; iy < resolution; iy++) {
+        const height = this.heightData[ix][iy];
+        const riverValue = this.riverMap[ix][iy];
+        const temperatureValue = temperatureMap[ix][iy];
+        const moistureValue = moistureMap[ix][iy];
+        
+        let coverType = 'OPEN';
+        
+        if (height < 0 || (height < 5 && riverValue > 0.7)) {
+          // Lakes and rivers
+          coverType = 'WATER';
+        } else if (height > 300) {
+          // High mountains - snow
+          coverType = 'OPEN';
+        } else if (height > 150) {
+          // Mountain/rock
+          coverType = 'URBAN'; // Using urban type for rocky areas
+        } else if (moistureValue > 0.6 && temperatureValue > 0.4) {
+          coverType = 'FOREST';
+        }
+        
+        this.landCover[ix][iy] = coverType;
+      }
+    }
+  }
+  
+  // Generate temperature map (0-1, north-south gradient with local variation)
+  generateTemperatureMap(random) {
+    const resolution = this.resolution;
+    const map = new Array(resolution).fill().map(() => new Array(resolution).fill(0));
+    const cellScale = 256 / resolution;
+    const offset = random.range(0, 1000);
+    
+    for (let x = 0; x < resolution; x++) {
+      for (let y = 0; y < resolution; y++) {
+        // Base temperature from y position (north-south gradient)
+        const baseTemp = 1 - (y / resolution);
+        
+        // Add noise for local variations
+        const noiseTemp = TerrainModel.simpleNoise(x * cellScale * 0.01 + offset, y * cellScale * 0.01 + offset) * 0.3;
+        
+        // Combine
+        map[x][y] = Math.max(0, Math.min(1, baseTemp + noiseTemp - 0.15));
+      }
+    }
+    
+    return map;
+  }
+  
+  // Generate moisture map (0-1, noise plus river influence)
+  generateMoistureMap(random) {
+    const resolution = this.resolution;
+    const map = new Array(resolution).fill().map(() => new Array(resolution).fill(0));
+    const cellScale = 256 / resolution;
+    const offset = random.range(0, 1000);
+    const searchRadius = Math.max(1, Math.round(20 / cellScale));
+    
+    for (let x = 0; x < resolution; x++) {
+      for (let y = 0; y < resolution; y++) {
+        // Base moisture from noise
+        const baseMoisture = TerrainModel.simpleNoise(x * cellScale * 0.005 + offset, y * cellScale * 0.005 + offset);
+        
+        // Add river influence - higher moisture near rivers
+        const riverInfluence = this.riverMap[x][y];
+        
+        // Calculate distance to nearest river
+        let minDistance = searchRadius;
+        for (let nx = -searchRadius; nx <= searchRadius; nx++) {
+          for (let ny = -searchRadius; ny <= searchRadius; ny++) {
+            const rx = x + nx;
+            const ry = y + ny;
+            
+            if (rx >= 0 && rx < resolution && ry >= 0 && ry < resolution && this.riverMap[rx][ry] > 0.5) {
+              minDistance = Math.min(minDistance, Math.sqrt(nx * nx + ny * ny));
+            }
+          }
+        }
+        
+        // River proximity factor
+        const riverProximity = 1 - (minDistance / searchRadius);
+        
+        // Combine factors
+        map[x][y] = Math.max(0, Math.min(1,
+          baseMoisture * 0.6 +
+          riverInfluence * 0.2 +
+          riverProximity * 0.2
+        ));
+      }
+    }
+    
+    return map;
+  }
+  
+  // Generate a river map (0-1 river strength per grid node)
+  generateRiverMap(random) {
+    const resolution = this.resolution;
+    const map = new Array(resolution).fill().map(() => new Array(resolution).fill(0));
+    const cellScale = resolution / 256;
+    
+    // Generate several rivers
+    const riverCount = 5;
+    for (let r = 0; r < riverCount; r++) {
+      // Random starting position
+      let x = random.int(0, resolution - 1);
+      let y = random.int(0, resolution - 1);
+      
+      // Random direction bias
+      const dirBiasX = random.range(-1, 1);
+      const dirBiasY = random.range(-1, 1);
+      
+      // River length and width factor
+      const length = Math.floor(resolution * random.range(0.3, 0.8));
+      let width = Math.max(1, random.range(3, 8) * cellScale);
+      
+      for (let i = 0; i < length; i++) {
+        this.stampFeature(map, x, y, width);
+        
+        // Change width occasionally
+        if (i % 20 === 0) {
+          width = Math.max(1, width + random.range(-2, 2) * cellScale);
+        }
+        
+        // Move in a somewhat random direction with bias
+        const dirX = dirBiasX * 0.5 + random.next() - 0.5;
+        const dirY = dirBiasY * 0.5 + random.next() - 0.5;
+        const dirLength = Math.sqrt(dirX * dirX + dirY * dirY) || 1;
+        const moveAmount = random.range(1, 3);
+        x += Math.floor(dirX / dirLength * moveAmount);
+        y += Math.floor(dirY / dirLength * moveAmount);
+      }
+    }
+    
+    return map;
+  }
+  
+  // Generate mountain range mask (0-1 ridge strength per grid node)
+  generateMountainRanges(random) {
+    const resolution = this.resolution;
+    const map = new Array(resolution).fill().map(() => new Array(resolution).fill(0));
+    const cellScale = resolution / 256;
+    
+    // Generate several mountain ranges
+    const rangeCount = 3;
+    for (let r = 0; r < rangeCount; r++) {
+      // Random starting position and direction
+      let x = random.int(0, resolution - 1);
+      let y = random.int(0, resolution - 1);
+      const dirX = random.range(-1, 1);
+      const dirY = random.range(-1, 1);
+      
+      // Range length and width factor
+      const length = Math.floor(resolution * random.range(0.3, 0.7));
+      let width = random.range(20, 50) * cellScale;
+      
+      for (let i = 0; i < length; i++) {
+        this.stampFeature(map, x, y, width);
+        
+        // Change width occasionally
+        if (i % 10 === 0) {
+          width = Math.max(15 * cellScale, width + random.range(-7.5, 7.5) * cellScale);
+        }
+        
+        // Move in the range direction with some randomness
+        const moveX = dirX + random.range(-0.2, 0.2);
+        const moveY = dirY + random.range(-0.2, 0.2);
+        const moveLength = Math.sqrt(moveX * moveX + moveY * moveY) || 1;
+        const moveAmount = random.range(2, 5);
+        x += Math.floor(moveX / moveLength * moveAmount);
+        y += Math.floor(moveY / moveLength * moveAmount);
+      }
+    }
+    
+    return map;
+  }
+  
+  // Stamp a circular feature, stronger in the center and weaker at the edges
+  stampFeature(map, x, y, width) {
+    const resolution = this.resolution;
+    if (x < 0 || x >= resolution || y < 0 || y >= resolution) return;
+    
+    const reach = Math.ceil(width);
+    for (let wx = -reach; wx <= reach; wx++) {
+      for (let wy = -reach; wy <= reach; wy++) {
+        const nx = x + wx;
+        const ny = y + wy;
+        
+        if (nx >= 0 && nx < resolution && ny >= 0 && ny < resolution) {
+          const distToCenter = Math.sqrt(wx * wx + wy * wy);
+          if (distToCenter <= width) {
+            const strength = 1 - (distToCenter / width);
+            map[nx][ny] = Math.max(map[nx][ny], strength);
+          }
+        }
+      }
+    }
+  }
+  
+  // Convert world coordinates to fractional grid coordinates
+  worldToGrid(x, y) {
+    return {
+      gx: (x / this.width + 0.5) * (this.resolution - 1),
+      gy: (y / this.height + 0.5) * (this.resolution - 1)
+    };
+  }
+  
+  // Convert grid coordinates to world coordinates
+  gridToWorld(ix, iy) {
+    return {
+      x: (ix / (this.resolution - 1) - 0.5) * this.width,
+      y: (iy / (this.resolution - 1) - 0.5) * this.height
+    };
+  }
+  
+  // Ground elevation in meters at a world position (clamped to the terrain edge)
+  getElevation(x, y) {
+    const { gx, gy } = this.worldToGrid(x, y);
+    const max = this.resolution - 1;
+    
+    const cx = Math.max(0, Math.min(max, gx));
+    const cy = Math.max(0, Math.min(max, gy));
+    const ix = Math.min(max - 1, Math.floor(cx));
+    const iy = Math.min(max - 1, Math.floor(cy));
+    const fx = cx - ix;
+    const fy = cy - iy;
+    
+    // Bilinear interpolation between the four surrounding nodes
+    const h00 = this.heightData[ix][iy];
+    const h10 = this.heightData[ix + 1][iy];
+    const h01 = this.heightData[ix][iy + 1];
+    const h11 = this.heightData[ix + 1][iy + 1];
+    
+    return (h00 * (1 - fx) + h10 * fx) * (1 - fy) + (h01 * (1 - fx) + h11 * fx) * fy;
+  }
+  
+  // Land cover type at a world position (nearest grid node)
+  getLandCover(x, y) {
+    const { gx, gy } = this.worldToGrid(x, y);
+    const max = this.resolution - 1;
+    const ix = Math.max(0, Math.min(max, Math.round(gx)));
+    const iy = Math.max(0, Math.min(max, Math.round(gy)));
+    
+    return this.landCover[ix][iy];
+  }
+  
+  // Sample ground elevation and land cover along the path between two points
+  // Returns [{ distance, x, y, elevation, landCover }], including both endpoints
+  sampleProfile(from, to, spacing = CONFIG.rf.terrain.profileSpacing) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    const segments = Math.max(1, Math.ceil(length / spacing));
+    const profile = [];
+    
+    for (let i = 0; i <= segments; i++) {
+      const t = i / segments;
+      const x = from.x + dx * t;
+      const y = from.y + dy * t;
+      
+      profile.push({
+        distance: length * t,
+        x,
+        y,
+        elevation: this.getElevation(x, y),
+        landCover: this.getLandCover(x, y)
+      });
+    }
+    
+    return profile;
+  }
+  
+  // Whether the terrain leaves a clear view from a position along a direction
+  // (a unit vector, z up), e.g. to a satellite. The ray is followed until it
+  // clears the highest possible terrain or leaves the heightfield.
+  hasSkyView(position, direction, spacing = CONFIG.rf.terrain.profileSpacing) {
+    const horizontal = Math.sqrt(direction.x * direction.x + direction.y * direction.y);
+    if (direction.z <= 0) {
+      return false;
+    }
+    if (horizontal === 0) {
+      return true;
+    }
+    
+    const climb = CONFIG.terrain.maxElevation - position.z;
+    const length = Math.min(climb / direction.z * horizontal, Math.hypot(this.width, this.height));
+    const stepX = direction.x / horizontal * spacing;
+    const stepY = direction.y / horizontal * spacing;
+    const stepZ = direction.z / horizontal * spacing;
+    
+    for (let step = 1; step * spacing <= length; step++) {
+      const x = position.x + stepX * step;
+      const y = position.y + stepY * step;
+      if (Math.abs(x) > this.width / 2 || Math.abs(y) > this.height / 2) break;
+      
+      if (this.getElevation(x, y) > position.z + stepZ * step) {
+        return false;
+      }
+    }
+    
+    return true;
+  }
+  
+  // Simple noise function (approximation of Perlin/Simplex noise)
+  static simpleNoise(x, y) {
+    return (Math.sin(x * 12.9898 + y * 78.233) * 0.5 + 0.5) *
+           (Math.cos(x * 43.332 + y * 12.79) * 0.5 + 0.5) *
+           (Math.sin(x * 23.434 + y * 26.547) * 0.5 + 0.5);
+  }
+  
+  // Multiple octaves of simple noise
+  static improvedNoise(x, y, persistence) {
+    let total = 0;
+    let frequency = 1;
+    let amplitude = 1;
+    let maxValue = 0;
+    
+    for (let i = 0; i < 6; i++) {
+      total += TerrainModel.simpleNoise(x * frequency, y * frequency) * amplitude;
+      maxValue += amplitude;
+      amplitude *= persistence;
+      frequency *= 2;
+    }
+    
+    return total / maxValue;
+  }
+  
+  // Ridge noise for mountain ranges
+  static ridgedNoise(x, y) {
+    const noise = TerrainModel.simpleNoise(x, y);
+    return 1 - Math.abs(noise - 0.5) * 2;
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TerrainModel };
+}
@@ -5,10 +5,127 @@
  * with appropriate components and behaviors.
  */
 
+if (typeof module !== 'undefined' && module.exports) {
+  var { CONFIG } = require('../core/config.js');
+  var { ComponentTypes } = require('../core/ecs/components.js');
+  var { createHopSet } = require('../rf/waveforms.js');
+}
+
 // Drone types and configurations are defined in CONFIG.drones.types
 
-// Factory function to create a drone entity
-function createDrone(ecs, type, position, team = 'PLAYER') {
-  // Placeholder - implementation will be added in Phase 2
-  console.log(`Creating ${type} drone at (${position.x}, ${position.y}, ${position.z})`);
+// Factory function to create a drone entity with its type's loadout:
+// airframe, navigation receiver, control link radio, health, sensors and payload.
+// stationId is the ground control station flying it; without one its control
+// link is lost from the start.
+function createDrone(ecs, type, position, team = 'PLAYER', stationId = null) {
+  if (!ecs || !type || !position) {
+    console.error("Invalid parameters provided to createDrone");
+    return null;
+  }
+  
+  // Validate drone type
+  const droneConfig = CONFIG.drones.types[type];
+  if (!droneConfig) {
+    console.error(`Invalid drone type: ${type}`);
+    return null;
+  }
+  
+  // Create entity
+  const entityId = ecs.createEntity();
+  
+  // Add transform component
+  ecs.addComponent(entityId, ComponentTypes.TRANSFORM, position.x, position.y, position.z);
+  
+  // Add visual component with team-based color
+  const color = team === 'PLAYER' ? '#0084ff' : '#ff4655';
+  ecs.addComponent(entityId, ComponentTypes.VISUAL, 'drone', color, true);
+  
+  // Add drone and AI components
+  const droneComponent = ecs.addComponent(entityId, ComponentTypes.DRONE, type);
+  ecs.addComponent(entityId, ComponentTypes.AI, 'patrol');
+  ecs.addComponent(entityId, ComponentTypes.HEALTH, droneConfig.health);
+  
+  // Airframe limits
+  ecs.addComponent(
+    entityId, ComponentTypes.KINEMATICS,
+    droneConfig.speed, droneConfig.acceleration, droneConfig.turnRate, droneConfig.climbRate
+  );
+  
+  // Navigation: GNSS through a patch antenna looking up at the sky, and an inertial unit
+  const receiverRF = ecs.addComponent(entityId, ComponentTypes.RF_RECEIVER, 'GPS', -95, 'PATCH');
+  receiverRF.antennaTilt = 90;
+  ecs.addComponent(entityId, ComponentTypes.GNSS_RECEIVER, droneConfig.gnss, droneConfig.spoofDetection);
+  ecs.addComponent(entityId, ComponentTypes.NAVIGATION, droneConfig.insDrift);
+  
+  // Control link radio
+  addControlLink(ecs, entityId, droneConfig.controlLink, stationId);
+  
+  // Add team component
+  ecs.addComponent(entityId, ComponentTypes.TEAM, team);
+  
+  // Add tag component for easier querying
+  const tags = ['DRONE', type, team];
+  ecs.addComponent(entityId, ComponentTypes.TAG, tags);
+  
+  // Payload
+  if (droneConfig.payload) {
+    droneComponent.payload = { ...droneConfig.payload };
+    if (droneConfig.payload.type === 'JAMMER') {
+      droneComponent.payload.entityId = createJammerPayload(ecs, entityId, droneConfig.payload, position, team);
+    }
+  }
+  
+  return entityId;
+}
+
+// Add the control link radio of a drone type's controlLink settings,
+// hopping in step with the ground control station stationId
+function addControlLink(ecs, entityId, linkConfig, stationId) {
+  const radioRF = ecs.addComponent(
+    entityId, ComponentTypes.RF_TRANSMITTER, linkConfig.frequency, linkConfig.power, 'OMNI'
+  );
+  radioRF.modulation = linkConfig.modulation;
+  radioRF.active = true;
+  
+  if (linkConfig.hopChannels > 1) {
+    Object.assign(radioRF.hopParameters, {
+      hopping: true,
+      hopSet: createHopSet(linkConfig.frequency, linkConfig.hopChannels),
+      dwellTime: linkConfig.dwellTime,
+      seed: ecs.random.int(0, 0xFFFFFFFF)
+    });
+  }
+  
+  ecs.addComponent(entityId, ComponentTypes.CONTROL_LINK, stationId);
+}
+
+// Create the jammer a drone carries: a jammer entity riding on the drone,
+// since the drone's own transmitter is its control link radio
+function createJammerPayload(ecs, carrierId, payloadConfig, position, team) {
+  const entityId = ecs.createEntity();
+  
+  ecs.addComponent(entityId, ComponentTypes.TRANSFORM, position.x, position.y, position.z);
+  
+  const jammerComponent = ecs.addComponent(entityId, ComponentTypes.JAMMER, payloadConfig.jammer);
+  jammerComponent.carrierId = carrierId;
+  jammerComponent.targetFrequency = payloadConfig.frequency;
+  jammerComponent.powerLevel = payloadConfig.power;
+  jammerComponent.active = true;
+  
+  ecs.addComponent(
+    entityId,
+    ComponentTypes.RF_TRANSMITTER,
+    payloadConfig.frequency,
+    payloadConfig.power,
+    CONFIG.jammers.types[payloadConfig.jammer].defaultAntenna
+  );
+  
+  ecs.addComponent(entityId, ComponentTypes.TEAM, team);
+  ecs.addComponent(entityId, ComponentTypes.TAG, ['JAMMER', 'PAYLOAD', team]);
+  
+  return entityId;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createDrone };
 }
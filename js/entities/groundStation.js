@@ -0,0 +1,55 @@
+/**
+ * SIGNAL WARFARE - Ground Control Station Entity Factory
+ * 
+ * This file contains factory functions to create the ground control
+ * stations that fly drones over their control links.
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+  var { CONFIG } = require('../core/config.js');
+  var { ComponentTypes } = require('../core/ecs/components.js');
+}
+
+// Station radio settings are defined in CONFIG.rf.controlLink
+
+// Factory function to create a ground control station at a position on the
+// ground; its antenna sits CONFIG.rf.controlLink.stationHeight above it
+function createGroundStation(ecs, position, team = 'PLAYER') {
+  if (!ecs || !position) {
+    console.error("Invalid parameters provided to createGroundStation");
+    return null;
+  }
+  
+  // Create entity
+  const entityId = ecs.createEntity();
+  
+  // Add transform component at antenna height
+  ecs.addComponent(
+    entityId,
+    ComponentTypes.TRANSFORM,
+    position.x,
+    position.y,
+    position.z + CONFIG.rf.controlLink.stationHeight
+  );
+  
+  // Add visual component with team-based color
+  const color = team === 'PLAYER' ? '#0084ff' : '#ff4655';
+  ecs.addComponent(entityId, ComponentTypes.VISUAL, 'station', color, true);
+  
+  // Add ground station and health components
+  ecs.addComponent(entityId, ComponentTypes.GROUND_STATION);
+  ecs.addComponent(entityId, ComponentTypes.HEALTH, CONFIG.rf.controlLink.stationHealth);
+  
+  // Add team component
+  ecs.addComponent(entityId, ComponentTypes.TEAM, team);
+  
+  // Add tag component for easier querying
+  const tags = ['GROUND_STATION', team];
+  ecs.addComponent(entityId, ComponentTypes.TAG, tags);
+  
+  return entityId;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createGroundStation };
+}
@@ -5,6 +5,11 @@
  * with appropriate components and behaviors.
  */
 
+if (typeof module !== 'undefined' && module.exports) {
+  var { CONFIG } = require('../core/config.js');
+  var { ComponentTypes } = require('../core/ecs/components.js');
+}
+
 // Jammer types and configurations are defined in CONFIG.jammers.types
 
 // Factory function to create a jammer entity
@@ -53,14 +58,15 @@ function createJammer(ecs, type, position, team = 'PLAYER') {
   // Log creation
   console.log(`Created ${type} jammer (ID: ${entityId}) at position (${position.x}, ${position.y}, ${position.z})`);
   
-  // Create visual deployment effect for player team jammers
-  if (team === 'PLAYER') {
+  // Create visual deployment effect for player team jammers (browser only)
+  if (team === 'PLAYER' && typeof window !== 'undefined') {
     // Show alert notification
     const typeNames = {
       'STANDARD': 'Standard',
       'PRECISION': 'Precision',
       'PULSE': 'Pulse',
-      'MOBILE': 'Mobile'
+      'MOBILE': 'Mobile',
+      'SPOOFER': 'Spoofer'
     };
     
     const jammerName = typeNames[type] || type;
@@ -128,3 +134,7 @@ function validateJammerPlacement(ecs, position, deployedJammers) {
     reason: ""
   };
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createJammer, validateJammerPlacement };
+}
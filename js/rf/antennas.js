@@ -0,0 +1,240 @@
+/**
+ * SIGNAL WARFARE - Antenna Patterns
+ *
+ * This file implements 3D antenna radiation patterns for the link budget:
+ * - Tabulated gain patterns (azimuth x elevation) with interpolated lookup
+ * - Patterns synthesized from CONFIG.antennas.types beamwidths
+ * - Import of measured patterns from MSI/Planet (.msi) files and NEC output
+ *
+ * Angles are in degrees relative to the antenna boresight: azimuth
+ * counter-clockwise from boresight, elevation positive above it.
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+  var { CONFIG } = require('../core/config.js');
+}
+
+// Antenna Pattern - Gain table on a regular azimuth/elevation grid
+class AntennaPattern {
+  // gains[e][a] in dBi at elevation -90 + e * elevationStep and azimuth a * azimuthStep
+  constructor(gains, azimuthStep, elevationStep, name = '') {
+    this.name = name;
+    this.gains = gains;
+    this.azimuthStep = azimuthStep;
+    this.elevationStep = elevationStep;
+    this.azimuthCount = gains[0].length;
+    this.elevationCount = gains.length;
+    this.peakGain = Math.max(...gains.map(row => Math.max(...row)));
+  }
+  
+  // Gain in dBi towards an azimuth/elevation, bilinear between table entries
+  getGain(azimuth, elevation) {
+    const a = ((azimuth % 360) + 360) % 360 / this.azimuthStep;
+    const e = (Math.max(-90, Math.min(90, elevation)) + 90) / this.elevationStep;
+    
+    const a0 = Math.floor(a) % this.azimuthCount;
+    const a1 = (a0 + 1) % this.azimuthCount;
+    const e0 = Math.min(this.elevationCount - 1, Math.floor(e));
+    const e1 = Math.min(this.elevationCount - 1, e0 + 1);
+    const fa = a - Math.floor(a);
+    const fe = e - e0;
+    
+    const g00 = this.gains[e0][a0];
+    const g01 = this.gains[e0][a1];
+    const g10 = this.gains[e1][a0];
+    const g11 = this.gains[e1][a1];
+    
+    return (g00 * (1 - fa) + g01 * fa) * (1 - fe) + (g10 * (1 - fa) + g11 * fa) * fe;
+  }
+  
+  // Build a pattern by evaluating gainFunction(azimuth, elevation) on a grid
+  static fromFunction(gainFunction, azimuthStep = 2, elevationStep = 2, name = '') {
+    const gains = [];
+    
+    for (let elevation = -90; elevation <= 90; elevation += elevationStep) {
+      const row = [];
+      for (let azimuth = 0; azimuth < 360; azimuth += azimuthStep) {
+        row.push(gainFunction(azimuth, elevation));
+      }
+      gains.push(row);
+    }
+    
+    return new AntennaPattern(gains, azimuthStep, elevationStep, name);
+  }
+  
+  // Synthesize a pattern from peak gain and 3 dB beamwidths
+  // (parabolic main lobe in dB, floored at the front-to-back ratio, as in 3GPP TR 36.814)
+  static fromBeamwidth(gainDbi, beamWidth, elevationBeamWidth, frontToBack = 20, name = '') {
+    return AntennaPattern.fromFunction((azimuth, elevation) => {
+      const azimuthOffset = azimuth > 180 ? 360 - azimuth : azimuth;
+      
+      // Omnidirectional antennas only shape the elevation plane
+      const horizontalLoss = beamWidth >= 360 ? 0 :
+        Math.min(12 * Math.pow(azimuthOffset / beamWidth, 2), frontToBack);
+      const verticalLoss = Math.min(12 * Math.pow(elevation / elevationBeamWidth, 2), frontToBack);
+      
+      return gainDbi - Math.min(horizontalLoss + verticalLoss, frontToBack);
+    }, 2, 2, name);
+  }
+  
+  // Parse an MSI/Planet antenna file
+  // HORIZONTAL and VERTICAL sections list attenuation in dB below GAIN per degree;
+  // vertical angles run from the horizon (0) down (90) and up (270).
+  // GAIN is in dBd unless the line says dBi.
+  static parseMsi(text) {
+    const lines = text.split(/\r?\n/);
+    const horizontal = new Array(360).fill(0);
+    const vertical = new Array(360).fill(0);
+    let name = '';
+    let gain = 0;
+    let section = null;
+    
+    for (const line of lines) {
+      const fields = line.trim().split(/\s+/);
+      if (!fields[0]) continue;
+      
+      const keyword = fields[0].toUpperCase();
+      
+      if (keyword === 'NAME') {
+        name = fields.slice(1).join(' ');
+      } else if (keyword === 'GAIN') {
+        gain = parseFloat(fields[1]);
+        const unit = (fields[2] || 'dBd').toUpperCase();
+        if (unit !== 'DBI') {
+          gain += 2.15; // dBd to dBi
+        }
+      } else if (keyword === 'HORIZONTAL') {
+        section = horizontal;
+      } else if (keyword === 'VERTICAL') {
+        section = vertical;
+      } else if (section && !isNaN(parseFloat(fields[0])) && fields.length >= 2) {
+        const angle = Math.round(parseFloat(fields[0])) % 360;
+        section[(angle + 360) % 360] = parseFloat(fields[1]);
+      }
+    }
+    
+    // Combine the two cuts by summing their attenuation
+    const maxAttenuation = Math.max(...horizontal, ...vertical);
+    return AntennaPattern.fromFunction((azimuth, elevation) => {
+      const verticalAngle = (Math.round(-elevation) + 360) % 360;
+      const attenuation = horizontal[Math.round(azimuth) % 360] + vertical[verticalAngle];
+      return gain - Math.min(attenuation, maxAttenuation);
+    }, 1, 1, name);
+  }
+  
+  // Parse the RADIATION PATTERNS table of NEC-2/NEC-4 output
+  // Rows: THETA (from zenith) PHI VERT HOR TOTAL (dBi) ...
+  // A negative THETA (or one past 180) points through the zenith to PHI + 180.
+  static parseNec(text, name = '') {
+    const lines = text.split(/\r?\n/);
+    const samples = [];
+    let inPattern = false;
+    
+    for (const line of lines) {
+      if (line.includes('RADIATION PATTERNS')) {
+        inPattern = true;
+        continue;
+      }
+      if (!inPattern) continue;
+      
+      const fields = line.trim().split(/\s+/).map(Number);
+      if (fields.length >= 5 && fields.slice(0, 5).every(value => !isNaN(value))) {
+        let theta = ((fields[0] % 360) + 360) % 360;
+        let phi = fields[1];
+        if (theta > 180) {
+          theta = 360 - theta;
+          phi += 180;
+        }
+        
+        samples.push({
+          azimuth: ((phi % 360) + 360) % 360,
+          elevation: 90 - theta,
+          gain: fields[4]
+        });
+      } else if (samples.length > 0 && line.trim() !== '') {
+        // End of the table
+        break;
+      }
+    }
+    
+    if (samples.length === 0) {
+      throw new Error('No radiation pattern found in NEC output');
+    }
+    
+    // Grid steps from the smallest spacing between sampled angles
+    const smallestStep = (values, fallback) => {
+      const sorted = [...new Set(values)].sort((a, b) => a - b);
+      let step = fallback;
+      for (let i = 1; i < sorted.length; i++) {
+        step = Math.min(step, sorted[i] - sorted[i - 1]);
+      }
+      return step;
+    };
+    const azimuthStep = smallestStep(samples.map(sample => sample.azimuth), 360);
+    const elevationStep = smallestStep(samples.map(sample => sample.elevation), 180);
+    
+    // Unsampled directions (e.g. below ground) take the weakest sampled gain
+    const minGain = Math.min(...samples.map(sample => sample.gain));
+    const gains = [];
+    for (let e = 0; e <= Math.round(180 / elevationStep); e++) {
+      gains.push(new Array(Math.round(360 / azimuthStep)).fill(minGain));
+    }
+    
+    for (const sample of samples) {
+      const e = Math.round((sample.elevation + 90) / elevationStep);
+      const a = Math.round(sample.azimuth / azimuthStep) % gains[0].length;
+      gains[e][a] = sample.gain;
+    }
+    
+    return new AntennaPattern(gains, azimuthStep, elevationStep, name);
+  }
+}
+
+// Antenna Library - Patterns by antenna key (CONFIG.antennas.types or imported)
+class AntennaLibrary {
+  constructor() {
+    this.patterns = new Map();
+  }
+  
+  // Register a pattern under an antenna key
+  registerPattern(key, pattern) {
+    this.patterns.set(key, pattern);
+    return pattern;
+  }
+  
+  // Import a pattern file ('MSI' or 'NEC') under an antenna key
+  importPattern(key, text, format = 'MSI') {
+    const pattern = format === 'NEC' ?
+      AntennaPattern.parseNec(text, key) :
+      AntennaPattern.parseMsi(text);
+    
+    return this.registerPattern(key, pattern);
+  }
+  
+  // Pattern for an antenna key, synthesized from CONFIG.antennas.types on first use
+  getPattern(key) {
+    if (this.patterns.has(key)) {
+      return this.patterns.get(key);
+    }
+    
+    const antennaType = CONFIG.antennas.types[key];
+    if (!antennaType) {
+      return null;
+    }
+    
+    return this.registerPattern(key, AntennaPattern.fromBeamwidth(
+      antennaType.gainDbi,
+      antennaType.beamWidth,
+      antennaType.elevationBeamWidth || antennaType.beamWidth,
+      antennaType.frontToBack,
+      antennaType.name
+    ));
+  }
+}
+
+// Shared antenna library
+var antennaLibrary = new AntennaLibrary();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AntennaPattern, AntennaLibrary, antennaLibrary };
+}
@@ -0,0 +1,405 @@
+/**
+ * SIGNAL WARFARE - RF Coverage
+ *
+ * This file computes received power rasters over the terrain:
+ * - A raster per emitter of received power at receiver height
+ * - A composite per band of the best server and the link degradation
+ *   everything else on the band causes it (the jammed area)
+ * - CoverageEngine, which snapshots emitters from the ECS and runs the
+ *   computation in a Web Worker (coverageWorker.js), or on the calling thread
+ *   where workers are unavailable (Node, file:// pages)
+ *
+ * Rasters are row-major over world ground coordinates with the node layout
+ * of TerrainModel: value iy * resolution + ix sits at
+ * x = (ix / (resolution - 1) - 0.5) * width, likewise y.
+ * Received power comes from the same link budget as RFPropagationSystem,
+ * evaluated by a private ECS that mirrors the emitters.
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+  var { CONFIG } = require('../core/config.js');
+  var { ComponentTypes } = require('../core/ecs/components.js');
+  var { ECS } = require('../core/ecs/ecs.js');
+  var { RFPropagationSystem } = require('../core/ecs/systems.js');
+  var {
+    calculateNoiseFloor,
+    dbmToMilliwatts,
+    milliwattsToDbm,
+    calculateSinr,
+    calculateLinkDegradation
+  } = require('./propagation.js');
+  var { antennaLibrary } = require('./antennas.js');
+}
+
+// Coverage Model - Evaluates coverage rasters with a mirror ECS
+class CoverageModel {
+  constructor(terrain) {
+    this.terrain = terrain;
+    this.ecs = new ECS({ seed: 0 });
+    this.rfPropagation = this.ecs.registerSystem(RFPropagationSystem, 'rfPropagation');
+    this.rfPropagation.setTerrain(terrain);
+    this.emitterIds = [];
+    
+    // Receiver moved across the raster
+    this.probeId = this.ecs.createEntity();
+    this.ecs.addComponent(this.probeId, ComponentTypes.TRANSFORM, 0, 0, 0);
+    this.ecs.addComponent(this.probeId, ComponentTypes.RF_RECEIVER);
+  }
+  
+  // Replace the mirrored emitters
+  setEmitters(emitters) {
+    for (const entityId of this.emitterIds) {
+      this.ecs.destroyEntity(entityId);
+    }
+    
+    this.emitterIds = emitters.map(emitter => {
+      const entityId = this.ecs.createEntity();
+      this.ecs.addComponent(entityId, ComponentTypes.TRANSFORM, emitter.position.x, emitter.position.y, emitter.position.z);
+      
+      const transmitterRF = this.ecs.addComponent(
+        entityId, ComponentTypes.RF_TRANSMITTER, emitter.frequency, emitter.power, emitter.antenna
+      );
+      transmitterRF.active = true;
+      transmitterRF.modulation = emitter.modulation;
+      transmitterRF.bandwidth = emitter.bandwidth;
+      transmitterRF.centerOffset = emitter.centerOffset;
+      transmitterRF.antennaHeading = emitter.antennaHeading;
+      transmitterRF.antennaTilt = emitter.antennaTilt;
+      transmitterRF.polarization = emitter.polarization;
+      transmitterRF.polarizationAngle = emitter.polarizationAngle;
+      
+      return entityId;
+    });
+  }
+  
+  // Compute the rasters for a request built by CoverageEngine.createRequest
+  compute(request) {
+    const { resolution, emitters } = request;
+    const { width, height } = this.terrain;
+    const cellCount = resolution * resolution;
+    
+    this.rfPropagation.setAtmosphere(request.atmosphere);
+    this.setEmitters(emitters);
+    
+    // Receiver position at each raster node
+    const positions = new Float64Array(cellCount * 3);
+    for (let iy = 0; iy < resolution; iy++) {
+      for (let ix = 0; ix < resolution; ix++) {
+        const cell = iy * resolution + ix;
+        const x = (ix / (resolution - 1) - 0.5) * width;
+        const y = (iy / (resolution - 1) - 0.5) * height;
+        
+        positions[cell * 3] = x;
+        positions[cell * 3 + 1] = y;
+        positions[cell * 3 + 2] = this.terrain.getElevation(x, y) + request.receiverHeight;
+      }
+    }
+    
+    const probePosition = this.ecs.getComponent(this.probeId, ComponentTypes.TRANSFORM).position;
+    const probeRF = this.ecs.getComponent(this.probeId, ComponentTypes.RF_RECEIVER);
+    
+    const rasters = emitters.map((emitter, index) => {
+      const raster = new Float32Array(cellCount);
+      const transmitterRF = this.ecs.getComponent(this.emitterIds[index], ComponentTypes.RF_TRANSMITTER);
+      
+      // The probe receives the whole emission as its wanted signal, and notes the
+      // share of it inside the band's receiver channel
+      probeRF.frequency = emitter.frequency;
+      probeRF.wantedTransmitterId = this.emitterIds[index];
+      const overlap = this.rfPropagation.getBandwidthOverlap(transmitterRF, probeRF);
+      
+      for (let cell = 0; cell < cellCount; cell++) {
+        probePosition.x = positions[cell * 3];
+        probePosition.y = positions[cell * 3 + 1];
+        probePosition.z = positions[cell * 3 + 2];
+        
+        this.rfPropagation.invalidateEntity(this.probeId);
+        raster[cell] = this.rfPropagation.calculateSignalStrength(this.emitterIds[index], this.probeId);
+      }
+      
+      return { id: emitter.id, frequency: emitter.frequency, isJammer: emitter.isJammer, overlap, raster };
+    });
+    
+    return {
+      resolution,
+      width,
+      height,
+      emitters: rasters,
+      composites: this.computeComposites(request, rasters)
+    };
+  }
+  
+  // Dominant emitter, best server and link quality per band
+  // Emitter IDs are -1 where there is none; sinr is NaN without a wanted signal
+  computeComposites(request, rasters) {
+    const composites = {};
+    const cellCount = request.resolution * request.resolution;
+    
+    for (const frequency of new Set(rasters.map(raster => raster.frequency))) {
+      const band = CONFIG.rf.frequencyBands[frequency];
+      const bandRasters = rasters.filter(raster => raster.frequency === frequency);
+      const noiseFloor = calculateNoiseFloor(band.bandwidth, CONFIG.rf.noiseFigure, request.atmosphere.noiseTemperature);
+      
+      const dominantEmitter = new Int32Array(cellCount).fill(-1);
+      const dominantPower = new Float32Array(cellCount).fill(-Infinity);
+      const bestServer = new Int32Array(cellCount).fill(-1);
+      const bestPower = new Float32Array(cellCount).fill(-Infinity);
+      const sinr = new Float32Array(cellCount).fill(NaN);
+      const degradation = new Float32Array(cellCount);
+      
+      for (let cell = 0; cell < cellCount; cell++) {
+        let best = null;
+        for (const raster of bandRasters) {
+          const power = raster.raster[cell];
+          if (power > dominantPower[cell]) {
+            dominantEmitter[cell] = raster.id;
+            dominantPower[cell] = power;
+          }
+          if (!raster.isJammer && power > request.sensitivity && power > bestPower[cell]) {
+            best = raster;
+            bestPower[cell] = power;
+          }
+        }
+        
+        // Everything but the best server interferes with it, with the power
+        // inside the receiver channel
+        let interference = 0;
+        for (const raster of bandRasters) {
+          if (raster !== best) {
+            interference += dbmToMilliwatts(raster.raster[cell]) * raster.overlap;
+          }
+        }
+        
+        // Wanted signal: the best server, else signals from outside the simulation (GNSS)
+        const wanted = best ? bestPower[cell] : band.nominalSignalStrength;
+        if (best) {
+          bestServer[cell] = best.id;
+        }
+        if (wanted === undefined) continue;
+        
+        sinr[cell] = calculateSinr(wanted, interference > 0 ? milliwattsToDbm(interference) : null, noiseFloor);
+        degradation[cell] = calculateLinkDegradation(sinr[cell], band.requiredSinr, CONFIG.rf.degradationMargin);
+      }
+      
+      composites[frequency] = { dominantEmitter, dominantPower, bestServer, bestPower, sinr, degradation };
+    }
+    
+    return composites;
+  }
+}
+
+// Array buffers of a coverage result, to transfer rather than copy between threads
+function getCoverageTransferables(coverage) {
+  const buffers = coverage.emitters.map(emitter => emitter.raster.buffer);
+  
+  for (const composite of Object.values(coverage.composites)) {
+    for (const raster of Object.values(composite)) {
+      buffers.push(raster.buffer);
+    }
+  }
+  
+  return buffers;
+}
+
+// Coverage Engine - Keeps coverage rasters of an ECS's emitters up to date
+class CoverageEngine {
+  // options: { resolution, receiverHeight, sensitivity, updateInterval, workerUrl }
+  constructor(ecs, options = {}) {
+    this.ecs = ecs;
+    this.options = { ...CONFIG.rf.coverage, ...options };
+    this.terrain = null;
+    this.coverage = null;       // Latest result
+    this.version = 0;           // Incremented with each new result
+    this.updateListeners = [];
+    
+    this.worker = null;
+    this.model = null;          // Calling-thread fallback
+    this.busy = false;          // Waiting for the worker
+    this.requestState = null;   // Signature of the last request
+    this.lastUpdateTime = -Infinity;
+    
+    this.createWorker();
+  }
+  
+  createWorker() {
+    if (typeof Worker === 'undefined') return;
+    
+    try {
+      this.worker = new Worker(this.options.workerUrl);
+    } catch (error) {
+      console.warn('Coverage worker unavailable, computing on the main thread:', error);
+      return;
+    }
+    
+    this.worker.addEventListener('message', (event) => this.handleCoverage(event.data));
+    this.worker.addEventListener('error', (event) => {
+      console.warn('Coverage worker failed, computing on the main thread:', event.message);
+      this.worker.terminate();
+      this.worker = null;
+      this.busy = false;
+      this.requestState = null;
+    });
+  }
+  
+  // Set the terrain rasters are computed over
+  setTerrain(terrain) {
+    this.terrain = terrain;
+    this.model = null;
+    this.requestState = null;
+    
+    if (this.worker) {
+      this.worker.postMessage({ type: 'terrain', terrain: terrain.toData() });
+    }
+  }
+  
+  // Register a callback(coverage) for new results
+  addUpdateListener(callback) {
+    this.updateListeners.push(callback);
+  }
+  
+  // Latest coverage result, null before the first one
+  getCoverage() {
+    return this.coverage;
+  }
+  
+  // Composite values per band at the raster node nearest a world position,
+  // null outside the raster or before the first result
+  sampleAt(x, y) {
+    const coverage = this.coverage;
+    if (!coverage) return null;
+    
+    const { resolution } = coverage;
+    const ix = Math.round((x / coverage.width + 0.5) * (resolution - 1));
+    const iy = Math.round((y / coverage.height + 0.5) * (resolution - 1));
+    if (ix < 0 || iy < 0 || ix >= resolution || iy >= resolution) return null;
+    
+    const cell = iy * resolution + ix;
+    const samples = {};
+    for (const [frequency, composite] of Object.entries(coverage.composites)) {
+      samples[frequency] = {
+        dominantEmitter: composite.dominantEmitter[cell],
+        power: composite.dominantPower[cell],
+        bestServer: composite.bestServer[cell],
+        bestPower: composite.bestPower[cell],
+        sinr: isNaN(composite.sinr[cell]) ? null : composite.sinr[cell],
+        degradation: composite.degradation[cell]
+      };
+    }
+    
+    return samples;
+  }
+  
+  // Snapshot of the active emitters and propagation conditions
+  createRequest() {
+    const rfPropagation = this.ecs.getSystem('rfPropagation');
+    const atmosphere = rfPropagation.getAtmosphere();
+    const emitters = [];
+    
+    const transmitters = this.ecs.entityManager.getEntitiesWithComponents(
+      ComponentTypes.TRANSFORM, ComponentTypes.RF_TRANSMITTER
+    );
+    for (const entityId of transmitters) {
+      const transmitterRF = this.ecs.getComponent(entityId, ComponentTypes.RF_TRANSMITTER);
+      if (!transmitterRF.active) continue;
+      
+      const { position } = this.ecs.getComponent(entityId, ComponentTypes.TRANSFORM);
+      
+      // Coverage outlasts hops and sweeps, so mirror everything they cover
+      const emission = rfPropagation.getEmission(transmitterRF, true);
+      
+      emitters.push({
+        id: entityId,
+        isJammer: rfPropagation.isJammer(entityId),
+        position: { x: position.x, y: position.y, z: position.z },
+        frequency: transmitterRF.frequency,
+        modulation: emission.modulation,
+        bandwidth: emission.bandwidth,
+        centerOffset: emission.center - CONFIG.rf.frequencyBands[transmitterRF.frequency].value,
+        power: transmitterRF.power,
+        antenna: transmitterRF.antenna,
+        antennaHeading: transmitterRF.antennaHeading,
+        antennaTilt: transmitterRF.antennaTilt,
+        polarization: transmitterRF.polarization,
+        polarizationAngle: transmitterRF.polarizationAngle
+      });
+    }
+    
+    return {
+      resolution: this.options.resolution,
+      receiverHeight: this.options.receiverHeight,
+      sensitivity: this.options.sensitivity,
+      atmosphere: {
+        waterVapourDensity: atmosphere.waterVapourDensity,
+        rainRate: atmosphere.rainRate,
+        noiseTemperature: atmosphere.noiseTemperature
+      },
+      emitters
+    };
+  }
+  
+  // Start a recomputation if the update interval has passed and anything changed
+  // (force skips both checks); returns whether one was started
+  update(force = false) {
+    if (!this.terrain || this.busy) return false;
+    
+    const time = this.ecs.clock.time;
+    if (!force && time - this.lastUpdateTime < this.options.updateInterval) return false;
+    
+    const request = this.createRequest();
+    const rf = {
+      propagationModel: CONFIG.rf.propagationModel,
+      terrain: CONFIG.rf.terrain,
+      noiseFigure: CONFIG.rf.noiseFigure,
+      degradationMargin: CONFIG.rf.degradationMargin
+    };
+    const requestState = JSON.stringify([request, rf]);
+    
+    if (!force && requestState === this.requestState) return false;
+    
+    this.lastUpdateTime = time;
+    this.requestState = requestState;
+    
+    if (this.worker) {
+      // The worker has its own antenna library, so send the patterns in use
+      const patterns = {};
+      for (const emitter of request.emitters) {
+        const pattern = emitter.antenna ? antennaLibrary.getPattern(emitter.antenna) : null;
+        if (pattern) {
+          patterns[emitter.antenna] = pattern;
+        }
+      }
+      
+      this.busy = true;
+      this.worker.postMessage({ type: 'compute', request, rf, patterns });
+    } else {
+      if (!this.model) {
+        this.model = new CoverageModel(this.terrain);
+      }
+      this.handleCoverage(this.model.compute(request));
+    }
+    
+    return true;
+  }
+  
+  handleCoverage(coverage) {
+    this.busy = false;
+    this.coverage = coverage;
+    this.version++;
+    
+    for (const callback of this.updateListeners) {
+      callback(coverage);
+    }
+  }
+  
+  // Stop the worker
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CoverageModel, CoverageEngine, getCoverageTransferables };
+}
@@ -0,0 +1,45 @@
+/**
+ * SIGNAL WARFARE - Coverage Worker
+ *
+ * Computes coverage rasters for CoverageEngine off the main thread.
+ * Messages in:  { type: 'terrain', terrain }  (TerrainModel.toData())
+ *               { type: 'compute', request, rf, patterns }
+ * Messages out: the coverage result, with its raster buffers transferred
+ */
+
+importScripts(
+  '../core/config.js',
+  '../core/ecs/components.js',
+  '../core/ecs/ecs.js',
+  '../core/ecs/systems.js',
+  '../core/terrain.js',
+  './propagation.js',
+  './waveforms.js',
+  './antennas.js',
+  './coverage.js'
+);
+
+let coverageModel = null;
+
+self.addEventListener('message', (event) => {
+  const message = event.data;
+  
+  switch (message.type) {
+    case 'terrain':
+      coverageModel = new CoverageModel(TerrainModel.fromData(message.terrain));
+      break;
+    case 'compute': {
+      // Follow the main thread's propagation settings and antenna patterns
+      Object.assign(CONFIG.rf, message.rf);
+      for (const [key, pattern] of Object.entries(message.patterns)) {
+        antennaLibrary.registerPattern(key, new AntennaPattern(
+          pattern.gains, pattern.azimuthStep, pattern.elevationStep, pattern.name
+        ));
+      }
+      
+      const coverage = coverageModel.compute(message.request);
+      self.postMessage(coverage, getCoverageTransferables(coverage));
+      break;
+    }
+  }
+});
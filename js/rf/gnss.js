@@ -0,0 +1,174 @@
+/**
+ * SIGNAL WARFARE - Satellite Navigation
+ *
+ * This file implements the geometry of GNSS constellations:
+ * - Simple ephemerides: satellite positions in circular Walker orbits
+ * - Look angles of satellites from the simulation area
+ * - Dilution of precision of a multi-constellation position fix
+ *
+ * Positions are earth-centered, earth-fixed (ECEF) in km. Directions in the
+ * simulation area are unit vectors with x east, y north and z up.
+ */
+
+const EARTH_RADIUS = 6371;                 // km, mean
+const EARTH_GM = 398600.4418;              // km^3/s^2
+const EARTH_ROTATION_RATE = 7.2921159e-5;  // rad/s
+
+// Orbital period in seconds of a constellation's circular orbits
+function getOrbitalPeriod(constellation) {
+  return 2 * Math.PI * Math.sqrt(Math.pow(constellation.orbitRadius, 3) / EARTH_GM);
+}
+
+// ECEF positions of a constellation's satellites at a time in seconds
+// Returns [{ prn, x, y, z }], satellites numbered from 1 plane by plane
+function getSatellitePositions(constellation, time) {
+  const { satellites, planes, phasing, orbitRadius } = constellation;
+  const perPlane = satellites / planes;
+  const inclination = constellation.inclination * Math.PI / 180;
+  const meanMotion = 2 * Math.PI / getOrbitalPeriod(constellation);
+  const earthRotation = EARTH_ROTATION_RATE * time;
+  const firstNode = constellation.node * Math.PI / 180;
+  const firstAnomaly = constellation.anomaly * Math.PI / 180;
+  const positions = [];
+  
+  for (let i = 0; i < satellites; i++) {
+    const plane = Math.floor(i / perPlane);
+    const slot = i % perPlane;
+    
+    // Node of the plane, and argument of latitude along it (Walker i:T/P/F)
+    const node = firstNode + 2 * Math.PI * plane / planes - earthRotation;
+    const u = firstAnomaly + 2 * Math.PI * (slot / perPlane + phasing * plane / satellites) + meanMotion * time;
+    
+    const x = Math.cos(u);
+    const y = Math.sin(u) * Math.cos(inclination);
+    positions.push({
+      prn: i + 1,
+      x: orbitRadius * (x * Math.cos(node) - y * Math.sin(node)),
+      y: orbitRadius * (x * Math.sin(node) + y * Math.cos(node)),
+      z: orbitRadius * Math.sin(u) * Math.sin(inclination)
+    });
+  }
+  
+  return positions;
+}
+
+// Azimuth (degrees clockwise from north), elevation (degrees) and unit direction
+// of a satellite from a location { latitude, longitude } on the ground
+function getLookAngles(origin, satellite) {
+  const latitude = origin.latitude * Math.PI / 180;
+  const longitude = origin.longitude * Math.PI / 180;
+  
+  const dx = satellite.x - EARTH_RADIUS * Math.cos(latitude) * Math.cos(longitude);
+  const dy = satellite.y - EARTH_RADIUS * Math.cos(latitude) * Math.sin(longitude);
+  const dz = satellite.z - EARTH_RADIUS * Math.sin(latitude);
+  const range = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  
+  // Rotate into local east, north, up
+  const east = -Math.sin(longitude) * dx + Math.cos(longitude) * dy;
+  const north = -Math.sin(latitude) * Math.cos(longitude) * dx -
+                Math.sin(latitude) * Math.sin(longitude) * dy +
+                Math.cos(latitude) * dz;
+  const up = Math.cos(latitude) * Math.cos(longitude) * dx +
+             Math.cos(latitude) * Math.sin(longitude) * dy +
+             Math.sin(latitude) * dz;
+  
+  return {
+    azimuth: (Math.atan2(east, north) * 180 / Math.PI + 360) % 360,
+    elevation: Math.asin(up / range) * 180 / Math.PI,
+    direction: { x: east / range, y: north / range, z: up / range }
+  };
+}
+
+// Dilution of precision of a fix from satellites [{ direction, clock }], where
+// clock indexes the receiver clock offset the satellite's system adds (one per
+// constellation). altitudeAided fixes the altitude, as for a 2D fix.
+// Returns { hdop, vdop, pdop }, null if the geometry cannot give a fix.
+function calculateDop(satellites, altitudeAided = false) {
+  const clocks = Math.max(0, ...satellites.map(satellite => satellite.clock)) + 1;
+  const unknowns = 3 + clocks;
+  
+  // Geometry matrix: line of sight and clock terms of each pseudorange
+  const rows = satellites.map(({ direction, clock }) => {
+    const row = new Array(unknowns).fill(0);
+    row[0] = -direction.x;
+    row[1] = -direction.y;
+    row[2] = -direction.z;
+    row[3 + clock] = 1;
+    return row;
+  });
+  if (altitudeAided) {
+    const row = new Array(unknowns).fill(0);
+    row[2] = 1;
+    rows.push(row);
+  }
+  if (rows.length < unknowns) {
+    return null;
+  }
+  
+  // Covariance shape (GᵀG)⁻¹
+  const normal = [];
+  for (let i = 0; i < unknowns; i++) {
+    normal.push(new Array(unknowns).fill(0));
+    for (let j = 0; j < unknowns; j++) {
+      for (const row of rows) {
+        normal[i][j] += row[i] * row[j];
+      }
+    }
+  }
+  const covariance = invertMatrix(normal);
+  if (!covariance) {
+    return null;
+  }
+  
+  // An aided altitude is known, not dilute
+  const vertical = altitudeAided ? 0 : covariance[2][2];
+  return {
+    hdop: Math.sqrt(covariance[0][0] + covariance[1][1]),
+    vdop: Math.sqrt(vertical),
+    pdop: Math.sqrt(covariance[0][0] + covariance[1][1] + vertical)
+  };
+}
+
+// Inverse of a square matrix by Gauss-Jordan elimination, null if singular
+function invertMatrix(matrix) {
+  const size = matrix.length;
+  const rows = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+  
+  for (let column = 0; column < size; column++) {
+    // Partial pivoting
+    let pivot = column;
+    for (let row = column + 1; row < size; row++) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(rows[pivot][column]) < 1e-10) {
+      return null;
+    }
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+    
+    const scale = rows[column][column];
+    for (let j = 0; j < 2 * size; j++) {
+      rows[column][j] /= scale;
+    }
+    for (let row = 0; row < size; row++) {
+      if (row === column || rows[row][column] === 0) continue;
+      
+      const factor = rows[row][column];
+      for (let j = 0; j < 2 * size; j++) {
+        rows[row][j] -= factor * rows[column][j];
+      }
+    }
+  }
+  
+  return rows.map(row => row.slice(size));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getOrbitalPeriod,
+    getSatellitePositions,
+    getLookAngles,
+    calculateDop
+  };
+}
@@ -5,6 +5,10 @@
  * simulating signal strength over distance with various attenuation factors.
  */
 
+if (typeof module !== 'undefined' && module.exports) {
+  var { CONFIG } = require('../core/config.js');
+}
+
 // RF propagation models are implemented in the RFPropagationSystem class
 // This file will contain additional specialized propagation functions in future phases
 
@@ -23,3 +27,378 @@ function calculateFriisFreeSpace(distance, frequency, txPower, txGain, rxGain) {
   
   return rxPower;
 }
+
+// Effective earth radius in meters (4/3 earth model for standard refraction)
+const EFFECTIVE_EARTH_RADIUS = 8500000;
+
+// Wavelength in meters for a frequency in MHz
+function calculateWavelength(frequency) {
+  return 299792458 / (frequency * 1000000);
+}
+
+// Fresnel-Kirchhoff diffraction parameter v for an edge h meters above the
+// direct path, d1/d2 meters from each terminal (ITU-R P.526)
+function calculateFresnelParameter(h, d1, d2, wavelength) {
+  return h * Math.sqrt(2 * (d1 + d2) / (wavelength * d1 * d2));
+}
+
+// Single knife-edge diffraction loss J(v) in dB (positive, ITU-R P.526 approximation)
+function calculateKnifeEdgeLoss(v) {
+  if (v <= -0.78) {
+    return 0;
+  }
+  
+  return 6.9 + 20 * Math.log10(Math.sqrt(Math.pow(v - 0.1, 2) + 1) + v - 0.1);
+}
+
+// Height of a profile point above the straight line between two profile points,
+// including earth bulge
+function calculateEdgeClearance(profile, startIndex, endIndex, index, startHeight, endHeight) {
+  const start = profile[startIndex];
+  const end = profile[endIndex];
+  const point = profile[index];
+  
+  const d1 = point.distance - start.distance;
+  const d2 = end.distance - point.distance;
+  const lineHeight = startHeight + (endHeight - startHeight) * d1 / (d1 + d2);
+  const earthBulge = d1 * d2 / (2 * EFFECTIVE_EARTH_RADIUS);
+  
+  return point.elevation + earthBulge - lineHeight;
+}
+
+// Find the edge with the largest diffraction parameter between two profile points
+function findPrincipalEdge(profile, startIndex, endIndex, startHeight, endHeight, wavelength) {
+  let principal = null;
+  
+  for (let i = startIndex + 1; i < endIndex; i++) {
+    const h = calculateEdgeClearance(profile, startIndex, endIndex, i, startHeight, endHeight);
+    const d1 = profile[i].distance - profile[startIndex].distance;
+    const d2 = profile[endIndex].distance - profile[i].distance;
+    const v = calculateFresnelParameter(h, d1, d2, wavelength);
+    
+    if (!principal || v > principal.v) {
+      principal = { index: i, v };
+    }
+  }
+  
+  return principal;
+}
+
+// Check whether the direct path clears the terrain profile
+// txHeight/rxHeight are antenna elevations in meters at the profile endpoints
+function hasLineOfSight(profile, txHeight, rxHeight) {
+  const last = profile.length - 1;
+  
+  for (let i = 1; i < last; i++) {
+    if (calculateEdgeClearance(profile, 0, last, i, txHeight, rxHeight) > 0) {
+      return false;
+    }
+  }
+  
+  return true;
+}
+
+// Multiple knife-edge diffraction loss in dB using the Deygout method:
+// the principal edge is evaluated against the full path, then secondary edges
+// recursively on each side of it, up to maxEdges edges in total
+function calculateDeygoutLoss(profile, txHeight, rxHeight, frequency, maxEdges = 3) {
+  const wavelength = calculateWavelength(frequency);
+  let edgesRemaining = maxEdges;
+  
+  const diffract = (startIndex, endIndex, startHeight, endHeight) => {
+    if (edgesRemaining <= 0 || endIndex - startIndex < 2) {
+      return 0;
+    }
+    
+    const edge = findPrincipalEdge(profile, startIndex, endIndex, startHeight, endHeight, wavelength);
+    if (!edge || edge.v <= -0.78) {
+      return 0;
+    }
+    
+    edgesRemaining--;
+    
+    // The edge becomes a terminal for the sub-paths on either side
+    const edgeHeight = profile[edge.index].elevation;
+    
+    return calculateKnifeEdgeLoss(edge.v) +
+      diffract(startIndex, edge.index, startHeight, edgeHeight) +
+      diffract(edge.index, endIndex, edgeHeight, endHeight);
+  };
+  
+  return diffract(0, profile.length - 1, txHeight, rxHeight);
+}
+
+// Multiple knife-edge diffraction loss in dB using the Epstein-Peterson method:
+// each obstructing edge on the terrain horizon is evaluated against the line
+// joining its neighbouring edges and the losses are summed
+function calculateEpsteinPetersonLoss(profile, txHeight, rxHeight, frequency) {
+  const wavelength = calculateWavelength(frequency);
+  const last = profile.length - 1;
+  
+  // Terminal heights are antenna elevations, intermediate points are ground
+  const heightAt = (index) => {
+    if (index === 0) return txHeight;
+    if (index === last) return rxHeight;
+    return profile[index].elevation;
+  };
+  
+  // Upper convex hull of the profile gives the dominant edges
+  const hull = [];
+  for (let i = 0; i <= last; i++) {
+    while (hull.length >= 2) {
+      const a = hull[hull.length - 2];
+      const b = hull[hull.length - 1];
+      const cross = (profile[b].distance - profile[a].distance) * (heightAt(i) - heightAt(a)) -
+                    (heightAt(b) - heightAt(a)) * (profile[i].distance - profile[a].distance);
+      
+      if (cross >= 0) {
+        hull.pop();
+      } else {
+        break;
+      }
+    }
+    hull.push(i);
+  }
+  
+  let loss = 0;
+  for (let k = 1; k < hull.length - 1; k++) {
+    const previous = hull[k - 1];
+    const edge = hull[k];
+    const next = hull[k + 1];
+    
+    const h = calculateEdgeClearance(profile, previous, next, edge, heightAt(previous), heightAt(next));
+    const d1 = profile[edge].distance - profile[previous].distance;
+    const d2 = profile[next].distance - profile[edge].distance;
+    
+    loss += calculateKnifeEdgeLoss(calculateFresnelParameter(h, d1, d2, wavelength));
+  }
+  
+  return loss;
+}
+
+// Land cover (clutter) loss along a terrain profile
+// Each profile interval where the direct path runs within clutterHeight meters
+// of the ground is attenuated by its CONFIG.terrain.types attenuation (dB/km).
+// Returns { loss, segments } where segments merges consecutive intervals into
+// { landCover, inClutter, start, end, length, loss } for debugging
+function calculateClutterLoss(profile, txHeight, rxHeight, clutterHeight, minLoss = -Infinity) {
+  const last = profile.length - 1;
+  const segments = [];
+  let loss = 0;
+  
+  for (let i = 0; i < last; i++) {
+    // Height of the direct path above the ground at the interval midpoint
+    const heightAboveGround = -(
+      calculateEdgeClearance(profile, 0, last, i, txHeight, rxHeight) +
+      calculateEdgeClearance(profile, 0, last, i + 1, txHeight, rxHeight)
+    ) / 2;
+    
+    const landCover = profile[i].landCover || 'OPEN';
+    const inClutter = heightAboveGround < clutterHeight;
+    const length = profile[i + 1].distance - profile[i].distance;
+    const coverType = CONFIG.terrain.types[landCover];
+    const intervalLoss = inClutter && coverType ? coverType.attenuation * length / 1000 : 0;
+    
+    loss += intervalLoss;
+    
+    const previous = segments[segments.length - 1];
+    if (previous && previous.landCover === landCover && previous.inClutter === inClutter) {
+      previous.end = profile[i + 1].distance;
+      previous.length += length;
+      previous.loss += intervalLoss;
+    } else {
+      segments.push({
+        landCover,
+        inClutter,
+        start: profile[i].distance,
+        end: profile[i + 1].distance,
+        length,
+        loss: intervalLoss
+      });
+    }
+  }
+  
+  return {
+    loss: Math.max(minLoss, loss),
+    segments
+  };
+}
+
+// Specific attenuation in dB/km from atmospheric gases (oxygen and water vapour)
+// ITU-R P.676 simplified model at 15°C and 1013 hPa; frequency in MHz,
+// waterVapourDensity in g/m³
+function calculateGaseousAttenuation(frequency, waterVapourDensity = 7.5) {
+  const f = frequency / 1000; // GHz
+  const rho = waterVapourDensity;
+  
+  // Dry air (oxygen), valid below 57 GHz
+  const oxygen = (
+    7.19e-3 +
+    6.09 / (f * f + 0.227) +
+    4.81 / (Math.pow(f - 57, 2) + 1.50)
+  ) * f * f * 1e-3;
+  
+  // Water vapour
+  const waterVapour = (
+    0.050 + 0.0021 * rho +
+    3.6 / (Math.pow(f - 22.2, 2) + 8.5) +
+    10.6 / (Math.pow(f - 183.3, 2) + 9.0) +
+    8.9 / (Math.pow(f - 325.4, 2) + 26.3)
+  ) * f * f * rho * 1e-4;
+  
+  return oxygen + waterVapour;
+}
+
+// ITU-R P.838 rain coefficients (horizontal polarisation) by frequency in GHz
+const RAIN_COEFFICIENTS = [
+  { frequency: 1, k: 0.0000259, alpha: 0.9691 },
+  { frequency: 1.5, k: 0.0000443, alpha: 1.0185 },
+  { frequency: 2, k: 0.0000847, alpha: 1.0664 },
+  { frequency: 2.5, k: 0.0001321, alpha: 1.1209 },
+  { frequency: 3, k: 0.0001390, alpha: 1.2322 },
+  { frequency: 4, k: 0.0001071, alpha: 1.6009 },
+  { frequency: 5, k: 0.0002162, alpha: 1.6969 },
+  { frequency: 6, k: 0.0007056, alpha: 1.5900 },
+  { frequency: 7, k: 0.001915, alpha: 1.4810 },
+  { frequency: 8, k: 0.004115, alpha: 1.3905 },
+  { frequency: 10, k: 0.01217, alpha: 1.2571 },
+  { frequency: 12, k: 0.02386, alpha: 1.1825 },
+  { frequency: 15, k: 0.04481, alpha: 1.1233 },
+  { frequency: 20, k: 0.09164, alpha: 1.0568 }
+];
+
+// Rain coefficients k and alpha for a frequency in MHz
+// (log-frequency interpolation of the P.838 table, clamped at its ends)
+function calculateRainCoefficients(frequency) {
+  const f = frequency / 1000; // GHz
+  const table = RAIN_COEFFICIENTS;
+  
+  if (f <= table[0].frequency) {
+    return { k: table[0].k, alpha: table[0].alpha };
+  }
+  
+  const last = table[table.length - 1];
+  if (f >= last.frequency) {
+    return { k: last.k, alpha: last.alpha };
+  }
+  
+  let upper = 1;
+  while (table[upper].frequency < f) {
+    upper++;
+  }
+  const lower = table[upper - 1];
+  const higher = table[upper];
+  
+  const t = Math.log10(f / lower.frequency) / Math.log10(higher.frequency / lower.frequency);
+  
+  return {
+    k: Math.pow(10, Math.log10(lower.k) + t * (Math.log10(higher.k) - Math.log10(lower.k))),
+    alpha: lower.alpha + t * (higher.alpha - lower.alpha)
+  };
+}
+
+// Specific rain attenuation in dB/km (ITU-R P.838: γ = k·R^α)
+// frequency in MHz, rainRate in mm/h
+function calculateRainAttenuation(frequency, rainRate) {
+  if (rainRate <= 0) {
+    return 0;
+  }
+  
+  const { k, alpha } = calculateRainCoefficients(frequency);
+  return k * Math.pow(rainRate, alpha);
+}
+
+// Receiver noise floor in dBm: kTB with the receiver noise figure and any
+// external noise temperature (K) above the 290 K reference
+function calculateNoiseFloor(bandwidth, noiseFigure = 0, externalTemperature = 0) {
+  const referenceTemperature = 290;
+  const receiverTemperature = referenceTemperature * (Math.pow(10, noiseFigure / 10) - 1);
+  const systemTemperature = referenceTemperature + receiverTemperature + externalTemperature;
+  
+  // Boltzmann constant 1.380649e-23 J/K, +30 to convert dBW to dBm
+  return 10 * Math.log10(1.380649e-23 * systemTemperature * bandwidth) + 30;
+}
+
+// Polarization mismatch loss in dB (positive) between two antennas
+// Polarizations are 'LINEAR', 'RHCP' or 'LHCP' (null matches anything);
+// angles are the linear polarization orientations in degrees
+function calculatePolarizationLoss(txPolarization, rxPolarization, txAngle = 0, rxAngle = 0,
+                                   crossPolarIsolation = CONFIG.antennas.crossPolarIsolation) {
+  if (!txPolarization || !rxPolarization) {
+    return 0;
+  }
+  
+  const txLinear = txPolarization === 'LINEAR';
+  const rxLinear = rxPolarization === 'LINEAR';
+  
+  // Linear to linear: cos² of the angle between them
+  if (txLinear && rxLinear) {
+    const mismatch = Math.abs(Math.cos((txAngle - rxAngle) * Math.PI / 180));
+    return Math.min(crossPolarIsolation, -20 * Math.log10(Math.max(mismatch, 1e-6)));
+  }
+  
+  // Linear to circular: half the power
+  if (txLinear || rxLinear) {
+    return 10 * Math.log10(2);
+  }
+  
+  // Circular: matched or opposite hands
+  return txPolarization === rxPolarization ? 0 : crossPolarIsolation;
+}
+
+// Convert between dBm and milliwatts
+function dbmToMilliwatts(dbm) {
+  return Math.pow(10, dbm / 10);
+}
+
+function milliwattsToDbm(milliwatts) {
+  return 10 * Math.log10(milliwatts);
+}
+
+// Fraction (0-1) of an emission's power inside a receiver passband, with the
+// power spread evenly over the emission bandwidth
+// Centers in MHz, bandwidths in Hz
+function calculateBandwidthOverlap(emissionCenter, emissionBandwidth, passbandCenter, passbandBandwidth) {
+  const overlap = Math.min(emissionCenter + emissionBandwidth / 2e6, passbandCenter + passbandBandwidth / 2e6) -
+                  Math.max(emissionCenter - emissionBandwidth / 2e6, passbandCenter - passbandBandwidth / 2e6);
+  if (overlap <= 0) {
+    return 0;
+  }
+  
+  return Math.min(1, overlap * 1e6 / emissionBandwidth);
+}
+
+// Signal to interference plus noise ratio in dB (all powers in dBm)
+function calculateSinr(signalPower, interferencePower, noisePower) {
+  const interference = interferencePower === null ? 0 : dbmToMilliwatts(interferencePower);
+  return signalPower - milliwattsToDbm(interference + dbmToMilliwatts(noisePower));
+}
+
+// Link degradation 0-1 from SINR: 0 at requiredSinr + margin or better,
+// rising linearly to 1 (link lost) at requiredSinr
+function calculateLinkDegradation(sinr, requiredSinr, margin) {
+  return Math.max(0, Math.min(1, (requiredSinr + margin - sinr) / margin));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    calculateFriisFreeSpace,
+    calculateWavelength,
+    calculateFresnelParameter,
+    calculateKnifeEdgeLoss,
+    hasLineOfSight,
+    calculateDeygoutLoss,
+    calculateEpsteinPetersonLoss,
+    calculateClutterLoss,
+    calculateGaseousAttenuation,
+    calculateRainCoefficients,
+    calculateRainAttenuation,
+    calculateNoiseFloor,
+    calculatePolarizationLoss,
+    dbmToMilliwatts,
+    milliwattsToDbm,
+    calculateBandwidthOverlap,
+    calculateSinr,
+    calculateLinkDegradation
+  };
+}
@@ -0,0 +1,297 @@
+/**
+ * SIGNAL WARFARE - Spectrum Monitor
+ *
+ * This file computes what a spectrum analyzer sees on one frequency band:
+ * - Every emission overlapping the band with its waveform and received power
+ * - The thermal noise floor in the band's receiver channel bandwidth
+ * - The jammer power in the band's receiver channel, and the SINR and link
+ *   degradation everything in the channel causes to the band's nominal
+ *   signal (e.g. GPS)
+ *
+ * - Swept traces of a spectrum at a resolution bandwidth, and the hold,
+ *   average, waterfall and persistence history of successive sweeps
+ *
+ * The analyzer listens from a receiver entity (a drone or sensor, through its
+ * own antenna) or from a ground location with an isotropic antenna, using the
+ * link budget of RFPropagationSystem.
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+  var { CONFIG } = require('../core/config.js');
+  var { ComponentTypes, createComponent } = require('../core/ecs/components.js');
+  var {
+    calculatePolarizationLoss,
+    dbmToMilliwatts,
+    milliwattsToDbm,
+    calculateBandwidthOverlap,
+    calculateSinr,
+    calculateLinkDegradation
+  } = require('./propagation.js');
+}
+
+// Spectrum Monitor - Spectrum seen by a receiver in a live ECS
+class SpectrumMonitor {
+  constructor(ecs) {
+    this.ecs = ecs;
+    
+    // Isotropic antenna for listening at a location
+    this.locationReceiver = createComponent(ComponentTypes.RF_RECEIVER);
+    
+    // Received power per transmitter, kept while neither end nor the environment changes
+    this.linkCache = new Map();  // Transmitter ID -> { state, strength }
+  }
+  
+  // Antenna settings, position and cache signature of a listening point,
+  // null if the receiver entity no longer exists
+  // receiver: { entityId } for a receiver entity, { x, y } for a ground location
+  getListener(receiver) {
+    const rfPropagation = this.ecs.getSystem('rfPropagation');
+    
+    if (receiver.entityId !== undefined) {
+      const receiverRF = this.ecs.getComponent(receiver.entityId, ComponentTypes.RF_RECEIVER);
+      const transform = this.ecs.getComponent(receiver.entityId, ComponentTypes.TRANSFORM);
+      if (!receiverRF || !transform) {
+        return null;
+      }
+      
+      return {
+        rf: receiverRF,
+        position: transform.position,
+        state: `${receiver.entityId}|${rfPropagation.getLinkState(receiver.entityId)}`
+      };
+    }
+    
+    const ground = rfPropagation.terrain ? rfPropagation.terrain.getElevation(receiver.x, receiver.y) : 0;
+    return {
+      rf: this.locationReceiver,
+      position: { x: receiver.x, y: receiver.y, z: ground + CONFIG.rf.spectrum.receiverHeight },
+      state: `${receiver.x},${receiver.y}`
+    };
+  }
+  
+  // Spectrum of a band (key of CONFIG.rf.frequencyBands) at a receiver, null if
+  // the receiver entity no longer exists. Powers are in dBm; emissions of pulsed
+  // transmitters between pulses have transmitting false and power -Infinity.
+  getSpectrum(receiver, frequency) {
+    const listener = this.getListener(receiver);
+    if (!listener) {
+      return null;
+    }
+    
+    const rfPropagation = this.ecs.getSystem('rfPropagation');
+    const band = CONFIG.rf.frequencyBands[frequency];
+    const bandCenter = (band.range[0] + band.range[1]) / 2;
+    const bandWidth = Math.max(band.bandwidth, (band.range[1] - band.range[0]) * 1e6);
+    const environmentState = rfPropagation.environmentState;
+    const emissions = [];
+    const linkCache = new Map();
+    
+    const transmitters = this.ecs.entityManager.getEntitiesWithComponents(
+      ComponentTypes.TRANSFORM, ComponentTypes.RF_TRANSMITTER
+    );
+    for (const transmitterId of transmitters) {
+      const transmitterRF = this.ecs.getComponent(transmitterId, ComponentTypes.RF_TRANSMITTER);
+      if (!transmitterRF.active) continue;
+      
+      // Emissions anywhere on the band, from whichever band they were set on
+      const emission = rfPropagation.getEmission(transmitterRF);
+      if (calculateBandwidthOverlap(emission.center, emission.bandwidth, bandCenter, bandWidth) === 0) continue;
+      
+      // A receiver does not hear its own transmitters on the analyzer
+      if (rfPropagation.isOwnEmitter(transmitterId, receiver.entityId)) continue;
+      
+      // Path loss only changes when either end or the environment does
+      const state = `${rfPropagation.getLinkState(transmitterId)}|${listener.state}|${environmentState}`;
+      let link = this.linkCache.get(transmitterId);
+      if (!link || link.state !== state) {
+        const { position } = this.ecs.getComponent(transmitterId, ComponentTypes.TRANSFORM);
+        link = {
+          state,
+          strength: rfPropagation.calculateLinkStrength(transmitterRF, position, listener.rf, listener.position)
+        };
+      }
+      linkCache.set(transmitterId, link);
+      
+      const pulsing = transmitterRF.pulseParameters.pulsing;
+      const transmitting = !pulsing || transmitterRF.pulseParameters.currentlyTransmitting;
+      const team = this.ecs.getComponent(transmitterId, ComponentTypes.TEAM);
+      
+      emissions.push({
+        transmitterId,
+        modulation: emission.modulation,
+        center: emission.center,
+        bandwidth: emission.bandwidth,
+        power: transmitting ? link.strength : -Infinity,
+        transmitting,
+        pulsing,
+        isJammer: rfPropagation.isJammer(transmitterId),
+        team: team ? team.team : null
+      });
+    }
+    this.linkCache = linkCache;
+    
+    // Signals from outside the simulation, such as GNSS satellites
+    let nominalSignal = null;
+    if (band.nominalSignalStrength !== undefined) {
+      nominalSignal = band.nominalSignalStrength - calculatePolarizationLoss(
+        band.polarization || null,
+        rfPropagation.getPolarization(listener.rf),
+        0,
+        listener.rf.polarizationAngle
+      );
+      
+      emissions.push({
+        transmitterId: null,
+        modulation: band.modulation,
+        center: band.value,
+        bandwidth: band.bandwidth,
+        power: nominalSignal,
+        transmitting: true,
+        pulsing: false,
+        isJammer: false,
+        team: null
+      });
+    }
+    
+    // Power in the band's receiver channel of the transmitting jammers and of
+    // everything that interferes with the nominal signal
+    let jammerPower = 0;
+    let interferencePower = 0;
+    for (const emission of emissions) {
+      if (!emission.transmitting || emission.transmitterId === null) continue;
+      
+      const power = dbmToMilliwatts(emission.power) *
+        calculateBandwidthOverlap(emission.center, emission.bandwidth, band.value, band.bandwidth);
+      interferencePower += power;
+      if (emission.isJammer) {
+        jammerPower += power;
+      }
+    }
+    
+    const noiseFloor = rfPropagation.getNoiseFloor(band.bandwidth);
+    const sinr = nominalSignal === null ? null : calculateSinr(
+      nominalSignal,
+      interferencePower > 0 ? milliwattsToDbm(interferencePower) : null,
+      noiseFloor
+    );
+    
+    return {
+      frequency,
+      position: { ...listener.position },
+      noiseFloor,
+      emissions,
+      jammerPower: jammerPower > 0 ? milliwattsToDbm(jammerPower) : null,
+      nominalSignal,
+      sinr,
+      degradation: sinr === null ? null :
+        calculateLinkDegradation(sinr, band.requiredSinr, CONFIG.rf.degradationMargin)
+    };
+  }
+}
+
+// Power in dBm at each point of a sweep over a spectrum
+// sweep: { center (MHz), span (MHz), rbw (Hz), points }
+// Each point measures the power within the resolution bandwidth around its
+// frequency, with emissions spread evenly over their bandwidth. Given a random()
+// function, the noise power of each point is drawn from the exponential
+// distribution of thermal noise power; otherwise points show its mean.
+function computeSpectrumTrace(spectrum, sweep, random = null) {
+  const band = CONFIG.rf.frequencyBands[spectrum.frequency];
+  const noisePower = dbmToMilliwatts(spectrum.noiseFloor) * sweep.rbw / band.bandwidth;
+  const halfRbw = sweep.rbw / 2e6;  // MHz
+  const start = sweep.center - sweep.span / 2;
+  const step = sweep.points > 1 ? sweep.span / (sweep.points - 1) : 0;
+  const emissions = spectrum.emissions.filter(emission => emission.transmitting);
+  const trace = new Float32Array(sweep.points);
+  
+  for (let i = 0; i < sweep.points; i++) {
+    const frequency = start + i * step;
+    let power = random ? -noisePower * Math.log(1 - random()) : noisePower;
+    
+    for (const emission of emissions) {
+      const halfBandwidth = emission.bandwidth / 2e6;  // MHz
+      const overlap = Math.min(frequency + halfRbw, emission.center + halfBandwidth) -
+                      Math.max(frequency - halfRbw, emission.center - halfBandwidth);
+      if (overlap > 0) {
+        power += dbmToMilliwatts(emission.power) * overlap / (2 * halfBandwidth);
+      }
+    }
+    
+    trace[i] = milliwattsToDbm(power);
+  }
+  
+  return trace;
+}
+
+// Spectrum Sweep History - Hold traces, waterfall and persistence of successive sweeps
+class SpectrumSweepHistory {
+  // options override CONFIG.rf.spectrum (averageCount, waterfallRows, persistenceLevels,
+  // persistenceDecay, referenceLevel, displayRange)
+  constructor(points, options = {}) {
+    this.points = points;
+    this.options = { ...CONFIG.rf.spectrum, ...options };
+    this.reset();
+  }
+  
+  // Forget every sweep, e.g. after retuning
+  reset() {
+    const { persistenceLevels } = this.options;
+    
+    this.sweepCount = 0;
+    this.current = null;
+    this.maxHold = new Float32Array(this.points).fill(-Infinity);
+    this.minHold = new Float32Array(this.points).fill(Infinity);
+    this.average = new Float32Array(this.points);
+    this.waterfall = [];  // Sweeps, most recent first
+    this.persistence = new Float32Array(this.points * persistenceLevels);  // [point * levels + level]
+    this.persistencePeak = 0;
+  }
+  
+  // Level index in the persistence display of a power in dBm, -1 off the display
+  getPersistenceLevel(power) {
+    const { referenceLevel, displayRange, persistenceLevels } = this.options;
+    const level = Math.floor((power - referenceLevel + displayRange) / displayRange * persistenceLevels);
+    
+    return level >= 0 && level < persistenceLevels ? level : -1;
+  }
+  
+  // Add a sweep from computeSpectrumTrace
+  add(trace) {
+    const { averageCount, waterfallRows, persistenceLevels, persistenceDecay } = this.options;
+    
+    this.sweepCount++;
+    this.current = trace;
+    
+    // Running mean of the power in dB, exponential once averageCount sweeps are in
+    const weight = 1 / Math.min(this.sweepCount, averageCount);
+    
+    for (let i = 0; i < this.points; i++) {
+      this.maxHold[i] = Math.max(this.maxHold[i], trace[i]);
+      this.minHold[i] = Math.min(this.minHold[i], trace[i]);
+      this.average[i] += (trace[i] - this.average[i]) * weight;
+    }
+    
+    this.waterfall.unshift(trace);
+    if (this.waterfall.length > waterfallRows) {
+      this.waterfall.pop();
+    }
+    
+    // Fade earlier sweeps, then count where this one lies
+    this.persistencePeak *= persistenceDecay;
+    for (let cell = 0; cell < this.persistence.length; cell++) {
+      this.persistence[cell] *= persistenceDecay;
+    }
+    for (let i = 0; i < this.points; i++) {
+      const level = this.getPersistenceLevel(trace[i]);
+      if (level === -1) continue;
+      
+      const cell = i * persistenceLevels + level;
+      this.persistence[cell] += 1;
+      this.persistencePeak = Math.max(this.persistencePeak, this.persistence[cell]);
+    }
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SpectrumMonitor, computeSpectrumTrace, SpectrumSweepHistory };
+}
@@ -0,0 +1,59 @@
+/**
+ * SIGNAL WARFARE - Waveform Timing
+ *
+ * This file implements the time-varying parts of emitter waveforms:
+ * - Hop sets and pseudo-random hop sequences of frequency-hopping links
+ * - The position of swept jamming within its sweep
+ *
+ * Both are pure functions of simulation time, so a transmitter's channel at
+ * any instant can be evaluated in any order (e.g. by a follower jammer that
+ * hops the same sequence late).
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+  var { CONFIG } = require('../core/config.js');
+}
+
+// Channel center frequencies in MHz of a hop set of channelCount channels,
+// each a receiver channel wide, spread evenly over a band's range
+function createHopSet(frequency, channelCount) {
+  const band = CONFIG.rf.frequencyBands[frequency];
+  const halfChannel = band.bandwidth / 2e6;  // MHz
+  const first = Math.min(band.range[0] + halfChannel, band.value);
+  const last = Math.max(band.range[1] - halfChannel, band.value);
+
+  if (channelCount <= 1) {
+    return [band.value];
+  }
+
+  const hopSet = [];
+  for (let i = 0; i < channelCount; i++) {
+    hopSet.push(first + (last - first) * i / (channelCount - 1));
+  }
+
+  return hopSet;
+}
+
+// Index into the hop set of the channel in use at a time in ms
+// (mulberry32 of the seed and hop number, so every hop is independent)
+function getHopChannel(hopParameters, time) {
+  const hop = Math.floor((time - hopParameters.delay) / hopParameters.dwellTime);
+
+  let t = (hopParameters.seed + Math.imul(hop, 0x6D2B79F5)) >>> 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  const random = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+
+  return Math.floor(random * hopParameters.hopSet.length);
+}
+
+// Center frequency in MHz of swept jamming at a time in ms, rising from start
+// to end once every sweepTime
+function getSweepCenter(sweepParameters, time) {
+  const phase = (time % sweepParameters.sweepTime) / sweepParameters.sweepTime;
+  return sweepParameters.start + (sweepParameters.end - sweepParameters.start) * phase;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createHopSet, getHopChannel, getSweepCenter };
+}
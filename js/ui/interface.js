@@ -19,8 +19,9 @@ function initializeUIComponents() {
   // Initialize asset panel tabs
   initAssetPanelTabs();
   
-  // Initialize jammer selection cards
+  // Initialize jammer selection cards and tuning
   initJammerCards();
+  initJammerSettings();
   
   // Initialize map layer toggles
   initMapLayerToggles();
@@ -28,6 +29,9 @@ function initializeUIComponents() {
   // Initialize map controls (zoom and pan)
   initMapControls();
   
+  // Initialize coverage heatmap band toggles
+  initHeatmapControls();
+  
   // Initialize panel dragging
   initPanelDragging();
   
@@ -36,6 +40,11 @@ function initializeUIComponents() {
     updateTacticalMap(window.gameState, window.assets || []);
   }
   
+  // Initialize spectrum analyzer band, receiver and sweep controls
+  initFrequencyBandSelectors();
+  initSpectrumReceiverSelector();
+  initSpectrumControls();
+  
   // Initialize spectrum analyzer
   updateSpectrumAnalyzer();
   
@@ -223,6 +232,39 @@ function initJammerCards() {
   }
 }
 
+// Initialize the band and technique new jammers are deployed with
+function initJammerSettings() {
+  const bandSelect = document.getElementById('jammer-band');
+  const techniqueSelect = document.getElementById('jammer-technique');
+  if (!bandSelect || !techniqueSelect) return;
+  
+  // Empty values leave the jammer type's own default
+  bandSelect.add(new Option('DEFAULT BAND', ''));
+  Object.entries(CONFIG.rf.frequencyBands).forEach(([frequency, band]) => {
+    bandSelect.add(new Option(band.label, frequency));
+  });
+  
+  techniqueSelect.add(new Option('DEFAULT TECHNIQUE', ''));
+  Object.entries(CONFIG.jammers.techniques).forEach(([technique, settings]) => {
+    const option = new Option(settings.label, technique);
+    option.title = settings.description;
+    techniqueSelect.add(option);
+  });
+}
+
+// Band and technique new jammers are deployed with, null for the type's defaults
+function getJammerSettings() {
+  const bandSelect = document.getElementById('jammer-band');
+  const techniqueSelect = document.getElementById('jammer-technique');
+  
+  return {
+    frequency: bandSelect && bandSelect.value ? bandSelect.value : null,
+    technique: techniqueSelect && techniqueSelect.value ? techniqueSelect.value : null
+  };
+}
+
+window.getJammerSettings = getJammerSettings;
+
 // Update jammer availability UI
 function updateJammerAvailability(jammersAvailable) {
   if (!jammersAvailable) return;
@@ -269,7 +311,8 @@ const COUNT_MAP = {
   'STANDARD': 3,
   'PRECISION': 2,
   'PULSE': 2,
-  'MOBILE': 1
+  'MOBILE': 1,
+  'SPOOFER': 1
 };
 
 // Initialize map layer toggles
@@ -368,6 +411,28 @@ function initMapLayerToggles() {
   setInterval(debugMapToggles, 3000); // Check every 3 seconds
 }
 
+// Add a toggle per frequency band for the 3D coverage heatmap
+function initHeatmapControls() {
+  const container = document.getElementById('heatmap-controls');
+  if (!container) return;
+  
+  Object.entries(CONFIG.rf.frequencyBands).forEach(([frequency, band]) => {
+    const toggle = document.createElement('button');
+    toggle.className = 'heatmap-toggle';
+    toggle.dataset.band = frequency;
+    toggle.textContent = band.label;
+    
+    toggle.addEventListener('click', () => {
+      const heatmap = window.gameEngine && window.gameEngine.ecs.getSystem('coverageHeatmap');
+      if (!heatmap) return;
+      
+      toggle.classList.toggle('active', heatmap.toggleBand(frequency));
+    });
+    
+    container.appendChild(toggle);
+  });
+}
+
 // Initialize panel dragging
 function initPanelDragging() {
   const panels = document.querySelectorAll('.panel');
@@ -449,7 +514,9 @@ window.showAlert = showAlert;
 const tacticalMapCache = {
   terrainGrid: null,
   lastWidth: 0,
-  lastHeight: 0
+  lastHeight: 0,
+  coverageCanvas: null,  // Coverage raster image
+  coverageVersion: -1    // CoverageEngine result it was drawn from
 };
 
 // Global variables for map view center and scale
@@ -758,7 +825,15 @@ function drawTerrainLayer(ctx, width, height) {
 
 // Draw RF signal propagation visualization
 function drawRFLayer(ctx, width, height, assets) {
-  // Only draw if we have jammers or transmitters
+  // Draw computed coverage once the coverage engine has a result
+  const coverageEngine = window.gameEngine && window.gameEngine.coverageEngine;
+  const coverage = coverageEngine && coverageEngine.getCoverage();
+  if (coverage) {
+    drawCoverageRaster(ctx, coverage, coverageEngine.version);
+    return;
+  }
+  
+  // Until then, approximate jammer footprints
   const jammers = assets.filter(asset => asset.type === 'JAMMER' && asset.active);
   
   if (jammers.length === 0) return;
@@ -815,6 +890,59 @@ function drawRFLayer(ctx, width, height, assets) {
   });
 }
 
+// Draw the composite coverage raster, worst band per cell:
+// served areas green, degraded links yellow, jammed (lost) links red
+function drawCoverageRaster(ctx, coverage, version) {
+  // Rebuild the raster image only when a new result arrives
+  if (tacticalMapCache.coverageVersion !== version) {
+    const resolution = coverage.resolution;
+    const canvas = tacticalMapCache.coverageCanvas || document.createElement('canvas');
+    canvas.width = resolution;
+    canvas.height = resolution;
+    
+    const imageCtx = canvas.getContext('2d');
+    const image = imageCtx.createImageData(resolution, resolution);
+    const composites = Object.values(coverage.composites);
+    
+    for (let cell = 0; cell < resolution * resolution; cell++) {
+      let degradation = 0;
+      let served = false;
+      for (const composite of composites) {
+        degradation = Math.max(degradation, composite.degradation[cell]);
+        served = served || composite.bestServer[cell] !== -1;
+      }
+      
+      let color = null;
+      if (degradation >= 1) {
+        color = [255, 70, 85, 0.45];
+      } else if (degradation > 0) {
+        color = [255, 222, 89, 0.1 + 0.3 * degradation];
+      } else if (served) {
+        color = [54, 249, 179, 0.15];
+      }
+      
+      if (color) {
+        image.data[cell * 4] = color[0];
+        image.data[cell * 4 + 1] = color[1];
+        image.data[cell * 4 + 2] = color[2];
+        image.data[cell * 4 + 3] = Math.round(color[3] * 255);
+      }
+    }
+    
+    imageCtx.putImageData(image, 0, 0);
+    tacticalMapCache.coverageCanvas = canvas;
+    tacticalMapCache.coverageVersion = version;
+  }
+  
+  // Raster nodes span the terrain edge to edge
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(
+    tacticalMapCache.coverageCanvas,
+    -coverage.width / 2, -coverage.height / 2,
+    coverage.width, coverage.height
+  );
+}
+
 // Draw friendly assets (jammers, drones, etc.)
 function drawAssets(ctx, width, height, assets) {
   if (!assets || assets.length === 0) return;
@@ -1444,7 +1572,7 @@ function animateTacticalMap() {
   if (!window.gameState) {
     window.gameState = {
       missionActive: true,
-      currentPhase: 'INTEL',
+      missionPhase: 'INTEL',
       enemyPositions: [
         { x: 0.2, y: 0.3, type: 'PATROL' },
         { x: 0.7, y: 0.2, type: 'DRONE' },
@@ -1503,8 +1631,21 @@ function animateTacticalMap() {
   updateAnimation();
 }
 
-// Update spectrum analyzer
-function updateSpectrumAnalyzer(signals = []) {
+// Spectrum analyzer display state
+const spectrumAnalyzer = {
+  mode: 'LIVE',      // 'LIVE', 'WATERFALL' or 'PERSISTENCE'
+  traces: { maxHold: false, minHold: false, average: false },
+  center: 435,       // MHz
+  span: 10,          // MHz
+  rbw: 'AUTO',       // Hz, or 'AUTO' to follow the span
+  history: null,     // SpectrumSweepHistory for the current settings
+  historyKey: null,
+  imageCanvas: null  // Offscreen canvas for the waterfall and persistence images
+};
+
+// Update spectrum analyzer with a spectrum from SpectrumMonitor, by default
+// the live spectrum at the selected receiver on the tuned band
+function updateSpectrumAnalyzer(spectrum = getLiveSpectrum()) {
   const spectrumDisplay = document.getElementById('spectrum-display');
   if (!spectrumDisplay) return;
   
@@ -1524,31 +1665,464 @@ function updateSpectrumAnalyzer(signals = []) {
   // Draw background grid
   drawSpectrumGrid(ctx, canvas.width, canvas.height);
   
-  // If no signals provided, create demo signals
-  if (!signals || signals.length === 0) {
-    signals = createDemoSignals();
+  const history = getSpectrumHistory();
+  
+  if (spectrumAnalyzer.mode === 'WATERFALL') {
+    drawWaterfall(ctx, history, canvas.width, canvas.height);
+  } else {
+    if (spectrumAnalyzer.mode === 'PERSISTENCE') {
+      drawPersistence(ctx, history, canvas.width, canvas.height);
+    } else {
+      // Before the game engine starts there is only receiver noise to show
+      const band = CONFIG.rf.frequencyBands[getTunedBandKey()];
+      const noiseFloor = spectrum ? spectrum.noiseFloor : calculateNoiseFloor(band.bandwidth, CONFIG.rf.noiseFigure);
+      drawBackgroundNoise(ctx, canvas.width, canvas.height, getNoiseInRbw(noiseFloor, band));
+      
+      if (spectrum) {
+        drawSignals(ctx, getSpectrumSignals(spectrum), canvas.width, canvas.height);
+      }
+    }
+    
+    drawHoldTraces(ctx, history, canvas.width, canvas.height);
   }
   
-  // Draw signals
-  drawSignals(ctx, signals, canvas.width, canvas.height);
+  if (spectrum) {
+    drawSpectrumReadout(ctx, spectrum, canvas.width, canvas.height);
+  }
+}
+
+// Sweep settings: { center, span } in MHz, the resolution bandwidth in Hz and the trace points
+function getSpectrumSweep() {
+  let rbw = spectrumAnalyzer.rbw;
+  
+  // AUTO picks the resolution bandwidth nearest span / autoRbwRatio on a log scale
+  if (rbw === 'AUTO') {
+    const target = spectrumAnalyzer.span * 1e6 / CONFIG.rf.spectrum.autoRbwRatio;
+    const distance = option => Math.abs(Math.log(option / target));
+    rbw = CONFIG.rf.spectrum.rbwOptions.reduce((nearest, option) =>
+      distance(option) < distance(nearest) ? option : nearest
+    );
+  }
   
-  // Add event listeners to frequency band selectors
-  initFrequencyBandSelectors();
+  return {
+    center: spectrumAnalyzer.center,
+    span: spectrumAnalyzer.span,
+    rbw,
+    points: CONFIG.rf.spectrum.points
+  };
+}
+
+// Frequency range shown by the analyzer in MHz
+function getSpectrumRange() {
+  return {
+    min: spectrumAnalyzer.center - spectrumAnalyzer.span / 2,
+    max: spectrumAnalyzer.center + spectrumAnalyzer.span / 2
+  };
+}
+
+// Tune the analyzer to a frequency range in MHz
+function setSpectrumRange({ min, max }) {
+  spectrumAnalyzer.center = (min + max) / 2;
+  spectrumAnalyzer.span = max - min;
+  
+  const centerInput = document.getElementById('spectrum-center');
+  const spanInput = document.getElementById('spectrum-span');
+  if (centerInput) centerInput.value = spectrumAnalyzer.center;
+  if (spanInput) spanInput.value = spectrumAnalyzer.span;
+}
+
+// Noise power in dBm within the resolution bandwidth, from a band's noise floor
+function getNoiseInRbw(noiseFloor, band) {
+  return noiseFloor + 10 * Math.log10(getSpectrumSweep().rbw / band.bandwidth);
+}
+
+// Format a bandwidth in Hz for display
+function formatBandwidth(bandwidth) {
+  return bandwidth >= 1e6 ? `${bandwidth / 1e6} MHz` : `${bandwidth / 1e3} kHz`;
+}
+
+// Sweep history for the current settings, restarted whenever they change
+function getSpectrumHistory() {
+  const select = document.getElementById('spectrum-receiver');
+  const sweep = getSpectrumSweep();
+  const key = `${sweep.center},${sweep.span},${sweep.rbw},${select ? select.value : 'CURSOR'}`;
+  
+  if (!spectrumAnalyzer.history || spectrumAnalyzer.historyKey !== key) {
+    spectrumAnalyzer.history = new SpectrumSweepHistory(sweep.points);
+    spectrumAnalyzer.historyKey = key;
+  }
+  
+  return spectrumAnalyzer.history;
+}
+
+// Sweep a spectrum into the history, with random thermal noise
+function addSpectrumSweep(spectrum) {
+  getSpectrumHistory().add(computeSpectrumTrace(spectrum, getSpectrumSweep(), Math.random));
+}
+
+// Key of CONFIG.rf.frequencyBands the analyzer is tuned to (the nearest to its center)
+function getTunedBandKey() {
+  const frequency = spectrumAnalyzer.center;
+  const distance = key => Math.abs(CONFIG.rf.frequencyBands[key].value - frequency);
+  
+  return Object.keys(CONFIG.rf.frequencyBands).reduce((nearest, key) =>
+    distance(key) < distance(nearest) ? key : nearest
+  );
+}
+
+// Receiver the analyzer listens from: the selected receiver entity, or the cursor location
+function getSpectrumReceiver(engine) {
+  const select = document.getElementById('spectrum-receiver');
+  if (select && select.value !== 'CURSOR') {
+    return { entityId: Number(select.value) };
+  }
+  
+  const { x, y } = engine.mouse.simPosition;
+  return { x, y };
+}
+
+// Spectrum at the selected receiver on the tuned band, null before the game engine starts
+function getLiveSpectrum() {
+  const engine = window.gameEngine;
+  if (!engine || !engine.spectrumMonitor) return null;
+  
+  return engine.spectrumMonitor.getSpectrum(getSpectrumReceiver(engine), getTunedBandKey());
+}
+
+// Initialize the analyzer display mode, trace and sweep controls
+function initSpectrumControls() {
+  const modeSelect = document.getElementById('spectrum-mode');
+  if (modeSelect) {
+    modeSelect.addEventListener('change', () => {
+      spectrumAnalyzer.mode = modeSelect.value;
+      updateSpectrumAnalyzer();
+    });
+  }
+  
+  document.querySelectorAll('.trace-toggle').forEach(button => {
+    button.addEventListener('click', () => {
+      const trace = button.dataset.trace;
+      spectrumAnalyzer.traces[trace] = !spectrumAnalyzer.traces[trace];
+      button.classList.toggle('active', spectrumAnalyzer.traces[trace]);
+      updateSpectrumAnalyzer();
+    });
+  });
+  
+  const rbwSelect = document.getElementById('spectrum-rbw');
+  if (rbwSelect) {
+    CONFIG.rf.spectrum.rbwOptions.forEach(rbw => {
+      const option = document.createElement('option');
+      option.value = rbw;
+      option.textContent = formatBandwidth(rbw);
+      rbwSelect.appendChild(option);
+    });
+    
+    rbwSelect.addEventListener('change', () => {
+      spectrumAnalyzer.rbw = rbwSelect.value === 'AUTO' ? 'AUTO' : Number(rbwSelect.value);
+      updateSpectrumAnalyzer();
+    });
+  }
+  
+  // Center frequency and span inputs, reverting invalid entries
+  const centerInput = document.getElementById('spectrum-center');
+  const spanInput = document.getElementById('spectrum-span');
+  [centerInput, spanInput].forEach(input => {
+    if (!input) return;
+    
+    input.addEventListener('change', () => {
+      const center = parseFloat(centerInput.value);
+      const span = parseFloat(spanInput.value);
+      
+      if (center > 0 && span > 0) {
+        setSpectrumRange({ min: center - span / 2, max: center + span / 2 });
+      } else {
+        setSpectrumRange(getSpectrumRange());
+      }
+      updateSpectrumAnalyzer();
+    });
+  });
+  
+  // Start on the selected band
+  const selectedBand = document.querySelector('.band.active');
+  setSpectrumRange(getFrequencyRange(selectedBand ? selectedBand.dataset.freq : '433'));
+}
+
+// Initialize the analyzer receiver selector
+function initSpectrumReceiverSelector() {
+  const select = document.getElementById('spectrum-receiver');
+  if (!select) return;
+  
+  // Keep the panel header from starting a drag when the selector opens
+  select.addEventListener('mousedown', event => event.stopPropagation());
+  select.addEventListener('change', () => updateSpectrumAnalyzer());
+}
+
+// List the receiver entities (drones, sensors) the analyzer can listen from
+function updateSpectrumReceiverOptions() {
+  const select = document.getElementById('spectrum-receiver');
+  const engine = window.gameEngine;
+  if (!select || !engine || !engine.ecs) return;
+  
+  const receivers = engine.ecs.entityManager.getEntitiesWithComponents(
+    ComponentTypes.TRANSFORM, ComponentTypes.RF_RECEIVER
+  );
+  const values = ['CURSOR', ...receivers.map(String)];
+  if (values.join() === Array.from(select.options, option => option.value).join()) return;
+  
+  const selected = select.value;
+  select.innerHTML = '';
+  values.forEach(value => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = value === 'CURSOR' ? 'CURSOR' : engine.getEmitterName(Number(value));
+    select.appendChild(option);
+  });
+  
+  // Fall back to the cursor when the selected receiver is destroyed
+  select.value = values.includes(selected) ? selected : 'CURSOR';
+}
+
+// Display levels: dBm at the top and bottom of the spectrum display
+function getSpectrumLevels() {
+  const top = CONFIG.rf.spectrum.referenceLevel;
+  return { top, bottom: top - CONFIG.rf.spectrum.displayRange };
+}
+
+// Convert a power in dBm to a display strength (0 at the bottom, 1 at the top)
+function levelToStrength(dbm) {
+  const { top, bottom } = getSpectrumLevels();
+  return Math.max(0, Math.min(1, (dbm - bottom) / (top - bottom)));
+}
+
+// Display signals for the emissions of a spectrum that are on the air, as
+// measured in the resolution bandwidth
+function getSpectrumSignals(spectrum) {
+  const { min, max } = getSpectrumRange();
+  const span = (max - min) * 1e6; // Hz
+  const { rbw } = getSpectrumSweep();
+  const ecs = window.gameEngine.ecs;
+  
+  return spectrum.emissions.filter(emission => emission.transmitting).map(emission => {
+    let name = 'TX';
+    if (emission.transmitterId === null) {
+      name = spectrum.frequency === 'GPS' ? 'GPS L1' : 'NOMINAL';
+    } else if (emission.isJammer) {
+      name = 'JAM';
+    } else if (ecs.getComponent(emission.transmitterId, ComponentTypes.DRONE)) {
+      name = 'DRONE';
+    }
+    
+    // A resolution bandwidth narrower than the emission only catches part of its
+    // power; a wider one smears it over the resolution bandwidth
+    const peakPower = emission.power + 10 * Math.log10(Math.min(1, rbw / emission.bandwidth));
+    const displayWidth = Math.max(emission.bandwidth, rbw);
+    const modulation = CONFIG.rf.modulations[emission.modulation];
+    
+    return {
+      name,
+      modulation: modulation.label,
+      flat: modulation.flat,
+      position: (emission.center - min) / (max - min),
+      strength: levelToStrength(peakPower),
+      // Flat waveforms are drawn 1.5 widths either side, other signals as a
+      // Gaussian with the bandwidth spanning 2 widths either side
+      width: displayWidth / span / (modulation.flat ? 3 : 4),
+      dbm: emission.power.toFixed(1),
+      isHostile: emission.team === 'ENEMY'
+    };
+  });
+}
+
+// Draw the noise floor and the power jamming the band
+// (the dashed line is the noise within the resolution bandwidth)
+function drawSpectrumReadout(ctx, spectrum, width, height) {
+  const sweep = getSpectrumSweep();
+  
+  if (spectrumAnalyzer.mode !== 'WATERFALL') {
+    const usableHeight = height - 15;
+    const noise = getNoiseInRbw(spectrum.noiseFloor, CONFIG.rf.frequencyBands[spectrum.frequency]);
+    const noiseY = usableHeight - levelToStrength(noise) * usableHeight;
+    
+    ctx.save();
+    ctx.strokeStyle = 'rgba(100, 116, 139, 0.6)';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(0, noiseY);
+    ctx.lineTo(width, noiseY);
+    ctx.stroke();
+    ctx.restore();
+  }
+  
+  const lines = [{
+    text: `NF ${spectrum.noiseFloor.toFixed(1)} dBm  RBW ${formatBandwidth(sweep.rbw)}`,
+    color: 'rgba(54, 249, 179, 0.8)'
+  }];
+  if (spectrum.jammerPower !== null) {
+    lines.push({
+      text: `JAM ${spectrum.jammerPower.toFixed(1)} dBm  J/N ${(spectrum.jammerPower - spectrum.noiseFloor).toFixed(1)} dB`,
+      color: 'rgba(255, 222, 89, 0.9)'
+    });
+  }
+  if (spectrum.sinr !== null) {
+    lines.push({
+      text: `SINR ${spectrum.sinr.toFixed(1)} dB`,
+      color: spectrum.degradation >= 1 ? 'rgba(255, 70, 85, 0.9)' : 'rgba(54, 249, 179, 0.8)'
+    });
+  }
+  
+  ctx.font = '8px var(--font-mono, monospace)';
+  ctx.textAlign = 'left';
+  lines.forEach((line, index) => {
+    ctx.fillStyle = line.color;
+    ctx.fillText(line.text, 40, 12 + index * 10);
+  });
+}
+
+// Draw the enabled max hold, min hold and average traces
+function drawHoldTraces(ctx, history, width, height) {
+  if (history.sweepCount === 0) return;
+  
+  const traces = [
+    { key: 'maxHold', color: 'rgba(255, 70, 85, 0.9)' },
+    { key: 'minHold', color: 'rgba(14, 165, 233, 0.9)' },
+    { key: 'average', color: 'rgba(255, 222, 89, 0.9)' }
+  ];
+  
+  traces.forEach(({ key, color }) => {
+    if (spectrumAnalyzer.traces[key]) {
+      drawTrace(ctx, history[key], color, width, height);
+    }
+  });
+}
+
+// Draw a trace of dBm per point as a line across the display
+function drawTrace(ctx, trace, color, width, height) {
+  const usableHeight = height - 15;
+  
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  
+  for (let i = 0; i < trace.length; i++) {
+    const x = i / (trace.length - 1) * width;
+    const y = usableHeight - levelToStrength(trace[i]) * usableHeight;
+    
+    if (i === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  }
+  
+  ctx.stroke();
+  ctx.restore();
+}
+
+// Waterfall and persistence colors from low to high: dark, cyan, green, yellow, red
+const SPECTRUM_IMAGE_COLORS = [
+  [12, 17, 22],
+  [0, 184, 212],
+  [54, 249, 179],
+  [255, 222, 89],
+  [255, 70, 85]
+];
+
+// Interpolated image color for a value from 0 to 1
+function getSpectrumImageColor(value) {
+  const position = Math.max(0, Math.min(1, value)) * (SPECTRUM_IMAGE_COLORS.length - 1);
+  const index = Math.min(Math.floor(position), SPECTRUM_IMAGE_COLORS.length - 2);
+  const fraction = position - index;
+  const low = SPECTRUM_IMAGE_COLORS[index];
+  const high = SPECTRUM_IMAGE_COLORS[index + 1];
+  
+  return low.map((component, k) => Math.round(component + (high[k] - component) * fraction));
+}
+
+// Offscreen image with one pixel per trace point and row, scaled onto the display
+function getSpectrumImage(columns, rows) {
+  let canvas = spectrumAnalyzer.imageCanvas;
+  if (!canvas || canvas.width !== columns || canvas.height !== rows) {
+    canvas = document.createElement('canvas');
+    canvas.width = columns;
+    canvas.height = rows;
+    spectrumAnalyzer.imageCanvas = canvas;
+  }
+  
+  const ctx = canvas.getContext('2d');
+  return { canvas, ctx, imageData: ctx.createImageData(columns, rows) };
+}
+
+// Draw the sweep history scrolling down from the latest sweep at the top,
+// colored by power
+function drawWaterfall(ctx, history, width, height) {
+  const image = getSpectrumImage(history.points, CONFIG.rf.spectrum.waterfallRows);
+  const data = image.imageData.data;
+  
+  history.waterfall.forEach((trace, row) => {
+    for (let i = 0; i < history.points; i++) {
+      const [r, g, b] = getSpectrumImageColor(levelToStrength(trace[i]));
+      const offset = (row * history.points + i) * 4;
+      data[offset] = r;
+      data[offset + 1] = g;
+      data[offset + 2] = b;
+      data[offset + 3] = 255;
+    }
+  });
+  
+  image.ctx.putImageData(image.imageData, 0, 0);
+  ctx.drawImage(image.canvas, 0, 0, width, height - 15);
+}
+
+// Draw how often recent sweeps reached each power at each frequency, colored
+// from rare to frequent, with the latest sweep on top
+function drawPersistence(ctx, history, width, height) {
+  const levels = CONFIG.rf.spectrum.persistenceLevels;
+  const image = getSpectrumImage(history.points, levels);
+  const data = image.imageData.data;
+  
+  if (history.persistencePeak > 0) {
+    for (let i = 0; i < history.points; i++) {
+      for (let level = 0; level < levels; level++) {
+        const density = history.persistence[i * levels + level] / history.persistencePeak;
+        if (density < 0.01) continue;
+        
+        // Level 0 is the bottom of the display
+        const [r, g, b] = getSpectrumImageColor(0.25 + 0.75 * density);
+        const offset = ((levels - 1 - level) * history.points + i) * 4;
+        data[offset] = r;
+        data[offset + 1] = g;
+        data[offset + 2] = b;
+        data[offset + 3] = 255;
+      }
+    }
+  }
+  
+  image.ctx.putImageData(image.imageData, 0, 0);
+  ctx.drawImage(image.canvas, 0, 0, width, height - 15);
+  
+  if (history.current) {
+    drawTrace(ctx, history.current, 'rgba(54, 249, 179, 0.8)', width, height);
+  }
 }
 
 // Cache for grid patterns
 const gridCache = {
   lastWidth: 0,
   lastHeight: 0,
+  lastRange: null,
   cachedGrid: null
 };
 
 // Draw spectrum grid
 function drawSpectrumGrid(ctx, width, height) {
-  // Check if we can use cached grid (if dimensions unchanged)
+  const range = `${spectrumAnalyzer.center},${spectrumAnalyzer.span}`;
+  
+  // Check if we can use cached grid (if dimensions and frequency range unchanged)
   if (gridCache.cachedGrid && 
       gridCache.lastWidth === width && 
-      gridCache.lastHeight === height) {
+      gridCache.lastHeight === height &&
+      gridCache.lastRange === range) {
     
     // Just draw the cached grid with the active band info
     ctx.putImageData(gridCache.cachedGrid, 0, 0);
@@ -1564,6 +2138,7 @@ function drawSpectrumGrid(ctx, width, height) {
   // Cache the grid (but without scanline which is dynamic)
   gridCache.lastWidth = width;
   gridCache.lastHeight = height;
+  gridCache.lastRange = range;
   gridCache.cachedGrid = ctx.getImageData(0, 0, width, height);
   
   // Add dynamic elements on top
@@ -1579,22 +2154,23 @@ function renderFullGrid(ctx, width, height) {
   ctx.fillStyle = bgGradient;
   ctx.fillRect(0, 0, width, height);
   
-  // Frequency band info
-  const selectedBand = document.querySelector('.band.active');
-  const frequency = selectedBand ? selectedBand.dataset.freq : '433';
-  const { min, max } = getFrequencyRange(frequency);
+  // Frequency range of the sweep
+  const { min, max } = getSpectrumRange();
   
   // Primary grid - fewer lines for better performance
   ctx.strokeStyle = 'rgba(54, 249, 179, 0.1)';
   ctx.lineWidth = 1;
   
-  // Draw horizontal amplitude lines - reduced to 4 lines
-  const amplitudeLevels = ['-100', '-80', '-60', '-40'];
-  const usableHeight = height - 20; // Adjust for bottom margin
+  // Draw horizontal amplitude lines every 20 dB
+  const { top, bottom } = getSpectrumLevels();
+  const usableHeight = height - 15; // Same bottom margin as the signals
+  const amplitudeLevels = [];
+  for (let level = bottom + 10; level < top; level += 20) {
+    amplitudeLevels.push(level);
+  }
   
-  amplitudeLevels.forEach((level, index) => {
-    const normalizedValue = (parseInt(level) + 100) / 70; // Normalize -100 to -30 range
-    const y = usableHeight - (normalizedValue * usableHeight);
+  amplitudeLevels.forEach(level => {
+    const y = usableHeight - (levelToStrength(level) * usableHeight);
     
     // Draw line
     ctx.beginPath();
@@ -1647,9 +2223,8 @@ function renderFullGrid(ctx, width, height) {
 
 // Update just the dynamic elements of the grid
 function updateDynamicGridElements(ctx, width, height) {
-  // Get current band info for display
-  const selectedBand = document.querySelector('.band.active');
-  const frequency = selectedBand ? selectedBand.dataset.freq : '433';
+  // Get the tuned band for display
+  const band = CONFIG.rf.frequencyBands[getTunedBandKey()];
   
   // Add scanline effect
   ctx.fillStyle = 'rgba(54, 249, 179, 0.05)';
@@ -1661,10 +2236,10 @@ function updateDynamicGridElements(ctx, width, height) {
   ctx.fillStyle = 'rgba(54, 249, 179, 0.8)';
   ctx.font = 'bold 11px var(--font-mono, monospace)';
   ctx.textAlign = 'right';
-  ctx.fillText(`BAND: ${frequency} MHz`, width - 10, 15);
+  ctx.fillText(`BAND: ${band.label}`, width - 10, 15);
 }
 
-// Get frequency range for the selected band
+// Get the preset frequency range for a band selector
 function getFrequencyRange(frequency) {
   switch (frequency) {
     case '433':
@@ -1684,18 +2259,13 @@ function getFrequencyRange(frequency) {
 
 // Draw spectrum signals
 function drawSignals(ctx, signals, width, height) {
-  // Get frequency band info
-  const selectedBand = document.querySelector('.band.active');
-  const frequencyBand = selectedBand ? selectedBand.dataset.freq : '433';
-  const { min, max } = getFrequencyRange(frequencyBand);
+  // Get the frequency range of the sweep
+  const { min, max } = getSpectrumRange();
   const frequencyRange = max - min;
   
   // Sort signals by strength to draw weaker ones first (layering effect)
   signals.sort((a, b) => a.strength - b.strength);
   
-  // Background noise - add subtle static everywhere
-  drawBackgroundNoise(ctx, width, height);
-  
   // Draw each signal
   signals.forEach(signal => {
     // Determine signal characteristics based on type
@@ -1734,8 +2304,8 @@ function drawSignals(ctx, signals, width, height) {
         // Random noise is more jagged
         amplitude = signal.strength * Math.exp(-(distance * distance) / (2 * signal.width * signal.width));
         amplitude *= (0.85 + 0.3 * Math.random()); // Add randomness
-      } else if (signalType === 'JAM') {
-        // Jamming signal is wider and more square but with smooth edges
+      } else if (signal.flat) {
+        // Flat waveforms (noise jamming, OFDM, hopping) are square with smooth edges
         amplitude = signal.strength * (distance < signal.width * 1.5 ? 
           (1 - Math.pow(distance/(signal.width * 1.5), 3)) : 0);
       } else if (signalType === 'WIFI' || signalType === '5G') {
@@ -1812,11 +2382,7 @@ function drawSignals(ctx, signals, width, height) {
     // Calculate actual frequency based on position and band range
     const signalFreq = min + (signal.position * frequencyRange);
     
-    // Calculate dynamic dBm value based on strength
-    // Convert normalized strength (0-1) to dBm range (-100 to -30)
-    const dBm = Math.floor(-100 + signal.strength * 70);
-    // Store updated dBm value on the signal
-    signal.dbm = String(dBm);
+    const dBm = signal.dbm;
     
     // Format frequency for display
     let freqDisplay;
@@ -1837,7 +2403,7 @@ function drawSignals(ctx, signals, width, height) {
       const peakY = (height - 15) - (signal.strength * (height - 15)) - 18;
       
       // Draw text with subtle "LCD" effect - minimal info to reduce clutter
-      ctx.fillText(`${signal.name}`, peakX, peakY);
+      ctx.fillText(signal.modulation ? `${signal.name} ${signal.modulation}` : signal.name, peakX, peakY);
       ctx.font = '8px var(--font-mono, monospace)';
       ctx.fillText(`${dBm} dBm`, peakX, peakY + 10);
       
@@ -1851,10 +2417,9 @@ function drawSignals(ctx, signals, width, height) {
   });
 }
 
-// Draw background noise
-function drawBackgroundNoise(ctx, width, height) {
+// Draw receiver noise up to the noise floor (dBm), fluctuating a few dB
+function drawBackgroundNoise(ctx, width, height, noiseFloor) {
   const usableHeight = height - 15;
-  const noiseHeight = usableHeight * 0.1; // 10% of height
   
   // Create noise points
   ctx.fillStyle = 'rgba(54, 249, 179, 0.05)';
@@ -1863,7 +2428,7 @@ function drawBackgroundNoise(ctx, width, height) {
   // Skip every 4 pixels instead of every 2
   for (let x = 0; x < width; x += 4) {
     // Random noise amplitude
-    const amplitude = Math.random() * noiseHeight;
+    const amplitude = levelToStrength(noiseFloor + (Math.random() - 0.5) * 6) * usableHeight;
     const y = usableHeight - amplitude;
     
     // Draw wider points to maintain visual density
@@ -1922,262 +2487,12 @@ function getSignalColor(type, isHostile = false) {
   }
 }
 
-// Create demo signals for testing
-function createDemoSignals() {
-  const selectedBand = document.querySelector('.band.active');
-  const frequency = selectedBand ? selectedBand.dataset.freq : '433';
-  
-  // Add mission state integration
-  const missionActive = window.gameState && window.gameState.missionActive;
-  const missionPhase = window.gameState && window.gameState.currentPhase;
-  
-  // Scale factors for mission state
-  let hostilePresence = 0;
-  let jammingPresence = 0;
-  
-  if (missionActive) {
-    switch (missionPhase) {
-      case 'DEPLOYMENT':
-        hostilePresence = 0.2;
-        jammingPresence = 0;
-        break;
-      case 'INTEL':
-        hostilePresence = 0.5;
-        jammingPresence = 0.2;
-        break;
-      case 'OPERATION':
-        hostilePresence = 0.8;
-        jammingPresence = 0.6;
-        break;
-      case 'DEFEND':
-        hostilePresence = 1.0;
-        jammingPresence = 1.0;
-        break;
-      default:
-        hostilePresence = 0.3;
-        jammingPresence = 0.1;
-    }
-  }
-  
-  // Random variance to make signals more realistic
-  const addVariance = (val, amount = 0.1) => val * (1 - amount/2 + Math.random() * amount);
-  
-  // Generate signals based on frequency band
-  switch (frequency) {
-    case '433':
-      // 433 MHz: Common for remote control, IoT devices, etc.
-      const signals433 = [
-        // Base signals always present
-        { 
-          name: 'FSK', 
-          position: 0.3, 
-          strength: addVariance(0.65), 
-          width: 0.05, 
-          dbm: '-' + Math.floor(addVariance(45, 0.2)),
-          isHostile: false
-        },
-        { 
-          name: 'LoRa', 
-          position: 0.7, 
-          strength: addVariance(0.85), 
-          width: 0.03, 
-          dbm: '-' + Math.floor(addVariance(35, 0.2)),
-          isHostile: false
-        }
-      ];
-      
-      // Add mission-specific signals
-      if (missionActive && hostilePresence > 0.3 && Math.random() < hostilePresence) {
-        signals433.push({
-          name: 'DRONE', 
-          position: addVariance(0.45, 0.2), 
-          strength: addVariance(0.5 * hostilePresence), 
-          width: 0.04, 
-          dbm: '-' + Math.floor(addVariance(55, 0.3)),
-          isHostile: true
-        });
-      }
-      
-      if (jammingPresence > 0 && Math.random() < jammingPresence) {
-        signals433.push({
-          name: 'JAM', 
-          position: addVariance(0.5, 0.4), 
-          strength: addVariance(0.7 * jammingPresence), 
-          width: 0.08, 
-          dbm: '-' + Math.floor(addVariance(40, 0.5)),
-          isHostile: true
-        });
-      }
-      
-      return signals433;
-      
-    case '915':
-      // 915 MHz: ISM band, used for various industrial/scientific equipment
-      const signals915 = [
-        { 
-          name: 'GFSK', 
-          position: 0.4, 
-          strength: addVariance(0.55), 
-          width: 0.07, 
-          dbm: '-' + Math.floor(addVariance(50, 0.2)),
-          isHostile: false
-        },
-        { 
-          name: 'NOISE', 
-          position: 0.9, 
-          strength: addVariance(0.3), 
-          width: 0.1, 
-          dbm: '-' + Math.floor(addVariance(70, 0.2)),
-          isHostile: false
-        }
-      ];
-      
-      // Add additional signals when mission is active
-      if (missionActive && Math.random() < 0.7) {
-        signals915.push({
-          name: 'UART', 
-          position: addVariance(0.6, 0.2), 
-          strength: addVariance(0.4), 
-          width: 0.05, 
-          dbm: '-' + Math.floor(addVariance(65, 0.2)),
-          isHostile: false
-        });
-      }
-      
-      return signals915;
-      
-    case '1575':
-      // 1575 MHz: GPS L1 frequency - critical for mission
-      const signals1575 = [
-        { 
-          name: 'GPS L1', 
-          position: 0.5, 
-          strength: addVariance(0.75), 
-          width: 0.04, 
-          dbm: '-' + Math.floor(addVariance(40, 0.1)),
-          isHostile: false
-        }
-      ];
-      
-      // Add jamming when present based on mission phase
-      if (jammingPresence > 0 && Math.random() < jammingPresence * 1.5) {
-        signals1575.push({
-          name: 'JAM', 
-          position: addVariance(0.53, 0.1), 
-          strength: addVariance(0.9 * jammingPresence), 
-          width: 0.08, 
-          dbm: '-' + Math.floor(addVariance(30, 0.2)),
-          isHostile: true
-        });
-      }
-      
-      return signals1575;
-      
-    case '2400':
-      // 2.4 GHz: WiFi, Bluetooth, consumer drones
-      const signals2400 = [
-        { 
-          name: 'BT', 
-          position: 0.2, 
-          strength: addVariance(0.4), 
-          width: 0.05, 
-          dbm: '-' + Math.floor(addVariance(60, 0.2)),
-          isHostile: false
-        },
-        { 
-          name: 'WIFI', 
-          position: 0.6, 
-          strength: addVariance(0.7), 
-          width: 0.12, 
-          dbm: '-' + Math.floor(addVariance(45, 0.2)),
-          isHostile: false
-        }
-      ];
-      
-      // Add drone signals based on mission phase
-      if (hostilePresence > 0.2 && Math.random() < hostilePresence) {
-        const droneCount = Math.floor(Math.random() * 3) + 1;
-        
-        for (let i = 0; i < droneCount; i++) {
-          signals2400.push({
-            name: 'DRONE', 
-            position: addVariance(0.8, 0.3), 
-            strength: addVariance(0.6 * hostilePresence), 
-            width: 0.05, 
-            dbm: '-' + Math.floor(addVariance(50, 0.3)),
-            isHostile: true
-          });
-        }
-      }
-      
-      return signals2400;
-      
-    case '5800':
-      // 5.8 GHz: WiFi, modern consumer drones, 5G
-      const signals5800 = [
-        { 
-          name: 'WIFI', 
-          position: 0.5, 
-          strength: addVariance(0.65), 
-          width: 0.15, 
-          dbm: '-' + Math.floor(addVariance(45, 0.2)),
-          isHostile: false
-        },
-        { 
-          name: '5G', 
-          position: 0.2, 
-          strength: addVariance(0.45), 
-          width: 0.07, 
-          dbm: '-' + Math.floor(addVariance(55, 0.2)),
-          isHostile: false
-        }
-      ];
-      
-      // Add mission-specific signals
-      if (missionActive && hostilePresence > 0.4) {
-        signals5800.push({
-          name: 'DRONE', 
-          position: addVariance(0.75, 0.2),
-          strength: addVariance(0.7 * hostilePresence), 
-          width: 0.04, 
-          dbm: '-' + Math.floor(addVariance(40, 0.3)),
-          isHostile: true
-        });
-        
-        if (jammingPresence > 0.5 && Math.random() < jammingPresence) {
-          signals5800.push({
-            name: 'JAM', 
-            position: addVariance(0.73, 0.1), 
-            strength: addVariance(0.8 * jammingPresence), 
-            width: 0.1, 
-            dbm: '-' + Math.floor(addVariance(35, 0.2)),
-            isHostile: true
-          });
-        }
-      }
-      
-      return signals5800;
-      
-    default:
-      return [
-        { 
-          name: 'Signal', 
-          position: 0.5, 
-          strength: 0.7, 
-          width: 0.05, 
-          dbm: '-45',
-          isHostile: false
-        }
-      ];
-  }
-}
-
 // Initialize frequency band selectors
 function initFrequencyBandSelectors() {
   const bands = document.querySelectorAll('.band');
   
   // If no active band, set the first one active
-  if (!document.querySelector('.band.active')) {
+  if (bands.length > 0 && !document.querySelector('.band.active')) {
     bands[0].classList.add('active');
   }
   
@@ -2189,6 +2504,9 @@ function initFrequencyBandSelectors() {
       // Add active class to clicked band
       band.classList.add('active');
       
+      // Tune to the band's preset range
+      setSpectrumRange(getFrequencyRange(band.dataset.freq));
+      
       // Update spectrum display
       updateSpectrumAnalyzer();
     });
@@ -2197,15 +2515,9 @@ function initFrequencyBandSelectors() {
 
 // Animate spectrum to show dynamic signal changes
 function animateSpectrum() {
-  // Track active band to detect changes
+  // Band the tactical alerts refer to
   let activeBand = document.querySelector('.band.active')?.dataset.freq || '433';
   
-  // Store current signals
-  let currentSignals = createDemoSignals();
-  
-  // Keep track of animation time
-  let startTime = Date.now();
-  
   // Tactical events history
   let eventLog = [];
   let lastEventTime = 0;
@@ -2234,110 +2546,31 @@ function animateSpectrum() {
     const isVisible = spectrumPanel && !spectrumPanel.classList.contains('minimized');
     frameCount++;
     
-    // Calculate elapsed time
     const now = Date.now();
-    const elapsedTime = (now - startTime) / 1000;
     
     // Skip processing entirely if panel is not visible
     if (isVisible) {
-      // Check if band has changed - only do this check when visible
-      const currentBand = document.querySelector('.band.active')?.dataset.freq || '433';
-      if (currentBand !== activeBand) {
-        activeBand = currentBand;
-        currentSignals = createDemoSignals(); // Regenerate signals for new band
-      }
+      // Track the selected band for alerts
+      activeBand = document.querySelector('.band.active')?.dataset.freq || '433';
       
-      // Reduce regeneration frequency for better performance
-      // Now only regenerate every 30 frames (3 seconds) when mission is active
-      if (frameCount % 30 === 0 && window.gameState && window.gameState.missionActive) {
-        currentSignals = createDemoSignals();
+      // Refresh the receivers to listen from once a second
+      if (frameCount % 10 === 0) {
+        updateSpectrumReceiverOptions();
       }
       
-      // Create modified signals based on original ones with minimal copies
-      const animatedSignals = currentSignals.map(signal => {
-        // Create shallow copy only with the properties we'll modify
-        const modifiedSignal = { 
-          name: signal.name,
-          position: signal.position,
-          strength: signal.strength,
-          width: signal.width,
-          dbm: signal.dbm,
-          isHostile: signal.isHostile
-        };
-        
-        // Use simplified math operations
-        const randomSeed = signal.position * 100;
-        
-        // Different animation patterns based on signal type (simplified math)
-        if (signal.name === 'NOISE') {
-          // Noise is very random but less calculation intensive
-          modifiedSignal.strength = signal.strength * (0.7 + 0.3 * Math.random());
-          modifiedSignal.position = signal.position + 0.02 * (Math.random() - 0.5);
-          modifiedSignal.width = signal.width * (0.9 + 0.2 * Math.random());
-        } else if (signal.name === 'JAM') {
-          // Jamming signals - smoother pulsing
-          // Precalculated sine values for common phases to reduce math operations
-          const phase = (elapsedTime * 1.5) % 6.28;
-          // Use a smoother pulse calculation
-          let pulseFactor;
-          if (phase < 1.57) { // 0 to π/2
-            pulseFactor = 0.8 + 0.2 * (phase / 1.57);
-          } else if (phase < 4.71) { // π/2 to 3π/2
-            pulseFactor = 1.0 - 0.2 * ((phase - 1.57) / 3.14);
-          } else { // 3π/2 to 2π
-            pulseFactor = 0.8 + 0.2 * ((phase - 4.71) / 1.57);
-          }
-          
-          modifiedSignal.strength = signal.strength * pulseFactor;
-          // Smoother position drift
-          modifiedSignal.position = signal.position + 0.008 * Math.sin(elapsedTime * 0.4 + randomSeed);
-          modifiedSignal.width = signal.width;
-        } else if (signal.isHostile) {
-          // Hostile signals - smoother transitions
-          // Use a smoother strength oscillation
-          const oscillation = 0.1 * Math.sin(elapsedTime * 0.8 + randomSeed);
-          modifiedSignal.strength = signal.strength * (0.95 + oscillation);
-          
-          // Position drift with smoothing
-          const drift = 0.005 * Math.sin(elapsedTime * 0.3 + randomSeed);
-          modifiedSignal.position = signal.position + drift;
-          
-          // Very subtle width changes
-          modifiedSignal.width = signal.width * (0.98 + 0.02 * Math.sin(elapsedTime * 0.2));
-        } else {
-          // Civilian signals - very stable with subtle, smooth variations
-          // Use lookup table approach for smoother sine approximation
-          const cyclePos = (elapsedTime * 0.2 + randomSeed) % 1.0;
-          const smoothFactor = 0.02 * (0.5 - 0.5 * Math.cos(cyclePos * Math.PI * 2));
-          
-          modifiedSignal.strength = signal.strength * (0.98 + smoothFactor);
-          modifiedSignal.position = signal.position;
-          modifiedSignal.width = signal.width;
-        }
-        
-        return modifiedSignal;
-      });
-      
-      // Reduce noise spike frequency
-      if (Math.random() < 0.01) {
-        animatedSignals.push({
-          name: 'NOISE',
-          position: Math.random(),
-          strength: 0.1 + Math.random() * 0.2,
-          width: 0.01 + Math.random() * 0.02,
-          dbm: '-' + Math.floor(70 + Math.random() * 20),
-          isHostile: false
-        });
+      // Sweep the live spectrum every frame so pulsed emitters show their on/off cycle
+      const spectrum = getLiveSpectrum();
+      if (spectrum) {
+        addSpectrumSweep(spectrum);
       }
       
-      // Analyze signals for tactical alerts only once per 2 seconds
-      if (now - signalTracker.lastUpdate > 2000) {
-        analyzeTacticalSignals(animatedSignals);
+      // Analyze the spectrum for tactical alerts only once per 2 seconds
+      if (spectrum && now - signalTracker.lastUpdate > 2000) {
+        analyzeTacticalSignals(spectrum);
         signalTracker.lastUpdate = now;
       }
       
-      // Update the spectrum display with animated signals
-      updateSpectrumAnalyzer(animatedSignals);
+      updateSpectrumAnalyzer(spectrum);
     }
     
     // Track frame performance
@@ -2372,31 +2605,23 @@ function animateSpectrum() {
     }, refreshDelay);
   }
   
-  // Analyze signals for tactical information
-  function analyzeTacticalSignals(signals) {
+  // Analyze a spectrum for tactical information
+  function analyzeTacticalSignals(spectrum) {
     if (!window.gameState || !window.gameState.missionActive) return;
     
-    // Count hostile signals and check for jammers
-    let hostileCount = 0;
-    let jamming = false;
-    let gpsSignal = 'normal';
+    // Count hostile emitters and check for jamming above the noise floor
+    const hostileCount = spectrum.emissions.filter(emission => emission.team === 'ENEMY').length;
+    const jamming = spectrum.jammerPower !== null && spectrum.jammerPower > spectrum.noiseFloor;
     
-    signals.forEach(signal => {
-      if (signal.isHostile) hostileCount++;
-      if (signal.name === 'JAM') jamming = true;
-      
-      // Check GPS status specifically on the GPS band
-      if (activeBand === '1575') {
-        if (signal.name === 'GPS L1') {
-          if (signal.strength < 0.4) {
-            gpsSignal = 'degraded';
-          }
-        }
-        if (signal.name === 'JAM' && signal.strength > 0.6) {
-          gpsSignal = 'jammed';
-        }
+    // Check GPS status specifically on the GPS band
+    let gpsSignal = 'normal';
+    if (activeBand === '1575' && spectrum.degradation !== null) {
+      if (spectrum.degradation >= 1) {
+        gpsSignal = 'jammed';
+      } else if (spectrum.degradation > 0) {
+        gpsSignal = 'degraded';
       }
-    });
+    }
     
     // Generate alerts for important changes
     if (hostileCount > signalTracker.hostileSignalsCount) {
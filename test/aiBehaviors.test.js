@@ -0,0 +1,128 @@
+/**
+ * SIGNAL WARFARE - AI Behavior Tests
+ *
+ * Runs the patrol, defend and attack behaviors through whole headless
+ * missions (js/core/simulation.js) and checks what the drones do:
+ *
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation, ComponentTypes } = require('../js/core/simulation');
+
+// Ground distance between an entity and a point
+function distanceTo(ecs, entityId, point) {
+  const transform = ecs.getComponent(entityId, ComponentTypes.TRANSFORM);
+  
+  return Math.hypot(transform.position.x - point.x, transform.position.y - point.y);
+}
+
+// Step the simulation until condition holds, returns whether it did in time
+function runUntil(simulation, condition, timeout) {
+  const end = simulation.time + timeout;
+  
+  while (simulation.time < end) {
+    simulation.step();
+    
+    if (condition()) {
+      return true;
+    }
+  }
+  
+  return false;
+}
+
+test('patrol flies its route in order and loops it', () => {
+  const simulation = createSimulation({ seed: 1 });
+  const { ecs, gameState } = simulation;
+  const route = [{ x: 300, y: 0 }, { x: 300, y: 300 }, { x: -300, y: 300 }];
+  const droneId = gameState.createEnemyDrone('SURVEILLANCE', { x: 0, y: 0, z: 300 });
+  gameState.setDroneRoute(droneId, route, true);
+  
+  // Two laps: every waypoint is reached in turn, then the first one again
+  for (let lap = 0; lap < 2; lap++) {
+    for (const waypoint of route) {
+      assert.ok(
+        runUntil(simulation, () => distanceTo(ecs, droneId, waypoint) < 20, 300),
+        `drone reaches (${waypoint.x}, ${waypoint.y}) on lap ${lap + 1}`
+      );
+    }
+  }
+  
+  assert.strictEqual(ecs.getComponent(droneId, ComponentTypes.AI).state, 'patrol');
+});
+
+test('defend orbits its asset and intercepts intruders', () => {
+  const simulation = createSimulation({ seed: 1 });
+  const { ecs, gameState } = simulation;
+  const stationId = gameState.createGroundStation({ x: 0, y: 0 });
+  const defenderId = gameState.createDrone('SURVEILLANCE', { x: 0, y: 0, z: 300 }, { x: 0, y: 0, z: 0 }, stationId);
+  gameState.setDroneDefend(defenderId, stationId);
+  const ai = ecs.getComponent(defenderId, ComponentTypes.AI);
+  
+  // With nothing to intercept it stays near its asset
+  const station = { x: 0, y: 0 };
+  for (let i = 0; i < 6; i++) {
+    simulation.run(20);
+    assert.ok(distanceTo(ecs, defenderId, station) < 250, 'defender stays near the station');
+  }
+  assert.strictEqual(ai.targetEntity, null);
+  
+  // An intruder crossing inside awarenessRadius is intercepted
+  const intruderId = gameState.createEnemyDrone('SURVEILLANCE', { x: 700, y: 100, z: 300 });
+  gameState.setDroneWaypoints(intruderId, [{ x: -1000, y: 100 }]);
+  assert.ok(
+    runUntil(simulation, () => ai.targetEntity === intruderId, 60),
+    'defender targets the intruder'
+  );
+  assert.ok(
+    runUntil(simulation, () => {
+      const intruder = ecs.getComponent(intruderId, ComponentTypes.TRANSFORM).position;
+      return distanceTo(ecs, defenderId, intruder) < 60;
+    }, 60),
+    'defender closes on the intruder'
+  );
+});
+
+test('attack closes on a detected enemy and releases its warhead', () => {
+  const simulation = createSimulation({ seed: 1 });
+  const { ecs, gameState } = simulation;
+  const targetId = gameState.createGroundStation({ x: 400, y: 0 }, 'ENEMY');
+  const attackerId = gameState.createDrone('ATTACK', { x: 0, y: 0, z: 252 }, { x: 0, y: 0, z: 0 });
+  gameState.setDroneAttack(attackerId);
+  
+  assert.ok(
+    runUntil(simulation, () => ecs.getComponent(attackerId, ComponentTypes.AI).targetEntity === targetId, 10),
+    'attacker selects the enemy station'
+  );
+  
+  // The warhead destroys both the drone and its target
+  assert.ok(
+    runUntil(simulation, () => !ecs.getComponent(targetId, ComponentTypes.HEALTH), 60),
+    'enemy station is destroyed'
+  );
+  assert.strictEqual(ecs.getComponent(attackerId, ComponentTypes.AI), null);
+});
+
+test('a drone expended on its target does not count as a lost asset', () => {
+  const simulation = createSimulation({ seed: 1 });
+  const { ecs, gameState } = simulation;
+  gameState.startMission();
+  
+  // The only player asset, well clear of the mission's enemy drones
+  const targetId = gameState.createGroundStation({ x: 1800, y: -1500 }, 'ENEMY');
+  const attackerId = gameState.createDrone('ATTACK', { x: 1500, y: -1500, z: 600 }, { x: 1500, y: -1500, z: 0 });
+  gameState.setDroneAttack(attackerId);
+  
+  assert.ok(
+    runUntil(simulation, () => !ecs.getComponent(targetId, ComponentTypes.HEALTH), 60),
+    'enemy station is destroyed'
+  );
+  simulation.run(10);
+  
+  assert.deepStrictEqual(gameState.playerAssets.drones.deployed, []);
+  assert.deepStrictEqual(gameState.playerAssets.drones.expended, [attackerId]);
+  assert.ok(gameState.missionActive);
+  assert.ok(!gameState.missionFailed);
+});
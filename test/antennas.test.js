@@ -0,0 +1,112 @@
+/**
+ * SIGNAL WARFARE - Antenna Pattern Tests
+ *
+ * Checks pattern lookup, the MSI/Planet and NEC pattern parsers and
+ * polarization mismatch:
+ *
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { AntennaPattern, AntennaLibrary } = require('../js/rf/antennas');
+const { calculatePolarizationLoss } = require('../js/rf/propagation');
+
+// MSI file with 20 dB down to the sides and 30 dB down straight below
+const MSI_FILE = [
+  'NAME Test Panel',
+  'FREQUENCY 2400',
+  'GAIN 7.85',
+  'HORIZONTAL 360',
+  '0 0',
+  '90 20',
+  '270 20',
+  'VERTICAL 360',
+  '0 0',
+  '90 30'
+].join('\n');
+
+// NEC output table with a gain per theta, sampled either side of the zenith
+function createNecOutput(rows) {
+  return [
+    ' ***** DATA CARD NO.   1 GN   1     0     0     0   .0000E+00   .0000E+00',
+    '',
+    '                                             - - - RADIATION PATTERNS - - -',
+    '',
+    '  - - ANGLES - -           - POWER GAINS -       - - - POLARIZATION - - -',
+    '  THETA     PHI        VERT.   HOR.    TOTAL      AXIAL     TILT   SENSE',
+    ' DEGREES  DEGREES       DB      DB      DB        RATIO     DEG.',
+    ...rows.map(([theta, phi, gain]) =>
+      `  ${theta.toFixed(2)}   ${phi.toFixed(2)}     ${gain.toFixed(2)}  -999.99    ${gain.toFixed(2)}   .00000     .00   LINEAR`),
+    '',
+    ' ***** DATA CARD NO.   2 EN   0     0     0     0   .0000E+00   .0000E+00'
+  ].join('\n');
+}
+
+test('pattern lookup interpolates between table entries', () => {
+  const pattern = AntennaPattern.fromFunction((azimuth, elevation) => azimuth / 10 + elevation / 10, 10, 10);
+  
+  assert.strictEqual(pattern.getGain(20, 0), 2);
+  assert.ok(Math.abs(pattern.getGain(25, 5) - 3) < 1e-9);
+  assert.strictEqual(pattern.getGain(-340, 0), 2);
+});
+
+test('MSI files combine the horizontal and vertical cuts', () => {
+  const pattern = AntennaPattern.parseMsi(MSI_FILE);
+  
+  assert.strictEqual(pattern.name, 'Test Panel');
+  assert.ok(Math.abs(pattern.getGain(0, 0) - 10) < 1e-9, 'GAIN in dBd is read as dBi');
+  assert.ok(Math.abs(pattern.getGain(90, 0) + 10) < 1e-9, 'horizontal cut');
+  assert.ok(Math.abs(pattern.getGain(0, -90) + 20) < 1e-9, 'vertical cut');
+  assert.ok(Math.abs(pattern.getGain(90, -90) + 20) < 1e-9, 'cuts summed up to the deepest null');
+  assert.ok(Math.abs(AntennaPattern.parseMsi(MSI_FILE.replace('GAIN 7.85', 'GAIN 10 dBi')).getGain(0, 0) - 10) < 1e-9);
+});
+
+test('NEC output is read from the radiation pattern table', () => {
+  const rows = [];
+  for (let theta = 0; theta <= 180; theta += 30) {
+    for (const phi of [0, 90, 180, 270]) {
+      rows.push([theta, phi, 5 - theta / 10 + phi / 100]);
+    }
+  }
+  const pattern = AntennaPattern.parseNec(createNecOutput(rows), 'DIPOLE');
+  
+  assert.strictEqual(pattern.name, 'DIPOLE');
+  assert.strictEqual(pattern.azimuthStep, 90);
+  assert.strictEqual(pattern.elevationStep, 30);
+  assert.strictEqual(pattern.getGain(0, 90), 5);
+  assert.strictEqual(pattern.getGain(90, 0), 5 - 9 + 0.9);
+  assert.strictEqual(pattern.getGain(180, -60), 5 - 15 + 1.8);
+  assert.throws(() => AntennaPattern.parseNec('no pattern here'), /No radiation pattern/);
+});
+
+test('NEC tables with negative theta read them through the zenith', () => {
+  const rows = [];
+  for (let theta = -90; theta <= 90; theta += 30) {
+    rows.push([theta, 0, 5 - Math.abs(theta) / 10 + (theta < 0 ? 1 : 0)]);
+  }
+  const pattern = AntennaPattern.parseNec(createNecOutput(rows));
+  
+  assert.strictEqual(pattern.getGain(0, 30), 5 - 6);
+  assert.strictEqual(pattern.getGain(180, 30), 5 - 6 + 1);
+  assert.strictEqual(pattern.getGain(180, 0), 5 - 9 + 1);
+});
+
+test('the library imports patterns and synthesizes configured antennas', () => {
+  const library = new AntennaLibrary();
+  
+  library.importPattern('PANEL', MSI_FILE, 'MSI');
+  assert.ok(Math.abs(library.getPattern('PANEL').peakGain - 10) < 1e-9);
+  assert.ok(library.getPattern('OMNI'));
+  assert.strictEqual(library.getPattern('NO_SUCH_ANTENNA'), null);
+});
+
+test('polarization mismatch loss', () => {
+  assert.ok(Math.abs(calculatePolarizationLoss('LINEAR', 'LINEAR', 0, 0)) < 1e-9);
+  assert.ok(Math.abs(calculatePolarizationLoss('LINEAR', 'LINEAR', 0, 45) - 3.01) < 0.01);
+  assert.strictEqual(calculatePolarizationLoss('LINEAR', 'LINEAR', 0, 90, 25), 25);
+  assert.ok(Math.abs(calculatePolarizationLoss('LINEAR', 'RHCP') - 3.01) < 0.01);
+  assert.strictEqual(calculatePolarizationLoss('RHCP', 'RHCP'), 0);
+  assert.strictEqual(calculatePolarizationLoss('RHCP', 'LHCP', 0, 0, 25), 25);
+  assert.strictEqual(calculatePolarizationLoss(null, 'RHCP'), 0);
+});
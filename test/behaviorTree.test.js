@@ -0,0 +1,173 @@
+/**
+ * SIGNAL WARFARE - Behavior Tree Tests
+ *
+ * Checks the composites, decorators and blackboard references of the
+ * behavior tree runtime (js/ai/behaviorTree.js) on scripted leaves, and how
+ * drones are handed trees that cannot be built:
+ *
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation, ComponentTypes } = require('../js/core/simulation');
+const { BehaviorStatus, Blackboard, registerBehaviorLeaf, parseBehaviorTree } = require('../js/ai/behaviorTree');
+
+const { SUCCESS, FAILURE, RUNNING } = BehaviorStatus;
+
+// Scripted { name }: returns the statuses scripted for its name in turn,
+// holding the last, and logs its name with how often it ticked since a reset
+registerBehaviorLeaf('Scripted', (context, params, memory) => {
+  const statuses = context.scripts[params.name];
+  memory.ticks = (memory.ticks || 0) + 1;
+  context.log.push(`${params.name}${memory.ticks}`);
+  
+  return statuses.length > 1 ? statuses.shift() : statuses[0];
+});
+
+// Remember { key, value }: writes the value to the blackboard
+registerBehaviorLeaf('Remember', (context, params) => {
+  context.blackboard.set(params.key, params.value);
+  
+  return SUCCESS;
+});
+
+function leaf(name) {
+  return { type: 'Scripted', name };
+}
+
+// Runner ticking a tree at the given times, returning the status and the
+// leaves ticked
+function createRunner(definition, scripts, values = {}) {
+  const tree = parseBehaviorTree(definition, values);
+  const context = { scripts, log: [], time: 0 };
+  
+  return (time = context.time) => {
+    context.time = time;
+    context.log = [];
+    const status = tree.tick(context);
+    
+    return [status, context.log];
+  };
+}
+
+test('a sequence resumes at its running child and starts over when done', () => {
+  const tick = createRunner({ type: 'Sequence', children: [leaf('a'), leaf('b'), leaf('c')] }, {
+    a: [SUCCESS],
+    b: [RUNNING, SUCCESS, FAILURE],
+    c: [SUCCESS]
+  });
+  
+  assert.deepStrictEqual(tick(), [RUNNING, ['a1', 'b1']]);
+  assert.deepStrictEqual(tick(), [SUCCESS, ['b2', 'c1']]);
+  
+  // The finished tree was reset, so its leaves start over too
+  assert.deepStrictEqual(tick(), [FAILURE, ['a1', 'b1']]);
+});
+
+test('a selector hands over to a higher priority child that becomes possible', () => {
+  const tick = createRunner({ type: 'Selector', children: [leaf('high'), leaf('low')] }, {
+    high: [FAILURE, FAILURE, RUNNING, FAILURE],
+    low: [RUNNING]
+  });
+  
+  assert.deepStrictEqual(tick(), [RUNNING, ['high1', 'low1']]);
+  assert.deepStrictEqual(tick(), [RUNNING, ['high2', 'low2']]);
+  
+  // The preempted child is reset, and starts afresh when it runs again
+  assert.deepStrictEqual(tick(), [RUNNING, ['high3']]);
+  assert.deepStrictEqual(tick(), [RUNNING, ['high4', 'low1']]);
+});
+
+test('a parallel ends on its success or failure threshold', () => {
+  // Two of three successes are enough, and finished children are not ticked again
+  const tick = createRunner({ type: 'Parallel', successThreshold: 2, failureThreshold: 2, children: [leaf('a'), leaf('b'), leaf('c')] }, {
+    a: [SUCCESS],
+    b: [RUNNING, SUCCESS],
+    c: [RUNNING]
+  });
+  assert.deepStrictEqual(tick(), [RUNNING, ['a1', 'b1', 'c1']]);
+  assert.deepStrictEqual(tick(), [SUCCESS, ['b2', 'c2']]);
+  
+  // By default one failure fails it, whatever else is running
+  const failFast = createRunner({ type: 'Parallel', children: [leaf('a'), leaf('b')] }, { a: [RUNNING], b: [FAILURE] });
+  assert.deepStrictEqual(failFast(), [FAILURE, ['a1', 'b1']]);
+  
+  // It fails once every child has finished short of the success threshold
+  const short = createRunner({ type: 'Parallel', successThreshold: 2, failureThreshold: 2, children: [leaf('a'), leaf('b')] }, {
+    a: [SUCCESS],
+    b: [RUNNING, FAILURE]
+  });
+  assert.deepStrictEqual(short(), [RUNNING, ['a1', 'b1']]);
+  assert.deepStrictEqual(short(), [FAILURE, ['b2']]);
+});
+
+test('repeat and retry run their child again until it is done', () => {
+  const repeat = createRunner({ type: 'Repeat', count: 3, child: leaf('a') }, { a: [SUCCESS, SUCCESS, SUCCESS, FAILURE] });
+  assert.deepStrictEqual(repeat(), [RUNNING, ['a1']]);
+  assert.deepStrictEqual(repeat(), [RUNNING, ['a1']]);
+  assert.deepStrictEqual(repeat(), [SUCCESS, ['a1']]);
+  assert.deepStrictEqual(repeat(), [FAILURE, ['a1']]);
+  
+  const retry = createRunner({ type: 'Retry', attempts: 3, child: leaf('a') }, { a: [FAILURE, FAILURE, SUCCESS, FAILURE] });
+  assert.deepStrictEqual(retry(), [RUNNING, ['a1']]);
+  assert.deepStrictEqual(retry(), [RUNNING, ['a1']]);
+  assert.deepStrictEqual(retry(), [SUCCESS, ['a1']]);
+  assert.deepStrictEqual(retry(), [RUNNING, ['a1']]);
+  assert.deepStrictEqual(retry(), [RUNNING, ['a1']]);
+  assert.deepStrictEqual(retry(), [FAILURE, ['a1']]);
+});
+
+test('cooldown skips its child after it ends, timeout fails it when it runs long', () => {
+  // The tree resets after every finished tick, and the cooldown outlasts it
+  const cooldown = createRunner({ type: 'Cooldown', seconds: 10, child: leaf('a') }, { a: [SUCCESS] });
+  assert.deepStrictEqual(cooldown(0), [SUCCESS, ['a1']]);
+  assert.deepStrictEqual(cooldown(5), [FAILURE, []]);
+  assert.deepStrictEqual(cooldown(10), [SUCCESS, ['a1']]);
+  
+  const timeout = createRunner({ type: 'Timeout', seconds: 5, child: leaf('a') }, { a: [RUNNING] });
+  assert.deepStrictEqual(timeout(0), [RUNNING, ['a1']]);
+  assert.deepStrictEqual(timeout(4), [RUNNING, ['a2']]);
+  assert.deepStrictEqual(timeout(5), [FAILURE, []]);
+  assert.deepStrictEqual(timeout(6), [RUNNING, ['a1']]);
+});
+
+test('$ parameters read the blackboard when the node ticks', () => {
+  const definition = JSON.stringify({ type: 'Sequence', children: [
+    { type: 'Remember', key: 'next', value: '$first' },
+    { type: 'Scripted', name: '$next' },
+    { type: 'Remember', key: 'next', value: 'second' },
+    { type: 'Scripted', name: '$next' }
+  ] });
+  const tree = parseBehaviorTree(definition, { first: 'alpha' });
+  const context = { scripts: { alpha: [SUCCESS], second: [SUCCESS] }, log: [], time: 0 };
+  
+  assert.ok(tree.blackboard instanceof Blackboard);
+  assert.strictEqual(tree.tick(context), SUCCESS);
+  assert.deepStrictEqual(context.log, ['alpha1', 'second1']);
+  assert.strictEqual(tree.blackboard.get('next'), 'second');
+  assert.strictEqual(tree.blackboard.get('missing', 'fallback'), 'fallback');
+});
+
+test('definitions that cannot be built are rejected', () => {
+  assert.throws(() => parseBehaviorTree({ type: 'Sequence', children: [] }), /needs children/);
+  assert.throws(() => parseBehaviorTree({ type: 'Inverter' }), /needs a child/);
+  assert.throws(() => parseBehaviorTree({ type: 'Selector', children: [{ type: 'Teleport' }] }), /Unknown behavior tree node: Teleport/);
+  assert.throws(() => parseBehaviorTree('{ "type": '), SyntaxError);
+});
+
+test('a drone handed a broken tree keeps the one it flies', (t) => {
+  const { ecs, gameState } = createSimulation({ seed: 1 });
+  const droneId = gameState.createDrone('SURVEILLANCE', { x: 0, y: 0, z: 300 }, { x: 0, y: 0, z: 0 });
+  const ai = ecs.getComponent(droneId, ComponentTypes.AI);
+  const error = t.mock.method(console, 'error', () => {});
+  
+  assert.ok(gameState.setDroneBehaviorTree(droneId, { type: 'Hover' }));
+  const tree = ai.behaviorTree;
+  
+  assert.strictEqual(gameState.setDroneBehaviorTree(droneId, { type: 'Teleport' }), false);
+  assert.strictEqual(gameState.setDroneBehaviorTree(droneId, '{ "type": '), false);
+  assert.strictEqual(error.mock.callCount(), 2);
+  assert.strictEqual(ai.behavior, 'tree');
+  assert.strictEqual(ai.behaviorTree, tree);
+});
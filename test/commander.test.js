@@ -0,0 +1,134 @@
+/**
+ * SIGNAL WARFARE - Enemy Commander Tests
+ *
+ * Runs headless missions against the enemy commander (js/ai/commander.js) and
+ * checks how it reacts to the player's jamming and launches its attacks:
+ *
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation, ComponentTypes, CONFIG } = require('../js/core/simulation');
+
+// Mission against the commander, with a player drone over its ground control
+// station in the south-west, recording the commander's actions
+function createMission(difficulty = 'HARD') {
+  const simulation = createSimulation({ seed: 1 });
+  const { ecs, gameState } = simulation;
+  gameState.startMission({ difficulty });
+  const stationId = gameState.createGroundStation({ x: -1500, y: -1500 });
+  const droneId = gameState.createDrone('SURVEILLANCE', { x: -1500, y: -1500, z: 300 }, { x: 0, y: 0, z: 0 }, stationId);
+  
+  const actions = [];
+  gameState.addEventListener('enemyCommanderAction', (type, data) => actions.push({ time: simulation.time, type, data }));
+  
+  return { simulation, ecs, gameState, droneId, actions };
+}
+
+// Active player jammer on a band
+function createPlayerJammer(gameState, position, frequency) {
+  const jammerId = gameState.createJammer('STANDARD', { ...position, z: 0 });
+  gameState.setJammerFrequency(jammerId, frequency);
+  gameState.activateJammer(jammerId);
+  
+  return jammerId;
+}
+
+function getActions(actions, type) {
+  return actions.filter(action => action.type === type).map(action => action.data);
+}
+
+function getControlFrequency(ecs, droneId) {
+  return ecs.getComponent(droneId, ComponentTypes.RF_TRANSMITTER).frequency;
+}
+
+test('the commander moves its control links off a band the player jams', () => {
+  const { simulation, ecs, gameState, actions } = createMission();
+  const drones = [...gameState.enemyAssets.drones];
+  createPlayerJammer(gameState, { x: 600, y: 600 }, 'ISM2400');
+  
+  simulation.run(CONFIG.mission.commander.difficulties.HARD.reactionTime + 15);
+  assert.deepStrictEqual(getActions(actions, 'CONTROL_FREQUENCY'), [{ drones, frequency: 'ISM915' }]);
+  assert.ok(drones.every(droneId => getControlFrequency(ecs, droneId) === 'ISM915'));
+  
+  // The new band is clear, so the links stay on it
+  simulation.run(60);
+  assert.strictEqual(getActions(actions, 'CONTROL_FREQUENCY').length, 1);
+  assert.ok(drones.every(droneId => getControlFrequency(ecs, droneId) === 'ISM915'));
+});
+
+test('counter-jammers go up against player control links and deny their own side nothing', () => {
+  const { simulation, ecs, gameState, droneId, actions } = createMission();
+  const drones = [...gameState.enemyAssets.drones];
+  
+  simulation.run(60);
+  
+  // One jammer on the player drone's band, at the enemy station nearest it
+  const [counterJammer] = getActions(actions, 'COUNTER_JAMMER');
+  assert.strictEqual(getActions(actions, 'COUNTER_JAMMER').length, 1);
+  assert.strictEqual(counterJammer.frequency, getControlFrequency(ecs, droneId));
+  assert.ok(gameState.enemyAssets.jammers.includes(counterJammer.jammerId));
+  const { position } = ecs.getComponent(counterJammer.jammerId, ComponentTypes.TRANSFORM);
+  assert.deepStrictEqual([position.x, position.y], [-500, -500]);
+  
+  // The enemy's own control links share the band, and are not moved off it
+  assert.deepStrictEqual(getActions(actions, 'CONTROL_FREQUENCY'), []);
+  assert.deepStrictEqual(getActions(actions, 'REALLOCATE'), []);
+  assert.ok(drones.every(enemyId => getControlFrequency(ecs, enemyId) === 'ISM2400'));
+});
+
+test('jammed patrols are moved clear of the jammer once', () => {
+  const { simulation, gameState, actions } = createMission();
+  const { patrolSize } = CONFIG.mission.commander;
+  const { range } = CONFIG.jammers.types.STANDARD;
+  const jammer = { x: 600, y: 600 };
+  createPlayerJammer(gameState, jammer, 'GPS');
+  
+  // Jamming reaches past the jammer's range, and the drones are not sent back
+  // toward it while they still hear it
+  simulation.run(240);
+  const reallocations = getActions(actions, 'REALLOCATE');
+  assert.deepStrictEqual(reallocations.map(action => action.droneId).sort(), [...gameState.enemyAssets.drones].sort());
+  for (const { center } of reallocations) {
+    const distance = Math.hypot(center.x - jammer.x, center.y - jammer.y);
+    assert.ok(distance >= range + patrolSize / 2 - 1e-6, `patrol ${distance} m from the jammer`);
+  }
+});
+
+test('reallocated patrols are kept on the map', () => {
+  const { simulation, gameState, actions } = createMission();
+  const droneId = gameState.createEnemyDrone('SURVEILLANCE', { x: 2200, y: 0, z: 300 });
+  gameState.enemyAssets.drones.push(droneId);
+  createPlayerJammer(gameState, { x: 1800, y: 0 }, 'GPS');
+  
+  simulation.run(10);
+  const { center } = getActions(actions, 'REALLOCATE').find(action => action.droneId === droneId);
+  assert.strictEqual(center.x, CONFIG.terrain.width / 2 - CONFIG.mission.commander.patrolSize / 2);
+});
+
+test('attack waves fly the STRIKE doctrine, spread over the DEFEND phase', () => {
+  const { simulation, ecs, gameState, actions } = createMission('NORMAL');
+  const { attackWaves, waveSize } = CONFIG.mission.commander.difficulties.NORMAL;
+  const doctrines = new Map();
+  gameState.addEventListener('droneBehaviorTreeSet', (droneId, doctrine) => doctrines.set(droneId, doctrine));
+  
+  while (gameState.missionPhase !== 'DEFEND') {
+    gameState.advanceMissionPhase();
+  }
+  const start = simulation.time;
+  simulation.run(CONFIG.mission.phases.DEFEND.duration / attackWaves + 15);
+  
+  const waves = actions.filter(action => action.type === 'ATTACK_WAVE');
+  assert.deepStrictEqual(waves.map(action => action.data.wave), [1, 2]);
+  assert.ok(waves[0].time - start <= CONFIG.mission.commander.difficulties.NORMAL.decisionInterval + 1e-6);
+  assert.ok(waves[1].time - start >= CONFIG.mission.phases.DEFEND.duration / attackWaves - 1e-6);
+  for (const { data } of waves) {
+    assert.strictEqual(data.drones.length, waveSize);
+    for (const droneId of data.drones) {
+      assert.strictEqual(ecs.getComponent(droneId, ComponentTypes.DRONE).type, 'ATTACK');
+      assert.strictEqual(doctrines.get(droneId), 'STRIKE');
+      assert.ok(gameState.enemyAssets.drones.includes(droneId));
+    }
+  }
+});
@@ -0,0 +1,74 @@
+/**
+ * SIGNAL WARFARE - Control Link Tests
+ *
+ * Checks the two-way command and control links between drones and their
+ * ground control station, and the lost-link procedures:
+ *
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation, ComponentTypes, CONFIG } = require('../js/core/simulation');
+const { createJammer } = require('../js/entities/jammer');
+
+// Two surveillance drones either side of their station at the origin, the
+// first flying on east, and an enemy jammer on their control band by the station
+function createStationJamming() {
+  const simulation = createSimulation({ seed: 1 });
+  const { ecs, gameState } = simulation;
+  const stationId = gameState.createGroundStation({ x: 0, y: 0 });
+  const droneId = gameState.createDrone('SURVEILLANCE', { x: 800, y: 0, z: 300 }, { x: 0, y: 0, z: 0 }, stationId);
+  const otherId = gameState.createDrone('SURVEILLANCE', { x: -800, y: 0, z: 300 }, { x: 0, y: 0, z: 0 }, stationId);
+  gameState.setDroneWaypoints(droneId, [{ x: 1500, y: 0 }]);
+  
+  const jammerId = createJammer(ecs, 'STANDARD', { x: 50, y: 0, z: 0 }, 'ENEMY');
+  gameState.setJammerFrequency(jammerId, 'ISM2400');
+  
+  return { simulation, ecs, gameState, droneId, otherId, jammerId };
+}
+
+test('a jammer by the station cuts the downlink of all its drones', () => {
+  const { simulation, ecs, gameState, droneId, otherId, jammerId } = createStationJamming();
+  const controlLink = ecs.getComponent(droneId, ComponentTypes.CONTROL_LINK);
+  
+  simulation.run(1);
+  assert.ok(controlLink.degradation < 0.5);
+  assert.ok(!controlLink.jammedState);
+  
+  // The station's uplink still reaches the drones, their telemetry is drowned at the station
+  gameState.activateJammer(jammerId);
+  simulation.run(2);
+  assert.ok(controlLink.uplink.degradation < 0.5);
+  assert.strictEqual(controlLink.downlink.degradation, 1);
+  assert.strictEqual(controlLink.degradation, 1);
+  assert.ok(controlLink.jammedState);
+  assert.ok(ecs.getComponent(otherId, ComponentTypes.CONTROL_LINK).jammedState);
+});
+
+test('a drone that loses its link returns home, then resumes', () => {
+  const { simulation, ecs, gameState, droneId, jammerId } = createStationJamming();
+  const ai = ecs.getComponent(droneId, ComponentTypes.AI);
+  const position = ecs.getComponent(droneId, ComponentTypes.TRANSFORM).position;
+  const { timeout } = CONFIG.drones.types.SURVEILLANCE.lostLink;
+  
+  simulation.run(1);
+  gameState.activateJammer(jammerId);
+  
+  // Flies on until the link has been lost for the timeout
+  simulation.run(timeout - 1);
+  assert.strictEqual(ai.state, 'patrol');
+  assert.strictEqual(ai.lostLinkBehavior, null);
+  
+  simulation.run(2);
+  assert.strictEqual(ai.state, CONFIG.drones.ai.states.LOST_LINK);
+  assert.strictEqual(ai.lostLinkBehavior, 'RETURN_HOME');
+  
+  simulation.run(90);
+  assert.ok(Math.hypot(position.x, position.y) < 30, `drone at (${position.x}, ${position.y})`);
+  
+  gameState.deactivateJammer(jammerId);
+  simulation.run(3);
+  assert.strictEqual(ai.state, 'patrol');
+  assert.strictEqual(ai.lostLinkBehavior, null);
+});
@@ -0,0 +1,76 @@
+/**
+ * SIGNAL WARFARE - RF Coverage Tests
+ *
+ * Checks the coverage rasters CoverageEngine computes on the calling thread
+ * (js/rf/coverage.js):
+ *
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation, ComponentTypes, CONFIG, CoverageEngine } = require('../js/core/simulation');
+
+// Simulation with a GNSS jammer at the origin, and a coverage engine over its terrain
+function createJammedCoverage() {
+  const simulation = createSimulation({ seed: 1 });
+  const { ecs, gameState } = simulation;
+  const jammerId = gameState.createJammer('STANDARD', { x: 0, y: 0, z: 0 });
+  gameState.setJammerFrequency(jammerId, 'GPS');
+  gameState.activateJammer(jammerId);
+  simulation.step();
+  
+  const engine = new CoverageEngine(ecs, { resolution: 9, receiverHeight: 100 });
+  engine.setTerrain(ecs.getSystem('rfPropagation').terrain);
+  
+  return { simulation, ecs, jammerId, engine };
+}
+
+test('coverage rasters use the same link budget as the ECS', () => {
+  const { ecs, jammerId, engine } = createJammedCoverage();
+  const rfPropagation = ecs.getSystem('rfPropagation');
+  
+  assert.ok(engine.update(true));
+  const coverage = engine.getCoverage();
+  assert.deepStrictEqual(coverage.emitters.map(emitter => emitter.id), [jammerId]);
+  
+  // A receiver at raster node (5, 4) hears the jammer as the raster says
+  const x = (5 / 8 - 0.5) * coverage.width;
+  const y = (4 / 8 - 0.5) * coverage.height;
+  const probeId = ecs.createEntity();
+  ecs.addComponent(probeId, ComponentTypes.TRANSFORM, x, y, rfPropagation.terrain.getElevation(x, y) + 100);
+  const probeRF = ecs.addComponent(probeId, ComponentTypes.RF_RECEIVER);
+  probeRF.frequency = 'GPS';
+  probeRF.wantedTransmitterId = jammerId;
+  
+  const expected = rfPropagation.calculateSignalStrength(jammerId, probeId);
+  assert.ok(Math.abs(coverage.emitters[0].raster[4 * 9 + 5] - expected) < 1e-3);
+});
+
+test('composites show the jammer dominating the band around it', () => {
+  const { engine, jammerId } = createJammedCoverage();
+  engine.update(true);
+  
+  const near = engine.sampleAt(0, 0).GPS;
+  const far = engine.sampleAt(2500, 2500).GPS;
+  assert.strictEqual(near.dominantEmitter, jammerId);
+  assert.strictEqual(near.bestServer, -1);
+  assert.strictEqual(near.degradation, 1);
+  assert.ok(far.power < near.power);
+  assert.ok(far.sinr > near.sinr);
+  assert.strictEqual(engine.sampleAt(10000, 0), null);
+});
+
+test('coverage is only recomputed when the emitters change', () => {
+  const { simulation, ecs, jammerId, engine } = createJammedCoverage();
+  const versions = [];
+  engine.addUpdateListener(() => versions.push(engine.version));
+  
+  engine.update(true);
+  simulation.run(CONFIG.rf.coverage.updateInterval + 1);
+  assert.ok(!engine.update());
+  
+  ecs.getComponent(jammerId, ComponentTypes.TRANSFORM).position.x = 500;
+  assert.ok(engine.update());
+  assert.deepStrictEqual(versions, [1, 2]);
+});
@@ -0,0 +1,74 @@
+/**
+ * SIGNAL WARFARE - Drone Factory Tests
+ *
+ * Checks the per-type loadouts createDrone builds (js/entities/drone.js):
+ *
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation, ComponentTypes, CONFIG } = require('../js/core/simulation');
+const { createDrone } = require('../js/entities/drone');
+
+test('drones get their type\'s airframe, navigation and control link', () => {
+  const { ecs } = createSimulation({ seed: 1 });
+  
+  for (const [type, droneConfig] of Object.entries(CONFIG.drones.types)) {
+    const droneId = createDrone(ecs, type, { x: 0, y: 0, z: 300 }, 'ENEMY');
+    const kinematics = ecs.getComponent(droneId, ComponentTypes.KINEMATICS);
+    const radioRF = ecs.getComponent(droneId, ComponentTypes.RF_TRANSMITTER);
+    
+    assert.strictEqual(ecs.getComponent(droneId, ComponentTypes.DRONE).type, type);
+    assert.strictEqual(ecs.getComponent(droneId, ComponentTypes.TEAM).team, 'ENEMY');
+    assert.strictEqual(ecs.getComponent(droneId, ComponentTypes.HEALTH).maxHealth, droneConfig.health);
+    assert.deepStrictEqual(
+      [kinematics.maxSpeed, kinematics.acceleration, kinematics.turnRate, kinematics.climbRate],
+      [droneConfig.speed, droneConfig.acceleration, droneConfig.turnRate, droneConfig.climbRate]
+    );
+    assert.deepStrictEqual(ecs.getComponent(droneId, ComponentTypes.GNSS_RECEIVER).constellations, droneConfig.gnss);
+    assert.strictEqual(ecs.getComponent(droneId, ComponentTypes.NAVIGATION).insDrift, droneConfig.insDrift);
+    
+    // Without a ground control station the link is lost from the start
+    assert.strictEqual(ecs.getComponent(droneId, ComponentTypes.CONTROL_LINK).stationId, null);
+    assert.strictEqual(radioRF.frequency, droneConfig.controlLink.frequency);
+    assert.strictEqual(radioRF.hopParameters.hopping, droneConfig.controlLink.hopChannels > 1);
+    if (radioRF.hopParameters.hopping) {
+      assert.strictEqual(radioRF.hopParameters.hopSet.length, droneConfig.controlLink.hopChannels);
+    }
+  }
+});
+
+test('a jamming payload rides on its drone and goes down with it', () => {
+  const simulation = createSimulation({ seed: 1 });
+  const { ecs, gameState } = simulation;
+  const droneId = gameState.createDrone('EW', { x: 0, y: 0, z: 300 }, { x: 0, y: 0, z: 0 });
+  const payload = ecs.getComponent(droneId, ComponentTypes.DRONE).payload;
+  const jammer = ecs.getComponent(payload.entityId, ComponentTypes.JAMMER);
+  
+  assert.strictEqual(jammer.carrierId, droneId);
+  assert.strictEqual(jammer.targetFrequency, CONFIG.drones.types.EW.payload.frequency);
+  assert.strictEqual(ecs.getComponent(payload.entityId, ComponentTypes.TEAM).team, 'PLAYER');
+  
+  gameState.setDroneWaypoints(droneId, [{ x: 1000, y: 0 }]);
+  simulation.run(5);
+  
+  // The payload follows its drone's last position, at most one tick behind
+  const payloadPosition = ecs.getComponent(payload.entityId, ComponentTypes.TRANSFORM).position;
+  const dronePosition = ecs.getComponent(droneId, ComponentTypes.TRANSFORM).position;
+  assert.ok(dronePosition.x > 50);
+  const lag = Math.hypot(payloadPosition.x - dronePosition.x, payloadPosition.y - dronePosition.y);
+  assert.ok(lag <= CONFIG.drones.types.EW.speed * ecs.clock.fixedDeltaTime + 1e-9, `payload ${lag} m behind`);
+  
+  ecs.destroyEntity(droneId);
+  assert.strictEqual(ecs.getComponent(payload.entityId, ComponentTypes.JAMMER), null);
+});
+
+test('surveillance drones carry nothing and attack drones a warhead', () => {
+  const { ecs } = createSimulation({ seed: 1 });
+  const surveillanceId = createDrone(ecs, 'SURVEILLANCE', { x: 0, y: 0, z: 300 });
+  const attackId = createDrone(ecs, 'ATTACK', { x: 0, y: 0, z: 300 });
+  
+  assert.strictEqual(ecs.getComponent(surveillanceId, ComponentTypes.DRONE).payload, null);
+  assert.deepStrictEqual(ecs.getComponent(attackId, ComponentTypes.DRONE).payload, CONFIG.drones.types.ATTACK.payload);
+});
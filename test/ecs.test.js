@@ -0,0 +1,71 @@
+/**
+ * SIGNAL WARFARE - ECS Clock and Random Tests
+ *
+ * Checks the fixed-timestep clock, the seeded PRNG, the spatial grid and that
+ * a seed replays the same mission:
+ *
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation, ComponentTypes, SimulationClock, SeededRandom, SpatialGrid } = require('../js/core/simulation');
+
+test('the clock runs whole fixed ticks and carries the remainder', () => {
+  const clock = new SimulationClock(4);
+  
+  assert.strictEqual(clock.advance(0.625), 2);
+  assert.strictEqual(clock.alpha, 0.5);
+  assert.strictEqual(clock.advance(0.125), 1);
+  assert.strictEqual(clock.alpha, 0);
+});
+
+test('the clock drops frame time beyond maxTicksPerUpdate', () => {
+  const clock = new SimulationClock(10, 5);
+  
+  assert.strictEqual(clock.advance(3), 5);
+  assert.strictEqual(clock.advance(0), 0);
+});
+
+test('the same seed draws the same numbers', () => {
+  const first = new SeededRandom(42);
+  const second = new SeededRandom(42);
+  const other = new SeededRandom(43);
+  const draws = random => Array.from({ length: 5 }, () => random.next());
+  
+  const sequence = draws(first);
+  assert.deepStrictEqual(draws(second), sequence);
+  assert.notDeepStrictEqual(draws(other), sequence);
+  assert.ok(sequence.every(value => value >= 0 && value < 1));
+});
+
+test('the spatial grid finds entities within a radius across cells', () => {
+  const grid = new SpatialGrid(100);
+  grid.update(1, 50, 50);
+  grid.update(2, 150, 50);
+  grid.update(3, -250, -250);
+  
+  assert.deepStrictEqual(grid.queryRadius(100, 50, 60).sort(), [1, 2]);
+  assert.deepStrictEqual(grid.queryRadius(0, 0, 1000).sort(), [1, 2, 3]);
+  
+  // Moving and removing entities updates their cells
+  grid.update(2, -240, -240);
+  assert.deepStrictEqual(grid.queryRadius(100, 50, 60), [1]);
+  assert.deepStrictEqual(grid.queryRadius(-250, -250, 20).sort(), [2, 3]);
+  assert.ok(grid.remove(3));
+  assert.ok(!grid.remove(3));
+  assert.deepStrictEqual(grid.queryRadius(-250, -250, 20), [2]);
+});
+
+test('the same seed replays the same mission', () => {
+  const positions = seed => {
+    const simulation = createSimulation({ seed });
+    simulation.gameState.startMission();
+    simulation.run(60);
+    
+    return simulation.ecs.entityManager.getEntitiesWithComponents(ComponentTypes.DRONE)
+      .map(entityId => simulation.ecs.getComponent(entityId, ComponentTypes.TRANSFORM).position);
+  };
+  
+  assert.deepStrictEqual(positions(7), positions(7));
+});
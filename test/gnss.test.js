@@ -0,0 +1,172 @@
+/**
+ * SIGNAL WARFARE - GNSS Tests
+ *
+ * Checks fix geometry, the constellations drones track under jamming,
+ * spoofing and its detection (js/rf/gnss.js, GNSSSystem), and inertial drift
+ * of the navigation estimate once the fix is lost (NavigationSystem):
+ *
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation, ComponentTypes, CONFIG } = require('../js/core/simulation');
+const { createJammer } = require('../js/entities/jammer');
+const { calculateDop } = require('../js/rf/gnss');
+
+// Satellite geometry entry at an azimuth and elevation in degrees
+function satellite(azimuth, elevation, clock = 0) {
+  const a = azimuth * Math.PI / 180;
+  const e = elevation * Math.PI / 180;
+  
+  return {
+    direction: { x: Math.sin(a) * Math.cos(e), y: Math.cos(a) * Math.cos(e), z: Math.sin(e) },
+    clock
+  };
+}
+
+test('dilution of precision grows as satellites bunch together', () => {
+  const spread = calculateDop([satellite(0, 90), satellite(0, 10), satellite(120, 10), satellite(240, 10)]);
+  const bunched = calculateDop([satellite(0, 90), satellite(0, 80), satellite(120, 80), satellite(240, 80)]);
+  
+  assert.ok(spread.hdop < 1.5, `hdop ${spread.hdop}`);
+  assert.ok(bunched.hdop > 4 * spread.hdop);
+  assert.ok(Math.abs(spread.pdop - Math.hypot(spread.hdop, spread.vdop)) < 1e-9);
+  
+  // Three satellites only give a fix with the altitude held
+  const three = [satellite(0, 90), satellite(0, 10), satellite(120, 10)];
+  assert.strictEqual(calculateDop(three), null);
+  assert.strictEqual(calculateDop(three, true).vdop, 0);
+  
+  // Each constellation's clock costs a satellite
+  assert.strictEqual(calculateDop([satellite(0, 90), satellite(0, 10), satellite(120, 10, 1), satellite(240, 10, 1)]), null);
+});
+
+test('drones keep a fix on the constellations a jammer leaves', () => {
+  const simulation = createSimulation({ seed: 1 });
+  const { ecs, gameState } = simulation;
+  const gpsOnly = gameState.createDrone('SURVEILLANCE', { x: 0, y: 0, z: 300 }, { x: 0, y: 0, z: 0 });
+  const multi = gameState.createDrone('ATTACK', { x: 0, y: 0, z: 300 }, { x: 0, y: 0, z: 0 });
+  simulation.run(2);
+  
+  const gps = ecs.getComponent(gpsOnly, ComponentTypes.GNSS_RECEIVER);
+  const all = ecs.getComponent(multi, ComponentTypes.GNSS_RECEIVER);
+  assert.deepStrictEqual(all.constellations, ['GPS', 'GLONASS', 'GALILEO', 'BEIDOU']);
+  assert.strictEqual(gps.fix, '3D');
+  assert.strictEqual(all.fix, '3D');
+  assert.ok(all.satellitesUsed > gps.satellitesUsed);
+  assert.ok(all.hdop < gps.hdop);
+  
+  // GPS L1 and Galileo E1 share a frequency, so one jammer takes both
+  const jammerId = createJammer(ecs, 'STANDARD', { x: 100, y: 0, z: 0 }, 'ENEMY');
+  gameState.setJammerFrequency(jammerId, 'GPS');
+  gameState.activateJammer(jammerId);
+  simulation.run(2);
+  
+  assert.strictEqual(gps.fix, 'NONE');
+  assert.strictEqual(gps.degradation, 1);
+  assert.ok(gps.status.GPS.jammed);
+  
+  assert.strictEqual(all.fix, '3D');
+  assert.ok(all.status.GPS.jammed && all.status.GALILEO.jammed);
+  assert.ok(!all.status.GLONASS.jammed && !all.status.BEIDOU.jammed);
+  assert.strictEqual(all.satellitesUsed, all.status.GLONASS.tracked + all.status.BEIDOU.tracked);
+});
+
+// Drone of a type flying east from (-500, 0), and an enemy spoofer north of
+// its route pulling it toward (0, 1500)
+function createSpoofedDrone(type) {
+  const simulation = createSimulation({ seed: 1 });
+  const { ecs, gameState } = simulation;
+  const stationId = gameState.createGroundStation({ x: -500, y: 0 });
+  const droneId = gameState.createDrone(type, { x: -500, y: 0, z: 300 }, { x: -500, y: 0, z: 0 }, stationId);
+  gameState.setDroneWaypoints(droneId, [{ x: 1500, y: 0 }]);
+  
+  const spooferId = createJammer(ecs, 'SPOOFER', { x: 0, y: 300, z: 0 }, 'ENEMY');
+  gameState.setSpoofTarget(spooferId, { x: 0, y: 1500 });
+  gameState.activateJammer(spooferId);
+  
+  return { simulation, ecs, droneId, spooferId };
+}
+
+test('a spoofer walks an undefended fix across the course toward its target', () => {
+  const { simulation, ecs, droneId, spooferId } = createSpoofedDrone('SURVEILLANCE');
+  const gnss = ecs.getComponent(droneId, ComponentTypes.GNSS_RECEIVER);
+  const transform = ecs.getComponent(droneId, ComponentTypes.TRANSFORM);
+  
+  simulation.run(10);
+  assert.strictEqual(gnss.spooferId, spooferId);
+  assert.ok(gnss.status.GPS.spoofed);
+  assert.ok(!gnss.spoofDetected);
+  assert.ok(gnss.spoofIndicators.power > CONFIG.gnss.spoofing.powerAnomaly);
+  assert.strictEqual(gnss.spoofIndicators.clock, CONFIG.jammers.techniques.SPOOF.clockOffset);
+  
+  // The counterfeit position falls behind to the south, so the drone steers north
+  assert.ok(gnss.positionOffset.y < 0);
+  assert.deepStrictEqual(gnss.positionOffset, gnss.spoofOffset);
+  
+  simulation.run(50);
+  assert.ok(transform.position.y > 100, `drone at y = ${transform.position.y}`);
+});
+
+test('spoofing detection drops the counterfeits and keeps the course', () => {
+  // ATTACK drones check replica power, clock jumps and cross-constellation consistency
+  const { simulation, ecs, droneId } = createSpoofedDrone('ATTACK');
+  const gnss = ecs.getComponent(droneId, ComponentTypes.GNSS_RECEIVER);
+  const transform = ecs.getComponent(droneId, ComponentTypes.TRANSFORM);
+  
+  simulation.run(10);
+  assert.ok(gnss.spoofDetected);
+  assert.ok(gnss.status.GPS.spoofed);
+  assert.deepStrictEqual(gnss.positionOffset, { x: 0, y: 0 });
+  assert.strictEqual(gnss.fix, '3D');
+  
+  simulation.run(50);
+  assert.ok(Math.abs(transform.position.y) < 1, `drone at y = ${transform.position.y}`);
+});
+
+test('receivers know their own side\'s counterfeits', () => {
+  const simulation = createSimulation({ seed: 1 });
+  const { ecs, gameState } = simulation;
+  const droneId = gameState.createDrone('SURVEILLANCE', { x: 0, y: 0, z: 300 }, { x: 0, y: 0, z: 0 });
+  const enemyId = gameState.createEnemyDrone('SURVEILLANCE', { x: 0, y: 0, z: 300 });
+  const spooferId = gameState.createJammer('SPOOFER', { x: 300, y: 0, z: 0 });
+  gameState.activateJammer(spooferId);
+  simulation.run(5);
+  
+  const gnss = ecs.getComponent(droneId, ComponentTypes.GNSS_RECEIVER);
+  assert.strictEqual(gnss.spooferId, null);
+  assert.ok(!gnss.status.GPS.spoofed);
+  assert.strictEqual(ecs.getComponent(enemyId, ComponentTypes.GNSS_RECEIVER).spooferId, spooferId);
+});
+
+test('the position estimate drifts on inertial navigation and recovers with the fix', () => {
+  const simulation = createSimulation({ seed: 1 });
+  const { ecs, gameState } = simulation;
+  const droneId = gameState.createDrone('SURVEILLANCE', { x: 0, y: 0, z: 300 }, { x: 0, y: 0, z: 0 });
+  const navigation = ecs.getComponent(droneId, ComponentTypes.NAVIGATION);
+  const transform = ecs.getComponent(droneId, ComponentTypes.TRANSFORM);
+  const error = () => Math.hypot(navigation.error.x, navigation.error.y);
+  
+  simulation.run(10);
+  assert.strictEqual(navigation.source, 'GNSS');
+  assert.ok(error() < 3 * navigation.uncertainty);
+  
+  // Jammed, the uncorrected bias grows the error with the square of the time
+  const jammerId = createJammer(ecs, 'STANDARD', { x: 100, y: 0, z: 0 }, 'ENEMY');
+  gameState.setJammerFrequency(jammerId, 'GPS');
+  gameState.activateJammer(jammerId);
+  simulation.run(60);
+  
+  const drift = 0.5 * navigation.insDrift * navigation.insTime * navigation.insTime;
+  assert.strictEqual(navigation.source, 'INS');
+  assert.ok(navigation.insTime > 55);
+  assert.strictEqual(navigation.uncertainty, drift);
+  assert.ok(error() > 0.8 * drift && error() < 1.3 * drift, `error ${error()} after drifting ${drift}`);
+  assert.strictEqual(navigation.position.x, transform.position.x + navigation.error.x);
+  
+  gameState.deactivateJammer(jammerId);
+  simulation.run(30);
+  assert.strictEqual(navigation.source, 'GNSS');
+  assert.ok(error() < 3 * navigation.uncertainty);
+});
@@ -0,0 +1,145 @@
+/**
+ * SIGNAL WARFARE - Jamming Tests
+ *
+ * Checks SINR-based link degradation under jamming, the friendly jamming
+ * (fratricide) rules, and frequency hopping and the jamming techniques:
+ *
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation, ComponentTypes, CONFIG } = require('../js/core/simulation');
+const { createJammer } = require('../js/entities/jammer');
+const { calculateSinr, calculateLinkDegradation } = require('../js/rf/propagation');
+const { createHopSet, getHopChannel, getSweepCenter } = require('../js/rf/waveforms');
+
+// Player drone 200 m from its ground control station, and a jammer on its
+// control band 50 m from the drone
+function createJammedDrone(jammerTeam, options = {}) {
+  const simulation = createSimulation({ seed: 3 });
+  const { ecs, gameState } = simulation;
+  gameState.startMission(options);
+  
+  const stationId = gameState.createGroundStation({ x: 0, y: 0 });
+  const droneId = gameState.createDrone('ATTACK', { x: 200, y: 0, z: 150 }, { x: 0, y: 0, z: 0 }, stationId);
+  const jammerId = jammerTeam === 'PLAYER' ?
+    gameState.createJammer('STANDARD', { x: 250, y: 0, z: 0 }) :
+    createJammer(ecs, 'STANDARD', { x: 250, y: 0, z: 0 }, jammerTeam);
+  gameState.setJammerFrequency(jammerId, 'ISM2400');
+  
+  return { simulation, ecs, gameState, droneId, jammerId };
+}
+
+test('SINR and link degradation', () => {
+  assert.strictEqual(calculateSinr(-60, null, -100), 40);
+  assert.ok(Math.abs(calculateSinr(-60, -100, -100) - (40 - 10 * Math.log10(2))) < 1e-9);
+  
+  // Degradation falls from 1 at requiredSinr to 0 at requiredSinr + margin
+  assert.strictEqual(calculateLinkDegradation(10, 10, 10), 1);
+  assert.strictEqual(calculateLinkDegradation(15, 10, 10), 0.5);
+  assert.strictEqual(calculateLinkDegradation(20, 10, 10), 0);
+  assert.strictEqual(calculateLinkDegradation(0, 10, 10), 1);
+  assert.strictEqual(calculateLinkDegradation(40, 10, 10), 0);
+});
+
+test('an enemy jammer on the control band degrades the link', () => {
+  const { simulation, ecs, gameState, droneId, jammerId } = createJammedDrone('ENEMY');
+  const controlLink = ecs.getComponent(droneId, ComponentTypes.CONTROL_LINK);
+  
+  simulation.run(3);
+  assert.ok(controlLink.degradation < 0.5, `degradation ${controlLink.degradation} before jamming`);
+  
+  gameState.activateJammer(jammerId);
+  simulation.run(3);
+  assert.strictEqual(controlLink.degradation, 1);
+  assert.deepStrictEqual(controlLink.jammers, [jammerId]);
+});
+
+test('PROTECTED mode rejects friendly jamming but still warns', () => {
+  const { simulation, ecs, gameState, droneId, jammerId } = createJammedDrone('PLAYER', { fratricide: { mode: 'PROTECTED' } });
+  const warnings = [];
+  gameState.addEventListener('fratricideWarning', (entityId, jammerIds) => warnings.push([entityId, jammerIds]));
+  
+  gameState.activateJammer(jammerId);
+  simulation.run(3);
+  
+  const controlLink = ecs.getComponent(droneId, ComponentTypes.CONTROL_LINK);
+  assert.ok(controlLink.degradation < 0.5, `degradation ${controlLink.degradation}`);
+  assert.strictEqual(controlLink.friendlyDegradation, 1);
+  assert.deepStrictEqual(warnings, [[droneId, [jammerId]]]);
+  assert.deepStrictEqual(gameState.metrics.fratricide, { affected: 1, penalty: 0 });
+});
+
+test('AFFECTED mode lets friendly jamming through at a penalty', () => {
+  const { simulation, ecs, gameState, droneId, jammerId } = createJammedDrone('PLAYER', { fratricide: { mode: 'AFFECTED' } });
+  const cleared = [];
+  gameState.addEventListener('fratricideCleared', entityId => cleared.push(entityId));
+  
+  gameState.activateJammer(jammerId);
+  simulation.run(3);
+  
+  assert.strictEqual(ecs.getComponent(droneId, ComponentTypes.CONTROL_LINK).degradation, 1);
+  assert.deepStrictEqual(gameState.metrics.fratricide, { affected: 1, penalty: CONFIG.mission.fratricide.penaltyPerAsset });
+  
+  gameState.deactivateJammer(jammerId);
+  simulation.run(3);
+  assert.deepStrictEqual(cleared, [droneId]);
+  assert.deepStrictEqual(gameState.metrics.fratricide, { affected: 0, penalty: 0 });
+});
+
+test('enemy jammers degrading enemy assets raise no fratricide events', () => {
+  const simulation = createSimulation({ seed: 3 });
+  const warnings = [];
+  simulation.gameState.addEventListener('fratricideWarning', entityId => warnings.push(entityId));
+  
+  simulation.gameState.startMission();
+  simulation.run(10);
+  
+  assert.deepStrictEqual(warnings, []);
+});
+
+test('hop sets span the band and hop sequences replay from the seed', () => {
+  const band = CONFIG.rf.frequencyBands.ISM2400;
+  const hopSet = createHopSet('ISM2400', 40);
+  assert.strictEqual(hopSet.length, 40);
+  assert.strictEqual(hopSet[0], band.range[0] + band.bandwidth / 2e6);
+  assert.strictEqual(hopSet[39], band.range[1] - band.bandwidth / 2e6);
+  assert.deepStrictEqual(createHopSet('ISM2400', 1), [band.value]);
+  
+  // The channel only changes from one dwell to the next, and a delay shifts the sequence
+  const hopParameters = { hopSet, dwellTime: 20, seed: 1234, delay: 0 };
+  const channels = Array.from({ length: 50 }, (_, hop) => getHopChannel(hopParameters, hop * 20));
+  assert.ok(new Set(channels).size > 20);
+  assert.ok(channels.every(channel => channel >= 0 && channel < 40));
+  assert.strictEqual(getHopChannel(hopParameters, 219), channels[10]);
+  assert.strictEqual(getHopChannel({ ...hopParameters, delay: 3 }, 203), channels[10]);
+  
+  assert.strictEqual(getSweepCenter({ start: 2400, end: 2480, sweepTime: 100 }, 150), 2440);
+});
+
+test('a follower jammer hops the sequence of the hostile link it hears', () => {
+  const simulation = createSimulation({ seed: 1 });
+  const { ecs, gameState } = simulation;
+  const droneId = gameState.createEnemyDrone('SURVEILLANCE', { x: 300, y: 0, z: 100 });
+  const jammerId = gameState.createJammer('PRECISION', { x: 0, y: 0, z: 0 });
+  gameState.setJammerFrequency(jammerId, 'ISM2400');
+  assert.ok(gameState.setJammerTechnique(jammerId, 'FOLLOWER'));
+  gameState.activateJammer(jammerId);
+  simulation.step();
+  
+  const jammer = ecs.getComponent(jammerId, ComponentTypes.JAMMER);
+  const jammerRF = ecs.getComponent(jammerId, ComponentTypes.RF_TRANSMITTER);
+  const droneRF = ecs.getComponent(droneId, ComponentTypes.RF_TRANSMITTER);
+  assert.strictEqual(jammer.followTargetId, droneId);
+  assert.ok(jammerRF.active);
+  assert.deepStrictEqual(jammerRF.hopParameters.hopSet, droneRF.hopParameters.hopSet);
+  assert.strictEqual(jammerRF.hopParameters.seed, droneRF.hopParameters.seed);
+  assert.strictEqual(jammerRF.hopParameters.delay, droneRF.hopParameters.delay + CONFIG.jammers.techniques.FOLLOWER.reactionTime);
+  
+  // With nothing left to follow it falls silent
+  ecs.destroyEntity(droneId);
+  simulation.step();
+  assert.strictEqual(jammer.followTargetId, null);
+  assert.ok(!jammerRF.active);
+});
@@ -0,0 +1,114 @@
+/**
+ * SIGNAL WARFARE - Kinematics Tests
+ *
+ * Checks that entities fly within the turn, acceleration and climb limits of
+ * their airframe against simulation time, and follow the terrain at their
+ * commanded altitude (KinematicsSystem):
+ *
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation, ComponentTypes, CONFIG } = require('../js/core/simulation');
+
+// Airframe of 15 m/s, 3 m/s², 45°/s and 4 m/s climbs, 100 m above the ground
+// at (x, y), heading rotation
+function createAirframe(simulation, x = 0, y = 0, rotation = 0) {
+  const { ecs } = simulation;
+  const ground = ecs.getSystem('rfPropagation').terrain.getElevation(x, y);
+  const entityId = ecs.createEntity();
+  const transform = ecs.addComponent(entityId, ComponentTypes.TRANSFORM, x, y, ground + 100);
+  transform.rotation = rotation;
+  const kinematics = ecs.addComponent(entityId, ComponentTypes.KINEMATICS, 15, 3, 45, 4);
+  
+  return { transform, kinematics, ground };
+}
+
+test('airframes turn, speed up and climb within their limits', () => {
+  const simulation = createSimulation({ seed: 1 });
+  const { transform, kinematics, ground } = createAirframe(simulation);
+  kinematics.commandedHeading = 90;
+  kinematics.commandedSpeed = 30;
+  kinematics.commandedAltitude = 120;
+  
+  simulation.run(1);
+  assert.ok(Math.abs(transform.rotation - 45) < 1e-9, `heading ${transform.rotation}`);
+  assert.ok(Math.abs(kinematics.speed - 3) < 1e-9, `speed ${kinematics.speed}`);
+  assert.ok(Math.abs(transform.position.z - (ground + 104)) < 1e-9);
+  assert.strictEqual(kinematics.velocity.z, 4);
+  
+  // Past the commanded speed's cap at maxSpeed, flying along the new heading
+  simulation.run(5);
+  assert.strictEqual(transform.rotation, 90);
+  assert.strictEqual(kinematics.speed, 15);
+  assert.ok(Math.abs(kinematics.velocity.x) < 1e-9 && Math.abs(kinematics.velocity.y - 15) < 1e-9);
+  
+  // Slowing down as gradually
+  kinematics.commandedSpeed = 0;
+  simulation.run(2);
+  assert.ok(Math.abs(kinematics.speed - 9) < 1e-9, `speed ${kinematics.speed}`);
+});
+
+test('turns go the short way round', () => {
+  const simulation = createSimulation({ seed: 1 });
+  const { transform, kinematics } = createAirframe(simulation, 0, 0, 170);
+  kinematics.commandedHeading = -170;
+  
+  simulation.run(0.2);
+  assert.ok(Math.abs(transform.rotation - 179) < 1e-9, `heading ${transform.rotation}`);
+  
+  simulation.run(0.8);
+  assert.ok(Math.abs(transform.rotation - -170) < 1e-9, `heading ${transform.rotation}`);
+});
+
+test('flights take the same path at any tick rate', () => {
+  const fly = (tickRate) => {
+    const simulation = createSimulation({ seed: 1, tickRate });
+    const { transform, kinematics } = createAirframe(simulation);
+    kinematics.commandedHeading = 120;
+    kinematics.commandedSpeed = 15;
+    kinematics.commandedAltitude = 150;
+    simulation.run(10);
+    
+    return transform.position;
+  };
+  
+  const coarse = fly(30);
+  const fine = fly(60);
+  assert.ok(Math.hypot(coarse.x, coarse.y) > 100);
+  assert.ok(Math.hypot(coarse.x - fine.x, coarse.y - fine.y) < 1, `${coarse.x}, ${coarse.y} against ${fine.x}, ${fine.y}`);
+  assert.ok(Math.abs(coarse.z - fine.z) < 1);
+});
+
+test('drones follow the terrain at their altitude, at the climb rate', () => {
+  const simulation = createSimulation({ seed: 1 });
+  const { ecs, gameState } = simulation;
+  const terrain = ecs.getSystem('rfPropagation').terrain;
+  const { altitude, climbRate } = CONFIG.drones.types.SURVEILLANCE;
+  const droneId = gameState.createDrone(
+    'SURVEILLANCE', { x: -2000, y: -300, z: terrain.getElevation(-2000, -300) + altitude }, { x: -2000, y: -300, z: 0 }
+  );
+  gameState.setDroneWaypoints(droneId, [{ x: 2000, y: -300 }]);
+  const { position } = ecs.getComponent(droneId, ComponentTypes.TRANSFORM);
+  const kinematics = ecs.getComponent(droneId, ComponentTypes.KINEMATICS);
+  
+  // Over ground rising and falling faster than the drone can climb, it climbs
+  // or descends at its climb rate toward its altitude above the ground below
+  let lowest = Infinity;
+  let highest = -Infinity;
+  for (let tick = 0; tick < 150 / ecs.clock.fixedDeltaTime; tick++) {
+    const height = position.z - terrain.getElevation(position.x, position.y);
+    simulation.step();
+    lowest = Math.min(lowest, position.z);
+    highest = Math.max(highest, position.z);
+    
+    assert.ok(Math.abs(kinematics.velocity.z) <= climbRate + 1e-9);
+    if (height < altitude - 1) {
+      assert.ok(kinematics.velocity.z > 0, `climbing at ${kinematics.velocity.z} m/s, ${height} m up`);
+    } else if (height > altitude + 1) {
+      assert.ok(kinematics.velocity.z < 0, `descending at ${kinematics.velocity.z} m/s, ${height} m up`);
+    }
+  }
+  assert.ok(highest - lowest > 100, `altitude varied by ${highest - lowest} m`);
+});
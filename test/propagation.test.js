@@ -0,0 +1,183 @@
+/**
+ * SIGNAL WARFARE - RF Propagation Tests
+ *
+ * Checks the path loss models, knife-edge diffraction over terrain, reception
+ * by bandwidth overlap and the link cache:
+ *
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation, CONFIG, ComponentTypes, TerrainModel } = require('../js/core/simulation');
+const {
+  calculateKnifeEdgeLoss,
+  hasLineOfSight,
+  calculateDeygoutLoss,
+  calculateEpsteinPetersonLoss,
+  calculateClutterLoss,
+  calculateGaseousAttenuation,
+  calculateRainAttenuation,
+  calculateFresnelParameter,
+  calculateWavelength,
+  calculateBandwidthOverlap
+} = require('../js/rf/propagation');
+
+// Terrain profile of evenly spaced points with the given ground elevations
+function createProfile(elevations, spacing = 100) {
+  return elevations.map((elevation, i) => ({ distance: i * spacing, elevation, landCover: 'OPEN' }));
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} is not ${expected} ± ${tolerance}`);
+}
+
+test('free space, two-ray and log-distance path loss', () => {
+  const rfPropagation = createSimulation({ seed: 1 }).ecs.getSystem('rfPropagation');
+  
+  assertClose(rfPropagation.calculateFSPL(1000, 2400), -100.05, 0.01, 'FSPL at 1 km, 2.4 GHz');
+  assertClose(rfPropagation.calculateFSPL(2000, 2400) - rfPropagation.calculateFSPL(1000, 2400), -6.02, 0.01, 'FSPL per doubling');
+  
+  // Two-ray falls back to free space inside 1 km, then loses 12 dB per doubling
+  assert.strictEqual(rfPropagation.calculateTwoRayGround(500, 2400, 10, 10), rfPropagation.calculateFSPL(500, 2400));
+  assertClose(
+    rfPropagation.calculateTwoRayGround(4000, 2400, 10, 10) - rfPropagation.calculateTwoRayGround(2000, 2400, 10, 10),
+    -12.04, 0.01, 'two-ray per doubling'
+  );
+  
+  // Log-distance matches free space at the 1 km reference, then falls 28 dB per decade
+  assertClose(rfPropagation.calculateLogDistance(1000, 2400), rfPropagation.calculateFSPL(1000, 2400), 1e-9, 'log-distance at 1 km');
+  assertClose(
+    rfPropagation.calculateLogDistance(10000, 2400) - rfPropagation.calculateLogDistance(1000, 2400),
+    -28, 1e-9, 'log-distance per decade'
+  );
+});
+
+test('knife-edge loss follows ITU-R P.526', () => {
+  assert.strictEqual(calculateKnifeEdgeLoss(-1), 0);
+  assertClose(calculateKnifeEdgeLoss(0), 6.03, 0.01, 'grazing edge');
+  assertClose(calculateKnifeEdgeLoss(1), 13.90, 0.05, 'v = 1');
+  assert.ok(calculateKnifeEdgeLoss(2) > calculateKnifeEdgeLoss(1));
+});
+
+test('line of sight over a terrain profile', () => {
+  assert.ok(hasLineOfSight(createProfile([0, 0, 0, 0, 0]), 10, 10));
+  assert.ok(!hasLineOfSight(createProfile([0, 0, 50, 0, 0]), 10, 10));
+});
+
+test('a single ridge diffracts the same with Deygout and Epstein-Peterson', () => {
+  const profile = createProfile([0, 0, 0, 50, 0, 0, 0]);
+  const wavelength = calculateWavelength(900);
+  const expected = calculateKnifeEdgeLoss(calculateFresnelParameter(40, 300, 300, wavelength));
+  
+  assertClose(calculateDeygoutLoss(profile, 10, 10, 900), expected, 0.01, 'Deygout');
+  assertClose(calculateEpsteinPetersonLoss(profile, 10, 10, 900), expected, 0.01, 'Epstein-Peterson');
+  assert.strictEqual(calculateDeygoutLoss(createProfile([0, 0, 0, 0, 0]), 10, 10, 900), 0);
+});
+
+test('a second ridge adds diffraction loss', () => {
+  const one = createProfile([0, 0, 50, 0, 0, 0, 0, 0, 0]);
+  const two = createProfile([0, 0, 50, 0, 0, 0, 50, 0, 0]);
+  
+  assert.ok(calculateDeygoutLoss(two, 10, 10, 900) > calculateDeygoutLoss(one, 10, 10, 900));
+  assert.ok(calculateEpsteinPetersonLoss(two, 10, 10, 900) > calculateEpsteinPetersonLoss(one, 10, 10, 900));
+});
+
+test('terrain paths are blocked by a ridge in the heightfield', () => {
+  const rfPropagation = createSimulation({ seed: 1 }).ecs.getSystem('rfPropagation');
+  const terrain = new TerrainModel(65, 2000, 2000);
+  rfPropagation.setTerrain(terrain);
+  
+  const from = { x: -800, y: 0, z: 100 };
+  const to = { x: 800, y: 0, z: 100 };
+  const open = rfPropagation.calculateTerrainPath(from, to, 900);
+  assert.ok(open.lineOfSight);
+  assert.strictEqual(open.diffractionLoss, 0);
+  
+  // A 200 m ridge across the middle of the map
+  terrain.heightData[32].fill(200);
+  const blocked = rfPropagation.calculateTerrainPath(from, to, 900);
+  assert.ok(!blocked.lineOfSight);
+  assert.ok(blocked.diffractionLoss > 20, `diffraction loss ${blocked.diffractionLoss}`);
+});
+
+test('land cover attenuates the part of the path inside the clutter', () => {
+  const profile = createProfile(new Array(11).fill(0));
+  for (let i = 2; i < 6; i++) {
+    profile[i].landCover = 'FOREST';
+  }
+  
+  // 400 m of 10 dB/km forest under a low path, none of it under a high one
+  const low = calculateClutterLoss(profile, 5, 5, 20);
+  assertClose(low.loss, 4, 1e-6, 'low path');
+  assert.deepStrictEqual(low.segments.map(segment => [segment.landCover, segment.length]), [['OPEN', 200], ['FOREST', 400], ['OPEN', 400]]);
+  assert.strictEqual(calculateClutterLoss(profile, 500, 500, 20).loss, 0);
+});
+
+test('gases and rain attenuate by frequency and weather', () => {
+  assert.ok(calculateGaseousAttenuation(10000, 20) > calculateGaseousAttenuation(10000, 7.5));
+  assert.ok(calculateGaseousAttenuation(20000) > calculateGaseousAttenuation(2000));
+  
+  // ITU-R P.838 at 10 GHz: k = 0.01217, alpha = 1.2571
+  assert.strictEqual(calculateRainAttenuation(10000, 0), 0);
+  assertClose(calculateRainAttenuation(10000, 25), 0.01217 * Math.pow(25, 1.2571), 1e-9, 'rain at 10 GHz');
+  assert.ok(calculateRainAttenuation(5000, 25) < calculateRainAttenuation(10000, 25));
+});
+
+test('the weather system blends the atmosphere into new conditions', () => {
+  const simulation = createSimulation({ seed: 1 });
+  const weather = simulation.ecs.getSystem('weather');
+  const rfPropagation = simulation.ecs.getSystem('rfPropagation');
+  weather.setConditions('CLEAR', true);
+  const clearLoss = rfPropagation.calculateAtmosphericLoss(10000, 10000);
+  
+  weather.setConditions('RAIN');
+  assert.strictEqual(weather.getAtmosphere().rainRate, 0);
+  simulation.run(15);
+  assertClose(weather.getAtmosphere().rainRate, 12.5, 0.5, 'halfway through the transition');
+  simulation.run(16);
+  assert.strictEqual(weather.getAtmosphere().rainRate, 25);
+  assert.ok(rfPropagation.calculateAtmosphericLoss(10000, 10000) > clearLoss + 5);
+});
+
+test('cached links are recomputed once an endpoint moves', () => {
+  const simulation = createSimulation({ seed: 1 });
+  const { ecs, gameState } = simulation;
+  const rfPropagation = ecs.getSystem('rfPropagation');
+  const droneId = gameState.createDrone('ATTACK', { x: 200, y: 0, z: 150 }, { x: 0, y: 0, z: 0 });
+  const jammerId = gameState.createJammer('STANDARD', { x: 0, y: 0, z: 0 });
+  gameState.setJammerFrequency(jammerId, ecs.getComponent(droneId, ComponentTypes.RF_RECEIVER).frequency);
+  gameState.activateJammer(jammerId);
+  simulation.step();
+  
+  const near = rfPropagation.calculateSignalStrength(jammerId, droneId);
+  ecs.getComponent(droneId, ComponentTypes.TRANSFORM).position.x = 1000;
+  assert.strictEqual(rfPropagation.calculateSignalStrength(jammerId, droneId), near);
+  
+  rfPropagation.refreshLinkCache([jammerId, droneId]);
+  assert.ok(rfPropagation.calculateSignalStrength(jammerId, droneId) < near - 10);
+});
+
+test('receivers pick up the share of an emission inside their passband', () => {
+  // 1 MHz emission at 100 MHz against passbands in Hz
+  assert.strictEqual(calculateBandwidthOverlap(100, 1e6, 100, 2e6), 1);
+  assert.strictEqual(calculateBandwidthOverlap(100, 1e6, 100, 0.5e6), 0.5);
+  assert.strictEqual(calculateBandwidthOverlap(100, 1e6, 100.5, 1e6), 0.5);
+  assert.strictEqual(calculateBandwidthOverlap(100, 1e6, 102, 1e6), 0);
+  
+  // Waveforms occupy a carrier, the receiver channel or the whole band
+  const rfPropagation = createSimulation({ seed: 1 }).ecs.getSystem('rfPropagation');
+  const band = CONFIG.rf.frequencyBands.ISM2400;
+  const transmitterRF = modulation => ({
+    frequency: 'ISM2400', modulation, bandwidth: null, centerOffset: 0,
+    hopParameters: { hopping: false }, sweepParameters: { sweeping: false }
+  });
+  const emission = modulation => rfPropagation.getEmission(transmitterRF(modulation));
+  assert.strictEqual(emission('CW').bandwidth, 1e3);
+  assert.strictEqual(emission('DSSS').bandwidth, band.bandwidth);
+  assert.strictEqual(emission('FHSS').bandwidth, (band.range[1] - band.range[0]) * 1e6);
+  
+  // A band-wide emission puts only a channel's share of its power in a receiver
+  const receiverRF = { frequency: 'ISM2400', centerOffset: 0, bandwidth: null };
+  assertClose(rfPropagation.getBandwidthOverlap(transmitterRF('FHSS'), receiverRF), band.bandwidth / emission('FHSS').bandwidth, 1e-9, 'FHSS overlap');
+});
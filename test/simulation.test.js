@@ -0,0 +1,42 @@
+/**
+ * SIGNAL WARFARE - Headless Simulation Tests
+ *
+ * Checks that the headless entry points load the simulation core as modules:
+ *
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const globalsBefore = new Set(Object.getOwnPropertyNames(globalThis));
+const simulationModule = require('../js/core/simulation');
+const { createSimulation, ComponentTypes } = simulationModule;
+
+test('requiring the simulation adds nothing to the global scope', () => {
+  const added = Object.getOwnPropertyNames(globalThis).filter(name => !globalsBefore.has(name));
+  
+  assert.deepStrictEqual(added, []);
+});
+
+test('the ES module entry point exports the same simulation', async () => {
+  const esm = await import('../js/core/simulation.mjs');
+  
+  for (const name of Object.keys(simulationModule)) {
+    assert.strictEqual(esm[name], simulationModule[name], name);
+  }
+});
+
+test('simulations in one process keep their own state', () => {
+  const first = createSimulation({ seed: 1 });
+  const second = createSimulation({ seed: 2 });
+  
+  const droneId = first.gameState.createEnemyDrone('SURVEILLANCE', { x: 0, y: 0, z: 300 });
+  first.gameState.setDroneRoute(droneId, [{ x: 500, y: 0 }]);
+  first.run(10);
+  
+  assert.strictEqual(first.time, 10);
+  assert.strictEqual(second.time, 0);
+  assert.strictEqual(second.ecs.entityManager.getEntitiesWithComponents(ComponentTypes.DRONE).length, 0);
+  assert.notStrictEqual(first.ecs.getComponent(droneId, ComponentTypes.TRANSFORM).position.x, 0);
+});
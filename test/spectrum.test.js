@@ -0,0 +1,107 @@
+/**
+ * SIGNAL WARFARE - Spectrum Analyzer Tests
+ *
+ * Checks the spectrum SpectrumMonitor reads from the ECS at a receiver, and
+ * the swept traces and sweep history the analyzer displays (js/rf/spectrum.js):
+ *
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  createSimulation,
+  CONFIG,
+  SeededRandom,
+  SpectrumMonitor,
+  SpectrumSweepHistory,
+  computeSpectrumTrace
+} = require('../js/core/simulation');
+
+// Spectrum of the GPS band with one 1 MHz wide emission at 1580 MHz
+function createSpectrum(power) {
+  return {
+    frequency: 'GPS',
+    noiseFloor: -100,
+    emissions: [{ center: 1580, bandwidth: 1e6, power, transmitting: true }]
+  };
+}
+
+test('a ground location hears GNSS, and a jammer drowning it', () => {
+  const simulation = createSimulation({ seed: 1 });
+  const { ecs, gameState } = simulation;
+  const monitor = new SpectrumMonitor(ecs);
+  const jammerId = gameState.createJammer('STANDARD', { x: 0, y: 0, z: 0 });
+  gameState.setJammerFrequency(jammerId, 'GPS');
+  
+  const quiet = monitor.getSpectrum({ x: 300, y: 0 }, 'GPS');
+  assert.deepStrictEqual(quiet.emissions.map(emission => emission.transmitterId), [null]);
+  assert.strictEqual(quiet.jammerPower, null);
+  assert.strictEqual(quiet.degradation, 0);
+  
+  gameState.activateJammer(jammerId);
+  simulation.step();
+  
+  const jammed = monitor.getSpectrum({ x: 300, y: 0 }, 'GPS');
+  const jammer = jammed.emissions.find(emission => emission.transmitterId === jammerId);
+  assert.ok(jammer.isJammer);
+  assert.strictEqual(jammer.team, 'PLAYER');
+  assert.ok(Math.abs(jammed.jammerPower - jammer.power) < 1e-9);
+  assert.strictEqual(jammed.degradation, 1);
+});
+
+test('a receiver entity does not hear its own transmitter', () => {
+  const simulation = createSimulation({ seed: 1 });
+  const { ecs, gameState } = simulation;
+  const monitor = new SpectrumMonitor(ecs);
+  const droneId = gameState.createDrone('ATTACK', { x: 300, y: 0, z: 100 }, { x: 0, y: 0, z: 0 });
+  simulation.step();
+  
+  const transmitters = receiver => monitor.getSpectrum(receiver, 'ISM2400').emissions.map(emission => emission.transmitterId);
+  assert.deepStrictEqual(transmitters({ x: 300, y: 0 }), [droneId]);
+  assert.deepStrictEqual(transmitters({ entityId: droneId }), []);
+  
+  ecs.destroyEntity(droneId);
+  assert.strictEqual(monitor.getSpectrum({ entityId: droneId }, 'ISM2400'), null);
+});
+
+test('a sweep shows the noise floor per resolution bandwidth and emissions above it', () => {
+  const sweep = { center: 1580, span: 10, rbw: 100e3, points: 11 };
+  const trace = computeSpectrumTrace(createSpectrum(-60), sweep);
+  
+  // A tenth of the 1 MHz emission falls in each 100 kHz resolution bandwidth
+  const noise = -100 + 10 * Math.log10(100e3 / CONFIG.rf.frequencyBands.GPS.bandwidth);
+  assert.ok(Math.abs(trace[0] - noise) < 1e-3);
+  assert.ok(Math.abs(trace[5] - (-70)) < 1e-3);
+  
+  // Drawn noise varies from point to point, and replays with the same seed
+  const random = new SeededRandom(5);
+  const noisy = computeSpectrumTrace(createSpectrum(-60), sweep, () => random.next());
+  assert.notStrictEqual(noisy[0], noisy[1]);
+  const replay = new SeededRandom(5);
+  assert.deepStrictEqual(computeSpectrumTrace(createSpectrum(-60), sweep, () => replay.next()), noisy);
+});
+
+test('the sweep history holds, averages and keeps the latest sweeps', () => {
+  const history = new SpectrumSweepHistory(2, { averageCount: 2, waterfallRows: 2, persistenceLevels: 10 });
+  
+  history.add(new Float32Array([-80, -40]));
+  history.add(new Float32Array([-60, -60]));
+  history.add(new Float32Array([-90, -30]));
+  
+  assert.deepStrictEqual([...history.maxHold], [-60, -30]);
+  assert.deepStrictEqual([...history.minHold], [-90, -60]);
+  assert.deepStrictEqual([...history.average], [-80, -40]);
+  assert.deepStrictEqual(history.waterfall.map(trace => [...trace]), [[-90, -30], [-60, -60]]);
+  
+  // -30 dBm tops the display 100 dB deep, so each level is 10 dB
+  assert.strictEqual(history.getPersistenceLevel(-35), 9);
+  assert.strictEqual(history.getPersistenceLevel(-130), 0);
+  assert.strictEqual(history.getPersistenceLevel(-20), -1);
+  assert.strictEqual(history.persistence[0 * 10 + history.getPersistenceLevel(-90)], 1);
+  assert.ok(Math.abs(history.persistence[1 * 10 + history.getPersistenceLevel(-60)] - 0.95) < 1e-6);
+  
+  history.reset();
+  assert.strictEqual(history.sweepCount, 0);
+  assert.deepStrictEqual(history.waterfall, []);
+});